@@ -7,11 +7,16 @@ import { parseFile } from './parser.js';
 import { clearStyleCache } from './styles.js';
 import { ensureComponentAnalysis, sameFileState, snapshotFileState } from './component-analysis.js';
 
-const ANALYSIS_CACHE_VERSION = 1;
-
-export function loadComponentsWithCache(files, config) {
+const ANALYSIS_CACHE_VERSION = 7;
+
+/**
+ * Parses and analyzes files, reusing cached results for unchanged files. `onProgress` receives
+ * `{ phase: 'parse', completed, total }` after each file; `onWarning` receives cache read problems
+ * and style imports that could not be resolved.
+ */
+export function loadComponentsWithCache(files, config, hooks = {}) {
   clearStyleCache();
-  const cache = loadAnalysisCache(config.analysisCachePath, config.language);
+  const cache = loadAnalysisCache(config.analysisCachePath, config.language, hooks.onWarning);
   const fileStateMemo = new Map();
   const configFingerprint = fingerprintConfig(config);
   const cleaned = cleanAnalysisCache(cache, fileStateMemo);
@@ -19,7 +24,8 @@ export function loadComponentsWithCache(files, config) {
   let dirty = false;
   const components = [];
 
-  files.forEach((filePath) => {
+  files.forEach((filePath, index) => {
+    hooks.onProgress?.({ phase: 'parse', completed: index + 1, total: files.length });
     const cached = hydrateCachedFile(filePath, configFingerprint, cache, fileStateMemo);
     if (cached) {
       stats.hits += 1;
@@ -31,19 +37,19 @@ export function loadComponentsWithCache(files, config) {
     const parsed = parseFile(filePath, config).components.map((component) =>
       attachAnalysis(component, ensureComponentAnalysis(component, config))
     );
-    cache.files[filePath] = buildFileEntry(filePath, parsed, configFingerprint, fileStateMemo);
-    dirty = true;
+    dirty = storeFileEntry(cache, filePath, parsed, configFingerprint, fileStateMemo) || dirty;
     components.push(...parsed);
   });
 
   if (dirty || cleaned > 0) {
     saveAnalysisCache(config.analysisCachePath, cache);
   }
+  warnUnresolvedStyleImports(components, config.language, hooks.onWarning);
 
   return { components, cacheStats: stats };
 }
 
-export function loadAnalysisCache(cachePath, language) {
+export function loadAnalysisCache(cachePath, language, onWarning = console.warn) {
   if (!cachePath || !fs.existsSync(cachePath)) {
     return { version: ANALYSIS_CACHE_VERSION, files: {} };
   }
@@ -63,7 +69,7 @@ export function loadAnalysisCache(cachePath, language) {
     return { version: ANALYSIS_CACHE_VERSION, files: parsed.files };
   } catch (error) {
     const i18n = getI18n(language);
-    console.warn(`${i18n.errCacheReadPrefix} ${cachePath}: ${error.message}`);
+    onWarning(`${i18n.errCacheReadPrefix} ${cachePath}: ${error.message}`);
     return { version: ANALYSIS_CACHE_VERSION, files: {} };
   }
 }
@@ -73,6 +79,16 @@ export function saveAnalysisCache(cachePath, cache) {
   writeFileAtomicSync(cachePath, encode(cache));
 }
 
+function warnUnresolvedStyleImports(components, language, onWarning = console.warn) {
+  const i18n = getI18n(language);
+  const messages = components.flatMap((component) =>
+    component.unresolvedStyleImports.map(
+      (specifier) => `${i18n.errStyleImportResolvePrefix} ${component.filePath}: ${specifier}`
+    )
+  );
+  new Set(messages).forEach((message) => onWarning(message));
+}
+
 function hydrateCachedFile(filePath, configFingerprint, cache, fileStateMemo) {
   const entry = cache.files?.[filePath];
   if (!entry) return null;
@@ -96,6 +112,20 @@ function hydrateCachedFile(filePath, configFingerprint, cache, fileStateMemo) {
   );
 }
 
+/**
+ * Files with unresolved style imports are not cached: the import may resolve once the missing file
+ * or package appears, and nothing on disk records which paths were tried.
+ */
+function storeFileEntry(cache, filePath, components, configFingerprint, fileStateMemo) {
+  if (components.some((component) => component.unresolvedStyleImports.length)) {
+    if (!cache.files[filePath]) return false;
+    delete cache.files[filePath];
+    return true;
+  }
+  cache.files[filePath] = buildFileEntry(filePath, components, configFingerprint, fileStateMemo);
+  return true;
+}
+
 function buildFileEntry(filePath, components, configFingerprint, fileStateMemo) {
   return {
     fileState: memoizedFileState(filePath, fileStateMemo),
@@ -127,6 +157,8 @@ function fingerprintConfig(config) {
       allowIgnores: Boolean(config.allowIgnores),
       /* v8 ignore next */
       styleExtensions: [...(config.styleExtensions || [])].sort(),
+      utilityTheme: config.utilityTheme || null,
+      styleResolution: config.styleResolution || null,
     })
   );
   return hash.digest('hex');
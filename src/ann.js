@@ -0,0 +1,125 @@
+import { getI18n } from './i18n.js';
+
+export const ANN_MODES = ['off', 'lsh'];
+
+const DEFAULT_BITS = 12;
+const MAX_BITS = 24;
+const MAX_TABLES = 128;
+const HYPERPLANES = 64;
+const MAX_BUCKET_SIZE = 256;
+const TARGET_RECALL = 0.95;
+const SEED = 0x5eed;
+
+/**
+ * Reads `config.ann` with defaults. `tables: 0` picks enough hash tables for about 95% recall of
+ * pairs right at `similarityThreshold`; pairs above it are found more reliably.
+ *
+ * @returns {{ mode: string, bits: number, tables: number }}
+ */
+export function resolveAnn(config) {
+  const options = config.ann || {};
+  const mode = options.mode || 'off';
+  if (!ANN_MODES.includes(mode)) {
+    const i18n = getI18n(config.language);
+    throw new Error(`${i18n.errAnnModeInvalidPrefix} ${mode} (${ANN_MODES.join(', ')})`);
+  }
+  const bits = Math.min(MAX_BITS, Math.max(1, Math.floor(Number(options.bits) || DEFAULT_BITS)));
+  const tables = Math.floor(Number(options.tables)) || 0;
+  return {
+    mode,
+    bits,
+    tables: tables > 0 ? tables : autoTables(config.similarityThreshold, bits),
+  };
+}
+
+/**
+ * Candidate pairs from random-projection LSH over the combined vectors, or `null` when ANN is off.
+ * Each table hashes a vector to the signs of `bits` random hyperplanes; vectors that share a
+ * bucket in any table become candidates. `candidates[i]` lists the partners `j > i` in ascending
+ * order. Hyperplanes come from a fixed seed, so results are the same on every run.
+ * Buckets larger than 256 vectors are not expanded into pairs: their members get `null` instead of
+ * a list and are compared with every later entry, which keeps memory linear in the entry count.
+ *
+ * @returns {{ candidates: (Int32Array | null)[], candidatePairs: number } | null}
+ */
+export function buildCandidates(entries, config) {
+  const { mode, bits, tables } = resolveAnn(config);
+  if (mode === 'off') return null;
+  const random = mulberry32(SEED);
+  const dimensions = Math.max(0, ...entries.map((entry) => entry.vector.length));
+  const planes = Array.from({ length: HYPERPLANES }, () =>
+    Array.from({ length: dimensions }, () => gaussian(random))
+  );
+  const signs = entries.map((entry) => projectSigns(entry.vector, planes));
+  const partners = entries.map(() => new Set());
+  for (let table = 0; table < tables; table += 1) {
+    const picked = pickBits(random, bits);
+    const buckets = new Map();
+    signs.forEach((sign, index) => {
+      const key = picked.reduce((acc, bit) => acc * 2 + sign[bit], 0);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+    buckets.forEach((members) => addBucketPairs(members, partners));
+  }
+  const candidates = partners.map((set) => (set ? Int32Array.from(set).sort() : null));
+  return {
+    candidates,
+    candidatePairs: candidates.reduce(
+      (sum, list, index) => sum + (list ? list.length : entries.length - index - 1),
+      0
+    ),
+  };
+}
+
+function addBucketPairs(members, partners) {
+  if (members.length > MAX_BUCKET_SIZE) {
+    members.forEach((member) => {
+      partners[member] = null;
+    });
+    return;
+  }
+  for (let i = 0; i < members.length; i += 1) {
+    const set = partners[members[i]];
+    for (let j = i + 1; set && j < members.length; j += 1) set.add(members[j]);
+  }
+}
+
+function autoTables(threshold, bits) {
+  const cosine = Math.min(1, Math.max(-1, Number(threshold) || 0));
+  const collision = (1 - Math.acos(cosine) / Math.PI) ** bits;
+  if (collision >= 1) return 1;
+  const tables = Math.ceil(Math.log(1 - TARGET_RECALL) / Math.log(1 - collision));
+  return Math.min(MAX_TABLES, tables);
+}
+
+function projectSigns(vector, planes) {
+  return Uint8Array.from(planes, (plane) => {
+    let value = 0;
+    for (let i = 0; i < vector.length; i += 1) value += vector[i] * plane[i];
+    return value >= 0 ? 1 : 0;
+  });
+}
+
+function pickBits(random, bits) {
+  const pool = Array.from({ length: HYPERPLANES }, (_, index) => index);
+  for (let i = 0; i < bits; i += 1) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, bits);
+}
+
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function mulberry32(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
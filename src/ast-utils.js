@@ -0,0 +1,198 @@
+import path from 'path';
+
+const TYPE_SCRIPT_EXTENSIONS = new Set(['.ts', '.tsx', '.cts', '.mts']);
+const JSX_EXTENSIONS = new Set(['.js', '.jsx', '.tsx', '.mjs', '.cjs']);
+const PASCAL_CASE_RE = /^[A-Z][A-Za-z0-9]*$/;
+const WALK_SKIP_KEYS = new Set([
+  'span',
+  'ctxt',
+  'decorators',
+  'typeAnnotation',
+  'typeParameters',
+  'returnType',
+  'typeParams',
+  'superTypeParams',
+  'implements',
+  'raw',
+  'interpreter',
+  'with',
+  'phase',
+]);
+
+export function walkNode(node, parent, enter, exit) {
+  /* v8 ignore next */
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => walkNode(child, parent, enter, exit));
+    return;
+  }
+  if (typeof node.type !== 'string') return;
+
+  enter?.(node, parent);
+
+  for (const key in node) {
+    if (WALK_SKIP_KEYS.has(key)) continue;
+    const value = node[key];
+    if (!value || typeof value !== 'object') continue;
+    walkNode(value, node, enter, exit);
+  }
+
+  exit?.(node, parent);
+}
+
+export function identifierValue(node) {
+  return node?.type === 'Identifier' ? node.value : null;
+}
+
+export function isPascalCase(name) {
+  return !!name && PASCAL_CASE_RE.test(name);
+}
+
+export function isStylePath(source, extensions) {
+  return extensions.some((ext) => source.endsWith(ext));
+}
+
+export function sliceSource(span, code, spanOffset = 0) {
+  /* v8 ignore next */
+  if (!span) return '';
+  const start = clampOffset(normalizeSpanValue(span.start, spanOffset) - 1, code.length);
+  const end = clampOffset(normalizeSpanValue(span.end, spanOffset) - 1, code.length);
+  return code.slice(start, Math.max(start, end));
+}
+
+export function spanToLoc(span, length, lineStarts, spanOffset = 0) {
+  /* v8 ignore next */
+  if (!span) return null;
+  return {
+    start: offsetToLoc(
+      clampOffset(normalizeSpanValue(span.start, spanOffset) - 1, length),
+      lineStarts
+    ),
+    end: offsetToLoc(clampOffset(normalizeSpanValue(span.end, spanOffset) - 1, length), lineStarts),
+  };
+}
+
+export function buildLineStarts(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i += 1) {
+    if (code.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+}
+
+function offsetToLoc(offset, lineStarts) {
+  const lineIndex = findLineIndex(offset, lineStarts);
+  return {
+    line: lineIndex + 1,
+    column: offset - lineStarts[lineIndex],
+  };
+}
+
+function findLineIndex(offset, lineStarts) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (lineStarts[mid] <= offset) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return Math.max(0, high);
+}
+
+function clampOffset(offset, length) {
+  return Math.max(0, Math.min(length, offset));
+}
+
+export function resolveSpanOffset(ast) {
+  /* v8 ignore next */
+  return Math.max(0, (ast?.span?.start || 1) - 1);
+}
+
+function normalizeSpanValue(value, spanOffset) {
+  return Math.max(1, value - spanOffset);
+}
+
+export function getParserOptions(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const isTypeScript = TYPE_SCRIPT_EXTENSIONS.has(ext);
+  const jsx = JSX_EXTENSIONS.has(ext);
+
+  if (isTypeScript) {
+    return {
+      syntax: 'typescript',
+      tsx: jsx,
+      decorators: true,
+      comments: false,
+      target: 'es2020',
+    };
+  }
+
+  return {
+    syntax: 'ecmascript',
+    jsx,
+    decorators: true,
+    decoratorsBeforeExport: true,
+    comments: false,
+    target: 'es2020',
+  };
+}
+
+/**
+ * Collects script-level meta shared by every front end: `use*` hook calls, member calls, named
+ * functions and arrow functions as logic tokens, and string/number literals.
+ *
+ * @returns {boolean} Whether the node was handled
+ */
+export function collectScriptMeta(meta, node, parent) {
+  return (
+    collectCall(meta, node) ||
+    collectFunctionLogic(meta, node) ||
+    collectArrowLogic(meta, node, parent) ||
+    collectLiteral(meta, node)
+  );
+}
+
+function collectCall(meta, node) {
+  if (node.type !== 'CallExpression') return false;
+  const callee = node.callee;
+  if (callee?.type === 'Identifier' && callee.value.startsWith('use')) {
+    meta.hooks.push(callee.value);
+  } else if (callee?.type === 'MemberExpression') {
+    const name = identifierValue(callee.property);
+    if (name) meta.logicTokens.push(name);
+  }
+  return true;
+}
+
+function collectFunctionLogic(meta, node) {
+  if (node.type !== 'FunctionDeclaration') return false;
+  const name = identifierValue(node.identifier);
+  if (name) meta.logicTokens.push(name);
+  return true;
+}
+
+function collectArrowLogic(meta, node, parent) {
+  if (node.type !== 'ArrowFunctionExpression' || parent?.type !== 'VariableDeclarator') {
+    return false;
+  }
+  const name = identifierValue(parent.id);
+  if (name) meta.logicTokens.push(name);
+  return true;
+}
+
+function collectLiteral(meta, node) {
+  if (node.type === 'StringLiteral') {
+    meta.literals.push(node.value);
+    return true;
+  }
+  if (node.type === 'NumericLiteral') {
+    meta.literals.push(String(node.value));
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { getI18n } from './i18n.js';
+import { writeFileAtomicSync } from './fs-atomic.js';
+import { portableFingerprint } from './component-analysis.js';
+import { compareMode, skipCompare } from './similarity-match-core.js';
+
+const BASELINE_VERSION = 1;
+export const DEFAULT_BASELINE_FILE = 'duplicalis.baseline.json';
+
+export function resolveBaselinePath(config) {
+  return path.resolve(config.root || process.cwd(), config.baselinePath || DEFAULT_BASELINE_FILE);
+}
+
+export function buildBaseline(entries, pairs, config) {
+  const refs = buildComponentRefs(entries, config.root);
+  const records = pairs
+    .map((pair) => toBaselineRecord(pair, refs))
+    .filter(Boolean)
+    .sort((left, right) => compareRecords(left, right));
+  return { version: BASELINE_VERSION, pairs: records };
+}
+
+export function loadBaseline(baselinePath, language) {
+  const i18n = getI18n(language);
+  if (!fs.existsSync(baselinePath)) {
+    throw new Error(`${i18n.errBaselineMissingPrefix} ${baselinePath}`);
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    if (parsed.version !== BASELINE_VERSION || !Array.isArray(parsed.pairs)) {
+      throw new Error(i18n.errBaselineFormat);
+    }
+    return parsed;
+  } catch (error) {
+    throw new Error(`${i18n.errBaselineReadPrefix} ${baselinePath}: ${error.message}`);
+  }
+}
+
+export function saveBaseline(baselinePath, baseline) {
+  writeFileAtomicSync(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Splits reported pairs into new pairs and pairs already accepted by the baseline.
+ * Components match a baseline side by stable id (relative path + name) or, when the recorded
+ * component no longer exists because its file was renamed or moved, by portable content
+ * fingerprint. A new copy of a baselined component therefore still shows up as a new pair. A baseline pair that was not reported counts
+ * as resolved only when this run compared it: both components were scanned, `--since`/`--compare`
+ * kept the pair, and `--limit` did not cap either side. The rest are counted as not evaluated.
+ */
+export function applyBaseline(entries, pairs, baseline, config) {
+  const refs = buildComponentRefs(entries, config.root);
+  const index = indexBaseline(baseline.pairs, new Set([...refs.values()].map((ref) => ref.id)));
+  const matched = new Set();
+  const fresh = [];
+  let known = 0;
+
+  pairs.forEach((pair) => {
+    const recordIndex = findBaselineRecord(refs.get(pair.a), refs.get(pair.b), index);
+    if (recordIndex === -1) {
+      fresh.push(pair);
+      return;
+    }
+    matched.add(recordIndex);
+    known += 1;
+  });
+
+  const unmatched = baseline.pairs.filter((_record, recordIndex) => !matched.has(recordIndex));
+  const evaluated = makeScopeCheck(entries, refs, pairs, config);
+  const resolved = unmatched.filter(evaluated);
+  return {
+    pairs: fresh,
+    summary: {
+      path: resolveBaselinePath(config),
+      known,
+      resolved,
+      notEvaluated: unmatched.length - resolved.length,
+    },
+  };
+}
+
+function makeScopeCheck(entries, refs, pairs, config) {
+  const byKey = new Map();
+  entries.forEach((entry) => {
+    const ref = refs.get(entry.component.id);
+    [ref.id, ref.fingerprint].forEach((key) => {
+      if (!byKey.has(key)) byKey.set(key, entry);
+    });
+  });
+  const find = (side) => byKey.get(side.id) || byKey.get(side.fingerprint);
+  const capped = cappedComponents(pairs, config.limit);
+  const compare = compareMode(config);
+  return (record) => {
+    const left = find(record.a);
+    const right = find(record.b);
+    if (!left || !right || skipCompare(left, right, compare)) return false;
+    return !capped.has(left.component.id) && !capped.has(right.component.id);
+  };
+}
+
+function cappedComponents(pairs, limit) {
+  if (limit == null || !Number.isFinite(limit)) return new Set();
+  const counts = new Map();
+  pairs.forEach((pair) => {
+    [pair.a, pair.b].forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+  });
+  return new Set([...counts].filter(([, count]) => count >= limit).map(([id]) => id));
+}
+
+function buildComponentRefs(entries, root) {
+  return new Map(
+    entries.map((entry) => [
+      entry.component.id,
+      {
+        id: stableComponentId(entry.component, root),
+        fingerprint: portableFingerprint(entry.component),
+      },
+    ])
+  );
+}
+
+export function stableComponentId(component, root = process.cwd()) {
+  const relative = path.relative(root, component.filePath).split(path.sep).join('/');
+  return `${relative}#${component.name}`;
+}
+
+function toBaselineRecord(pair, refs) {
+  const left = refs.get(pair.a);
+  const right = refs.get(pair.b);
+  /* v8 ignore next */
+  if (!left || !right) return null;
+  const [a, b] = left.id <= right.id ? [left, right] : [right, left];
+  return {
+    a,
+    b,
+    similarity: pair.similarity,
+    category: pair.category,
+    labels: pair.labels,
+  };
+}
+
+function compareRecords(left, right) {
+  return left.a.id.localeCompare(right.a.id) || left.b.id.localeCompare(right.b.id);
+}
+
+function indexBaseline(records, currentIds) {
+  const byKey = new Map();
+  records.forEach((record, recordIndex) => {
+    [record.a.id, record.a.fingerprint, record.b.id, record.b.fingerprint].forEach((key) => {
+      if (!byKey.has(key)) byKey.set(key, new Set());
+      byKey.get(key).add(recordIndex);
+    });
+  });
+  return { records, byKey, currentIds };
+}
+
+function findBaselineRecord(left, right, index) {
+  /* v8 ignore next */
+  if (!left || !right) return -1;
+  const candidates = new Set([
+    ...(index.byKey.get(left.id) || []),
+    ...(index.byKey.get(left.fingerprint) || []),
+  ]);
+  for (const recordIndex of candidates) {
+    const record = index.records[recordIndex];
+    const same = (current, recorded) => sameComponent(current, recorded, index.currentIds);
+    const direct = same(left, record.a) && same(right, record.b);
+    const swapped = same(left, record.b) && same(right, record.a);
+    if (direct || swapped) return recordIndex;
+  }
+  return -1;
+}
+
+function sameComponent(current, recorded, currentIds) {
+  if (current.id === recorded.id) return true;
+  return !currentIds.has(recorded.id) && current.fingerprint === recorded.fingerprint;
+}
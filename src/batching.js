@@ -0,0 +1,36 @@
+/**
+ * Splits `items` into consecutive groups of at most `size` items.
+ */
+export function chunk(items, size) {
+  const step = Math.max(1, size || items.length);
+  const groups = [];
+  for (let i = 0; i < items.length; i += step) {
+    groups.push(items.slice(i, i + step));
+  }
+  return groups;
+}
+
+/**
+ * Runs `worker` over `items` with at most `limit` calls in flight. Results keep the input order.
+ * After the first failure no new items start; calls already in flight finish before it rejects.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const failures = [];
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !failures.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failures.push(error);
+      }
+    }
+  };
+  const lanes = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  if (failures.length) throw failures[0];
+  return results;
+}
@@ -1,5 +1,6 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DEFAULT_MODEL_PATH, resolveLocalModelConfig } from './model-presets.js';
 
 const BENCHMARK_ROOT = fileURLToPath(
   new URL('../benchmarks/react-component-duplicates-v1/', import.meta.url)
@@ -10,6 +11,7 @@ export const DEFAULT_BENCHMARK_MANIFEST = path.join(BENCHMARK_ROOT, 'manifest.js
 const PRESETS = [
   { id: 'local', kind: 'local', label: 'Local all-MiniLM-L6-v2', aliases: ['baseline-local'] },
   { id: 'mock', kind: 'mock', label: 'Mock hash', aliases: [] },
+  { id: 'lexical', kind: 'lexical', label: 'Lexical TF-IDF', aliases: ['tfidf'] },
   {
     id: 'openai/text-embedding-3-small',
     kind: 'remote',
@@ -65,6 +67,7 @@ PRESETS.forEach((preset) => {
 
 export const DEFAULT_BENCHMARK_MODEL_IDS = [
   'local',
+  'lexical',
   'openai/text-embedding-3-small',
   'openai/text-embedding-3-large',
   'google/gemini-embedding-001',
@@ -86,8 +89,8 @@ export function resolveBenchmarkModels(selected = DEFAULT_BENCHMARK_MODEL_IDS) {
 }
 
 export function buildBenchmarkModelConfig(baseConfig, spec) {
-  if (spec.kind === 'mock') {
-    return { ...baseConfig, model: 'mock', remote: { ...baseConfig.remote } };
+  if (spec.kind === 'mock' || spec.kind === 'lexical') {
+    return { ...baseConfig, model: spec.kind, remote: { ...baseConfig.remote } };
   }
   if (spec.kind === 'local') {
     return { ...baseConfig, model: 'local', remote: { ...baseConfig.remote } };
@@ -100,6 +103,6 @@ export function buildBenchmarkModelConfig(baseConfig, spec) {
 }
 
 export function resolveLocalBenchmarkLabel(config) {
-  const modelPath = config?.modelPath || 'models/all-MiniLM-L6-v2';
+  const modelPath = resolveLocalModelConfig(config || {}).modelPath || DEFAULT_MODEL_PATH;
   return `Local ${path.basename(modelPath)}`;
 }
@@ -1,3 +1,4 @@
+import { resolveAnn } from './ann.js';
 import { dot } from './math.js';
 import { canonicalPairKey } from './benchmark-suite.js';
 import { findSimilarities } from './similarity.js';
@@ -42,9 +43,37 @@ export async function evaluateBenchmark(entries, suite, config = {}) {
     maxHardNegativeScore: roundMetric(maxHardNegativeScore),
     separationGap: roundMetric(minPositiveScore - maxHardNegativeScore),
     benchmarkScore: roundMetric(benchmarkScore),
+    ...(resolveAnn(config).mode === 'off' ? {} : { ann: await evaluateAnn(entries, config) }),
   };
 }
 
+/**
+ * Runs the report at `similarityThreshold` once exhaustively and once with ANN candidates: `recall`
+ * is the share of exhaustively reported pairs the ANN run also reports.
+ */
+export async function evaluateAnn(entries, config) {
+  const reportConfig = buildReportConfig(config, config.similarityThreshold);
+  const exact = await timed(() => findSimilarities(entries, reportConfig));
+  const ann = await timed(() => findSimilarities(entries, { ...reportConfig, ann: config.ann }));
+  const annKeys = new Set(ann.result.pairs.map((pair) => canonicalPairKey(pair.a, pair.b)));
+  const found = exact.result.pairs.filter((pair) => annKeys.has(canonicalPairKey(pair.a, pair.b)));
+  return {
+    threshold: config.similarityThreshold,
+    exactPairs: exact.result.pairs.length,
+    recall: roundMetric(exact.result.pairs.length ? found.length / exact.result.pairs.length : 1),
+    candidatePairs: ann.result.scorecard.ann.candidatePairs,
+    totalPairs: ann.result.scorecard.ann.totalPairs,
+    exhaustiveMs: exact.ms,
+    annMs: ann.ms,
+  };
+}
+
+async function timed(run) {
+  const startedAt = performance.now();
+  const result = await run();
+  return { result, ms: roundMetric(performance.now() - startedAt) };
+}
+
 function ensureReferencedComponents(byId, expected = new Set()) {
   expected.forEach((id) => {
     if (!byId.has(id)) {
@@ -190,6 +219,8 @@ export function buildReportConfig(config, threshold) {
     minPathDistance: config.minPathDistance ?? 0,
     disableAnalyses: config.disableAnalyses || [],
     language: config.language || 'en',
+    scoring: config.scoring,
+    scoreWeights: config.scoreWeights,
     limit: null,
     compareGlobs: [],
     similarityWorkers: 1,
@@ -12,6 +12,11 @@ export function emitBenchmarkReport(report, options = {}) {
   console.log(chalk.dim(`  ${i18n.benchmarkMetricNote}`));
   console.log('');
   renderGrid(buildRows(report, i18n));
+  const ann = buildAnnRows(report, i18n);
+  if (ann.rows.length) {
+    console.log(chalk.bold(`\n  ${i18n.benchmarkAnnTitle}`));
+    renderGrid(ann);
+  }
 
   if (outPath) {
     writeFileAtomicSync(outPath, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
@@ -47,6 +52,26 @@ function buildRows(report, i18n) {
   return { headers, rows };
 }
 
+function buildAnnRows(report, i18n) {
+  const headers = [
+    i18n.benchmarkModelLabel,
+    i18n.benchmarkAnnRecallLabel,
+    i18n.benchmarkAnnCandidatesLabel,
+    i18n.benchmarkExhaustiveMsLabel,
+    i18n.benchmarkAnnMsLabel,
+  ];
+  const rows = report.results
+    .filter((result) => result.metrics.ann)
+    .map(({ label, metrics: { ann } }) => [
+      label,
+      formatMetric(ann.recall),
+      `${ann.candidatePairs}/${ann.totalPairs}`,
+      ann.exhaustiveMs.toFixed(1),
+      ann.annMs.toFixed(1),
+    ]);
+  return { headers, rows };
+}
+
 function renderGrid({ headers, rows }) {
   const widths = headers.map((header, column) =>
     Math.max(header.length, ...rows.map((row) => row[column].length))
@@ -1,8 +1,9 @@
 import path from 'path';
 import { findSourceFiles } from './scanner.js';
 import { loadComponentsWithCache } from './analysis-cache.js';
-import { createEmbeddingBackend } from './embedding/index.js';
+import { closeEmbeddingBackend, createEmbeddingBackend } from './embedding/index.js';
 import { embedComponents } from './similarity.js';
+import { createCliHooks } from './progress.js';
 import { getI18n } from './i18n.js';
 import {
   DEFAULT_BENCHMARK_MANIFEST,
@@ -27,8 +28,10 @@ export async function runBenchmark(baseConfig, options = {}) {
   for (const spec of models) {
     const startedAt = Date.now();
     const modelConfig = buildBenchmarkModelConfig(benchmarkConfig, spec);
-    const backend = await createEmbeddingBackend(modelConfig);
-    const embedded = await embedComponents(components, backend, modelConfig);
+    const hooks = createCliHooks(modelConfig);
+    const backend = await createEmbeddingBackend(modelConfig, hooks);
+    const embedded = await embedComponents(components, backend, modelConfig, hooks);
+    await closeEmbeddingBackend(backend);
     const metrics = await evaluateBenchmark(embedded.entries, suite, modelConfig);
     results.push({
       id: spec.id,
@@ -3,10 +3,12 @@ import crypto from 'crypto';
 import { encode, decode } from 'msgpackr';
 import { getI18n } from './i18n.js';
 import { writeFileAtomicSync } from './fs-atomic.js';
+import { isCustomModel } from './embedding/index.js';
+import { localModelKey, resolveLocalModelConfig } from './model-presets.js';
 
 const CACHE_VERSION = 1;
 
-export function loadCache(cachePath, language) {
+export function loadCache(cachePath, language, onWarning = console.warn) {
   if (!cachePath) return { version: CACHE_VERSION, entries: {} };
   if (!fs.existsSync(cachePath)) return { version: CACHE_VERSION, entries: {} };
   try {
@@ -23,7 +25,7 @@ export function loadCache(cachePath, language) {
     return parsed;
   } catch (error) {
     const i18n = getI18n(language);
-    console.warn(`${i18n.errCacheReadPrefix} ${cachePath}: ${error.message}`);
+    onWarning(`${i18n.errCacheReadPrefix} ${cachePath}: ${error.message}`);
     return { version: CACHE_VERSION, entries: {} };
   }
 }
@@ -37,10 +39,12 @@ export function buildCacheKey(modelKey, componentId) {
   return `${modelKey}:${componentId}`;
 }
 
-export function modelKey(config) {
+export function modelKey(config, backend) {
   if (config.model === 'remote') return `remote:${config.remote?.model || ''}`;
   if (config.model === 'mock') return 'mock';
-  return `local:${config.modelPath}`;
+  if (config.model === 'lexical') return 'lexical';
+  if (isCustomModel(config.model)) return `custom:${backend?.cacheKey || config.model}`;
+  return localModelKey(resolveLocalModelConfig(config));
 }
 
 export function fingerprintRepresentation(
@@ -48,7 +52,8 @@ export function fingerprintRepresentation(
   styleRep,
   styleText = '',
   structureRep = '',
-  holisticRep = ''
+  holisticRep = '',
+  variant = ''
 ) {
   const hash = crypto.createHash('sha1');
   hash.update(codeRep || '');
@@ -56,5 +61,6 @@ export function fingerprintRepresentation(
   hash.update(styleText || '');
   hash.update(structureRep || '');
   hash.update(holisticRep || '');
+  hash.update(variant);
   return hash.digest('hex');
 }
@@ -0,0 +1,73 @@
+import { normalize } from './math.js';
+import { getI18n } from './i18n.js';
+
+export const CHUNK_AGGREGATIONS = ['mean', 'max', 'weighted'];
+
+/**
+ * Reads `config.chunking` with defaults and validates the aggregation. `size` is the number of
+ * characters one embedding call can take; a backend's own `maxInputChars` takes precedence.
+ * `maxChunks: 1` turns chunking off.
+ *
+ * @returns {{ size: number, overlap: number, maxChunks: number, aggregation: string }}
+ */
+export function resolveChunking(config, backend = {}) {
+  const options = config.chunking || {};
+  const size = Math.max(0, Math.floor(Number(backend.maxInputChars ?? options.size) || 0));
+  const resolved = {
+    size,
+    overlap: Math.max(0, Math.min(Math.floor(Number(options.overlap) || 0), size - 1)),
+    maxChunks: Math.max(1, Math.floor(Number(options.maxChunks) || 1)),
+    aggregation: options.aggregation || 'mean',
+  };
+  if (!CHUNK_AGGREGATIONS.includes(resolved.aggregation)) {
+    const i18n = getI18n(config.language);
+    throw new Error(
+      `${i18n.errChunkAggregationInvalidPrefix} ${resolved.aggregation} (${CHUNK_AGGREGATIONS.join(', ')})`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Splits text longer than `size` into overlapping windows. `truncated` is set when the text does
+ * not fit into `maxChunks` windows: the tail is dropped, or, with chunking off, left for the model
+ * to cut.
+ *
+ * @returns {{ chunks: string[], truncated: boolean }}
+ */
+export function splitIntoChunks(text, { size, overlap, maxChunks }) {
+  if (!size || text.length <= size) return { chunks: [text], truncated: false };
+  if (maxChunks <= 1) return { chunks: [text], truncated: true };
+  const step = size - overlap;
+  const chunks = [];
+  for (let start = 0; chunks.length < maxChunks; start += step) {
+    chunks.push(text.slice(start, start + size));
+    if (start + size >= text.length) return { chunks, truncated: false };
+  }
+  return { chunks, truncated: true };
+}
+
+/**
+ * Combines chunk vectors into one normalized vector: element-wise `mean` or `max`, or a mean
+ * `weighted` by chunk length.
+ */
+export function aggregateChunks(vectors, chunks, aggregation) {
+  if (vectors.length === 1) return vectors[0];
+  const size = Math.min(...vectors.map((vector) => vector.length));
+  const out = new Array(size).fill(aggregation === 'max' ? -Infinity : 0);
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  vectors.forEach((vector, index) => {
+    const weight = aggregation === 'weighted' ? chunks[index].length / total : 1 / vectors.length;
+    for (let i = 0; i < size; i += 1) {
+      out[i] = aggregation === 'max' ? Math.max(out[i], vector[i]) : out[i] + vector[i] * weight;
+    }
+  });
+  return normalize(out);
+}
+
+/**
+ * Cache-key suffix for texts that were chunked, so changing the chunk settings re-embeds them.
+ */
+export function chunkSignature({ size, overlap, maxChunks, aggregation }) {
+  return `chunks:${size}/${overlap}/${maxChunks}/${aggregation}`;
+}
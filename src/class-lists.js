@@ -0,0 +1,120 @@
+import { identifierValue } from './ast-utils.js';
+
+const CLASS_HELPERS = new Set([
+  'clsx',
+  'cn',
+  'cx',
+  'classnames',
+  'classNames',
+  'twMerge',
+  'twJoin',
+]);
+const VARIANT_HELPERS = new Set(['cva', 'tv']);
+const VARIANT_CLASS_KEYS = new Set(['class', 'className', 'base']);
+const SKIPPED_VARIANT_KEYS = new Set(['defaultVariants']);
+
+const NODE_CLASSES = {
+  StringLiteral: (node) => splitClasses(node.value),
+  TemplateLiteral: templateClasses,
+  ConditionalExpression: (node, scope) => [
+    ...classesFromNode(node.consequent, scope),
+    ...classesFromNode(node.alternate, scope),
+  ],
+  BinaryExpression: (node, scope) => [
+    ...classesFromNode(node.left, scope),
+    ...classesFromNode(node.right, scope),
+  ],
+  ParenthesisExpression: (node, scope) => classesFromNode(node.expression, scope),
+  ArrayExpression: (node, scope) =>
+    node.elements.flatMap((element) => classesFromNode(element?.expression, scope)),
+  ObjectExpression: objectClasses,
+  CallExpression: callClasses,
+  Identifier: (node, scope) => scope.definitions.get(node.value) || [],
+};
+
+/**
+ * Module-level `const name = …` values that hold classes — strings, templates, and class helper
+ * calls such as `clsx(…)` or `cva(…)` — so `className={name}` and `className={name(props)}`
+ * resolve to them.
+ */
+export function collectClassDefinitions(ast) {
+  const definitions = new Map();
+  ast.body.forEach((item) => {
+    const declaration = item.type === 'ExportDeclaration' ? item.declaration : item;
+    if (declaration?.type !== 'VariableDeclaration') return;
+    declaration.declarations.forEach((declarator) => {
+      const name = identifierValue(declarator.id);
+      const classes = name ? classesFromNode(declarator.init, { definitions }) : [];
+      if (classes.length) definitions.set(name, unique(classes));
+    });
+  });
+  return definitions;
+}
+
+/**
+ * Classes a `className` attribute can apply: string and template literals, both branches of
+ * conditional and logical expressions, and class helper arguments (`clsx`/`cn` strings, arrays,
+ * and object keys; `cva` base and variant classes).
+ */
+export function classesFromAttribute(value, definitions) {
+  const node = value?.type === 'JSXExpressionContainer' ? value.expression : value;
+  return unique(classesFromNode(node, { definitions }));
+}
+
+function classesFromNode(node, scope) {
+  const handler = NODE_CLASSES[node?.type];
+  return handler ? handler(node, scope) : [];
+}
+
+function templateClasses(node, scope) {
+  const classes = node.quasis.flatMap((quasi, index) => {
+    const text = quasi.raw;
+    const tokens = splitClasses(text);
+    if (index > 0 && /^\S/.test(text)) tokens.shift();
+    if (index < node.expressions.length && /\S$/.test(text)) tokens.pop();
+    return tokens;
+  });
+  return [
+    ...classes,
+    ...node.expressions.flatMap((expression) => classesFromNode(expression, scope)),
+  ];
+}
+
+function objectClasses(node, scope) {
+  if (scope.variants) return variantClasses(node, scope);
+  return node.properties.flatMap((property) => {
+    const key = property.key;
+    if (property.type !== 'KeyValueProperty') return [];
+    if (key.type === 'StringLiteral') return splitClasses(key.value);
+    return key.type === 'Identifier' ? [key.value] : [];
+  });
+}
+
+function variantClasses(node, scope) {
+  const properties = node.properties.filter((property) => property.type === 'KeyValueProperty');
+  const named = properties.filter((property) => VARIANT_CLASS_KEYS.has(propertyName(property)));
+  const picked = named.length ? named : properties;
+  return picked
+    .filter((property) => !SKIPPED_VARIANT_KEYS.has(propertyName(property)))
+    .flatMap((property) => classesFromNode(property.value, scope));
+}
+
+function callClasses(node, scope) {
+  const callee = identifierValue(node.callee);
+  if (scope.definitions.has(callee)) return scope.definitions.get(callee);
+  if (!CLASS_HELPERS.has(callee) && !VARIANT_HELPERS.has(callee)) return [];
+  const inner = { ...scope, variants: VARIANT_HELPERS.has(callee) };
+  return node.arguments.flatMap((argument) => classesFromNode(argument.expression, inner));
+}
+
+function propertyName(property) {
+  return property.key.type === 'StringLiteral' ? property.key.value : identifierValue(property.key);
+}
+
+function splitClasses(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+function unique(items) {
+  return Array.from(new Set(items));
+}
@@ -4,7 +4,9 @@ import path from 'path';
 import { pathToFileURL } from 'url';
 import { loadConfig, resolveConfigPath, saveConfigFile } from './config.js';
 import { getI18n, resolveLanguageFromArgv } from './i18n.js';
-import { run } from './index.js';
+import { run, writeBaseline } from './index.js';
+import { printBaselineWritten } from './output.js';
+import { GATE_FAILURE_EXIT_CODE } from './gate.js';
 import { runBenchmark } from './benchmark.js';
 
 dotenv.config();
@@ -24,38 +26,24 @@ export function createProgram(argv = process.argv) {
       program.outputHelp();
     });
 
-  program
+  const scan = program
     .command('scan', { isDefault: true })
     .description(i18n.cliScanDescription)
     .argument('[target]', i18n.cliArgTarget)
     .option('-c, --cmd <path>', i18n.cliOptCmd)
     .option('-o, --out <path>', i18n.cliOptOut)
-    .option('--include <globs...>', i18n.cliOptInclude)
-    .option('--exclude <globs...>', i18n.cliOptExclude)
-    .option('--threshold <number>', i18n.cliOptThreshold, parseFloat)
-    .option('--high-threshold <number>', i18n.cliOptHighThreshold, parseFloat)
-    .option('--max-threshold <number>', i18n.cliOptMaxThreshold, parseFloat)
-    .option('--limit <number>', i18n.cliOptLimit, parseInt)
-    .option('--model <model>', i18n.cliOptModel)
-    .option('--model-path <path>', i18n.cliOptModelPath)
-    .option('--model-repo <url>', i18n.cliOptModelRepo)
-    .option('--auto-download-model', i18n.cliOptAutoDownloadModel)
-    .option('--cache-path <path>', i18n.cliOptCachePath)
-    .option('--no-progress', i18n.cliOptNoProgress)
-    .option('--api-url <url>', i18n.cliOptApiUrl)
-    .option('--api-key <key>', i18n.cliOptApiKey)
-    .option('--api-model <name>', i18n.cliOptApiModel)
-    .option('--api-timeout <ms>', i18n.cliOptApiTimeout, parseInt)
-    .option('--disable-analyses <list...>', i18n.cliOptDisableAnalyses)
-    .option('--style-extensions <list...>', i18n.cliOptStyleExtensions)
-    .option('--ignore-component-name <patterns...>', i18n.cliOptIgnoreComponentName)
-    .option('--ignore-component-usage <patterns...>', i18n.cliOptIgnoreComponentUsage)
-    .option('--relative-paths', i18n.cliOptRelativePaths)
-    .option('--min-path-distance <number>', i18n.cliOptMinPathDistance, parseInt)
+    .option('--format <type>', i18n.cliOptFormat);
+  addAnalysisOptions(scan, i18n)
     .option('--compare <globs...>', i18n.cliOptCompare)
+    .option('--since <ref>', i18n.cliOptSince)
+    .option('--baseline <path>', i18n.cliOptBaseline)
     .option('--config <path>', i18n.cliOptConfig)
     .option('--save-config [path]', i18n.cliOptSaveConfig)
     .option('--no-ignores', i18n.cliOptNoIgnores)
+    .option('--ci', i18n.cliOptCi)
+    .option('--max-pairs <number>', i18n.cliOptMaxPairs, parseInt)
+    .option('--fail-on-category <list...>', i18n.cliOptFailOnCategory)
+    .option('--fail-on-label <list...>', i18n.cliOptFailOnLabel)
     .option('--lang <code>', i18n.cliOptLang)
     .action(async (target, opts, command) => {
       const resolvedRoot = resolveScanRoot(target, opts);
@@ -63,7 +51,27 @@ export function createProgram(argv = process.argv) {
       const cliOptions = buildCliOptions(opts, command, resolvedRoot);
       const config = loadConfig({ ...cliOptions, config: configPath });
       updateConfigPersistence(config, opts.saveConfig, configPath, resolvedRoot);
-      await run(config);
+      const result = await run(config);
+      if (result.gate && !result.gate.passed) process.exitCode = GATE_FAILURE_EXIT_CODE;
+    });
+
+  const baseline = program
+    .command('baseline')
+    .description(i18n.cliBaselineDescription)
+    .argument('[target]', i18n.cliArgTarget)
+    .option('-c, --cmd <path>', i18n.cliOptCmd);
+  addAnalysisOptions(baseline, i18n)
+    .option('--baseline <path>', i18n.cliOptBaselineOut)
+    .option('--config <path>', i18n.cliOptConfig)
+    .option('--no-ignores', i18n.cliOptNoIgnores)
+    .option('--lang <code>', i18n.cliOptLang)
+    .action(async (target, opts, command) => {
+      const resolvedRoot = resolveScanRoot(target, opts);
+      const configPath = resolveConfigPath(resolvedRoot, opts.config);
+      const cliOptions = buildCliOptions(opts, command, resolvedRoot);
+      const config = loadConfig({ ...cliOptions, config: configPath });
+      const written = await writeBaseline(config);
+      printBaselineWritten(written.baselinePath, written.baseline, config);
     });
 
   program
@@ -75,11 +83,31 @@ export function createProgram(argv = process.argv) {
     .option('--model-path <path>', i18n.cliOptModelPath)
     .option('--model-repo <url>', i18n.cliOptModelRepo)
     .option('--auto-download-model', i18n.cliOptAutoDownloadModel)
+    .option('--local-workers <n>', i18n.cliOptLocalWorkers, parseInt)
+    .option('--model-preset <name>', i18n.cliOptModelPreset)
+    .option('--pooling <strategy>', i18n.cliOptPooling)
+    .option('--model-prefix <prefix>', i18n.cliOptModelPrefix)
+    .option('--max-length <n>', i18n.cliOptMaxLength, parseInt)
+    .option('--no-quantized', i18n.cliOptNoQuantized)
+    .option('--chunk-size <chars>', i18n.cliOptChunkSize, parseInt)
+    .option('--chunk-overlap <chars>', i18n.cliOptChunkOverlap, parseInt)
+    .option('--max-chunks <n>', i18n.cliOptMaxChunks, parseInt)
+    .option('--chunk-aggregation <mode>', i18n.cliOptChunkAggregation)
+    .option('--scoring <mode>', i18n.cliOptScoring)
+    .option('--score-weight <pairs...>', i18n.cliOptScoreWeight)
+    .option('--ann <mode>', i18n.cliOptAnn)
+    .option('--ann-bits <n>', i18n.cliOptAnnBits, parseInt)
+    .option('--ann-tables <n>', i18n.cliOptAnnTables, parseInt)
     .option('--cache-path <path>', i18n.cliOptCachePath)
     .option('--no-progress', i18n.cliOptNoProgress)
     .option('--api-url <url>', i18n.cliOptApiUrl)
     .option('--api-key <key>', i18n.cliOptApiKey)
     .option('--api-timeout <ms>', i18n.cliOptApiTimeout, parseInt)
+    .option('--api-batch-size <n>', i18n.cliOptApiBatchSize, parseInt)
+    .option('--api-concurrency <n>', i18n.cliOptApiConcurrency, parseInt)
+    .option('--api-max-retries <n>', i18n.cliOptApiMaxRetries, parseInt)
+    .option('--api-rpm <n>', i18n.cliOptApiRpm, parseInt)
+    .option('--api-tpm <n>', i18n.cliOptApiTpm, parseInt)
     .option('--config <path>', i18n.cliOptConfig)
     .option('--lang <code>', i18n.cliOptLang)
     .action(async (opts, command) => {
@@ -105,6 +133,55 @@ export async function runCli(argv = process.argv) {
   return program;
 }
 
+function addAnalysisOptions(command, i18n) {
+  return command
+    .option('--include <globs...>', i18n.cliOptInclude)
+    .option('--exclude <globs...>', i18n.cliOptExclude)
+    .option('--threshold <number>', i18n.cliOptThreshold, parseFloat)
+    .option('--high-threshold <number>', i18n.cliOptHighThreshold, parseFloat)
+    .option('--max-threshold <number>', i18n.cliOptMaxThreshold, parseFloat)
+    .option('--limit <number>', i18n.cliOptLimit, parseInt)
+    .option('--model <model>', i18n.cliOptModel)
+    .option('--model-path <path>', i18n.cliOptModelPath)
+    .option('--model-repo <url>', i18n.cliOptModelRepo)
+    .option('--auto-download-model', i18n.cliOptAutoDownloadModel)
+    .option('--local-workers <n>', i18n.cliOptLocalWorkers, parseInt)
+    .option('--model-preset <name>', i18n.cliOptModelPreset)
+    .option('--pooling <strategy>', i18n.cliOptPooling)
+    .option('--model-prefix <prefix>', i18n.cliOptModelPrefix)
+    .option('--max-length <n>', i18n.cliOptMaxLength, parseInt)
+    .option('--no-quantized', i18n.cliOptNoQuantized)
+    .option('--chunk-size <chars>', i18n.cliOptChunkSize, parseInt)
+    .option('--chunk-overlap <chars>', i18n.cliOptChunkOverlap, parseInt)
+    .option('--max-chunks <n>', i18n.cliOptMaxChunks, parseInt)
+    .option('--chunk-aggregation <mode>', i18n.cliOptChunkAggregation)
+    .option('--scoring <mode>', i18n.cliOptScoring)
+    .option('--score-weight <pairs...>', i18n.cliOptScoreWeight)
+    .option('--ann <mode>', i18n.cliOptAnn)
+    .option('--ann-bits <n>', i18n.cliOptAnnBits, parseInt)
+    .option('--ann-tables <n>', i18n.cliOptAnnTables, parseInt)
+    .option('--cache-path <path>', i18n.cliOptCachePath)
+    .option('--no-progress', i18n.cliOptNoProgress)
+    .option('--api-url <url>', i18n.cliOptApiUrl)
+    .option('--api-key <key>', i18n.cliOptApiKey)
+    .option('--api-model <name>', i18n.cliOptApiModel)
+    .option('--api-timeout <ms>', i18n.cliOptApiTimeout, parseInt)
+    .option('--api-batch-size <n>', i18n.cliOptApiBatchSize, parseInt)
+    .option('--api-concurrency <n>', i18n.cliOptApiConcurrency, parseInt)
+    .option('--api-max-retries <n>', i18n.cliOptApiMaxRetries, parseInt)
+    .option('--api-rpm <n>', i18n.cliOptApiRpm, parseInt)
+    .option('--api-tpm <n>', i18n.cliOptApiTpm, parseInt)
+    .option('--disable-analyses <list...>', i18n.cliOptDisableAnalyses)
+    .option('--style-extensions <list...>', i18n.cliOptStyleExtensions)
+    .option('--tailwind-config <path>', i18n.cliOptTailwindConfig)
+    .option('--ignore-component-name <patterns...>', i18n.cliOptIgnoreComponentName)
+    .option('--ignore-component-usage <patterns...>', i18n.cliOptIgnoreComponentUsage)
+    .option('--relative-paths', i18n.cliOptRelativePaths)
+    .option('--explain', i18n.cliOptExplain)
+    .option('--no-incremental', i18n.cliOptNoIncremental)
+    .option('--min-path-distance <number>', i18n.cliOptMinPathDistance, parseInt);
+}
+
 function resolveScanRoot(target, opts) {
   return path.resolve(opts.cmd || target || process.cwd());
 }
@@ -113,6 +190,7 @@ function buildCliOptions(opts, command, root) {
   return {
     root,
     out: opts.out,
+    format: opts.format,
     include: opts.include,
     exclude: opts.exclude,
     similarityThreshold: opts.threshold,
@@ -123,22 +201,47 @@ function buildCliOptions(opts, command, root) {
     modelPath: opts.modelPath,
     modelRepo: opts.modelRepo,
     autoDownloadModel: opts.autoDownloadModel,
+    localWorkers: opts.localWorkers,
+    localModel: buildLocalModelOptions(opts, command),
+    chunking: {
+      size: opts.chunkSize,
+      overlap: opts.chunkOverlap,
+      maxChunks: opts.maxChunks,
+      aggregation: opts.chunkAggregation,
+    },
+    scoring: opts.scoring,
+    scoreWeights: parseScoreWeights(opts.scoreWeight),
+    ann: { mode: opts.ann, bits: opts.annBits, tables: opts.annTables },
     cachePath: opts.cachePath,
     showProgress: readCliBooleanOverride(command, 'progress', opts.progress),
     disableAnalyses: opts.disableAnalyses,
     styleExtensions: opts.styleExtensions,
+    tailwindConfig: opts.tailwindConfig,
     allowIgnores: readCliBooleanOverride(command, 'ignores', opts.ignores),
     ignoreComponentNamePatterns: opts.ignoreComponentName,
     ignoreComponentUsagePatterns: opts.ignoreComponentUsage,
     relativePaths: opts.relativePaths,
+    explain: opts.explain,
+    incremental: readCliBooleanOverride(command, 'incremental', opts.incremental),
     minPathDistance: opts.minPathDistance,
     compareGlobs: opts.compare,
+    since: opts.since,
+    baselinePath: opts.baseline,
+    ci: opts.ci,
+    maxPairs: opts.maxPairs,
+    failOnCategories: opts.failOnCategory,
+    failOnLabels: opts.failOnLabel,
     language: opts.lang,
     remote: {
       url: opts.apiUrl,
       apiKey: opts.apiKey,
       model: opts.apiModel,
       timeoutMs: opts.apiTimeout,
+      batchSize: opts.apiBatchSize,
+      concurrency: opts.apiConcurrency,
+      maxRetries: opts.apiMaxRetries,
+      requestsPerMinute: opts.apiRpm,
+      tokensPerMinute: opts.apiTpm,
     },
   };
 }
@@ -149,6 +252,17 @@ function buildBenchmarkCliOptions(opts, command, root) {
     modelPath: opts.modelPath,
     modelRepo: opts.modelRepo,
     autoDownloadModel: opts.autoDownloadModel,
+    localWorkers: opts.localWorkers,
+    localModel: buildLocalModelOptions(opts, command),
+    chunking: {
+      size: opts.chunkSize,
+      overlap: opts.chunkOverlap,
+      maxChunks: opts.maxChunks,
+      aggregation: opts.chunkAggregation,
+    },
+    scoring: opts.scoring,
+    scoreWeights: parseScoreWeights(opts.scoreWeight),
+    ann: { mode: opts.ann, bits: opts.annBits, tables: opts.annTables },
     cachePath: opts.cachePath,
     showProgress: readCliBooleanOverride(command, 'progress', opts.progress),
     language: opts.lang,
@@ -156,10 +270,36 @@ function buildBenchmarkCliOptions(opts, command, root) {
       url: opts.apiUrl,
       apiKey: opts.apiKey,
       timeoutMs: opts.apiTimeout,
+      batchSize: opts.apiBatchSize,
+      concurrency: opts.apiConcurrency,
+      maxRetries: opts.apiMaxRetries,
+      requestsPerMinute: opts.apiRpm,
+      tokensPerMinute: opts.apiTpm,
     },
   };
 }
 
+function buildLocalModelOptions(opts, command) {
+  return {
+    preset: opts.modelPreset,
+    pooling: opts.pooling,
+    prefix: opts.modelPrefix,
+    maxLength: opts.maxLength,
+    quantized: readCliBooleanOverride(command, 'quantized', opts.quantized),
+  };
+}
+
+function parseScoreWeights(pairs) {
+  if (!pairs) return undefined;
+  return Object.fromEntries(
+    pairs.map((pair) => {
+      const [signal, raw = ''] = pair.split('=');
+      const weight = raw.trim() === '' ? NaN : Number(raw);
+      return [signal.trim(), Number.isNaN(weight) ? raw.trim() : weight];
+    })
+  );
+}
+
 function readCliBooleanOverride(command, optionName, value) {
   return command.getOptionValueSource(optionName) === 'cli' ? value : undefined;
 }
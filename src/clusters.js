@@ -0,0 +1,90 @@
+import { cosine } from './math.js';
+
+/**
+ * Groups reported pairs into duplicate clusters: connected components of the pair graph.
+ * The canonical member is the medoid (highest mean cosine to the other members); cohesion is
+ * measured over every member pair, not only the reported ones, so chained families show up as
+ * loosely cohesive.
+ *
+ * @param {Array<Object>} pairs - Reported pairs
+ * @param {Array<Object>} entries - Embedded entries with `component` and `vector`
+ * @returns {Array<Object>} Clusters, largest and most cohesive first, numbered from 1
+ */
+export function buildClusters(pairs = [], entries = []) {
+  const vectors = new Map(entries.map((entry) => [entry.component.id, entry.vector]));
+  const degrees = countDegrees(pairs);
+  return groupConnected(pairs)
+    .map((ids) => describeCluster(ids, vectors, degrees))
+    .sort(
+      (a, b) =>
+        b.size - a.size ||
+        b.cohesion.mean - a.cohesion.mean ||
+        a.canonical.localeCompare(b.canonical)
+    )
+    .map((cluster, index) => ({ id: index + 1, ...cluster }));
+}
+
+function countDegrees(pairs) {
+  const degrees = new Map();
+  pairs.forEach((pair) => {
+    degrees.set(pair.a, (degrees.get(pair.a) || 0) + 1);
+    degrees.set(pair.b, (degrees.get(pair.b) || 0) + 1);
+  });
+  return degrees;
+}
+
+function groupConnected(pairs) {
+  const parents = new Map();
+  const find = (id) => {
+    if (!parents.has(id)) parents.set(id, id);
+    let root = id;
+    while (parents.get(root) !== root) root = parents.get(root);
+    parents.set(id, root);
+    return root;
+  };
+  pairs.forEach((pair) => parents.set(find(pair.a), find(pair.b)));
+  const groups = new Map();
+  Array.from(parents.keys()).forEach((id) => {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  });
+  return Array.from(groups.values());
+}
+
+function describeCluster(ids, vectors, degrees) {
+  const scores = new Map(ids.map((id) => [id, []]));
+  const all = [];
+  ids.forEach((id, index) => {
+    ids.slice(index + 1).forEach((other) => {
+      const similarity = cosine(vectors.get(id), vectors.get(other));
+      scores.get(id).push(similarity);
+      scores.get(other).push(similarity);
+      all.push(similarity);
+    });
+  });
+  const members = ids
+    .map((id) => ({ id, meanSimilarity: round(mean(scores.get(id))), pairs: degrees.get(id) }))
+    .sort((a, b) => b.meanSimilarity - a.meanSimilarity || a.id.localeCompare(b.id));
+  const edges = members.reduce((sum, member) => sum + member.pairs, 0) / 2;
+  return {
+    canonical: members[0].id,
+    size: members.length,
+    pairs: edges,
+    cohesion: {
+      mean: round(mean(all)),
+      min: round(all.reduce((low, value) => Math.min(low, value), Infinity)),
+      max: round(all.reduce((high, value) => Math.max(high, value), -Infinity)),
+      density: round(edges / all.length),
+    },
+    members,
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
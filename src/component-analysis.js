@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { buildRepresentation } from './representation.js';
 import { loadStyles } from './styles.js';
 
@@ -8,15 +9,19 @@ export function ensureComponentAnalysis(component, config) {
   if (component.analysis?.fingerprint === fingerprint) return component.analysis;
 
   const styles = loadStyles(component, config);
-  const representation = buildRepresentation(component, styles.styleText);
+  const representation = buildRepresentation(component, styles.styleText, styles.styleCanonical);
   const analysis = {
     fingerprint,
     styleText: styles.styleText,
+    styleCanonical: styles.styleCanonical,
     stylePaths: styles.stylePaths,
     hasCssInJs: styles.hasCssInJs,
     hasStyles: Boolean((styles.styleText || '').trim()),
     representation,
-    styleDependencies: buildDependencyStates(styles.stylePaths, config.root),
+    styleDependencies: buildDependencyStates(
+      [...styles.stylePaths, ...styles.partials],
+      config.root
+    ),
   };
   component.analysis = analysis;
   return analysis;
@@ -60,8 +65,18 @@ export function resolveStyleDependency(stylePath, root = process.cwd()) {
   return stylePath.startsWith('.') ? path.resolve(root, stylePath) : stylePath;
 }
 
+export function portableFingerprint(component) {
+  const payload = fingerprintPayload(component);
+  payload.styleImports = (payload.styleImports || []).map((stylePath) => path.basename(stylePath));
+  return crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
+}
+
 function fingerprintComponent(component) {
-  return JSON.stringify({
+  return JSON.stringify(fingerprintPayload(component));
+}
+
+function fingerprintPayload(component) {
+  return {
     source: component.source,
     props: component.props,
     hooks: component.hooks,
@@ -71,9 +86,12 @@ function fingerprintComponent(component) {
     jsxPaths: component.jsxPaths,
     textNodes: component.textNodes,
     classNames: component.classNames,
+    classGroups: component.classGroups,
     componentRefs: component.componentRefs,
     returnsCount: component.returnsCount,
     styleImports: component.styleImports,
+    cssInJs: component.cssInJs,
+    styleBlocks: component.styleBlocks,
     isWrapper: component.isWrapper,
-  });
+  };
 }
@@ -2,6 +2,9 @@ import fs from 'fs';
 import path from 'path';
 import { getI18n, resolveLanguage } from './i18n.js';
 import { writeFileAtomicSync } from './fs-atomic.js';
+import { DEFAULT_MODEL_PATH, DEFAULT_MODEL_REPO } from './model-presets.js';
+import { DEFAULT_SCORE_WEIGHTS } from './similarity-signals.js';
+import { REPORT_FORMATS } from './output.js';
 
 export const IGNORE_FILE_MARKER = 'duplicalis-ignore-file';
 export const IGNORE_COMPONENT_MARKER = 'duplicalis-ignore-next';
@@ -9,32 +12,56 @@ const DEFAULT_REMOTE_URL = 'https://api.openai.com/v1/embeddings';
 
 const DEFAULT_CONFIG = {
   root: process.cwd(),
-  include: ['**/*.tsx', '**/*.ts', '**/*.jsx', '**/*.js'],
+  include: ['**/*.tsx', '**/*.ts', '**/*.jsx', '**/*.js', '**/*.vue', '**/*.svelte'],
   exclude: ['**/node_modules/**', '**/dist/**', '**/coverage/**', '**/*.d.ts'],
   styleExtensions: ['.css', '.scss', '.sass', '.less'],
+  tailwindConfig: null,
   out: null,
+  format: null,
   similarityThreshold: 0.85,
   highSimilarityThreshold: 0.9,
   maxSimilarityThreshold: 1,
   limit: null,
   cachePath: null,
   analysisCachePath: null,
+  pairIndexPath: null,
+  incremental: true,
   /* v8 ignore next */
   showProgress: process.stdout.isTTY && process.env.PROGRESS !== 'false',
   cleanProbability: 0.01,
   model: process.env.MODEL || 'local',
-  modelPath: process.env.MODEL_PATH || 'models/all-MiniLM-L6-v2',
-  modelRepo:
-    process.env.MODEL_REPO || 'https://huggingface.co/Xenova/all-MiniLM-L6-v2/resolve/main',
+  modelPath: process.env.MODEL_PATH || DEFAULT_MODEL_PATH,
+  modelRepo: process.env.MODEL_REPO || DEFAULT_MODEL_REPO,
+  localModel: { preset: process.env.MODEL_PRESET },
   autoDownloadModel: process.env.AUTO_DOWNLOAD_MODEL !== 'false',
+  localWorkers: Number(process.env.LOCAL_WORKERS || 0),
   compareGlobs: [],
   remote: {
     url: process.env.API_URL || DEFAULT_REMOTE_URL,
     apiKey: process.env.API_KEY || '',
     model: process.env.API_MODEL || 'text-embedding-3-small',
     timeoutMs: Number(process.env.API_TIMEOUT || 15000),
+    batchSize: Number(process.env.API_BATCH_SIZE || 64),
+    concurrency: Number(process.env.API_CONCURRENCY || 4),
+    maxRetries: Number(process.env.API_MAX_RETRIES || 5),
+    requestsPerMinute: Number(process.env.API_RPM || 0),
+    tokensPerMinute: Number(process.env.API_TPM || 0),
+  },
+  chunking: {
+    size: Number(process.env.CHUNK_SIZE || 1500),
+    overlap: Number(process.env.CHUNK_OVERLAP || 200),
+    maxChunks: Number(process.env.MAX_CHUNKS || 16),
+    aggregation: process.env.CHUNK_AGGREGATION || 'mean',
   },
   weight: { code: 0.55, style: 0.2, structure: 0.15, holistic: 0.1 },
+  scoring: process.env.SCORING || 'embedding',
+  scoreWeights: { ...DEFAULT_SCORE_WEIGHTS },
+  explain: false,
+  ann: {
+    mode: process.env.ANN || 'off',
+    bits: Number(process.env.ANN_BITS || 12),
+    tables: Number(process.env.ANN_TABLES || 0),
+  },
   disableAnalyses: [],
   allowIgnores: true,
   ignoreComponentNamePatterns: [],
@@ -42,6 +69,12 @@ const DEFAULT_CONFIG = {
   relativePaths: false,
   minPathDistance: 0,
   language: 'en',
+  baselinePath: null,
+  since: null,
+  ci: false,
+  maxPairs: null,
+  failOnCategories: [],
+  failOnLabels: [],
 };
 
 export function resolveConfigPath(root, configOption) {
@@ -67,8 +100,27 @@ export function loadConfig(cliOptions = {}) {
   if (!merged.analysisCachePath) {
     merged.analysisCachePath = defaultAnalysisCachePath(merged.cachePath);
   }
+  if (!merged.pairIndexPath) {
+    merged.pairIndexPath = defaultPairIndexPath(merged.cachePath);
+  }
   merged.weight = mergeObjects(DEFAULT_CONFIG.weight, fileConfig?.weight, cleanedCli.weight);
+  merged.scoreWeights = mergeObjects(
+    DEFAULT_CONFIG.scoreWeights,
+    fileConfig?.scoreWeights,
+    cleanedCli.scoreWeights
+  );
+  merged.ann = mergeObjects(DEFAULT_CONFIG.ann, fileConfig?.ann, cleanedCli.ann);
   merged.remote = mergeObjects(DEFAULT_CONFIG.remote, fileConfig?.remote, cleanedCli.remote);
+  merged.chunking = mergeObjects(
+    DEFAULT_CONFIG.chunking,
+    fileConfig?.chunking,
+    cleanedCli.chunking
+  );
+  merged.localModel = mergeObjects(
+    DEFAULT_CONFIG.localModel,
+    fileConfig?.localModel,
+    cleanedCli.localModel
+  );
   merged.include = pick(cliOptions.include, fileConfig?.include, DEFAULT_CONFIG.include);
   merged.exclude = mergeArrays(DEFAULT_CONFIG.exclude, fileConfig?.exclude, cliOptions.exclude);
   merged.limit = pick(cliOptions.limit, fileConfig?.limit, DEFAULT_CONFIG.limit);
@@ -118,6 +170,18 @@ export function loadConfig(cliOptions = {}) {
     fileConfig?.compareGlobs,
     cliOptions.compareGlobs
   );
+  merged.maxPairs = pick(cliOptions.maxPairs, fileConfig?.maxPairs, DEFAULT_CONFIG.maxPairs);
+  merged.failOnCategories = mergeArrays(
+    DEFAULT_CONFIG.failOnCategories,
+    fileConfig?.failOnCategories,
+    cliOptions.failOnCategories
+  );
+  merged.failOnLabels = mergeArrays(
+    DEFAULT_CONFIG.failOnLabels,
+    fileConfig?.failOnLabels,
+    cliOptions.failOnLabels
+  );
+  checkReportFormat(merged.format, merged.language);
   merged.configPath = configPath;
   if (cliOptions.model) merged.model = cliOptions.model;
   delete merged.config;
@@ -135,6 +199,12 @@ function readConfigFile(configPath, language) {
   }
 }
 
+function checkReportFormat(format, language) {
+  if (!format || REPORT_FORMATS.includes(format)) return;
+  const i18n = getI18n(language);
+  throw new Error(`${i18n.errUnknownFormatPrefix} ${format} (${REPORT_FORMATS.join(', ')})`);
+}
+
 function mergeArrays(...arrays) {
   return Array.from(new Set(arrays.filter(Boolean).flat()));
 }
@@ -178,22 +248,34 @@ const SAVABLE_KEYS = [
   'include',
   'exclude',
   'styleExtensions',
+  'tailwindConfig',
   'out',
+  'format',
   'similarityThreshold',
   'highSimilarityThreshold',
   'maxSimilarityThreshold',
   'limit',
   'cachePath',
   'analysisCachePath',
+  'pairIndexPath',
+  'incremental',
   'showProgress',
   'cleanProbability',
   'model',
   'modelPath',
   'modelRepo',
   'autoDownloadModel',
+  'backendOptions',
+  'localWorkers',
+  'localModel',
   'compareGlobs',
   'remote',
+  'chunking',
   'weight',
+  'scoring',
+  'scoreWeights',
+  'explain',
+  'ann',
   'disableAnalyses',
   'allowIgnores',
   'ignoreComponentNamePatterns',
@@ -201,6 +283,10 @@ const SAVABLE_KEYS = [
   'relativePaths',
   'minPathDistance',
   'language',
+  'baselinePath',
+  'maxPairs',
+  'failOnCategories',
+  'failOnLabels',
 ];
 
 function pickSavable(config) {
@@ -216,6 +302,10 @@ function shouldSkipSavableKey(config, key) {
   if (key === 'analysisCachePath') {
     return config.analysisCachePath === defaultAnalysisCachePath(config.cachePath);
   }
+  if (key === 'pairIndexPath') {
+    return config.pairIndexPath === defaultPairIndexPath(config.cachePath);
+  }
+  if (key === 'localModel') return !Object.keys(config.localModel || {}).length;
   return false;
 }
 
@@ -229,3 +319,7 @@ function defaultAnalysisCachePath(cachePath) {
   const resolvedCachePath = cachePath ? path.resolve(cachePath) : defaultCachePath(process.cwd());
   return path.join(path.dirname(resolvedCachePath), 'analysis.msgpack');
 }
+
+function defaultPairIndexPath(cachePath) {
+  return path.join(path.dirname(path.resolve(cachePath)), 'pairs.msgpack');
+}
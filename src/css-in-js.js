@@ -0,0 +1,251 @@
+import { identifierValue } from './ast-utils.js';
+import { flattenStylesheet, formatRules, parseStylesheet } from './stylesheet.js';
+
+const STYLED = 'styled';
+const CSS_HELPERS = new Set(['css']);
+const FACTORY_WRAPPERS = new Set(['attrs', 'withConfig']);
+const STYLE_PROPS = new Set(['css', 'sx']);
+const REFERENCE_PROPS = new Set(['className', 'css', 'sx']);
+const LITERAL_KEYS = new Set(['StringLiteral', 'NumericLiteral']);
+const SKIPPED_KEYS = new Set(['variants', 'compoundVariants', 'defaultVariants']);
+const UNITLESS = new Set([
+  'opacity',
+  'z-index',
+  'font-weight',
+  'line-height',
+  'flex',
+  'flex-grow',
+  'flex-shrink',
+  'order',
+  'zoom',
+]);
+const SX_SPACING = {
+  m: ['margin'],
+  mt: ['margin-top'],
+  mr: ['margin-right'],
+  mb: ['margin-bottom'],
+  ml: ['margin-left'],
+  mx: ['margin-left', 'margin-right'],
+  my: ['margin-top', 'margin-bottom'],
+  p: ['padding'],
+  pt: ['padding-top'],
+  pr: ['padding-right'],
+  pb: ['padding-bottom'],
+  pl: ['padding-left'],
+  px: ['padding-left', 'padding-right'],
+  py: ['padding-top', 'padding-bottom'],
+  gap: ['gap'],
+};
+const SX_ALIASES = { bgcolor: ['background-color'] };
+
+const INTERPOLATIONS = {
+  StringLiteral: (node) => node.value,
+  NumericLiteral: (node) => String(node.value),
+  TemplateLiteral: templateCss,
+  ArrowFunctionExpression: (node, scope) => interpolation(node.body, scope),
+  ParenthesisExpression: (node, scope) => interpolation(node.expression, scope),
+  ConditionalExpression: (node, scope) => interpolation(node.consequent, scope),
+  BinaryExpression: (node, scope) =>
+    interpolation(node.operator === '&&' ? node.right : node.left, scope),
+  MemberExpression: themeReference,
+  Identifier: (node, scope) => fragmentCss(node.value, scope),
+  ObjectExpression: objectCss,
+  ArrayExpression: (node, scope) =>
+    node.elements.map((element) => interpolation(element?.expression, scope)).join(' '),
+  TaggedTemplateExpression: nestedStyle,
+  CallExpression: nestedStyle,
+};
+
+/**
+ * Module-level `const name = …` styles: styled components (`styled.div`, `styled(Base)`, with
+ * `.attrs()`/`.withConfig()`), Emotion and stitches `css`, written as template literals or style
+ * objects. `styled(Base)` starts from `Base`'s styles when `Base` is defined in the module.
+ */
+export function collectStyledDefinitions(ast) {
+  const scope = createStyleScope(new Map());
+  ast.body.forEach((item) => {
+    const declaration = item.type === 'ExportDeclaration' ? item.declaration : item;
+    if (declaration?.type !== 'VariableDeclaration') return;
+    declaration.declarations.forEach((declarator) => {
+      const name = identifierValue(declarator.id);
+      const css = name ? styleFromNode(declarator.init, scope) : null;
+      if (css === null) return;
+      scope.definitions.set(name, { css, component: isStyledComponent(declarator.init) });
+    });
+  });
+  return scope.definitions;
+}
+
+export function createStyleScope(definitions) {
+  return { definitions, consumed: new WeakSet(), used: new Set() };
+}
+
+/**
+ * CSS blocks a node inside a component contributes: styles declared in place, and for JSX
+ * elements the module-level styled component they render plus their `css`/`sx` props and
+ * `className`/`css` references to module-level `css` definitions. Theme interpolations such as
+ * `${({ theme }) => theme.colors.primary}` become `theme(colors.primary)`; other prop
+ * interpolations keep their first branch or are dropped.
+ */
+export function stylesFromNode(node, scope) {
+  if (node.type === 'JSXOpeningElement') return jsxStyles(node, scope);
+  if (scope.consumed.has(node)) return [];
+  const css = styleFromNode(node, scope);
+  return css ? [css] : [];
+}
+
+/**
+ * Compiles CSS-in-JS blocks as rules of the component root (`:scope`) and prints them as flat
+ * rules, like stylesheets are printed.
+ */
+export function formatCssInJs(blocks) {
+  if (!blocks.length) return '';
+  const text = blocks.map((block) => `:scope { ${block} }`).join('\n');
+  return formatRules(flattenStylesheet(parseStylesheet(text)));
+}
+
+function jsxStyles(node, scope) {
+  const blocks = [referencedCss(identifierValue(node.name), scope, true)];
+  node.attributes.forEach((attr) => {
+    const name = attr.type === 'JSXAttribute' ? identifierValue(attr.name) : null;
+    if (!REFERENCE_PROPS.has(name)) return;
+    const value = attr.value?.type === 'JSXExpressionContainer' ? attr.value.expression : null;
+    const reference = identifierValue(value) || identifierValue(value?.callee);
+    if (reference && scope.definitions.has(reference)) {
+      blocks.push(referencedCss(reference, scope, false));
+    } else if (STYLE_PROPS.has(name)) {
+      blocks.push(interpolation(value || attr.value, { ...scope, sx: name === 'sx' }));
+    }
+  });
+  return blocks.filter(Boolean);
+}
+
+function referencedCss(name, scope, component) {
+  const definition = scope.definitions.get(name);
+  if (!definition || definition.component !== component || scope.used.has(name)) return '';
+  scope.used.add(name);
+  return definition.css;
+}
+
+function styleFromNode(node, scope) {
+  if (node?.type === 'TaggedTemplateExpression') {
+    const base = styleBase(node.tag, scope);
+    return base === null ? null : base + templateCss(node.template, scope);
+  }
+  if (node?.type !== 'CallExpression') return null;
+  const args = node.arguments;
+  if (CSS_HELPERS.has(identifierValue(node.callee))) return argumentsCss(args, scope);
+  if (identifierValue(node.callee) === STYLED && args.length > 1) {
+    return baseCss(args[0].expression, scope) + argumentsCss(args.slice(1), scope);
+  }
+  const base = styleBase(node.callee, scope);
+  return base === null ? null : base + argumentsCss(args, scope);
+}
+
+function styleBase(node, scope) {
+  if (CSS_HELPERS.has(identifierValue(node))) return '';
+  if (node.type === 'MemberExpression') {
+    if (identifierValue(node.object) === STYLED) return '';
+    return null;
+  }
+  if (node.type !== 'CallExpression') return null;
+  if (identifierValue(node.callee) === STYLED) return baseCss(node.arguments[0]?.expression, scope);
+  const wrapper = node.callee.type === 'MemberExpression' && identifierValue(node.callee.property);
+  return FACTORY_WRAPPERS.has(wrapper) ? styleBase(node.callee.object, scope) : null;
+}
+
+function isStyledComponent(node) {
+  const factory = node.type === 'TaggedTemplateExpression' ? node.tag : node.callee;
+  return !CSS_HELPERS.has(identifierValue(factory));
+}
+
+function baseCss(node, scope) {
+  const definition = scope.definitions.get(identifierValue(node));
+  return definition?.component ? `${definition.css} ` : '';
+}
+
+function fragmentCss(name, scope) {
+  const definition = scope.definitions.get(name);
+  return definition && !definition.component ? definition.css : '';
+}
+
+function argumentsCss(args, scope) {
+  return args.map((arg) => interpolation(arg.expression, scope)).join(' ');
+}
+
+function nestedStyle(node, scope) {
+  const css = styleFromNode(node, scope);
+  if (css === null) return '';
+  scope.consumed.add(node);
+  return css;
+}
+
+function interpolation(node, scope) {
+  const handler = INTERPOLATIONS[node?.type];
+  return handler ? handler(node, scope) : '';
+}
+
+function templateCss(node, scope) {
+  return node.quasis
+    .map((quasi, index) => quasi.raw + interpolation(node.expressions[index], scope))
+    .join('');
+}
+
+function themeReference(node) {
+  const parts = memberPath(node);
+  const index = parts.indexOf('theme');
+  if (index < 0 || index === parts.length - 1) return '';
+  return `theme(${parts.slice(index + 1).join('.')})`;
+}
+
+function memberPath(node) {
+  if (node.type !== 'MemberExpression') return [identifierValue(node)];
+  return [...memberPath(node.object), propertyKey(node.property)];
+}
+
+function propertyKey(node) {
+  if (node.type === 'Computed') return propertyKey(node.expression);
+  if (node.type === 'StringLiteral' || node.type === 'NumericLiteral') return String(node.value);
+  return node.value;
+}
+
+function objectKey(node) {
+  const literal = node.type !== 'Computed' || LITERAL_KEYS.has(node.expression.type);
+  return literal ? propertyKey(node) : null;
+}
+
+function objectCss(node, scope) {
+  return node.properties.map((property) => propertyCss(property, scope)).join(' ');
+}
+
+function propertyCss(property, scope) {
+  if (property.type === 'SpreadElement') return interpolation(property.arguments, scope);
+  if (property.type !== 'KeyValueProperty') return '';
+  const key = objectKey(property.key);
+  if (key === null || SKIPPED_KEYS.has(key)) return '';
+  if (property.value.type === 'ObjectExpression') {
+    const selector = key.startsWith(':') ? `&${key}` : key;
+    return `${selector} { ${objectCss(property.value, scope)} }`;
+  }
+  const spacing = Boolean(scope.sx && SX_SPACING[key]);
+  const properties = cssProperties(key, scope);
+  const value = declarationValue(properties[0], property.value, scope, spacing);
+  if (!value) return '';
+  return properties.map((name) => `${name}: ${value};`).join(' ');
+}
+
+function cssProperties(key, scope) {
+  const alias = scope.sx && (SX_SPACING[key] || SX_ALIASES[key]);
+  return alias || [cssProperty(key)];
+}
+
+function declarationValue(property, node, scope, spacing) {
+  if (node.type !== 'NumericLiteral') return interpolation(node, scope).trim();
+  if (spacing) return `theme(spacing.${node.value})`;
+  return UNITLESS.has(property) || node.value === 0 ? String(node.value) : `${node.value}px`;
+}
+
+function cssProperty(key) {
+  if (key.startsWith('--')) return key;
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
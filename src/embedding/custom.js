@@ -0,0 +1,65 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { getI18n, resolveLanguage } from '../i18n.js';
+
+/**
+ * Loads a user-provided backend class from a module path (resolved from `root`) or a package name.
+ * The module exports the class as `default` or `EmbeddingBackend`; it is constructed with
+ * `{ ...backendOptions, root, language }`.
+ *
+ * @param {string} specifier - Module path or package name from `config.model`
+ * @param {Object} config - Run configuration
+ * @returns {Promise<Object>} Backend instance with `embed(text)` and optional `embedBatch(texts)`,
+ *   `dimensions`, and `cacheKey`
+ */
+export async function loadCustomBackend(specifier, config) {
+  const language = resolveLanguage(config.language);
+  const i18n = getI18n(language);
+  const root = config.root || process.cwd();
+  let mod;
+  try {
+    mod = await import(resolveBackendModule(specifier, root));
+  } catch (error) {
+    throw new Error(`${i18n.errCustomBackendLoadPrefix} ${specifier}: ${error.message}`);
+  }
+  const Backend = [mod.default, mod.EmbeddingBackend].find((value) => typeof value === 'function');
+  if (!Backend) {
+    throw new Error(`${i18n.errCustomBackendExport} ${specifier}`);
+  }
+  const backend = new Backend({ ...config.backendOptions, root, language });
+  const problem = findContractProblem(backend);
+  if (problem) {
+    throw new Error(`${i18n.errCustomBackendContractPrefix} ${specifier}: ${problem}`);
+  }
+  return backend;
+}
+
+function resolveBackendModule(specifier, root) {
+  if (path.isAbsolute(specifier) || specifier.startsWith('.')) {
+    return pathToFileURL(path.resolve(root, specifier)).href;
+  }
+  try {
+    return pathToFileURL(createRequire(path.join(root, 'package.json')).resolve(specifier)).href;
+  } catch {
+    return specifier;
+  }
+}
+
+function findContractProblem(backend) {
+  if (typeof backend.embed !== 'function') return 'embed(text)';
+  if (!isOptional(backend.embedBatch, (value) => typeof value === 'function')) {
+    return 'embedBatch(texts)';
+  }
+  if (!isOptional(backend.dimensions, (value) => Number.isInteger(value) && value > 0)) {
+    return 'dimensions';
+  }
+  if (!isOptional(backend.cacheKey, (value) => typeof value === 'string' && value !== '')) {
+    return 'cacheKey';
+  }
+  return null;
+}
+
+function isOptional(value, check) {
+  return value === undefined || check(value);
+}
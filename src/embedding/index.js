@@ -1,19 +1,51 @@
-export async function createEmbeddingBackend(config) {
+import { resolveLocalModelConfig } from '../model-presets.js';
+
+const BUILTIN_MODELS = new Set(['local', 'remote', 'mock', 'lexical']);
+
+/**
+ * Creates the embedding backend selected by `config.model`: `local`, `remote`, `lexical`, `mock`, or
+ * a module path / package name exporting a custom backend class. `onProgress` receives model
+ * download progress from the local backend, whose model and inference options come from
+ * `resolveLocalModelConfig`; `onWarning` receives capped `Retry-After` waits of the remote backend.
+ */
+export async function createEmbeddingBackend(config, { onProgress, onWarning } = {}) {
   const selected = config.model || 'local';
+  if (isCustomModel(selected)) {
+    const { loadCustomBackend } = await import('./custom.js');
+    return loadCustomBackend(selected, config);
+  }
   if (selected === 'remote') {
     const { RemoteEmbeddingBackend } = await import('./remote.js');
-    return new RemoteEmbeddingBackend({ ...config.remote, language: config.language });
+    return new RemoteEmbeddingBackend({ ...config.remote, language: config.language, onWarning });
+  }
+  if (selected === 'lexical') {
+    const { LexicalEmbeddingBackend } = await import('./lexical.js');
+    return new LexicalEmbeddingBackend();
   }
   if (selected === 'mock') {
     const { MockEmbeddingBackend } = await import('./mock.js');
     return new MockEmbeddingBackend();
   }
   const { LocalEmbeddingBackend } = await import('./local.js');
+  const { modelPath, modelRepo, ...inference } = resolveLocalModelConfig(config);
   return new LocalEmbeddingBackend({
-    modelPath: config.modelPath,
+    modelPath,
     autoDownloadModel: config.autoDownloadModel,
-    modelRepo: config.modelRepo,
-    showProgress: config.showProgress,
+    modelRepo,
+    onProgress,
     language: config.language,
+    workers: config.localWorkers,
+    ...inference,
   });
 }
+
+export function isCustomModel(model) {
+  return Boolean(model) && !BUILTIN_MODELS.has(model);
+}
+
+/**
+ * Releases resources held by a backend (for example local worker threads), when it has any.
+ */
+export async function closeEmbeddingBackend(backend) {
+  if (typeof backend.close === 'function') await backend.close();
+}
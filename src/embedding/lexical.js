@@ -0,0 +1,80 @@
+import { normalize } from '../math.js';
+
+const DEFAULT_DIMENSIONS = 1024;
+
+/**
+ * Deterministic TF-IDF vectors over identifier tokens and token bigrams, hashed into a fixed number
+ * of dimensions. Needs no model files or network access.
+ *
+ * Inverse document frequencies come from the texts of one `embedBatch` call, so the backend asks
+ * for the whole run as a single batch and opts out of the embedding cache: a cached vector would
+ * carry the weights of an older corpus. Input length is unlimited, so texts are never chunked.
+ */
+export class LexicalEmbeddingBackend {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.dimensions = dimensions;
+    this.batchSize = Infinity;
+    this.concurrency = 1;
+    this.maxInputChars = Infinity;
+    this.cacheable = false;
+  }
+
+  async embed(text) {
+    return (await this.embedBatch([text]))[0];
+  }
+
+  async embedBatch(texts) {
+    const documents = texts.map(countTerms);
+    const documentFrequency = new Map();
+    documents.forEach((terms) => {
+      terms.forEach((_, term) =>
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+      );
+    });
+    return documents.map((terms) => {
+      const vector = new Array(this.dimensions).fill(0);
+      terms.forEach((count, term) => {
+        const idf = Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + 1;
+        const hash = fnv1a(term);
+        const sign = hash & 1 ? -1 : 1;
+        vector[(hash >>> 1) % this.dimensions] += sign * (1 + Math.log(count)) * idf;
+      });
+      return normalize(vector);
+    });
+  }
+}
+
+/**
+ * Counts the lowercase identifiers of a representation, their camelCase and snake_case parts, and
+ * pairs of adjacent identifiers.
+ */
+export function countTerms(text) {
+  const counts = new Map();
+  const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+  let previous = null;
+  (text.match(/[A-Za-z0-9_$]+/g) || []).forEach((word) => {
+    const lower = word.toLowerCase();
+    add(lower);
+    splitIdentifier(word).forEach(add);
+    if (previous) add(`${previous} ${lower}`);
+    previous = lower;
+  });
+  return counts;
+}
+
+function splitIdentifier(word) {
+  const parts = word
+    .split(/(?<=[a-z0-9])(?=[A-Z])|_+/)
+    .map((part) => part.toLowerCase())
+    .filter(Boolean);
+  return parts.length > 1 ? parts : [];
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
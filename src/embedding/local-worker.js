@@ -0,0 +1,18 @@
+import { isMainThread, parentPort, workerData } from 'worker_threads';
+import { embedWithPipeline, loadLocalPipeline } from './local.js';
+
+if (!isMainThread && parentPort && workerData) {
+  const pipelinePromise = loadLocalPipeline(workerData.modelPath, workerData.inference);
+  pipelinePromise.catch(() => {});
+  parentPort.on('message', async (texts) => {
+    try {
+      const pipe = await pipelinePromise;
+      const result = [];
+      for (const text of texts)
+        result.push(await embedWithPipeline(pipe, text, workerData.inference));
+      parentPort.postMessage({ result });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+}
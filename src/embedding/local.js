@@ -1,8 +1,13 @@
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { env, pipeline } from '@xenova/transformers';
-import { ensureModel } from '../model-fetch.js';
+import { ensureModel, onnxWeightsFile } from '../model-fetch.js';
 import { getI18n, resolveLanguage } from '../i18n.js';
+import { WorkerPool, resolvePoolSize } from '../worker-pool.js';
+import { applyPrefix } from '../model-presets.js';
+
+const WORKER_BATCH_SIZE = 16;
 
 export class LocalEmbeddingBackend {
   constructor(options) {
@@ -10,8 +15,13 @@ export class LocalEmbeddingBackend {
       modelPath,
       autoDownloadModel = false,
       modelRepo,
-      showProgress = true,
+      onProgress,
       language,
+      workers,
+      pooling = 'mean',
+      prefix = '',
+      maxLength = null,
+      quantized = true,
     } = options;
     this.language = resolveLanguage(language);
     if (!modelPath) {
@@ -19,31 +29,51 @@ export class LocalEmbeddingBackend {
       throw new Error(i18n.errLocalRequiresPath);
     }
     this.modelPath = path.resolve(modelPath);
-    this.modelIdentifier = path.basename(this.modelPath);
     this.autoDownloadModel = autoDownloadModel;
     this.modelRepo = modelRepo;
-    this.showProgress = showProgress;
-    env.allowLocalModels = true;
-    env.localModelPath = path.dirname(this.modelPath);
-    env.cacheDir = env.localModelPath;
+    this.onProgress = onProgress;
+    this.inference = { pooling, prefix, maxLength, quantized };
+    this.workers = resolvePoolSize(workers);
+    this.pool = null;
+    if (this.workers > 1) {
+      this.batchSize = WORKER_BATCH_SIZE;
+      this.concurrency = this.workers;
+    }
     this.pipelinePromise = null;
     this.modelReadyPromise = null;
   }
 
   async embed(text) {
     await this.ensureModelReady();
-    const pipe = await this.loadPipeline();
-    const result = await pipe(text, { pooling: 'mean', normalize: true });
-    const data = Array.from(result.data);
-    return normalize(data);
+    return embedWithPipeline(await this.loadPipeline(), text, this.inference);
   }
 
-  async loadPipeline() {
-    if (this.pipelinePromise) return this.pipelinePromise;
-    this.pipelinePromise = pipeline('feature-extraction', this.modelIdentifier, {
-      quantized: true,
-      device: 'cpu',
+  /**
+   * Embeds a batch of texts: on the main thread when one worker is configured, otherwise in a pool
+   * of worker threads that each load the model once.
+   */
+  async embedBatch(texts) {
+    if (this.workers <= 1) {
+      const vectors = [];
+      for (const text of texts) vectors.push(await this.embed(text));
+      return vectors;
+    }
+    await this.ensureModelReady();
+    this.pool ??= new WorkerPool(fileURLToPath(new URL('./local-worker.js', import.meta.url)), {
+      size: this.workers,
+      workerData: { modelPath: this.modelPath, inference: this.inference },
+      name: 'Embedding worker',
     });
+    return this.pool.run(texts);
+  }
+
+  async close() {
+    await this.pool?.close();
+    this.pool = null;
+  }
+
+  async loadPipeline() {
+    this.pipelinePromise ??= loadLocalPipeline(this.modelPath, this.inference);
     return this.pipelinePromise;
   }
 
@@ -53,8 +83,9 @@ export class LocalEmbeddingBackend {
       this.modelReadyPromise = ensureModel(
         this.modelPath,
         this.modelRepo,
-        this.showProgress,
-        this.language
+        this.onProgress,
+        this.language,
+        { quantized: this.inference.quantized }
       );
       return this.modelReadyPromise;
     }
@@ -71,15 +102,42 @@ export class LocalEmbeddingBackend {
     if (!fs.existsSync(onnxDir)) {
       throw new Error(`${i18n.errLocalOnnxDirMissingPrefix} ${onnxDir}`);
     }
-    const hasOnnxFile = fs.readdirSync(onnxDir).some((file) => file.endsWith('.onnx'));
-    if (!hasOnnxFile) {
+    const weights = path.join(onnxDir, onnxWeightsFile(this.inference.quantized));
+    if (!fs.existsSync(weights)) {
       throw new Error(
-        `${i18n.errLocalOnnxFilesMissingPrefix} ${onnxDir}. ${i18n.errLocalOnnxFilesHint}`
+        `${i18n.errLocalOnnxFilesMissingPrefix} ${weights}. ${i18n.errLocalOnnxFilesHint}`
       );
     }
   }
 }
 
+/**
+ * Loads the feature-extraction pipeline for a local model directory. `maxLength` lowers the
+ * tokenizer's truncation length; `quantized: false` loads `onnx/model.onnx` instead of the
+ * quantized weights.
+ */
+export async function loadLocalPipeline(modelPath, { quantized = true, maxLength = null } = {}) {
+  env.allowLocalModels = true;
+  env.localModelPath = path.dirname(modelPath);
+  env.cacheDir = env.localModelPath;
+  const pipe = await pipeline('feature-extraction', path.basename(modelPath), {
+    quantized,
+    device: 'cpu',
+  });
+  if (maxLength && pipe.tokenizer) {
+    pipe.tokenizer.model_max_length = Math.min(
+      pipe.tokenizer.model_max_length ?? Infinity,
+      maxLength
+    );
+  }
+  return pipe;
+}
+
+export async function embedWithPipeline(pipe, text, { pooling = 'mean', prefix = '' } = {}) {
+  const result = await pipe(applyPrefix(prefix, text), { pooling, normalize: true });
+  return normalize(Array.from(result.data));
+}
+
 function normalize(vector) {
   const norm = Math.sqrt(vector.reduce((acc, val) => acc + val * val, 0)) || 1;
   return vector.map((v) => v / norm);
@@ -0,0 +1,83 @@
+const WINDOW_MS = 60_000;
+const BASE_BACKOFF_MS = 500;
+export const MAX_BACKOFF_MS = 30_000;
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sliding one-minute request and token budget. `acquire(tokens)` resolves once both budgets have
+ * room; calls are served in order. A single request larger than the token budget still goes out
+ * once the window is empty.
+ *
+ * @param {{ requestsPerMinute?: number, tokensPerMinute?: number }} [limits]
+ * @param {{ now: () => number, sleep: (ms: number) => Promise<void> }} [clock]
+ */
+export function createRateLimiter(limits = {}, clock = { now: Date.now, sleep }) {
+  const history = [];
+  let queue = Promise.resolve();
+
+  const waitForBudget = async (tokens) => {
+    for (;;) {
+      const now = clock.now();
+      while (history.length && history[0].time <= now - WINDOW_MS) history.shift();
+      const wait = budgetWait(history, tokens, limits, now);
+      if (wait <= 0) {
+        history.push({ time: now, tokens });
+        return;
+      }
+      await clock.sleep(wait);
+    }
+  };
+
+  return {
+    acquire(tokens = 0) {
+      const turn = queue.then(() => waitForBudget(tokens));
+      queue = turn;
+      return turn;
+    },
+  };
+}
+
+function budgetWait(history, tokens, { requestsPerMinute, tokensPerMinute }, now) {
+  const waits = [0];
+  if (requestsPerMinute > 0 && history.length >= requestsPerMinute) {
+    waits.push(history[history.length - requestsPerMinute].time + WINDOW_MS - now);
+  }
+  if (tokensPerMinute > 0) {
+    let used = history.reduce((sum, entry) => sum + entry.tokens, 0);
+    const release = history.find((entry) => {
+      if (used + tokens <= tokensPerMinute) return false;
+      used -= entry.tokens;
+      return true;
+    });
+    if (release) waits.push(release.time + WINDOW_MS - now);
+  }
+  return Math.max(...waits);
+}
+
+/**
+ * Exponential backoff with jitter: half of the capped delay is fixed, the other half random.
+ */
+export function backoffDelay(attempt, random = Math.random) {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+/**
+ * Reads a `Retry-After` header given in seconds or as an HTTP date; `null` when absent or invalid.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Rough token count for the token budget (about four characters per token).
+ */
+export function estimateTokens(input) {
+  const texts = Array.isArray(input) ? input : [input];
+  return texts.reduce((sum, text) => sum + Math.ceil(String(text).length / 4), 0);
+}
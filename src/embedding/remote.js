@@ -1,6 +1,19 @@
 import { getI18n, resolveLanguage } from '../i18n.js';
+import { chunk } from '../batching.js';
+import {
+  MAX_BACKOFF_MS,
+  backoffDelay,
+  createRateLimiter,
+  estimateTokens,
+  parseRetryAfter,
+  sleep,
+} from './rate-limit.js';
 
 const DEFAULT_REMOTE_URL = 'https://api.openai.com/v1/embeddings';
+const DEFAULT_BATCH_SIZE = 64;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 5;
+const TRANSIENT_ERROR_NAMES = new Set(['AbortError', 'TimeoutError']);
 
 export class RemoteEmbeddingBackend {
   constructor(config) {
@@ -9,49 +22,133 @@ export class RemoteEmbeddingBackend {
     this.apiKey = config.apiKey || '';
     this.model = config.model;
     this.timeoutMs = config.timeoutMs || 15000;
+    this.batchSize = this.endpoint.supportsBatch
+      ? positiveInteger(config.batchSize, DEFAULT_BATCH_SIZE)
+      : 1;
+    this.concurrency = positiveInteger(config.concurrency, DEFAULT_CONCURRENCY);
+    this.maxRetries =
+      Number.isInteger(config.maxRetries) && config.maxRetries >= 0
+        ? config.maxRetries
+        : DEFAULT_MAX_RETRIES;
+    this.limiter = createRateLimiter({
+      requestsPerMinute: config.requestsPerMinute,
+      tokensPerMinute: config.tokensPerMinute,
+    });
     this.language = resolveLanguage(config.language);
     this.i18n = getI18n(this.language);
+    this.onWarning = config.onWarning || console.warn;
     if (this.endpoint.requiresApiKey && !this.apiKey) {
       throw new Error(this.i18n.errRemoteRequires);
     }
   }
 
   async embed(text) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
-    try {
-      const response = await fetch(this.url, {
-        method: 'POST',
-        headers: buildHeaders(this.apiKey),
-        body: JSON.stringify(this.endpoint.buildPayload(this.model, text)),
-        signal: controller.signal,
-      });
-      if (!response.ok) {
-        const message = await response.text();
-        throw new Error(`${this.i18n.errRemoteFailedPrefix} ${response.status} ${message}`);
+    const data = await this.request(text);
+    const embedding = this.endpoint.extractEmbedding(data);
+    if (!embedding) throw new Error(this.i18n.errRemoteMissingEmbedding);
+    return normalize(embedding);
+  }
+
+  /**
+   * Embeds several texts, sending up to `batchSize` inputs per request. Endpoints without array
+   * input (legacy Ollama `/api/embeddings`) get one request per text.
+   */
+  async embedBatch(texts) {
+    const vectors = [];
+    for (const group of chunk(texts, this.batchSize)) {
+      if (!this.endpoint.supportsBatch) {
+        vectors.push(await this.embed(group[0]));
+        continue;
+      }
+      const embeddings = this.endpoint.extractEmbeddings(await this.request(group));
+      if (embeddings?.length !== group.length || !embeddings.every(Array.isArray)) {
+        throw new Error(this.i18n.errRemoteMissingEmbedding);
       }
-      const data = await response.json();
-      const embedding = this.endpoint.extractEmbedding(data);
-      if (!embedding) throw new Error(this.i18n.errRemoteMissingEmbedding);
-      return normalize(embedding);
-    } finally {
-      clearTimeout(timeout);
+      vectors.push(...embeddings.map(normalize));
     }
+    return vectors;
+  }
+
+  /**
+   * Posts one payload within the rate budget. 429, 5xx, network errors, and timeouts are retried up
+   * to `maxRetries` times, waiting for `Retry-After` (capped like the backoff) when the server
+   * sends it and for an exponential backoff with jitter otherwise.
+   */
+  async request(input) {
+    const tokens = estimateTokens(input);
+    let outcome = await this.attempt(input, tokens);
+    for (let attempt = 0; outcome.error && outcome.retryable && attempt < this.maxRetries; ) {
+      await sleep(outcome.retryAfterMs ?? backoffDelay(attempt));
+      attempt += 1;
+      outcome = await this.attempt(input, tokens);
+    }
+    if (outcome.error) throw outcome.error;
+    return outcome.data;
+  }
+
+  async attempt(input, tokens) {
+    await this.limiter.acquire(tokens);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+    const outcome = await this.send(input, controller.signal).catch((error) => ({
+      error,
+      retryable: isTransientError(error),
+    }));
+    clearTimeout(timeout);
+    return outcome;
+  }
+
+  async send(input, signal) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: buildHeaders(this.apiKey),
+      body: JSON.stringify(this.endpoint.buildPayload(this.model, input)),
+      signal,
+    });
+    if (response.ok) return { data: await response.json() };
+    const message = await response.text();
+    return {
+      error: new Error(`${this.i18n.errRemoteFailedPrefix} ${response.status} ${message}`),
+      retryable: response.status === 429 || response.status >= 500,
+      retryAfterMs: this.retryAfter(response.headers?.get('retry-after')),
+    };
+  }
+
+  retryAfter(header) {
+    const delay = parseRetryAfter(header);
+    if (delay === null || delay <= MAX_BACKOFF_MS) return delay;
+    this.onWarning(
+      `${this.i18n.errRemoteRetryAfterCappedPrefix} ${MAX_BACKOFF_MS / 1000}s (Retry-After: ${header})`
+    );
+    return MAX_BACKOFF_MS;
   }
 }
 
+// fetch rejects with `TypeError('fetch failed')` when the connection fails and with an
+// `AbortError` when the timeout aborts it; anything else (bad JSON, invalid headers) is permanent.
+function isTransientError(error) {
+  return TRANSIENT_ERROR_NAMES.has(error?.name) || error?.message === 'fetch failed';
+}
+
 function createEndpointProfile(input) {
   const url = normalizeRemoteUrl(input);
-  const pathname = new URL(url).pathname;
+  const legacyOllama = new URL(url).pathname === '/api/embeddings';
   return {
     url,
     requiresApiKey: isOpenAiHostedUrl(url),
-    buildPayload(model, text) {
-      return pathname === '/api/embeddings' ? { model, prompt: text } : { model, input: text };
+    supportsBatch: !legacyOllama,
+    buildPayload(model, input) {
+      return legacyOllama ? { model, prompt: input } : { model, input };
     },
     extractEmbedding(data) {
       return data?.data?.[0]?.embedding || data?.embedding || data?.embeddings?.[0];
     },
+    extractEmbeddings(data) {
+      if (Array.isArray(data?.data)) {
+        return [...data.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+      }
+      return data?.embeddings;
+    },
   };
 }
 
@@ -80,6 +177,11 @@ function buildHeaders(apiKey) {
   return headers;
 }
 
+function positiveInteger(value, fallback) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
 function normalize(vector) {
   const norm = Math.sqrt(vector.reduce((acc, val) => acc + val * val, 0)) || 1;
   return vector.map((v) => v / norm);
@@ -0,0 +1,102 @@
+export const GATE_FAILURE_EXIT_CODE = 2;
+
+export function isGateEnabled(config = {}) {
+  const rules = resolveGateRules(config);
+  return Boolean(config.ci) || rules.maxPairs != null || hasListRules(rules);
+}
+
+export function evaluateGate(pairs = [], config = {}) {
+  const rules = resolveGateRules(config);
+  const failOnAny = config.ci && rules.maxPairs == null && !hasListRules(rules);
+  const maxPairs = failOnAny ? 0 : rules.maxPairs;
+  const violations = [
+    checkPairCount(pairs, maxPairs),
+    ...rules.categories.map((category) =>
+      checkMatches('category', category, pairs, (pair) => pair.category === category)
+    ),
+    ...rules.labels.map((label) =>
+      checkMatches('label', label, pairs, (pair) => pair.labels.includes(label))
+    ),
+  ].filter(Boolean);
+  return {
+    passed: violations.length === 0,
+    violations,
+    rules: { maxPairs, categories: rules.categories, labels: rules.labels },
+  };
+}
+
+export function formatGateSummary(gate, pairs = [], options = {}) {
+  const { componentCount = 0, baseline = null, describe = (id) => id } = options;
+  const lines = [
+    formatFields({
+      status: gate.passed ? 'pass' : 'fail',
+      pairs: pairs.length,
+      components: componentCount,
+      ...countByCategory(pairs),
+      ...baselineFields(baseline),
+    }),
+  ];
+  gate.violations.forEach((violation) => {
+    lines.push(`violation ${formatFields(violation)}`);
+  });
+  pairs.forEach((pair) => {
+    const fields = {
+      similarity: pair.similarity,
+      category: pair.category,
+      labels: pair.labels.length ? pair.labels.join(',') : '-',
+      a: describe(pair.a),
+      b: describe(pair.b),
+      ...(pair.newSide ? { new: pair.newSide } : {}),
+    };
+    lines.push(`pair ${formatFields(fields)}`);
+  });
+  return lines;
+}
+
+function resolveGateRules(config) {
+  const maxPairs = Number.isFinite(config.maxPairs) ? config.maxPairs : null;
+  return {
+    maxPairs,
+    categories: config.failOnCategories || [],
+    labels: config.failOnLabels || [],
+  };
+}
+
+function hasListRules(rules) {
+  return rules.categories.length > 0 || rules.labels.length > 0;
+}
+
+function checkPairCount(pairs, maxPairs) {
+  if (maxPairs == null || pairs.length <= maxPairs) return null;
+  return { rule: 'max-pairs', limit: maxPairs, actual: pairs.length };
+}
+
+function checkMatches(rule, value, pairs, predicate) {
+  const count = pairs.filter(predicate).length;
+  return count > 0 ? { rule, value, count } : null;
+}
+
+function countByCategory(pairs) {
+  return pairs.reduce(
+    (acc, pair) => {
+      acc[pair.category] = (acc[pair.category] || 0) + 1;
+      return acc;
+    },
+    { 'almost-identical': 0, 'near-duplicate': 0 }
+  );
+}
+
+function baselineFields(baseline) {
+  if (!baseline) return {};
+  return {
+    'baseline-known': baseline.known,
+    'baseline-resolved': baseline.resolved.length,
+    'baseline-not-evaluated': baseline.notEvaluated,
+  };
+}
+
+function formatFields(fields) {
+  return Object.entries(fields)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ');
+}
@@ -0,0 +1,43 @@
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { getI18n } from './i18n.js';
+
+/**
+ * Lists files added or changed since `ref` under `root`: committed changes since the merge base of
+ * `ref` and HEAD, plus staged, unstaged, and untracked files. Only the local repository is read.
+ *
+ * @returns {Set<string>} Absolute file paths
+ */
+export function listChangedFiles(root, ref, language) {
+  const i18n = getI18n(language);
+  const base = runGit(root, ['merge-base', '--end-of-options', ref, 'HEAD'], ref, i18n).trim();
+  const changed = runGit(
+    root,
+    ['diff', '--name-only', '--relative', '--diff-filter=ACMR', '-z', base, '--'],
+    ref,
+    i18n
+  );
+  const untracked = runGit(root, ['ls-files', '--others', '--exclude-standard', '-z'], ref, i18n);
+  return new Set(
+    [...splitNul(changed), ...splitNul(untracked)].map((file) => path.resolve(root, file))
+  );
+}
+
+function runGit(root, args, ref, i18n) {
+  try {
+    return execFileSync('git', args, {
+      cwd: root,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch (error) {
+    /* v8 ignore next */
+    const detail = String(error.stderr || error.message).trim();
+    throw new Error(`${i18n.errGitSincePrefix} ${ref}: ${detail}`);
+  }
+}
+
+function splitNul(output) {
+  return output.split('\0').filter(Boolean);
+}
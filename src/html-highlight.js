@@ -0,0 +1,116 @@
+const JS_KEYWORDS = [
+  'as',
+  'async',
+  'await',
+  'break',
+  'case',
+  'catch',
+  'class',
+  'const',
+  'continue',
+  'default',
+  'do',
+  'else',
+  'export',
+  'extends',
+  'false',
+  'finally',
+  'for',
+  'from',
+  'function',
+  'if',
+  'import',
+  'in',
+  'instanceof',
+  'interface',
+  'let',
+  'new',
+  'null',
+  'of',
+  'return',
+  'switch',
+  'this',
+  'throw',
+  'true',
+  'try',
+  'type',
+  'typeof',
+  'undefined',
+  'var',
+  'while',
+  'yield',
+];
+
+const GRAMMARS = {
+  js: [
+    ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+    ['string', /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/],
+    ['tag', /<\/?[A-Za-z][\w.-]*/],
+    ['keyword', new RegExp(`\\b(?:${JS_KEYWORDS.join('|')})\\b`)],
+    ['number', /\b\d+(?:\.\d+)?\b/],
+  ],
+  css: [
+    ['comment', /\/\*[\s\S]*?\*\//],
+    ['string', /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"/],
+    ['keyword', /@[\w-]+/],
+    ['property', /[\w-]+(?=\s*:[^{};]*;)/],
+    ['selector', /[.#][A-Za-z_][\w-]*/],
+    ['number', /-?\b\d+(?:\.\d+)?(?:[a-z%]+)?/],
+  ],
+};
+
+const MATCHERS = Object.fromEntries(
+  Object.entries(GRAMMARS).map(([language, rules]) => [
+    language,
+    {
+      classes: rules.map(([className]) => className),
+      pattern: new RegExp(rules.map(([, regex]) => `(${regex.source})`).join('|'), 'g'),
+    },
+  ])
+);
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Highlights `code` (`js` or `css`) and returns one HTML string per source line, so tokens that
+ * span several lines (comments, template literals) stay highlighted in a line-based diff.
+ */
+export function highlightLines(code, language) {
+  const lines = [''];
+  tokenize(code || '', MATCHERS[language]).forEach(({ className, text }) => {
+    text.split(/\r?\n/).forEach((piece, index) => {
+      if (index > 0) lines.push('');
+      if (!piece) return;
+      const escaped = escapeHtml(piece);
+      lines[lines.length - 1] += className
+        ? `<span class="tok-${className}">${escaped}</span>`
+        : escaped;
+    });
+  });
+  return lines;
+}
+
+function tokenize(code, matcher) {
+  const tokens = [];
+  const pattern = new RegExp(matcher.pattern);
+  let cursor = 0;
+  let match = pattern.exec(code);
+  while (match) {
+    if (match.index > cursor) {
+      tokens.push({ className: null, text: code.slice(cursor, match.index) });
+    }
+    const group = match.slice(1).findIndex((value) => value !== undefined);
+    tokens.push({ className: matcher.classes[group], text: match[0] });
+    cursor = match.index + match[0].length;
+    match = pattern.exec(code);
+  }
+  if (cursor < code.length) tokens.push({ className: null, text: code.slice(cursor) });
+  return tokens;
+}
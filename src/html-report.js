@@ -0,0 +1,267 @@
+import path from 'path';
+import { diffLines } from './line-diff.js';
+import { escapeHtml, highlightLines } from './html-highlight.js';
+
+const CATEGORIES = ['almost-identical', 'near-duplicate'];
+
+const STYLES = `
+body { font: 14px/1.5 system-ui, sans-serif; margin: 24px; color: #1f2328; background: #fff; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+.summary { color: #59636e; margin: 0 0 16px; }
+.filters { display: flex; gap: 16px; flex-wrap: wrap; margin-bottom: 16px; }
+.filters label { display: flex; gap: 6px; align-items: center; }
+table.pairs { border-collapse: collapse; width: 100%; }
+table.pairs > thead th { text-align: left; border-bottom: 2px solid #d1d9e0; padding: 6px 8px; }
+th[data-sort] { cursor: pointer; user-select: none; }
+th[data-dir="asc"]::after { content: " \\25B2"; }
+th[data-dir="desc"]::after { content: " \\25BC"; }
+tr.pair-row > td { border-top: 1px solid #d1d9e0; padding: 6px 8px; vertical-align: top; }
+.tag { display: inline-block; background: #ddf4ff; border-radius: 10px; padding: 0 8px; margin: 0 4px 2px 0; }
+.tag.new { background: #dafbe1; }
+.tag.truncated { background: #fff8c5; }
+.category-almost-identical { color: #bc4c00; font-weight: 600; }
+.path { color: #59636e; font-size: 12px; }
+.detail > td { padding: 0 8px 12px; }
+.hints { margin: 4px 0 8px; color: #59636e; }
+h3 { font-size: 13px; margin: 12px 0 4px; }
+.empty { color: #59636e; font-style: italic; }
+table.diff { border-collapse: collapse; width: 100%; table-layout: fixed; font: 12px/1.45 ui-monospace, monospace; }
+table.diff td { padding: 0 6px; white-space: pre-wrap; word-break: break-all; vertical-align: top; }
+table.diff td.num { width: 40px; color: #8c959f; text-align: right; user-select: none; }
+tr.removed td.left, tr.changed td.left { background: #ffebe9; }
+tr.added td.right, tr.changed td.right { background: #dafbe1; }
+.tok-comment { color: #6e7781; font-style: italic; }
+.tok-string { color: #0a3069; }
+.tok-keyword { color: #cf222e; }
+.tok-tag, .tok-selector { color: #116329; }
+.tok-number { color: #0550ae; }
+.tok-property { color: #8250df; }
+`;
+
+const SCRIPT = `
+(() => {
+  const table = document.getElementById('pairs');
+  const groups = Array.from(table.querySelectorAll('tbody.pair'));
+  const filters = Array.from(document.querySelectorAll('select[data-filter]'));
+  const shown = document.getElementById('shown');
+  const within = (value, dir) => value === dir || value.startsWith(dir + '/');
+  const matches = (group) =>
+    filters.every((select) => {
+      if (!select.value) return true;
+      const values = group.dataset[select.dataset.filter].split('|');
+      return select.dataset.filter === 'dirs'
+        ? values.some((value) => within(value, select.value))
+        : values.includes(select.value);
+    });
+  const applyFilters = () => {
+    let count = 0;
+    groups.forEach((group) => {
+      group.hidden = !matches(group);
+      if (!group.hidden) count += 1;
+    });
+    shown.textContent = String(count);
+  };
+  filters.forEach((select) => select.addEventListener('change', applyFilters));
+  table.querySelectorAll('th[data-sort]').forEach((header) => {
+    header.addEventListener('click', () => {
+      const key = header.dataset.sort;
+      const dir = header.dataset.dir === 'asc' ? 'desc' : 'asc';
+      table.querySelectorAll('th[data-sort]').forEach((th) => th.removeAttribute('data-dir'));
+      header.dataset.dir = dir;
+      const numeric = key === 'index' || key === 'similarity';
+      groups.sort((a, b) => {
+        const x = a.dataset[key];
+        const y = b.dataset[key];
+        const order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+        return dir === 'asc' ? order : -order;
+      });
+      groups.forEach((group) => table.appendChild(group));
+    });
+  });
+})();
+`;
+
+/**
+ * Renders a single static HTML page: a sortable, filterable pair table where every pair expands
+ * into side-by-side diffs of the full component sources and their matched style blocks.
+ */
+export function toHtmlReport(report, entries, config, i18n) {
+  const root = path.resolve(config.root);
+  const byId = new Map(entries.map((entry) => [entry.component.id, entry]));
+  const pairs = report.pairs
+    .filter((pair) => byId.has(pair.a) && byId.has(pair.b))
+    .map((pair, index) => describePair(pair, index, byId, root));
+  const title = escapeHtml(i18n.reportTitle);
+  return `<!doctype html>
+<html lang="${escapeHtml(config.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="summary">${renderSummary(report, pairs, i18n)}</p>
+${renderFilters(pairs, i18n)}
+${renderTable(pairs, i18n)}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+function describePair(pair, index, byId, root) {
+  const left = byId.get(pair.a);
+  const right = byId.get(pair.b);
+  return {
+    pair,
+    index: index + 1,
+    left,
+    right,
+    leftPath: relativePath(left.component.filePath, root),
+    rightPath: relativePath(right.component.filePath, root),
+  };
+}
+
+function relativePath(filePath, root) {
+  const relative = path.relative(root, filePath);
+  const outside = !relative || relative.startsWith('..') || path.isAbsolute(relative);
+  return (outside ? filePath : relative).split(path.sep).join('/');
+}
+
+function renderSummary(report, pairs, i18n) {
+  const components = report.components?.length ?? 0;
+  return [
+    `${escapeHtml(i18n.statsPairsReported)}: ${pairs.length}`,
+    `${escapeHtml(i18n.htmlPairsShown)}: <span id="shown">${pairs.length}</span>`,
+    `${escapeHtml(i18n.statsComponentsScanned)}: ${components}`,
+  ].join(' · ');
+}
+
+function renderFilters(pairs, i18n) {
+  const labels = uniqueSorted(pairs.flatMap((item) => item.pair.labels));
+  const dirs = uniqueSorted(pairs.flatMap((item) => pairDirectories(item).flatMap(ancestors)));
+  return `<div class="filters">
+${renderSelect('labels', i18n.htmlFilterLabel, labels, i18n)}
+${renderSelect('category', i18n.htmlFilterCategory, CATEGORIES, i18n)}
+${renderSelect('dirs', i18n.htmlFilterDirectory, dirs, i18n)}
+</div>`;
+}
+
+function renderSelect(filter, label, values, i18n) {
+  const options = [`<option value="">${escapeHtml(i18n.htmlFilterAll)}</option>`]
+    .concat(values.map((value) => `<option>${escapeHtml(value)}</option>`))
+    .join('');
+  return `<label>${escapeHtml(label)} <select data-filter="${filter}">${options}</select></label>`;
+}
+
+function pairDirectories(item) {
+  return [item.leftPath, item.rightPath].map((filePath) => path.posix.dirname(filePath));
+}
+
+function ancestors(dir) {
+  const prefix = dir.startsWith('/') ? '/' : '';
+  const parts = dir.split('/').filter(Boolean);
+  return parts.map((_part, index) => prefix + parts.slice(0, index + 1).join('/'));
+}
+
+function uniqueSorted(values) {
+  return Array.from(new Set(values)).sort();
+}
+
+function renderTable(pairs, i18n) {
+  if (!pairs.length) return `<p class="empty">${escapeHtml(i18n.noneAboveThreshold)}</p>`;
+  const header = `<thead><tr>
+<th data-sort="index">#</th>
+<th data-sort="similarity">${escapeHtml(i18n.scoreLabel)}</th>
+<th data-sort="category">${escapeHtml(i18n.htmlFilterCategory)}</th>
+<th>${escapeHtml(i18n.htmlColumnLabels)}</th>
+<th data-sort="name">${escapeHtml(i18n.htmlColumnComponents)}</th>
+</tr></thead>`;
+  return `<table class="pairs" id="pairs">
+${header}
+${pairs.map((item) => renderPair(item, i18n)).join('\n')}
+</table>`;
+}
+
+function renderPair(item, i18n) {
+  const { pair, left, right } = item;
+  const data = {
+    index: item.index,
+    similarity: pair.similarity,
+    category: pair.category,
+    labels: pair.labels.join('|'),
+    dirs: uniqueSorted(pairDirectories(item)).join('|'),
+    name: `${left.component.name} ${right.component.name}`,
+  };
+  const attributes = Object.entries(data)
+    .map(([key, value]) => `data-${key}="${escapeHtml(value)}"`)
+    .join(' ');
+  return `<tbody class="pair" ${attributes}>
+<tr class="pair-row">
+<td>${item.index}</td>
+<td>${pair.similarity}</td>
+<td class="category-${escapeHtml(pair.category)}">${escapeHtml(pair.category)}</td>
+<td>${renderLabels(pair.labels, i18n)}</td>
+<td>${renderComponent(left, item.leftPath, isNewSide(pair, 'a'), i18n)} ↔ ${renderComponent(right, item.rightPath, isNewSide(pair, 'b'), i18n)}</td>
+</tr>
+<tr class="detail"><td colspan="5">${renderDetail(item, i18n)}</td></tr>
+</tbody>`;
+}
+
+function renderLabels(labels, i18n) {
+  if (!labels.length) return escapeHtml(i18n.noneSymbol);
+  return labels.map((label) => `<span class="tag">${escapeHtml(label)}</span>`).join('');
+}
+
+function renderComponent(entry, displayPath, isNew, i18n) {
+  const marker = isNew ? ` <span class="tag new">${escapeHtml(i18n.newSideMarker)}</span>` : '';
+  const truncated = entry.truncated?.length
+    ? ` <span class="tag truncated" title="${escapeHtml(entry.truncated.join(', '))}">${escapeHtml(i18n.truncatedMarker)}</span>`
+    : '';
+  return `<strong>${escapeHtml(entry.component.name)}</strong>${marker}${truncated} <span class="path">${escapeHtml(displayPath)}</span>`;
+}
+
+function renderDetail(item, i18n) {
+  const { pair, left, right } = item;
+  const hints = pair.hints?.length
+    ? `<ul class="hints">${pair.hints.map((hint) => `<li>${escapeHtml(hint)}</li>`).join('')}</ul>`
+    : '';
+  const styles =
+    left.styleText || right.styleText
+      ? renderDiff(left.styleText, right.styleText, 'css')
+      : `<p class="empty">${escapeHtml(i18n.htmlNoStyles)}</p>`;
+  return `<details>
+<summary>${escapeHtml(left.component.name)} ↔ ${escapeHtml(right.component.name)}</summary>
+${hints}
+${renderDiff(left.component.source, right.component.source, 'js')}
+<h3>${escapeHtml(i18n.htmlStylesTitle)}</h3>
+${styles}
+</details>`;
+}
+
+function renderDiff(leftText, rightText, language) {
+  const leftLines = highlightLines(leftText, language);
+  const rightLines = highlightLines(rightText, language);
+  const rows = diffLines(leftText, rightText).map((row) => {
+    const cells = [
+      renderSide(row.left, leftLines, 'left'),
+      renderSide(row.right, rightLines, 'right'),
+    ];
+    return `<tr class="${row.type}">${cells.join('')}</tr>`;
+  });
+  return `<table class="diff">
+<colgroup><col style="width:40px"><col><col style="width:40px"><col></colgroup>
+${rows.join('\n')}
+</table>`;
+}
+
+function renderSide(side, lines, className) {
+  if (!side) return `<td class="num"></td><td class="${className}"></td>`;
+  return `<td class="num">${side.number}</td><td class="${className}">${lines[side.index]}</td>`;
+}
+
+function isNewSide(pair, side) {
+  return pair.newSide === side || pair.newSide === 'both';
+}
@@ -4,13 +4,36 @@ export default {
   runStatsTitle: 'Statistiken',
   topMatchesTitle: 'Top-Treffer (mit Snippets):',
   noneAboveThreshold: 'keine Treffer über dem Schwellenwert',
+  clustersTitle: 'Duplikat-Cluster:',
+  clusterComponentsLabel: 'Komponenten',
+  clusterCohesionLabel: 'Kohäsion',
+  clusterMeanLabel: 'Mittel',
+  clusterMinLabel: 'min',
+  clusterCanonicalLabel: 'kanonisch',
   noSnippet: '[kein Snippet]',
   jsonWrittenPrefix: 'JSON gespeichert in',
   configUpdatedSuffix: ' (aktualisiert)',
+  baselineTitle: 'Baseline',
+  labelBaseline: 'Datei',
+  baselineKnownLabel: 'bekannte Paare ausgeblendet',
+  baselineResolvedLabel: 'seit Baseline behoben',
+  baselineNotEvaluatedLabel: 'in diesem Lauf nicht geprüft',
+  baselineWrittenPrefix: 'Baseline geschrieben nach',
+  baselinePairsLabel: 'Paare',
+  htmlPairsShown: 'angezeigte Paare',
+  htmlFilterLabel: 'Label',
+  htmlFilterCategory: 'Kategorie',
+  htmlFilterDirectory: 'Verzeichnis',
+  htmlFilterAll: 'alle',
+  htmlColumnLabels: 'Labels',
+  htmlColumnComponents: 'Komponenten',
+  htmlStylesTitle: 'Zugeordnete Style-Blöcke',
+  htmlNoStyles: 'Keine Style-Blöcke gefunden.',
   scoreLabel: 'Score',
   labelRoot: 'Root',
   labelConfig: 'Konfig',
   labelOutput: 'Output',
+  labelSince: 'seit',
   labelCache: 'Cache',
   labelThresholds: 'Schwellenwerte',
   labelLimit: 'Limit',
@@ -22,14 +45,22 @@ export default {
   thresholdsMaxLabel: 'Max',
   statsMatchCoverage: 'Abdeckung',
   statsPairsReported: 'Gemeldete Paare',
+  statsClusters: 'Duplikat-Cluster',
   statsPairsSuppressed: 'Unterdrückte Paare',
   statsComponentsScanned: 'Gescannte Komponenten',
+  statsTruncated: 'Gekürzte Komponenten',
+  statsAnnCandidates: 'ANN-Kandidatenpaare',
+  statsChangedFiles: 'geänderte Dateien',
   statsTimings: 'Zeiten (ms)',
   statsCache: 'Cache',
   cacheHits: 'Hits',
   cacheMisses: 'Misses',
   cacheCleaned: 'Bereinigt',
   cacheUncached: 'Nicht gecached',
+  statsPairIndex: 'Paarindex',
+  pairIndexReused: 'wiederverwendet',
+  pairIndexRescored: 'neu bewertet',
+  pairIndexRemoved: 'entfernt',
   timingScan: 'Scan',
   timingParse: 'Parse',
   timingEmbed: 'Embedding',
@@ -39,6 +70,8 @@ export default {
   modeLocalLabel: 'Lokal',
   modeMockLabel: 'Mock',
   modeMockDetail: 'deterministisches Hashing',
+  modeLexicalLabel: 'lexikalisch',
+  modeLexicalDetail: 'TF-IDF über Tokens, ohne Modell',
   modePathLabel: 'Pfad',
   modeAutoDownloadLabel: 'Auto-Download',
   on: 'an',
@@ -46,16 +79,46 @@ export default {
   allValue: 'alle',
   noneValue: 'keine',
   noneSymbol: '—',
+  newSideMarker: 'neu',
+  truncatedMarker: 'gekürzt',
+  signalsLabel: 'Signale',
+  explainChannelsLabel: 'Kanäle',
+  explainInputsLabel: 'Label-Eingaben',
   notAvailable: 'n.v.',
   errCacheReadPrefix: 'Fehler beim Lesen des Cache: ',
+  errPairIndexReadPrefix: 'Fehler beim Lesen des Paarindex: ',
   errConfigReadPrefix: 'Fehler beim Lesen der Konfiguration: ',
+  errBaselineMissingPrefix: 'Baseline-Datei nicht gefunden unter',
+  errBaselineReadPrefix: 'Baseline-Datei konnte nicht gelesen werden:',
+  errBaselineFormat: 'nicht unterstütztes Format; mit `duplicalis baseline` neu erzeugen',
+  errGitSincePrefix: 'Geänderte Dateien konnten nicht aus git gelesen werden seit',
+  errUnknownFormatPrefix: 'Unbekanntes Berichtsformat:',
   errModelPathRequired: 'Modellpfad für Download erforderlich.',
+  errModelPresetUnknownPrefix: 'Unbekanntes lokales Modell-Preset',
+  errLocalPoolingInvalidPrefix: 'Nicht unterstützte Pooling-Strategie',
+  errChunkAggregationInvalidPrefix: 'Nicht unterstützte Teil-Aggregation',
+  errScoringModeInvalidPrefix: 'Nicht unterstützter Bewertungsmodus',
+  errScoreSignalUnknownPrefix: 'Unbekanntes Bewertungssignal',
+  errScoreWeightInvalidPrefix: 'Ungültiges Bewertungsgewicht (nicht negative Zahl erwartet)',
+  errAnnModeInvalidPrefix: 'Nicht unterstützter ANN-Modus',
   errTooManyRedirectsPrefix: 'Zu viele Weiterleitungen beim Download',
   errDownloadFailedPrefix: 'Download fehlgeschlagen',
   errRemoteRequires:
     'Remote-Einbettungen benötigen einen API-Schlüssel für OpenAI oder eine explizite API_URL für einen kompatiblen lokalen Dienst.',
   errRemoteFailedPrefix: 'Remote-Embedding fehlgeschlagen:',
   errRemoteMissingEmbedding: 'Kein Embedding in der API-Antwort.',
+  errRemoteRetryAfterCappedPrefix:
+    'Der Remote-Embedding-Server verlangt eine zu lange Wartezeit vor dem erneuten Versuch; gewartet wird',
+  errCustomBackendLoadPrefix: 'Embedding-Backend konnte nicht geladen werden',
+  errTailwindConfigLoadPrefix: 'Tailwind-Konfiguration konnte nicht geladen werden',
+  errTailwindConfigTypeScriptPrefix:
+    'TypeScript-Tailwind-Konfiguration konnte nicht geladen werden, Standardthema wird verwendet:',
+  errStyleImportResolvePrefix: 'Stil-Import kann nicht aufgelöst werden in',
+  errCustomBackendExport:
+    'Das Embedding-Backend-Modul muss eine Klasse als default oder EmbeddingBackend exportieren:',
+  errCustomBackendContractPrefix: 'Ungültiges Mitglied im Embedding-Backend',
+  errCustomBackendBatchSize:
+    'embedBatch des Embedding-Backends lieferte eine andere Anzahl an Vektoren als Texte.',
   errLocalRequiresPath: 'Lokaler Modus benötigt modelPath.',
   errLocalModelMissingPrefix: 'Lokaler Modellpfad existiert nicht',
   errLocalOnnxDirMissingPrefix: 'ONNX-Ordner fehlt in',
@@ -67,38 +130,84 @@ export default {
   hintCopy: 'Starke strukturelle Ähnlichkeit; wahrscheinlich Copy-Paste.',
   hintProp: 'Unterschiede meist in Werten; konfigurierbare Props nutzen.',
   hintFork: 'Varianten haben sich auseinanderentwickelt; kanonische Version wählen.',
+  sarifRuleAlmostIdentical:
+    'Die Komponenten sind fast identisch; führen Sie sie zu einer zusammen.',
+  sarifRuleNearDuplicate: 'Die Komponenten sind beinahe Duplikate; gemeinsame Teile auslagern.',
   cliDescription: 'Erkennen von doppelten React-Komponenten (Code + Style)',
   cliHelpCommand: 'Hilfe anzeigen',
   cliScanDescription: 'Nach Duplikaten scannen',
+  cliBaselineDescription:
+    'Aktuelle Paare in einer Baseline speichern, damit spätere Scans nur neue melden',
   cliArgTarget: 'Pfad zum Scannen (Standard: cwd)',
   cliOptCmd: 'Root-Verzeichnis',
   cliOptOut: 'Ausgabedatei (JSON)',
+  cliOptFormat:
+    'Format der Berichtsdatei: json, txt, sarif oder html (Standard: txt bei .txt in --out, sonst json)',
   cliOptInclude: 'Globs einschließen',
   cliOptExclude: 'Globs ausschließen',
   cliOptThreshold: 'Ähnlichkeitsschwelle',
   cliOptHighThreshold: 'Schwelle für hohe Ähnlichkeit',
   cliOptMaxThreshold: 'Max. Ähnlichkeit im Bericht',
   cliOptLimit: 'Max. Treffer pro Komponente',
-  cliOptModel: 'Modelltyp: local|remote|mock',
+  cliOptModel: 'Modelltyp: local|remote|lexical|mock|<module>',
   cliOptModelPath: 'Pfad zum lokalen Modell',
-  cliOptModelRepo: 'Repo-URL für Auto-Download',
+  cliOptModelRepo: 'Repo-URL oder Preset-Name für Auto-Download',
   cliOptAutoDownloadModel: 'Modell automatisch laden wenn fehlend',
+  cliOptLocalWorkers:
+    'Worker-Threads für lokale Embeddings (0 = automatisch, höchstens CPU-Anzahl)',
+  cliOptModelPreset: 'Lokales Modell-Preset (Download nach models/<name>)',
+  cliOptPooling: 'Pooling-Strategie für lokale Embeddings: mean|cls',
+  cliOptModelPrefix: 'Präfix-Vorlage für das lokale Modell ({text} markiert die Eingabe)',
+  cliOptMaxLength: 'Max. Tokens pro Text für das lokale Modell (Rest wird abgeschnitten)',
+  cliOptNoQuantized: 'Lokale Gewichte in voller Präzision verwenden (onnx/model.onnx)',
+  cliOptChunkSize:
+    'Zeichen pro Embedding-Aufruf; längere Repräsentationen werden geteilt (0 = aus)',
+  cliOptChunkOverlap: 'Zeichen, die sich benachbarte Teile teilen',
+  cliOptMaxChunks: 'Max. Teile pro Repräsentation; der Rest wird abgeschnitten (1 = keine Teilung)',
+  cliOptChunkAggregation: 'Wie Teilvektoren kombiniert werden: mean|max|weighted',
+  cliOptScoring:
+    'Paarbewertung: embedding (nur Kosinus) oder hybrid (Kosinus gemischt mit Struktursignalen)',
+  cliOptScoreWeight:
+    'Gewichte der Hybrid-Signale als signal=weight (embedding, jsx, props, hooks, style)',
+  cliOptAnn:
+    'Kandidatensuche vor der exakten Bewertung: off (alle Paare) oder lsh (LSH mit Zufallsprojektionen)',
+  cliOptAnnBits: 'Hyperebenen pro LSH-Tabelle; mehr Bits ergeben kleinere Buckets',
+  cliOptAnnTables: 'LSH-Tabellen; 0 wählt genug für etwa 95 % Recall am Schwellenwert',
   cliOptCachePath: 'Pfad zur Cache-Datei',
   cliOptNoProgress: 'Fortschrittsanzeige ausblenden',
   cliOptApiUrl: 'Remote API URL',
   cliOptApiKey: 'API Key',
   cliOptApiModel: 'Remote Modell-Name',
   cliOptApiTimeout: 'API Timeout',
+  cliOptApiBatchSize: 'Texte pro Remote-Embedding-Anfrage',
+  cliOptApiConcurrency: 'Maximale parallele Embedding-Anfragen',
+  cliOptApiMaxRetries: 'Wiederholungen für gedrosselte oder fehlgeschlagene Remote-Anfragen',
+  cliOptApiRpm: 'Remote-Anfragen pro Minute (0 = unbegrenzt)',
+  cliOptApiTpm: 'Remote-Token pro Minute (0 = unbegrenzt)',
   cliOptDisableAnalyses: 'Analysen deaktivieren (z.B. style-duplicate)',
   cliOptStyleExtensions: 'Style-Dateiendungen',
+  cliOptTailwindConfig:
+    'Tailwind-Konfiguration, deren Theme Utility-Klassen auflöst (Standard: mitgelieferte Tailwind-Werte)',
   cliOptIgnoreComponentName: 'Regex zum Ignorieren von Namen',
   cliOptIgnoreComponentUsage: 'Regex zum Ignorieren nach Verwendung',
   cliOptRelativePaths: 'Relative Pfade anzeigen',
+  cliOptExplain:
+    'Kosinus je Kanal und Eingaben der Label-Prüfungen für jedes gemeldete Paar festhalten',
+  cliOptNoIncremental:
+    'Alle Paare neu bewerten, statt den Paarindex des vorherigen Laufs wiederzuverwenden',
   cliOptMinPathDistance: 'Min. Verzeichnisabstand',
   cliOptCompare: 'Vergleichsmodus: Nur gegen diese Dateien prüfen',
+  cliOptSince:
+    'Nur Paare mit Dateien melden, die seit dieser Git-Referenz geändert oder hinzugefügt wurden',
+  cliOptBaseline: 'Paare ausblenden, die bereits in dieser Baseline stehen',
+  cliOptBaselineOut: 'Baseline in diesen Pfad schreiben (Standard: duplicalis.baseline.json)',
   cliOptConfig: 'Pfad zur Config-Datei',
   cliOptSaveConfig: 'Aktuelle Konfiguration speichern',
   cliOptNoIgnores: 'Ignore-Kommentare missachten',
+  cliOptCi: 'CI-Gate-Modus: maschinenlesbare Zusammenfassung, Exit-Code ungleich 0 bei Verstößen',
+  cliOptMaxPairs: 'Fehlschlagen, wenn mehr Paare gemeldet werden',
+  cliOptFailOnCategory: 'Fehlschlagen bei Paaren dieser Kategorien (z.B. almost-identical)',
+  cliOptFailOnLabel: 'Fehlschlagen bei Paaren mit diesen Labels (z.B. copy-paste-variant)',
   cliOptLang: 'Sprache (en, ru, es, fr, de, zh)',
   cliBenchmarkDescription:
     'Embedding-Modelle auf einer kuratierten Suite zur Duplikaterkennung benchmarken',
@@ -119,5 +228,10 @@ export default {
   benchmarkThresholdLabel: 'bestes τ',
   benchmarkGapLabel: 'Gap',
   benchmarkHardNegFpLabel: 'Hard-Neg FP',
+  benchmarkAnnTitle: 'ANN-Kandidatensuche am eingestellten Schwellenwert',
+  benchmarkAnnRecallLabel: 'Recall',
+  benchmarkAnnCandidatesLabel: 'Kandidaten',
+  benchmarkExhaustiveMsLabel: 'vollständig ms',
+  benchmarkAnnMsLabel: 'ANN ms',
   benchmarkOutputWrittenPrefix: 'Benchmark-JSON gespeichert in',
 };
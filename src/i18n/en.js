@@ -4,13 +4,36 @@ export default {
   runStatsTitle: 'Run stats',
   topMatchesTitle: 'Top matches (with snippets):',
   noneAboveThreshold: 'none above threshold',
+  clustersTitle: 'Duplicate clusters:',
+  clusterComponentsLabel: 'components',
+  clusterCohesionLabel: 'cohesion',
+  clusterMeanLabel: 'mean',
+  clusterMinLabel: 'min',
+  clusterCanonicalLabel: 'canonical',
   noSnippet: '[no snippet]',
   jsonWrittenPrefix: 'JSON written to',
   configUpdatedSuffix: ' (updated this run)',
+  baselineTitle: 'Baseline',
+  labelBaseline: 'file',
+  baselineKnownLabel: 'known pairs hidden',
+  baselineResolvedLabel: 'fixed since baseline',
+  baselineNotEvaluatedLabel: 'not evaluated in this run',
+  baselineWrittenPrefix: 'Baseline written to',
+  baselinePairsLabel: 'pairs',
+  htmlPairsShown: 'pairs shown',
+  htmlFilterLabel: 'Label',
+  htmlFilterCategory: 'Category',
+  htmlFilterDirectory: 'Directory',
+  htmlFilterAll: 'all',
+  htmlColumnLabels: 'Labels',
+  htmlColumnComponents: 'Components',
+  htmlStylesTitle: 'Matched style blocks',
+  htmlNoStyles: 'No style blocks matched.',
   scoreLabel: 'score',
   labelRoot: 'root',
   labelConfig: 'config',
   labelOutput: 'output',
+  labelSince: 'since',
   labelCache: 'cache',
   labelThresholds: 'thresholds',
   labelLimit: 'limit',
@@ -22,14 +45,22 @@ export default {
   thresholdsMaxLabel: 'max',
   statsMatchCoverage: 'match coverage',
   statsPairsReported: 'pairs reported',
+  statsClusters: 'duplicate clusters',
   statsPairsSuppressed: 'pairs suppressed',
   statsComponentsScanned: 'components scanned',
+  statsTruncated: 'components truncated',
+  statsAnnCandidates: 'ANN candidate pairs',
+  statsChangedFiles: 'changed files',
   statsTimings: 'timings (ms)',
   statsCache: 'cache',
   cacheHits: 'hits',
   cacheMisses: 'misses',
   cacheCleaned: 'cleaned',
   cacheUncached: 'uncached',
+  statsPairIndex: 'pair index',
+  pairIndexReused: 'reused',
+  pairIndexRescored: 'rescored',
+  pairIndexRemoved: 'removed',
   timingScan: 'scan',
   timingParse: 'parse',
   timingEmbed: 'embed',
@@ -39,6 +70,8 @@ export default {
   modeLocalLabel: 'local',
   modeMockLabel: 'mock',
   modeMockDetail: 'deterministic hashing',
+  modeLexicalLabel: 'lexical',
+  modeLexicalDetail: 'TF-IDF over tokens, no model',
   modePathLabel: 'path',
   modeAutoDownloadLabel: 'auto-download',
   on: 'on',
@@ -46,16 +79,46 @@ export default {
   allValue: 'all',
   noneValue: 'none',
   noneSymbol: '—',
+  newSideMarker: 'new',
+  truncatedMarker: 'truncated',
+  signalsLabel: 'signals',
+  explainChannelsLabel: 'channels',
+  explainInputsLabel: 'label inputs',
   notAvailable: 'n/a',
   errCacheReadPrefix: 'Failed to read cache at',
+  errPairIndexReadPrefix: 'Failed to read pair index at',
   errConfigReadPrefix: 'Failed to read config file at',
+  errBaselineMissingPrefix: 'Baseline file not found at',
+  errBaselineReadPrefix: 'Failed to read baseline file at',
+  errBaselineFormat: 'unsupported baseline format; regenerate it with `duplicalis baseline`',
+  errGitSincePrefix: 'Failed to list files changed in git since',
+  errUnknownFormatPrefix: 'Unknown report format:',
   errModelPathRequired: 'Model path is required for download.',
+  errModelPresetUnknownPrefix: 'Unknown local model preset',
+  errLocalPoolingInvalidPrefix: 'Unsupported pooling strategy',
+  errChunkAggregationInvalidPrefix: 'Unsupported chunk aggregation',
+  errScoringModeInvalidPrefix: 'Unsupported scoring mode',
+  errScoreSignalUnknownPrefix: 'Unknown scoring signal',
+  errScoreWeightInvalidPrefix: 'Invalid scoring weight (expected a non-negative number)',
+  errAnnModeInvalidPrefix: 'Unsupported ANN mode',
   errTooManyRedirectsPrefix: 'Too many redirects while downloading',
   errDownloadFailedPrefix: 'Failed to download',
   errRemoteRequires:
     'Remote embedding requires an API key for OpenAI or an explicit API_URL for a compatible local service.',
   errRemoteFailedPrefix: 'Remote embedding failed:',
   errRemoteMissingEmbedding: 'Remote embedding response missing embedding.',
+  errRemoteRetryAfterCappedPrefix:
+    'Remote embedding server asked to wait too long before retrying; waiting',
+  errCustomBackendLoadPrefix: 'Cannot load embedding backend',
+  errTailwindConfigLoadPrefix: 'Cannot load Tailwind config',
+  errTailwindConfigTypeScriptPrefix:
+    'Cannot load TypeScript Tailwind config, using the default theme:',
+  errStyleImportResolvePrefix: 'Cannot resolve style import in',
+  errCustomBackendExport:
+    'Embedding backend module must export a class as default or EmbeddingBackend:',
+  errCustomBackendContractPrefix: 'Embedding backend has an invalid member',
+  errCustomBackendBatchSize:
+    'Embedding backend embedBatch returned a different number of vectors than texts.',
   errLocalRequiresPath: 'Local embedding requires a modelPath.',
   errLocalModelMissingPrefix: 'Local embedding model path does not exist',
   errLocalOnnxDirMissingPrefix: 'Local embedding model missing ONNX directory at',
@@ -67,13 +130,19 @@ export default {
   hintCopy: 'Very high structural overlap; likely copy-paste with small edits.',
   hintProp: 'Differences are mostly literal values; consider converting to configurable props.',
   hintFork: 'Parallel variants diverged in size; pick a canonical version.',
+  sarifRuleAlmostIdentical: 'Components are almost identical; merge them into one.',
+  sarifRuleNearDuplicate: 'Components are near duplicates; consider extracting shared parts.',
   cliDescription: 'Detect duplicate or near-duplicate React components (code + styles)',
   cliHelpCommand: 'Show CLI help',
   cliScanDescription: 'Scan for duplicate or near-duplicate components',
+  cliBaselineDescription:
+    'Record current pairs in a baseline file so later scans report only new ones',
   cliBenchmarkDescription: 'Benchmark embedding models on a curated duplicate-detection suite',
   cliArgTarget: 'Path to scan (defaults to the current directory)',
   cliOptCmd: 'Scan this root path',
   cliOptOut: 'Write the JSON report to this path',
+  cliOptFormat:
+    'Report file format: json, txt, sarif, or html (default: txt for a .txt --out, otherwise json)',
   cliOptBenchmarkManifest: 'Path to a benchmark manifest JSON file',
   cliOptBenchmarkModels: 'Benchmark model ids or aliases (defaults to the curated shortlist)',
   cliOptInclude: 'Include globs',
@@ -82,26 +151,60 @@ export default {
   cliOptHighThreshold: 'High similarity threshold (labels almost-identical)',
   cliOptMaxThreshold: 'Maximum similarity to include in the report',
   cliOptLimit: 'Max matches per component',
-  cliOptModel: 'Embedding model adapter: local|remote|mock',
+  cliOptModel: 'Embedding model adapter: local|remote|lexical|mock|<module>',
   cliOptModelPath: 'Local model path',
-  cliOptModelRepo: 'Model repo base URL for auto-download',
+  cliOptModelRepo: 'Model repo base URL or preset name for auto-download',
   cliOptAutoDownloadModel: 'Download model files automatically if missing',
+  cliOptLocalWorkers: 'Worker threads for local embeddings (0 = auto, capped at CPU count)',
+  cliOptModelPreset: 'Local model preset (downloads into models/<name>)',
+  cliOptPooling: 'Pooling strategy for local embeddings: mean|cls',
+  cliOptModelPrefix: 'Text prefix template for the local model ({text} marks the input)',
+  cliOptMaxLength: 'Max tokens per text for the local model (longer input is truncated)',
+  cliOptNoQuantized: 'Use full-precision local weights (onnx/model.onnx)',
+  cliOptChunkSize: 'Characters per embedding call; longer representations are chunked (0 = off)',
+  cliOptChunkOverlap: 'Characters shared by neighbouring chunks',
+  cliOptMaxChunks: 'Max chunks per representation; the rest is truncated (1 = no chunking)',
+  cliOptChunkAggregation: 'How chunk vectors are combined: mean|max|weighted',
+  cliOptScoring:
+    'Pair scoring: embedding (cosine only) or hybrid (cosine blended with structural signals)',
+  cliOptScoreWeight: 'Hybrid signal weights as signal=weight (embedding, jsx, props, hooks, style)',
+  cliOptAnn:
+    'Candidate search before exact scoring: off (all pairs) or lsh (random-projection LSH)',
+  cliOptAnnBits: 'Hyperplanes per LSH table; more bits give smaller buckets',
+  cliOptAnnTables: 'LSH tables; 0 picks enough for about 95% recall at the threshold',
   cliOptCachePath: 'Use this cache file path',
   cliOptNoProgress: 'Disable console progress bars',
   cliOptApiUrl: 'Full remote embeddings endpoint URL',
   cliOptApiKey: 'API key for authenticated remote endpoints',
   cliOptApiModel: 'Remote API model name',
   cliOptApiTimeout: 'Remote API timeout',
+  cliOptApiBatchSize: 'Texts per remote embedding request',
+  cliOptApiConcurrency: 'Maximum parallel embedding requests',
+  cliOptApiMaxRetries: 'Retries for rate-limited or failed remote requests',
+  cliOptApiRpm: 'Remote request budget per minute (0 = unlimited)',
+  cliOptApiTpm: 'Remote token budget per minute (0 = unlimited)',
   cliOptDisableAnalyses: 'Disable analyses (e.g. style-duplicate)',
   cliOptStyleExtensions: 'Style extensions to include',
+  cliOptTailwindConfig:
+    'Tailwind config whose theme expands utility classes (default: bundled Tailwind defaults)',
   cliOptIgnoreComponentName: 'Regex patterns to drop components by name',
   cliOptIgnoreComponentUsage: 'Regex patterns; drop components that render matching components',
   cliOptRelativePaths: 'Show paths relative to root instead of absolute',
+  cliOptExplain: 'Record per-channel cosines and label-check inputs for every reported pair',
+  cliOptNoIncremental:
+    'Re-score every pair instead of reusing the pair index from the previous run',
   cliOptMinPathDistance: 'Minimum directory distance between reported pairs',
   cliOptCompare: 'Limit matches to comparisons involving these files/globs',
+  cliOptSince: 'Only report pairs involving files changed or added since this git ref',
+  cliOptBaseline: 'Hide pairs already recorded in this baseline file',
+  cliOptBaselineOut: 'Write the baseline to this path (defaults to duplicalis.baseline.json)',
   cliOptConfig: 'Read config from this path (relative to the scan root)',
   cliOptSaveConfig: 'Save current settings to duplicalis.config.json or the provided path',
   cliOptNoIgnores: 'Disable file/component ignore markers',
+  cliOptCi: 'CI gate mode: print a machine-friendly summary and exit non-zero on violations',
+  cliOptMaxPairs: 'Fail when more than this many pairs are reported',
+  cliOptFailOnCategory: 'Fail when any pair has one of these categories (e.g. almost-identical)',
+  cliOptFailOnLabel: 'Fail when any pair carries one of these labels (e.g. copy-paste-variant)',
   cliOptLang: 'Output language (en, ru, es, fr, de, zh)',
   benchmarkTitle: 'Embedding model benchmark',
   benchmarkSuiteLabel: 'suite',
@@ -118,5 +221,10 @@ export default {
   benchmarkThresholdLabel: 'best τ',
   benchmarkGapLabel: 'gap',
   benchmarkHardNegFpLabel: 'hard-neg FPs',
+  benchmarkAnnTitle: 'ANN candidate search at the configured threshold',
+  benchmarkAnnRecallLabel: 'recall',
+  benchmarkAnnCandidatesLabel: 'candidates',
+  benchmarkExhaustiveMsLabel: 'exhaustive ms',
+  benchmarkAnnMsLabel: 'ANN ms',
   benchmarkOutputWrittenPrefix: 'Benchmark JSON written to',
 };
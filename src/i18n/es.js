@@ -4,13 +4,36 @@ export default {
   runStatsTitle: 'Estadísticas',
   topMatchesTitle: 'Mejores coincidencias (con fragmentos):',
   noneAboveThreshold: 'ninguna coincidencia sobre el umbral',
+  clustersTitle: 'Grupos de duplicados:',
+  clusterComponentsLabel: 'componentes',
+  clusterCohesionLabel: 'cohesión',
+  clusterMeanLabel: 'media',
+  clusterMinLabel: 'mín',
+  clusterCanonicalLabel: 'canónico',
   noSnippet: '[sin fragmento]',
   jsonWrittenPrefix: 'JSON guardado en',
   configUpdatedSuffix: ' (actualizado en esta ejecución)',
+  baselineTitle: 'Línea base',
+  labelBaseline: 'archivo',
+  baselineKnownLabel: 'pares conocidos ocultos',
+  baselineResolvedLabel: 'corregidos desde la línea base',
+  baselineNotEvaluatedLabel: 'no evaluados en esta ejecución',
+  baselineWrittenPrefix: 'Línea base escrita en',
+  baselinePairsLabel: 'pares',
+  htmlPairsShown: 'pares mostrados',
+  htmlFilterLabel: 'Etiqueta',
+  htmlFilterCategory: 'Categoría',
+  htmlFilterDirectory: 'Directorio',
+  htmlFilterAll: 'todos',
+  htmlColumnLabels: 'Etiquetas',
+  htmlColumnComponents: 'Componentes',
+  htmlStylesTitle: 'Bloques de estilo coincidentes',
+  htmlNoStyles: 'No se encontraron bloques de estilo.',
   scoreLabel: 'puntuación',
   labelRoot: 'raíz',
   labelConfig: 'config',
   labelOutput: 'salida',
+  labelSince: 'desde',
   labelCache: 'caché',
   labelThresholds: 'umbrales',
   labelLimit: 'límite',
@@ -22,14 +45,22 @@ export default {
   thresholdsMaxLabel: 'máx',
   statsMatchCoverage: 'cobertura de coincidencias',
   statsPairsReported: 'pares reportados',
+  statsClusters: 'grupos de duplicados',
   statsPairsSuppressed: 'pares omitidos',
   statsComponentsScanned: 'componentes escaneados',
+  statsTruncated: 'componentes truncados',
+  statsAnnCandidates: 'Pares candidatos ANN',
+  statsChangedFiles: 'archivos modificados',
   statsTimings: 'tiempos (ms)',
   statsCache: 'caché',
   cacheHits: 'aciertos',
   cacheMisses: 'fallos',
   cacheCleaned: 'limpiados',
   cacheUncached: 'sin caché',
+  statsPairIndex: 'índice de pares',
+  pairIndexReused: 'reutilizados',
+  pairIndexRescored: 'recalculados',
+  pairIndexRemoved: 'eliminados',
   timingScan: 'escaneo',
   timingParse: 'análisis',
   timingEmbed: 'embedding',
@@ -39,6 +70,8 @@ export default {
   modeLocalLabel: 'local',
   modeMockLabel: 'mock',
   modeMockDetail: 'hashing determinista',
+  modeLexicalLabel: 'léxico',
+  modeLexicalDetail: 'TF-IDF sobre tokens, sin modelo',
   modePathLabel: 'ruta',
   modeAutoDownloadLabel: 'auto-descarga',
   on: 'activado',
@@ -46,16 +79,46 @@ export default {
   allValue: 'todos',
   noneValue: 'ninguno',
   noneSymbol: '—',
+  newSideMarker: 'nuevo',
+  truncatedMarker: 'truncado',
+  signalsLabel: 'señales',
+  explainChannelsLabel: 'canales',
+  explainInputsLabel: 'entradas de etiquetas',
   notAvailable: 'n/d',
   errCacheReadPrefix: 'Error al leer caché en',
+  errPairIndexReadPrefix: 'Error al leer el índice de pares en',
   errConfigReadPrefix: 'Error al leer configuración en',
+  errBaselineMissingPrefix: 'No se encontró el archivo de línea base en',
+  errBaselineReadPrefix: 'No se pudo leer el archivo de línea base en',
+  errBaselineFormat: 'formato no compatible; regenérelo con `duplicalis baseline`',
+  errGitSincePrefix: 'No se pudieron obtener de git los archivos modificados desde',
+  errUnknownFormatPrefix: 'Formato de informe desconocido:',
   errModelPathRequired: 'Se requiere la ruta del modelo para la descarga.',
+  errModelPresetUnknownPrefix: 'Preset de modelo local desconocido',
+  errLocalPoolingInvalidPrefix: 'Estrategia de pooling no soportada',
+  errChunkAggregationInvalidPrefix: 'Agregación de fragmentos no soportada',
+  errScoringModeInvalidPrefix: 'Modo de puntuación no compatible',
+  errScoreSignalUnknownPrefix: 'Señal de puntuación desconocida',
+  errScoreWeightInvalidPrefix: 'Peso de puntuación no válido (se esperaba un número no negativo)',
+  errAnnModeInvalidPrefix: 'Modo ANN no compatible',
   errTooManyRedirectsPrefix: 'Demasiadas redirecciones descargando',
   errDownloadFailedPrefix: 'Fallo en la descarga de',
   errRemoteRequires:
     'El modo remoto requiere una API key para OpenAI o una API_URL explícita para un servicio local compatible.',
   errRemoteFailedPrefix: 'Fallo en embedding remoto:',
   errRemoteMissingEmbedding: 'La respuesta remota no contiene el embedding.',
+  errRemoteRetryAfterCappedPrefix:
+    'El servidor de embeddings remoto pidió esperar demasiado antes de reintentar; se esperará',
+  errCustomBackendLoadPrefix: 'No se pudo cargar el backend de embeddings',
+  errTailwindConfigLoadPrefix: 'No se pudo cargar la configuración de Tailwind',
+  errTailwindConfigTypeScriptPrefix:
+    'No se pudo cargar la configuración de Tailwind en TypeScript, se usa el tema predeterminado:',
+  errStyleImportResolvePrefix: 'No se puede resolver la importación de estilos en',
+  errCustomBackendExport:
+    'El módulo del backend de embeddings debe exportar una clase como default o EmbeddingBackend:',
+  errCustomBackendContractPrefix: 'El backend de embeddings tiene un miembro no válido',
+  errCustomBackendBatchSize:
+    'embedBatch del backend de embeddings devolvió un número de vectores distinto al de textos.',
   errLocalRequiresPath: 'El modo local requiere modelPath.',
   errLocalModelMissingPrefix: 'La ruta del modelo local no existe',
   errLocalOnnxDirMissingPrefix: 'Falta directorio ONNX en',
@@ -67,38 +130,85 @@ export default {
   hintCopy: 'Alta coincidencia estructural; parece un copy-paste con ediciones menores.',
   hintProp: 'Diferencias mayormente en valores; considera usar props configurables.',
   hintFork: 'Las variantes han divergido en tamaño; elige una versión canónica.',
+  sarifRuleAlmostIdentical: 'Los componentes son casi idénticos; combínalos en uno.',
+  sarifRuleNearDuplicate:
+    'Los componentes son casi duplicados; considera extraer las partes comunes.',
   cliDescription: 'Detecta componentes React duplicados o similares (código + estilos)',
   cliHelpCommand: 'Mostrar ayuda',
   cliScanDescription: 'Escanear en busca de duplicados',
+  cliBaselineDescription:
+    'Guardar los pares actuales en una línea base para que los escaneos posteriores solo muestren los nuevos',
   cliArgTarget: 'Ruta a escanear (defecto: cwd)',
   cliOptCmd: 'Carpeta raíz de escaneo',
   cliOptOut: 'Ruta de salida JSON',
+  cliOptFormat:
+    'Formato del archivo de informe: json, txt, sarif o html (por defecto txt si --out termina en .txt, si no json)',
   cliOptInclude: 'Patrones glob a incluir',
   cliOptExclude: 'Patrones glob a excluir',
   cliOptThreshold: 'Umbral de similitud',
   cliOptHighThreshold: 'Umbral para etiqueta de alta similitud',
   cliOptMaxThreshold: 'Similitud máxima a reportar',
   cliOptLimit: 'Límite de coincidencias por componente',
-  cliOptModel: 'Tipo de modelo: local|remote|mock',
+  cliOptModel: 'Tipo de modelo: local|remote|lexical|mock|<module>',
   cliOptModelPath: 'Ruta del modelo local',
-  cliOptModelRepo: 'URL del repo para auto-descarga',
+  cliOptModelRepo: 'URL del repo o nombre de preset para auto-descarga',
   cliOptAutoDownloadModel: 'Descargar modelo automáticamente si falta',
+  cliOptLocalWorkers: 'Hilos de trabajo para embeddings locales (0 = auto, limitado a las CPU)',
+  cliOptModelPreset: 'Preset de modelo local (se descarga en models/<name>)',
+  cliOptPooling: 'Estrategia de pooling para embeddings locales: mean|cls',
+  cliOptModelPrefix: 'Plantilla de prefijo para el modelo local ({text} marca la entrada)',
+  cliOptMaxLength: 'Máx. de tokens por texto para el modelo local (se trunca el resto)',
+  cliOptNoQuantized: 'Usar pesos locales de precisión completa (onnx/model.onnx)',
+  cliOptChunkSize:
+    'Caracteres por llamada de embedding; las representaciones largas se dividen (0 = desactivado)',
+  cliOptChunkOverlap: 'Caracteres compartidos entre fragmentos vecinos',
+  cliOptMaxChunks: 'Máx. de fragmentos por representación; el resto se trunca (1 = sin dividir)',
+  cliOptChunkAggregation: 'Cómo se combinan los vectores de fragmentos: mean|max|weighted',
+  cliOptScoring:
+    'Puntuación de pares: embedding (solo coseno) o hybrid (coseno combinado con señales estructurales)',
+  cliOptScoreWeight:
+    'Pesos de las señales híbridas como signal=weight (embedding, jsx, props, hooks, style)',
+  cliOptAnn:
+    'Búsqueda de candidatos antes de la puntuación exacta: off (todos los pares) o lsh (LSH por proyecciones aleatorias)',
+  cliOptAnnBits: 'Hiperplanos por tabla LSH; más bits dan cubetas más pequeñas',
+  cliOptAnnTables: 'Tablas LSH; 0 elige las suficientes para un recall de ~95% en el umbral',
   cliOptCachePath: 'Ruta del archivo de caché',
   cliOptNoProgress: 'Ocultar barras de progreso',
   cliOptApiUrl: 'URL de API remota',
   cliOptApiKey: 'Clave de API',
   cliOptApiModel: 'Nombre del modelo remoto',
   cliOptApiTimeout: 'Tiempo de espera API',
+  cliOptApiBatchSize: 'Textos por solicitud de embedding remota',
+  cliOptApiConcurrency: 'Máximo de solicitudes de embedding en paralelo',
+  cliOptApiMaxRetries: 'Reintentos para solicitudes remotas limitadas o fallidas',
+  cliOptApiRpm: 'Límite de solicitudes remotas por minuto (0 = sin límite)',
+  cliOptApiTpm: 'Límite de tokens remotos por minuto (0 = sin límite)',
   cliOptDisableAnalyses: 'Desactivar análisis extra (ej. style-duplicate)',
   cliOptStyleExtensions: 'Extensiones de estilo a incluir',
+  cliOptTailwindConfig:
+    'Configuración de Tailwind cuyo tema expande las clases utilitarias (por defecto: valores de Tailwind incluidos)',
   cliOptIgnoreComponentName: 'Regex para ignorar componentes por nombre',
   cliOptIgnoreComponentUsage: 'Regex para ignorar componentes por uso',
   cliOptRelativePaths: 'Usar rutas relativas',
+  cliOptExplain:
+    'Registrar los cosenos por canal y las entradas de las comprobaciones de etiquetas de cada par',
+  cliOptNoIncremental:
+    'Recalcular todos los pares en lugar de reutilizar el índice de pares de la ejecución anterior',
   cliOptMinPathDistance: 'Distancia mínima entre directorios',
   cliOptCompare: 'Comparar solo contra estos archivos/globs',
+  cliOptSince:
+    'Mostrar solo pares con archivos modificados o añadidos desde esta referencia de git',
+  cliOptBaseline: 'Ocultar pares ya registrados en este archivo de línea base',
+  cliOptBaselineOut: 'Escribir la línea base en esta ruta (por defecto duplicalis.baseline.json)',
   cliOptConfig: 'Ruta de archivo de configuración',
   cliOptSaveConfig: 'Guardar configuración actual',
   cliOptNoIgnores: 'Ignorar comentarios de exclusión',
+  cliOptCi:
+    'Modo de control CI: resumen legible por máquina y código de salida distinto de cero ante infracciones',
+  cliOptMaxPairs: 'Fallar si se reportan más pares que este número',
+  cliOptFailOnCategory:
+    'Fallar si algún par tiene una de estas categorías (p. ej. almost-identical)',
+  cliOptFailOnLabel: 'Fallar si algún par tiene una de estas etiquetas (p. ej. copy-paste-variant)',
   cliOptLang: 'Idioma (en, ru, es, fr, de, zh)',
   cliBenchmarkDescription:
     'Evaluar modelos de embeddings en una suite curada de detección de duplicados',
@@ -119,5 +229,10 @@ export default {
   benchmarkThresholdLabel: 'mejor τ',
   benchmarkGapLabel: 'gap',
   benchmarkHardNegFpLabel: 'FP hard-neg',
+  benchmarkAnnTitle: 'Búsqueda de candidatos ANN en el umbral configurado',
+  benchmarkAnnRecallLabel: 'recall',
+  benchmarkAnnCandidatesLabel: 'candidatos',
+  benchmarkExhaustiveMsLabel: 'exhaustivo ms',
+  benchmarkAnnMsLabel: 'ANN ms',
   benchmarkOutputWrittenPrefix: 'Benchmark JSON guardado en',
 };
@@ -4,13 +4,36 @@ export default {
   runStatsTitle: 'Statistiques',
   topMatchesTitle: 'Meilleures correspondances (avec extraits) :',
   noneAboveThreshold: 'aucun résultat au-dessus du seuil',
+  clustersTitle: 'Groupes de doublons :',
+  clusterComponentsLabel: 'composants',
+  clusterCohesionLabel: 'cohésion',
+  clusterMeanLabel: 'moyenne',
+  clusterMinLabel: 'min',
+  clusterCanonicalLabel: 'canonique',
   noSnippet: '[pas d’extrait]',
   jsonWrittenPrefix: 'JSON enregistré sous',
   configUpdatedSuffix: ' (mis à jour)',
+  baselineTitle: 'Référence',
+  labelBaseline: 'fichier',
+  baselineKnownLabel: 'paires connues masquées',
+  baselineResolvedLabel: 'corrigées depuis la référence',
+  baselineNotEvaluatedLabel: 'non évaluées dans cette exécution',
+  baselineWrittenPrefix: 'Référence écrite dans',
+  baselinePairsLabel: 'paires',
+  htmlPairsShown: 'paires affichées',
+  htmlFilterLabel: 'Étiquette',
+  htmlFilterCategory: 'Catégorie',
+  htmlFilterDirectory: 'Répertoire',
+  htmlFilterAll: 'tous',
+  htmlColumnLabels: 'Étiquettes',
+  htmlColumnComponents: 'Composants',
+  htmlStylesTitle: 'Blocs de style correspondants',
+  htmlNoStyles: 'Aucun bloc de style trouvé.',
   scoreLabel: 'score',
   labelRoot: 'racine',
   labelConfig: 'config',
   labelOutput: 'sortie',
+  labelSince: 'depuis',
   labelCache: 'cache',
   labelThresholds: 'seuils',
   labelLimit: 'limite',
@@ -22,14 +45,22 @@ export default {
   thresholdsMaxLabel: 'max',
   statsMatchCoverage: 'couverture',
   statsPairsReported: 'paires signalées',
+  statsClusters: 'groupes de doublons',
   statsPairsSuppressed: 'paires ignorées',
   statsComponentsScanned: 'composants scannés',
+  statsTruncated: 'composants tronqués',
+  statsAnnCandidates: 'Paires candidates ANN',
+  statsChangedFiles: 'fichiers modifiés',
   statsTimings: 'temps (ms)',
   statsCache: 'cache',
   cacheHits: 'hits',
   cacheMisses: 'misses',
   cacheCleaned: 'nettoyés',
   cacheUncached: 'non cachés',
+  statsPairIndex: 'index des paires',
+  pairIndexReused: 'réutilisés',
+  pairIndexRescored: 'recalculés',
+  pairIndexRemoved: 'supprimés',
   timingScan: 'scan',
   timingParse: 'analyse', // parsing
   timingEmbed: 'embedding',
@@ -39,6 +70,8 @@ export default {
   modeLocalLabel: 'local',
   modeMockLabel: 'simulé',
   modeMockDetail: 'hachage déterministe',
+  modeLexicalLabel: 'lexical',
+  modeLexicalDetail: 'TF-IDF sur les jetons, sans modèle',
   modePathLabel: 'chemin',
   modeAutoDownloadLabel: 'téléchargement auto',
   on: 'activé',
@@ -46,16 +79,46 @@ export default {
   allValue: 'tous',
   noneValue: 'aucun',
   noneSymbol: '—',
+  newSideMarker: 'nouveau',
+  truncatedMarker: 'tronqué',
+  signalsLabel: 'signaux',
+  explainChannelsLabel: 'canaux',
+  explainInputsLabel: 'entrées des labels',
   notAvailable: 'n/d',
   errCacheReadPrefix: 'Erreur de lecture du cache : ',
+  errPairIndexReadPrefix: "Erreur de lecture de l'index des paires : ",
   errConfigReadPrefix: 'Erreur de lecture de la config : ',
+  errBaselineMissingPrefix: 'Fichier de référence introuvable à',
+  errBaselineReadPrefix: 'Impossible de lire le fichier de référence à',
+  errBaselineFormat: 'format non pris en charge ; régénérez-le avec `duplicalis baseline`',
+  errGitSincePrefix: 'Impossible de lister dans git les fichiers modifiés depuis',
+  errUnknownFormatPrefix: 'Format de rapport inconnu :',
   errModelPathRequired: 'Chemin du modèle requis pour le téléchargement.',
+  errModelPresetUnknownPrefix: 'Préréglage de modèle local inconnu',
+  errLocalPoolingInvalidPrefix: 'Stratégie de pooling non prise en charge',
+  errChunkAggregationInvalidPrefix: 'Agrégation de fragments non prise en charge',
+  errScoringModeInvalidPrefix: 'Mode de score non pris en charge',
+  errScoreSignalUnknownPrefix: 'Signal de score inconnu',
+  errScoreWeightInvalidPrefix: 'Poids de score invalide (nombre positif ou nul attendu)',
+  errAnnModeInvalidPrefix: 'Mode ANN non pris en charge',
   errTooManyRedirectsPrefix: 'Trop de redirections pendant le téléchargement',
   errDownloadFailedPrefix: 'Échec du téléchargement',
   errRemoteRequires:
     'Le mode distant nécessite une clé API pour OpenAI ou une API_URL explicite pour un service local compatible.',
   errRemoteFailedPrefix: 'Erreur embedding distant :',
   errRemoteMissingEmbedding: 'Réponse sans embedding.',
+  errRemoteRetryAfterCappedPrefix:
+    "Le serveur d'embeddings distant demande d'attendre trop longtemps avant de réessayer ; attente de",
+  errCustomBackendLoadPrefix: 'Impossible de charger le backend d’embeddings',
+  errTailwindConfigLoadPrefix: 'Impossible de charger la configuration Tailwind',
+  errTailwindConfigTypeScriptPrefix:
+    'Impossible de charger la configuration Tailwind TypeScript, thème par défaut utilisé :',
+  errStyleImportResolvePrefix: "Impossible de résoudre l'import de styles dans",
+  errCustomBackendExport:
+    'Le module du backend d’embeddings doit exporter une classe en default ou EmbeddingBackend :',
+  errCustomBackendContractPrefix: 'Le backend d’embeddings a un membre invalide',
+  errCustomBackendBatchSize:
+    'embedBatch du backend d’embeddings a renvoyé un nombre de vecteurs différent du nombre de textes.',
   errLocalRequiresPath: 'Le mode local nécessite modelPath.',
   errLocalModelMissingPrefix: 'Chemin de modèle local introuvable',
   errLocalOnnxDirMissingPrefix: 'Dossier ONNX manquant à',
@@ -67,38 +130,85 @@ export default {
   hintCopy: 'Forte ressemblance structurelle ; probablement un copier-coller.',
   hintProp: 'Différences mineures (valeurs) ; envisagez des props configurables.',
   hintFork: 'Les variantes ont divergé ; choisissez une version canonique.',
+  sarifRuleAlmostIdentical: 'Les composants sont presque identiques ; fusionnez-les en un seul.',
+  sarifRuleNearDuplicate:
+    "Les composants sont quasi dupliqués ; envisagez d'extraire les parties communes.",
   cliDescription: 'Détection de composants React dupliqués (code + styles)',
   cliHelpCommand: 'Afficher l’aide',
   cliScanDescription: 'Scanner les duplicatas',
+  cliBaselineDescription:
+    'Enregistrer les paires actuelles dans une référence pour que les analyses suivantes ne signalent que les nouvelles',
   cliArgTarget: 'Chemin à analyser (défaut: cwd)',
   cliOptCmd: 'Dossier racine',
   cliOptOut: 'Fichier de sortie JSON',
+  cliOptFormat:
+    'Format du fichier de rapport : json, txt, sarif ou html (par défaut txt si --out finit par .txt, sinon json)',
   cliOptInclude: 'Globs à inclure',
   cliOptExclude: 'Globs à exclure',
   cliOptThreshold: 'Seuil de similarité',
   cliOptHighThreshold: 'Seuil de "haute similarité"',
   cliOptMaxThreshold: 'Similarité maximale rapportée',
   cliOptLimit: 'Max correspondances par composant',
-  cliOptModel: 'Type de modèle : local|remote|mock',
+  cliOptModel: 'Type de modèle : local|remote|lexical|mock|<module>',
   cliOptModelPath: 'Chemin du modèle local',
-  cliOptModelRepo: 'URL du repo pour téléchargement auto',
+  cliOptModelRepo: 'URL du repo ou nom de préréglage pour téléchargement auto',
   cliOptAutoDownloadModel: 'Téléchargement auto du modèle',
+  cliOptLocalWorkers:
+    'Threads de travail pour les embeddings locaux (0 = auto, limité au nombre de CPU)',
+  cliOptModelPreset: 'Préréglage de modèle local (téléchargé dans models/<name>)',
+  cliOptPooling: 'Stratégie de pooling des embeddings locaux : mean|cls',
+  cliOptModelPrefix: 'Modèle de préfixe pour le modèle local ({text} marque l’entrée)',
+  cliOptMaxLength: 'Jetons max par texte pour le modèle local (le reste est tronqué)',
+  cliOptNoQuantized: 'Utiliser les poids locaux en pleine précision (onnx/model.onnx)',
+  cliOptChunkSize:
+    'Caractères par appel d’embedding ; les représentations longues sont découpées (0 = désactivé)',
+  cliOptChunkOverlap: 'Caractères partagés par les fragments voisins',
+  cliOptMaxChunks: 'Fragments max par représentation ; le reste est tronqué (1 = sans découpage)',
+  cliOptChunkAggregation: 'Combinaison des vecteurs de fragments : mean|max|weighted',
+  cliOptScoring:
+    'Score des paires : embedding (cosinus seul) ou hybrid (cosinus combiné aux signaux structurels)',
+  cliOptScoreWeight:
+    'Poids des signaux hybrides sous la forme signal=weight (embedding, jsx, props, hooks, style)',
+  cliOptAnn:
+    'Recherche de candidats avant le score exact : off (toutes les paires) ou lsh (LSH par projections aléatoires)',
+  cliOptAnnBits: 'Hyperplans par table LSH ; plus de bits donnent des seaux plus petits',
+  cliOptAnnTables: "Tables LSH ; 0 en choisit assez pour un rappel d'environ 95 % au seuil",
   cliOptCachePath: 'Chemin du fichier cache',
   cliOptNoProgress: 'Masquer la progression',
   cliOptApiUrl: 'URL API distante',
   cliOptApiKey: 'Clé API',
   cliOptApiModel: 'Nom du modèle distant',
   cliOptApiTimeout: 'Timeout API',
+  cliOptApiBatchSize: 'Textes par requête d’embedding distante',
+  cliOptApiConcurrency: 'Nombre maximal de requêtes d’embedding en parallèle',
+  cliOptApiMaxRetries: 'Nouvelles tentatives pour les requêtes distantes limitées ou en échec',
+  cliOptApiRpm: 'Budget de requêtes distantes par minute (0 = illimité)',
+  cliOptApiTpm: 'Budget de jetons distants par minute (0 = illimité)',
   cliOptDisableAnalyses: 'Désactiver les analyses (ex: style-duplicate)',
   cliOptStyleExtensions: 'Extensions de style',
+  cliOptTailwindConfig:
+    'Configuration Tailwind dont le thème développe les classes utilitaires (par défaut : valeurs Tailwind intégrées)',
   cliOptIgnoreComponentName: 'Regex pour ignorer des composants par nom',
   cliOptIgnoreComponentUsage: "Regex pour ignorer selon l'usage",
   cliOptRelativePaths: 'Chemins relatifs',
+  cliOptExplain:
+    'Enregistrer les cosinus par canal et les entrées des contrôles de labels pour chaque paire',
+  cliOptNoIncremental:
+    "Recalculer toutes les paires au lieu de réutiliser l'index des paires de l'exécution précédente",
   cliOptMinPathDistance: 'Distance minimale entre dossiers',
   cliOptCompare: 'Comparer uniquement vers ces fichiers/globs',
+  cliOptSince:
+    "N'afficher que les paires impliquant des fichiers modifiés ou ajoutés depuis cette référence git",
+  cliOptBaseline: 'Masquer les paires déjà enregistrées dans ce fichier de référence',
+  cliOptBaselineOut: 'Écrire la référence à ce chemin (par défaut duplicalis.baseline.json)',
   cliOptConfig: 'Chemin du fichier de config',
   cliOptSaveConfig: 'Sauvegarder la config actuelle',
   cliOptNoIgnores: 'Ignorer les commentaires d’exclusion',
+  cliOptCi:
+    'Mode contrôle CI : résumé lisible par machine et code de sortie non nul en cas de violation',
+  cliOptMaxPairs: 'Échouer si plus de paires que ce nombre sont signalées',
+  cliOptFailOnCategory: "Échouer si une paire a l'une de ces catégories (ex. almost-identical)",
+  cliOptFailOnLabel: "Échouer si une paire porte l'un de ces labels (ex. copy-paste-variant)",
   cliOptLang: 'Langue (en, ru, es, fr, de, zh)',
   cliBenchmarkDescription:
     'Benchmarker des modèles d’embedding sur une suite de détection de doublons sélectionnée',
@@ -120,5 +230,10 @@ export default {
   benchmarkThresholdLabel: 'meilleur τ',
   benchmarkGapLabel: 'gap',
   benchmarkHardNegFpLabel: 'FP hard-neg',
+  benchmarkAnnTitle: 'Recherche de candidats ANN au seuil configuré',
+  benchmarkAnnRecallLabel: 'rappel',
+  benchmarkAnnCandidatesLabel: 'candidats',
+  benchmarkExhaustiveMsLabel: 'exhaustif ms',
+  benchmarkAnnMsLabel: 'ANN ms',
   benchmarkOutputWrittenPrefix: 'JSON de benchmark enregistré sous',
 };
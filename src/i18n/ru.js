@@ -4,13 +4,36 @@ export default {
   runStatsTitle: 'Статистика выполнения',
   topMatchesTitle: 'Топ совпадений (с фрагментами):',
   noneAboveThreshold: 'нет совпадений выше порога',
+  clustersTitle: 'Кластеры дубликатов:',
+  clusterComponentsLabel: 'компонентов',
+  clusterCohesionLabel: 'связность',
+  clusterMeanLabel: 'среднее',
+  clusterMinLabel: 'мин',
+  clusterCanonicalLabel: 'эталон',
   noSnippet: '[нет фрагмента]',
   jsonWrittenPrefix: 'JSON записан в',
   configUpdatedSuffix: ' (обновлено в этом запуске)',
+  baselineTitle: 'Базовая линия',
+  labelBaseline: 'файл',
+  baselineKnownLabel: 'скрыто известных пар',
+  baselineResolvedLabel: 'исправлено с момента базовой линии',
+  baselineNotEvaluatedLabel: 'не проверено в этом запуске',
+  baselineWrittenPrefix: 'Базовая линия записана в',
+  baselinePairsLabel: 'пар',
+  htmlPairsShown: 'показано пар',
+  htmlFilterLabel: 'Метка',
+  htmlFilterCategory: 'Категория',
+  htmlFilterDirectory: 'Каталог',
+  htmlFilterAll: 'все',
+  htmlColumnLabels: 'Метки',
+  htmlColumnComponents: 'Компоненты',
+  htmlStylesTitle: 'Найденные блоки стилей',
+  htmlNoStyles: 'Блоки стилей не найдены.',
   scoreLabel: 'оценка',
   labelRoot: 'корень',
   labelConfig: 'конфиг',
   labelOutput: 'вывод',
+  labelSince: 'изменения с',
   labelCache: 'кеш',
   labelThresholds: 'пороги',
   labelLimit: 'лимит',
@@ -22,14 +45,22 @@ export default {
   thresholdsMaxLabel: 'макс',
   statsMatchCoverage: 'покрытие совпадений',
   statsPairsReported: 'пар найдено',
+  statsClusters: 'кластеров дубликатов',
   statsPairsSuppressed: 'пар скрыто',
   statsComponentsScanned: 'компонентов проверено',
+  statsTruncated: 'компонентов обрезано',
+  statsAnnCandidates: 'Пары-кандидаты ANN',
+  statsChangedFiles: 'изменённые файлы',
   statsTimings: 'тайминги (мс)',
   statsCache: 'кеш',
   cacheHits: 'попадания',
   cacheMisses: 'промахи',
   cacheCleaned: 'очищено',
   cacheUncached: 'без кеша',
+  statsPairIndex: 'индекс пар',
+  pairIndexReused: 'повторно',
+  pairIndexRescored: 'пересчитано',
+  pairIndexRemoved: 'удалено',
   timingScan: 'сканирование',
   timingParse: 'парсинг',
   timingEmbed: 'эмбеддинг',
@@ -39,6 +70,8 @@ export default {
   modeLocalLabel: 'локальная',
   modeMockLabel: 'мок',
   modeMockDetail: 'детерминированное хеширование',
+  modeLexicalLabel: 'лексический',
+  modeLexicalDetail: 'TF-IDF по токенам, без модели',
   modePathLabel: 'путь',
   modeAutoDownloadLabel: 'авто-загрузка',
   on: 'вкл',
@@ -46,16 +79,46 @@ export default {
   allValue: 'все',
   noneValue: 'нет',
   noneSymbol: '—',
+  newSideMarker: 'новый',
+  truncatedMarker: 'обрезано',
+  signalsLabel: 'сигналы',
+  explainChannelsLabel: 'каналы',
+  explainInputsLabel: 'входные данные меток',
   notAvailable: 'н/д',
   errCacheReadPrefix: 'Не удалось прочитать кеш: ',
+  errPairIndexReadPrefix: 'Не удалось прочитать индекс пар: ',
   errConfigReadPrefix: 'Не удалось прочитать конфиг: ',
+  errBaselineMissingPrefix: 'Файл базовой линии не найден:',
+  errBaselineReadPrefix: 'Не удалось прочитать файл базовой линии',
+  errBaselineFormat: 'неподдерживаемый формат; пересоздайте файл командой `duplicalis baseline`',
+  errGitSincePrefix: 'Не удалось получить из git файлы, изменённые с',
+  errUnknownFormatPrefix: 'Неизвестный формат отчёта:',
   errModelPathRequired: 'Для загрузки требуется указать путь к модели.',
+  errModelPresetUnknownPrefix: 'Неизвестный пресет локальной модели',
+  errLocalPoolingInvalidPrefix: 'Неподдерживаемая стратегия пулинга',
+  errChunkAggregationInvalidPrefix: 'Неподдерживаемый способ объединения частей',
+  errScoringModeInvalidPrefix: 'Неподдерживаемый режим оценки',
+  errScoreSignalUnknownPrefix: 'Неизвестный сигнал оценки',
+  errScoreWeightInvalidPrefix: 'Некорректный вес сигнала (ожидается неотрицательное число)',
+  errAnnModeInvalidPrefix: 'Неподдерживаемый режим ANN',
   errTooManyRedirectsPrefix: 'Слишком много перенаправлений при скачивании',
   errDownloadFailedPrefix: 'Ошибка скачивания',
   errRemoteRequires:
     'Удаленная модель требует API ключ для OpenAI или явный API_URL для совместимого локального сервиса.',
   errRemoteFailedPrefix: 'Ошибка удаленной модели:',
   errRemoteMissingEmbedding: 'Ответ удаленного API не содержит вектор (embedding).',
+  errRemoteRetryAfterCappedPrefix:
+    'Сервер удалённых эмбеддингов просит ждать слишком долго перед повтором; ожидание сокращено до',
+  errCustomBackendLoadPrefix: 'Не удалось загрузить бэкенд эмбеддингов',
+  errTailwindConfigLoadPrefix: 'Не удалось загрузить конфиг Tailwind',
+  errTailwindConfigTypeScriptPrefix:
+    'Не удалось загрузить конфиг Tailwind на TypeScript, используется тема по умолчанию:',
+  errStyleImportResolvePrefix: 'Не удалось разрешить импорт стилей в',
+  errCustomBackendExport:
+    'Модуль бэкенда эмбеддингов должен экспортировать класс как default или EmbeddingBackend:',
+  errCustomBackendContractPrefix: 'У бэкенда эмбеддингов некорректный член',
+  errCustomBackendBatchSize:
+    'embedBatch бэкенда эмбеддингов вернул число векторов, не совпадающее с числом текстов.',
   errLocalRequiresPath: 'Для локального режима требуется modelPath.',
   errLocalModelMissingPrefix: 'Путь к локальной модели не найден',
   errLocalOnnxDirMissingPrefix: 'В локальной модели отсутствует папка ONNX по пути',
@@ -67,38 +130,82 @@ export default {
   hintCopy: 'Очень сильное структурное сходство; вероятно, копипаст с минимальными правками.',
   hintProp: 'Различия в основном в значениях; можно сделать их пропсами.',
   hintFork: 'Параллельные варианты сильно разошлись; выберите один как основной.',
+  sarifRuleAlmostIdentical: 'Компоненты почти идентичны; объедините их в один.',
+  sarifRuleNearDuplicate: 'Компоненты почти дублируют друг друга; вынесите общие части.',
   cliDescription: 'Поиск дубликатов и похожих React-компонентов (код + стили)',
   cliHelpCommand: 'Показать справку CLI',
   cliScanDescription: 'Сканировать проект на наличие дубликатов',
+  cliBaselineDescription:
+    'Сохранить текущие пары в файл базовой линии, чтобы последующие сканы показывали только новые',
   cliArgTarget: 'Путь для сканирования (по умолчанию текущая папка)',
   cliOptCmd: 'Сканировать эту корневую папку',
   cliOptOut: 'Записать JSON-отчет по этому пути',
+  cliOptFormat:
+    'Формат файла отчёта: json, txt, sarif или html (по умолчанию txt для .txt в --out, иначе json)',
   cliOptInclude: 'Шаблоны включения (globs)',
   cliOptExclude: 'Шаблоны исключения (globs)',
   cliOptThreshold: 'Порог сходства (0.0-1.0)',
   cliOptHighThreshold: 'Порог для метки "почти идентично"',
   cliOptMaxThreshold: 'Максимальное сходство для отчета',
   cliOptLimit: 'Макс. совпадений на компонент',
-  cliOptModel: 'Тип модели: local|remote|mock',
+  cliOptModel: 'Тип модели: local|remote|lexical|mock|<module>',
   cliOptModelPath: 'Путь к локальной модели',
-  cliOptModelRepo: 'URL репозитория для авто-загрузки модели',
+  cliOptModelRepo: 'URL репозитория или имя пресета для авто-загрузки модели',
   cliOptAutoDownloadModel: 'Автоматически скачивать модель, если её нет',
+  cliOptLocalWorkers: 'Потоков для локальных эмбеддингов (0 = авто, не больше числа CPU)',
+  cliOptModelPreset: 'Пресет локальной модели (загружается в models/<name>)',
+  cliOptPooling: 'Стратегия пулинга для локальных эмбеддингов: mean|cls',
+  cliOptModelPrefix: 'Шаблон префикса для локальной модели ({text} — входной текст)',
+  cliOptMaxLength: 'Макс. токенов на текст для локальной модели (длиннее — обрезается)',
+  cliOptNoQuantized: 'Использовать неквантованные веса (onnx/model.onnx)',
+  cliOptChunkSize:
+    'Символов на один вызов эмбеддинга; длинные представления делятся на части (0 = выкл.)',
+  cliOptChunkOverlap: 'Символов перекрытия между соседними частями',
+  cliOptMaxChunks: 'Макс. частей на представление; остальное обрезается (1 = без деления)',
+  cliOptChunkAggregation: 'Как объединять векторы частей: mean|max|weighted',
+  cliOptScoring:
+    'Оценка пар: embedding (только косинус) или hybrid (косинус вместе со структурными сигналами)',
+  cliOptScoreWeight:
+    'Веса сигналов гибридной оценки в виде signal=weight (embedding, jsx, props, hooks, style)',
+  cliOptAnn:
+    'Поиск кандидатов перед точной оценкой: off (все пары) или lsh (LSH на случайных проекциях)',
+  cliOptAnnBits: 'Число гиперплоскостей в таблице LSH; больше бит — меньше корзины',
+  cliOptAnnTables: 'Число таблиц LSH; 0 — подобрать для полноты около 95% на пороге',
   cliOptCachePath: 'Использовать этот путь к файлу кеша',
   cliOptNoProgress: 'Скрыть прогресс-бары',
   cliOptApiUrl: 'Полный URL удаленного embeddings endpoint',
   cliOptApiKey: 'API ключ для защищенных удаленных endpoint',
   cliOptApiModel: 'Имя удаленной модели',
   cliOptApiTimeout: 'Таймаут запросов к API',
+  cliOptApiBatchSize: 'Текстов в одном запросе к удалённому API',
+  cliOptApiConcurrency: 'Максимум параллельных запросов эмбеддингов',
+  cliOptApiMaxRetries: 'Повторы для ограниченных или неудачных удалённых запросов',
+  cliOptApiRpm: 'Лимит удалённых запросов в минуту (0 = без ограничений)',
+  cliOptApiTpm: 'Лимит токенов удалённого API в минуту (0 = без ограничений)',
   cliOptDisableAnalyses: 'Отключить дополнительные анализы (напр. style-duplicate)',
   cliOptStyleExtensions: 'Расширения файлов стилей',
+  cliOptTailwindConfig:
+    'Конфиг Tailwind, тема которого раскрывает утилитарные классы (по умолчанию: встроенные значения Tailwind)',
   cliOptIgnoreComponentName: 'Regex для исключения компонентов по имени',
   cliOptIgnoreComponentUsage: 'Regex для исключения по использованию компонентов',
   cliOptRelativePaths: 'Использовать относительные пути в отчете',
+  cliOptExplain:
+    'Сохранять косинусы по каналам и входные данные проверок меток для каждой найденной пары',
+  cliOptNoIncremental:
+    'Пересчитать все пары вместо повторного использования индекса пар прошлого запуска',
   cliOptMinPathDistance: 'Мин. расстояние между папками для отчета',
   cliOptCompare: 'Режим сравнения: искать совпадения только с этими файлами',
+  cliOptSince: 'Показывать только пары с файлами, изменёнными или добавленными с этого git-ref',
+  cliOptBaseline: 'Скрыть пары, уже записанные в этот файл базовой линии',
+  cliOptBaselineOut: 'Записать базовую линию по этому пути (по умолчанию duplicalis.baseline.json)',
   cliOptConfig: 'Прочитать конфиг по этому пути (относительно корня сканирования)',
   cliOptSaveConfig: 'Сохранить текущие настройки в duplicalis.config.json или по указанному пути',
   cliOptNoIgnores: 'Игнорировать комментарии исключения в коде',
+  cliOptCi:
+    'Режим CI-проверки: краткая машиночитаемая сводка и ненулевой код выхода при нарушениях',
+  cliOptMaxPairs: 'Ошибка, если найдено больше указанного числа пар',
+  cliOptFailOnCategory: 'Ошибка при парах указанных категорий (например, almost-identical)',
+  cliOptFailOnLabel: 'Ошибка при парах с указанными метками (например, copy-paste-variant)',
   cliOptLang: 'Язык вывода (en, ru, es, fr, de, zh)',
   cliBenchmarkDescription:
     'Сравнить модели эмбеддингов на подготовленном наборе для поиска дубликатов',
@@ -120,5 +227,10 @@ export default {
   benchmarkThresholdLabel: 'лучший τ',
   benchmarkGapLabel: 'gap',
   benchmarkHardNegFpLabel: 'FP hard-neg',
+  benchmarkAnnTitle: 'Поиск кандидатов ANN на заданном пороге',
+  benchmarkAnnRecallLabel: 'полнота',
+  benchmarkAnnCandidatesLabel: 'кандидаты',
+  benchmarkExhaustiveMsLabel: 'полный перебор, мс',
+  benchmarkAnnMsLabel: 'ANN, мс',
   benchmarkOutputWrittenPrefix: 'Benchmark JSON записан в',
 };
@@ -4,13 +4,36 @@ export default {
   runStatsTitle: '运行统计',
   topMatchesTitle: '最佳匹配（含代码片段）：',
   noneAboveThreshold: '无超过阈值的结果',
+  clustersTitle: '重复组件簇：',
+  clusterComponentsLabel: '个组件',
+  clusterCohesionLabel: '内聚度',
+  clusterMeanLabel: '平均',
+  clusterMinLabel: '最低',
+  clusterCanonicalLabel: '代表',
   noSnippet: '[无片段]',
   jsonWrittenPrefix: 'JSON 已写入',
   configUpdatedSuffix: '（本次更新）',
+  baselineTitle: '基线',
+  labelBaseline: '文件',
+  baselineKnownLabel: '已隐藏的已知重复对',
+  baselineResolvedLabel: '基线之后已修复',
+  baselineNotEvaluatedLabel: '本次运行未评估',
+  baselineWrittenPrefix: '基线已写入',
+  baselinePairsLabel: '个重复对',
+  htmlPairsShown: '显示的组件对',
+  htmlFilterLabel: '标签',
+  htmlFilterCategory: '类别',
+  htmlFilterDirectory: '目录',
+  htmlFilterAll: '全部',
+  htmlColumnLabels: '标签',
+  htmlColumnComponents: '组件',
+  htmlStylesTitle: '匹配的样式块',
+  htmlNoStyles: '没有匹配的样式块。',
   scoreLabel: '得分',
   labelRoot: '根目录',
   labelConfig: '配置',
   labelOutput: '输出',
+  labelSince: '变更基准',
   labelCache: '缓存',
   labelThresholds: '阈值',
   labelLimit: '限制',
@@ -22,14 +45,22 @@ export default {
   thresholdsMaxLabel: '最大',
   statsMatchCoverage: '匹配覆盖率',
   statsPairsReported: '报告对数',
+  statsClusters: '重复簇',
   statsPairsSuppressed: '忽略对数',
   statsComponentsScanned: '扫描组件数',
+  statsTruncated: '截断组件数',
+  statsAnnCandidates: 'ANN 候选配对',
+  statsChangedFiles: '变更的文件',
   statsTimings: '耗时 (ms)',
   statsCache: '缓存',
   cacheHits: '命中',
   cacheMisses: '未命中',
   cacheCleaned: '清理',
   cacheUncached: '未缓存',
+  statsPairIndex: '配对索引',
+  pairIndexReused: '复用',
+  pairIndexRescored: '重新评分',
+  pairIndexRemoved: '已移除',
   timingScan: '扫描',
   timingParse: '解析',
   timingEmbed: '向量化',
@@ -39,6 +70,8 @@ export default {
   modeLocalLabel: '本地',
   modeMockLabel: '模拟',
   modeMockDetail: '确定性哈希',
+  modeLexicalLabel: '词法',
+  modeLexicalDetail: '基于 token 的 TF-IDF，无需模型',
   modePathLabel: '路径',
   modeAutoDownloadLabel: '自动下载',
   on: '开启',
@@ -46,15 +79,41 @@ export default {
   allValue: '全部',
   noneValue: '无',
   noneSymbol: '—',
+  newSideMarker: '新',
+  truncatedMarker: '已截断',
+  signalsLabel: '信号',
+  explainChannelsLabel: '通道',
+  explainInputsLabel: '标签输入',
   notAvailable: '不可用',
   errCacheReadPrefix: '读取缓存失败：',
+  errPairIndexReadPrefix: '读取配对索引失败：',
   errConfigReadPrefix: '读取配置失败：',
+  errBaselineMissingPrefix: '未找到基线文件：',
+  errBaselineReadPrefix: '读取基线文件失败：',
+  errBaselineFormat: '不支持的基线格式；请使用 `duplicalis baseline` 重新生成',
+  errGitSincePrefix: '无法从 git 获取自以下引用以来变更的文件：',
+  errUnknownFormatPrefix: '未知的报告格式：',
   errModelPathRequired: '下载需要指定模型路径。',
+  errModelPresetUnknownPrefix: '未知的本地模型预设',
+  errLocalPoolingInvalidPrefix: '不支持的池化策略',
+  errChunkAggregationInvalidPrefix: '不支持的分块合并方式',
+  errScoringModeInvalidPrefix: '不支持的评分模式',
+  errScoreSignalUnknownPrefix: '未知的评分信号',
+  errScoreWeightInvalidPrefix: '评分权重无效（应为非负数）',
+  errAnnModeInvalidPrefix: '不支持的 ANN 模式',
   errTooManyRedirectsPrefix: '下载重定向过多',
   errDownloadFailedPrefix: '下载失败',
   errRemoteRequires: '远程嵌入对 OpenAI 需要 API key，或为兼容的本地服务提供明确的 API_URL。',
   errRemoteFailedPrefix: '远程向量化失败：',
   errRemoteMissingEmbedding: '远程响应缺少 embedding 字段。',
+  errRemoteRetryAfterCappedPrefix: '远程嵌入服务器要求的重试等待时间过长；改为等待',
+  errCustomBackendLoadPrefix: '无法加载嵌入后端',
+  errTailwindConfigLoadPrefix: '无法加载 Tailwind 配置',
+  errTailwindConfigTypeScriptPrefix: '无法加载 TypeScript 格式的 Tailwind 配置，改用默认主题：',
+  errStyleImportResolvePrefix: '无法解析样式导入，位于',
+  errCustomBackendExport: '嵌入后端模块必须以 default 或 EmbeddingBackend 导出一个类：',
+  errCustomBackendContractPrefix: '嵌入后端包含无效成员',
+  errCustomBackendBatchSize: '嵌入后端的 embedBatch 返回的向量数量与文本数量不一致。',
   errLocalRequiresPath: '本地模式需要 modelPath。',
   errLocalModelMissingPrefix: '本地模型路径不存在',
   errLocalOnnxDirMissingPrefix: '找不到 ONNX 目录于',
@@ -66,38 +125,74 @@ export default {
   hintCopy: '结构高度重合；可能是复制粘贴后微调。',
   hintProp: '差异主要在字面值；建议改为可配置 props。',
   hintFork: '并行变体差异较大；建议选定一个标准版本。',
+  sarifRuleAlmostIdentical: '组件几乎完全相同；请将它们合并为一个。',
+  sarifRuleNearDuplicate: '组件近似重复；请考虑提取公共部分。',
   cliDescription: '检测重复或近似的 React 组件（代码 + 样式）',
   cliHelpCommand: '显示帮助',
   cliScanDescription: '扫描重复组件',
+  cliBaselineDescription: '将当前重复对记录到基线文件，后续扫描只报告新增项',
   cliArgTarget: '扫描路径（默认 cwd）',
   cliOptCmd: '根目录',
   cliOptOut: 'JSON 输出路径',
+  cliOptFormat:
+    '报告文件格式：json、txt、sarif 或 html（默认：--out 为 .txt 时用 txt，否则用 json）',
   cliOptInclude: '包含模式 (globs)',
   cliOptExclude: '排除模式 (globs)',
   cliOptThreshold: '相似度阈值',
   cliOptHighThreshold: '高相似度阈值',
   cliOptMaxThreshold: '报告最大相似度',
   cliOptLimit: '单组件最大匹配数',
-  cliOptModel: '模型类型：local|remote|mock',
+  cliOptModel: '模型类型：local|remote|lexical|mock|<module>',
   cliOptModelPath: '本地模型路径',
-  cliOptModelRepo: '自动下载模型仓库 URL',
+  cliOptModelRepo: '自动下载模型仓库 URL 或预设名称',
   cliOptAutoDownloadModel: '缺失时自动下载模型',
+  cliOptLocalWorkers: '本地嵌入的工作线程数（0 = 自动，不超过 CPU 数）',
+  cliOptModelPreset: '本地模型预设（下载到 models/<name>）',
+  cliOptPooling: '本地嵌入的池化策略：mean|cls',
+  cliOptModelPrefix: '本地模型的文本前缀模板（{text} 表示输入）',
+  cliOptMaxLength: '本地模型每段文本的最大 token 数（超出部分截断）',
+  cliOptNoQuantized: '使用全精度本地权重（onnx/model.onnx）',
+  cliOptChunkSize: '每次嵌入调用的字符数；更长的表示会被分块（0 = 关闭）',
+  cliOptChunkOverlap: '相邻分块之间重叠的字符数',
+  cliOptMaxChunks: '每个表示的最大分块数；其余部分被截断（1 = 不分块）',
+  cliOptChunkAggregation: '分块向量的合并方式：mean|max|weighted',
+  cliOptScoring: '配对评分：embedding（仅余弦）或 hybrid（余弦与结构信号加权混合）',
+  cliOptScoreWeight:
+    '混合评分信号权重，格式为 signal=weight（embedding、jsx、props、hooks、style）',
+  cliOptAnn: '精确评分前的候选搜索：off（所有配对）或 lsh（随机投影 LSH）',
+  cliOptAnnBits: '每个 LSH 表的超平面数；位数越多，桶越小',
+  cliOptAnnTables: 'LSH 表数量；0 表示自动选择，使阈值处召回率约为 95%',
   cliOptCachePath: '缓存文件路径',
   cliOptNoProgress: '隐藏进度条',
   cliOptApiUrl: '远程 API URL',
   cliOptApiKey: 'API Key',
   cliOptApiModel: '远程模型名称',
   cliOptApiTimeout: 'API 超时',
+  cliOptApiBatchSize: '每个远程嵌入请求的文本数',
+  cliOptApiConcurrency: '最大并行嵌入请求数',
+  cliOptApiMaxRetries: '被限流或失败的远程请求的重试次数',
+  cliOptApiRpm: '每分钟远程请求上限（0 = 不限）',
+  cliOptApiTpm: '每分钟远程 token 上限（0 = 不限）',
   cliOptDisableAnalyses: '禁用额外分析（如 style-duplicate）',
   cliOptStyleExtensions: '样式文件扩展名',
+  cliOptTailwindConfig: '用于展开工具类的 Tailwind 配置（默认：内置的 Tailwind 默认值）',
   cliOptIgnoreComponentName: '按名称忽略组件 (Regex)',
   cliOptIgnoreComponentUsage: '按使用忽略组件 (Regex)',
   cliOptRelativePaths: '使用相对路径',
+  cliOptExplain: '为每个报告的配对记录各通道余弦值和标签检查输入',
+  cliOptNoIncremental: '重新计算所有配对，而不是复用上次运行的配对索引',
   cliOptMinPathDistance: '最小目录间距',
   cliOptCompare: '对比模式：仅与指定文件比较',
+  cliOptSince: '仅报告涉及自该 git 引用以来变更或新增文件的组件对',
+  cliOptBaseline: '隐藏已记录在此基线文件中的重复对',
+  cliOptBaselineOut: '基线写入路径（默认 duplicalis.baseline.json）',
   cliOptConfig: '配置文件路径',
   cliOptSaveConfig: '保存当前配置',
   cliOptNoIgnores: '忽略代码中的排除标记',
+  cliOptCi: 'CI 门禁模式：输出机器可读摘要，违规时以非零状态码退出',
+  cliOptMaxPairs: '报告的重复对超过此数量时失败',
+  cliOptFailOnCategory: '任一重复对属于这些类别时失败（例如 almost-identical）',
+  cliOptFailOnLabel: '任一重复对带有这些标签时失败（例如 copy-paste-variant）',
   cliOptLang: '语言 (en, ru, es, fr, de, zh)',
   cliBenchmarkDescription: '在内置的重复检测基准套件上评估 embeddings 模型',
   cliOptBenchmarkManifest: 'benchmark 清单 JSON 文件路径',
@@ -117,5 +212,10 @@ export default {
   benchmarkThresholdLabel: '最佳 τ',
   benchmarkGapLabel: 'gap',
   benchmarkHardNegFpLabel: 'hard-neg FP',
+  benchmarkAnnTitle: '在配置阈值下的 ANN 候选搜索',
+  benchmarkAnnRecallLabel: '召回率',
+  benchmarkAnnCandidatesLabel: '候选',
+  benchmarkExhaustiveMsLabel: '穷举 ms',
+  benchmarkAnnMsLabel: 'ANN ms',
   benchmarkOutputWrittenPrefix: 'Benchmark JSON 已写入',
 };
@@ -1,52 +1,167 @@
 import { findSourceFiles } from './scanner.js';
 import { loadComponentsWithCache } from './analysis-cache.js';
-import { createEmbeddingBackend } from './embedding/index.js';
-import { embedComponents, findSimilarities } from './similarity.js';
+import { closeEmbeddingBackend, createEmbeddingBackend } from './embedding/index.js';
+import { embedComponents } from './similarity.js';
+import { findSimilaritiesWithIndex } from './pair-index.js';
 import { emitReport } from './output.js';
 import { shouldIgnoreComponent } from './filters.js';
+import { evaluateGate, isGateEnabled } from './gate.js';
+import { listChangedFiles } from './git-diff.js';
+import { buildClusters } from './clusters.js';
+import { loadUtilityTheme } from './utility-classes.js';
+import { loadStyleResolution } from './style-resolver.js';
+import { loadConfig } from './config.js';
+import { createCliHooks } from './progress.js';
+import {
+  applyBaseline,
+  buildBaseline,
+  loadBaseline,
+  resolveBaselinePath,
+  saveBaseline,
+} from './baseline.js';
 import micromatch from 'micromatch';
 import path from 'path';
 
 /**
- * Main execution entry point.
- * Scans, parses, embeds, and finds similarities between components.
+ * Library entry point: scans, parses, embeds, and matches components without printing anything.
+ *
+ * @param {Object} [options] - Configuration keys as in `duplicalis.config.json`; defaults and the
+ *   config file in `options.root` apply as for the CLI
+ * @param {{ embed: (text: string) => Promise<number[]> }} [options.backend] - Embedding backend to
+ *   use instead of the one selected by `options.model`
+ * @param {Function} [options.onProgress] - Called with `{ phase, completed, total }` for the
+ *   `scan`, `parse`, `download`, `embed`, and `match` phases
+ * @param {(message: string) => void} [options.onWarning] - Non-fatal problems such as unreadable
+ *   caches and unresolved style imports; ignored when omitted
+ * @returns {Promise<Object>} `components`, embedded `entries`, reported `pairs`, duplicate
+ *   `clusters`, the match `scorecard`, and run `stats`
+ */
+export async function analyze(options = {}) {
+  const { backend, onProgress, onWarning = () => {}, ...configOptions } = options;
+  return analyzeWithConfig(loadConfig(configOptions), { backend, onProgress, onWarning });
+}
+
+/**
+ * CLI scan: analyzes with terminal progress bars, evaluates the CI gate, and emits the report.
  *
  * @param {Object} config - Configuration object
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} The `analyze` result plus the CI `gate` verdict when gating is enabled
+ *   (otherwise `null`)
  */
 export async function run(config) {
+  const result = await analyzeWithConfig(config, createCliHooks(config));
+  const gate = isGateEnabled(config) ? evaluateGate(result.pairs, config) : null;
+  emitReport({ ...result, gate }, config);
+  return { ...result, gate };
+}
+
+/**
+ * Runs the scan pipeline and records every reported pair in the baseline file.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Promise<{ baselinePath: string, baseline: Object }>} Written path and contents
+ */
+export async function writeBaseline(config) {
+  const { entries, pairs } = await findPairs(config, createCliHooks(config));
+  const baseline = buildBaseline(entries, pairs, config);
+  const baselinePath = resolveBaselinePath(config);
+  saveBaseline(baselinePath, baseline);
+  return { baselinePath, baseline };
+}
+
+async function analyzeWithConfig(config, hooks) {
+  const { entries, pairs: found, stats } = await findPairs(config, hooks);
+  const pairs = config.baselinePath ? filterBaseline(entries, found, config, stats) : found;
+  return {
+    components: entries.map((entry) => entry.component),
+    entries,
+    pairs,
+    clusters: buildClusters(pairs, entries),
+    scorecard: stats.scorecard,
+    stats,
+  };
+}
+
+async function findPairs(config, hooks = {}) {
+  const progress = (phase, completed, total) => hooks.onProgress?.({ phase, completed, total });
   const stats = {};
   const scanStart = Date.now();
   const files = await findSourceFiles(config);
   stats.scanMs = Date.now() - scanStart;
+  progress('scan', files.length, files.length);
 
   const parseStart = Date.now();
-  const parsed = loadComponentsWithCache(files, config);
+  const utilityTheme = await loadUtilityTheme(config, hooks.onWarning);
+  const styleResolution = loadStyleResolution(config);
+  const parsed = loadComponentsWithCache(
+    files,
+    { ...config, utilityTheme, styleResolution },
+    hooks
+  );
   let components = parsed.components;
   components = components.filter((component) => !shouldIgnoreComponent(component, config));
-  markCompareTargets(components, config);
+  const changedFiles = config.since
+    ? listChangedFiles(config.root, config.since, config.language)
+    : null;
+  markCompareTargets(components, config, changedFiles);
   stats.parseMs = Date.now() - parseStart;
+  if (changedFiles) {
+    stats.since = {
+      ref: config.since,
+      changedFiles: files.filter((file) => changedFiles.has(file)).length,
+    };
+  }
   stats.analysisCache = parsed.cacheStats;
 
-  const backend = await createEmbeddingBackend(config);
   const embedStart = Date.now();
-  const { entries, cacheStats } = await embedComponents(components, backend, config);
+  const { entries, cacheStats } = await embedWithBackend(components, config, hooks);
   stats.embedMs = Date.now() - embedStart;
   stats.cache = cacheStats;
 
   const similarityStart = Date.now();
-  const { pairs, scorecard } = await findSimilarities(entries, config);
+  const { pairs, scorecard, indexStats } = await findSimilaritiesWithIndex(entries, config, hooks);
   stats.similarityMs = Date.now() - similarityStart;
   stats.scorecard = scorecard;
+  stats.pairIndex = indexStats;
+  progress('match', entries.length, entries.length);
+  if (changedFiles) markNewSides(pairs, components);
+  return { entries, pairs, stats };
+}
 
-  emitReport(entries, pairs, config, stats);
+async function embedWithBackend(components, config, hooks) {
+  if (hooks.backend) return embedComponents(components, hooks.backend, config, hooks);
+  const backend = await createEmbeddingBackend(config, hooks);
+  try {
+    return await embedComponents(components, backend, config, hooks);
+  } finally {
+    await closeEmbeddingBackend(backend);
+  }
 }
 
-function markCompareTargets(components, config) {
+function filterBaseline(entries, pairs, config, stats) {
+  const baseline = loadBaseline(resolveBaselinePath(config), config.language);
+  const applied = applyBaseline(entries, pairs, baseline, config);
+  stats.baseline = applied.summary;
+  return applied.pairs;
+}
+
+function markCompareTargets(components, config, changedFiles = null) {
   const globs = config.compareGlobs || [];
-  if (!globs.length) return;
+  if (!globs.length && !changedFiles) return;
   components.forEach((component) => {
-    component.isCompareTarget = isCompareMatch(component.filePath, config.root, globs);
+    component.isCompareTarget =
+      isCompareMatch(component.filePath, config.root, globs) ||
+      Boolean(changedFiles?.has(path.resolve(component.filePath)));
+  });
+}
+
+function markNewSides(pairs, components) {
+  const targets = new Set(
+    components.filter((component) => component.isCompareTarget).map((component) => component.id)
+  );
+  pairs.forEach((pair) => {
+    if (targets.has(pair.a) && targets.has(pair.b)) pair.newSide = 'both';
+    else pair.newSide = targets.has(pair.a) ? 'a' : 'b';
   });
 }
 
@@ -1,5 +1,15 @@
 import { cosine } from './math.js';
 import { getI18n } from './i18n.js';
+import { styleDeclarations } from './similarity-signals.js';
+
+export const LABEL_HINT_KEYS = {
+  'wrapper-duplicate': 'hintWrapper',
+  'style-duplicate': 'hintStyle',
+  'logic-duplicate': 'hintLogic',
+  'copy-paste-variant': 'hintCopy',
+  'prop-parameterizable': 'hintProp',
+  'forked-clone': 'hintFork',
+};
 
 export function labelPair(entryA, entryB, similarity, config) {
   const i18n = getI18n(config?.language);
@@ -23,6 +33,23 @@ function runCheck(labels, hints, result) {
   if (result.hint) hints.push(result.hint);
 }
 
+/**
+ * Overlaps the label checks compare against their cut-offs: logic tokens, literals, source
+ * tokens, and canonical style declarations (0–1), and the difference in source line counts.
+ */
+export function labelInputs(entryA, entryB) {
+  return {
+    logicOverlap: overlap(entryA.component.logicTokens, entryB.component.logicTokens),
+    literalOverlap: overlap(entryA.component.literals, entryB.component.literals),
+    tokenOverlap: textOverlap(entryA.component.source, entryB.component.source),
+    styleOverlap: overlap(
+      [...styleDeclarations(entryA.styleCanonical)],
+      [...styleDeclarations(entryB.styleCanonical)]
+    ),
+    lineDiff: Math.abs(lineCount(entryA.component.source) - lineCount(entryB.component.source)),
+  };
+}
+
 function buildContext(entryA, entryB, similarity, config, i18n) {
   return {
     entryA,
@@ -30,11 +57,8 @@ function buildContext(entryA, entryB, similarity, config, i18n) {
     similarity,
     config,
     i18n,
-    logicOverlap: overlap(entryA.component.logicTokens, entryB.component.logicTokens),
-    literalOverlap: overlap(entryA.component.literals, entryB.component.literals),
+    ...labelInputs(entryA, entryB),
     styleSimilarity: cosine(entryA.styleVec, entryB.styleVec),
-    tokenOverlap: textOverlap(entryA.component.source, entryB.component.source),
-    lineDiff: Math.abs(lineCount(entryA.component.source) - lineCount(entryB.component.source)),
     hasProps:
       (entryA.component.props?.names?.length || 0) > 0 &&
       (entryB.component.props?.names?.length || 0) > 0,
@@ -66,7 +90,7 @@ function styleCheck(ctx) {
   const sharedOnly = sharedPaths.length > 0 && !ctx.hasCssInJsA && !ctx.hasCssInJsB;
   const onlySharedSources = sharedOnly && uniqueA.length === 0 && uniqueB.length === 0;
   if (onlySharedSources) return null;
-  if (ctx.styleSimilarity >= 0.8) {
+  if (ctx.styleSimilarity >= 0.8 || ctx.styleOverlap >= 0.8) {
     return {
       label: 'style-duplicate',
       hint: ctx.i18n.hintStyle,
@@ -0,0 +1,88 @@
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Aligns two texts line by line for a side-by-side view.
+ * Rows are `same`, `changed` (both sides differ), `removed` (left only) or `added` (right only);
+ * each side is `{ number, index }` with a 1-based line number and a 0-based line index.
+ */
+export function diffLines(leftText, rightText) {
+  const left = splitLines(leftText);
+  const right = splitLines(rightText);
+  const ops =
+    left.length * right.length > MAX_LCS_CELLS ? replaceAll(left, right) : lcsOps(left, right);
+  return alignRows(ops);
+}
+
+export function splitLines(text) {
+  return text ? text.split(/\r?\n/) : [];
+}
+
+function lcsOps(left, right) {
+  const width = right.length + 1;
+  const lengths = new Uint32Array((left.length + 1) * width);
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      const cell = i * width + j;
+      lengths[cell] =
+        left[i] === right[j]
+          ? lengths[cell + width + 1] + 1
+          : Math.max(lengths[cell + width], lengths[cell + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      ops.push({ type: 'same', left: i++, right: j++ });
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push({ type: 'removed', left: i++ });
+    } else {
+      ops.push({ type: 'added', right: j++ });
+    }
+  }
+  for (; i < left.length; i += 1) ops.push({ type: 'removed', left: i });
+  for (; j < right.length; j += 1) ops.push({ type: 'added', right: j });
+  return ops;
+}
+
+function replaceAll(left, right) {
+  return [
+    ...left.map((_line, index) => ({ type: 'removed', left: index })),
+    ...right.map((_line, index) => ({ type: 'added', right: index })),
+  ];
+}
+
+function alignRows(ops) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let k = 0; k < count; k += 1) {
+      rows.push(makeRow(removed[k], added[k]));
+    }
+    removed = [];
+    added = [];
+  };
+  ops.forEach((op) => {
+    if (op.type === 'removed') removed.push(op.left);
+    else if (op.type === 'added') added.push(op.right);
+    else {
+      flush();
+      rows.push({ type: 'same', left: side(op.left), right: side(op.right) });
+    }
+  });
+  flush();
+  return rows;
+}
+
+function makeRow(leftIndex, rightIndex) {
+  if (rightIndex === undefined) return { type: 'removed', left: side(leftIndex), right: null };
+  if (leftIndex === undefined) return { type: 'added', left: null, right: side(rightIndex) };
+  return { type: 'changed', left: side(leftIndex), right: side(rightIndex) };
+}
+
+function side(index) {
+  return { number: index + 1, index };
+}
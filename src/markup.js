@@ -0,0 +1,223 @@
+const VOID_TAGS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+]);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea']);
+const TAG_NAME_RE = /[A-Za-z][\w:.-]*/y;
+const ATTRIBUTE_NAME_RE = /[^\s=/>"'{]+/y;
+const UNQUOTED_VALUE_RE = /[^\s>]+/y;
+
+/**
+ * Parses HTML-like markup (Vue templates, Svelte markup, SFC blocks) into a tolerant element tree.
+ * Elements keep source offsets (`start`/`end` and `contentStart`/`contentEnd`); `{...}`
+ * expressions stay inside text and attribute values, so `<` inside them does not open a tag.
+ * Unclosed elements end at the end of the input and stray closing tags are ignored.
+ */
+export function parseMarkup(source = '') {
+  const root = { type: 'root', tag: null, children: [], start: 0, end: source.length };
+  const stack = [root];
+  let index = 0;
+  while (index < source.length) {
+    index = readNext(source, index, stack);
+  }
+  stack.slice(1).forEach((element) => closeElement(element, source.length, source.length));
+  return root;
+}
+
+/**
+ * Visits every element depth-first with its ancestor tag names (outermost first).
+ */
+export function walkElements(node, visit, ancestors = []) {
+  node.children.forEach((child) => {
+    if (child.type !== 'element') return;
+    visit(child, ancestors);
+    walkElements(child, visit, [...ancestors, child.tag]);
+  });
+}
+
+export function getAttribute(element, name) {
+  return element.attributes.find((attribute) => attribute.name === name) || null;
+}
+
+function readNext(source, index, stack) {
+  if (source.startsWith('<!--', index)) return skipComment(source, index);
+  if (source.startsWith('</', index)) return readClosingTag(source, index, stack);
+  if (source[index] === '<' && /[A-Za-z]/.test(source[index + 1] || '')) {
+    return readOpeningTag(source, index, stack);
+  }
+  return readText(source, index, stack);
+}
+
+function skipComment(source, index) {
+  const end = source.indexOf('-->', index + 4);
+  return end === -1 ? source.length : end + 3;
+}
+
+function readClosingTag(source, index, stack) {
+  const tag = matchAt(TAG_NAME_RE, source, index + 2);
+  const close = source.indexOf('>', index);
+  const next = close === -1 ? source.length : close + 1;
+  const depth = tag ? findOpenElement(stack, tag.toLowerCase()) : -1;
+  if (depth > 0) {
+    stack.splice(depth).forEach((element) => closeElement(element, index, next));
+  }
+  return next;
+}
+
+function findOpenElement(stack, tag) {
+  for (let depth = stack.length - 1; depth > 0; depth -= 1) {
+    if (stack[depth].tag.toLowerCase() === tag) return depth;
+  }
+  return -1;
+}
+
+function closeElement(element, contentEnd, end) {
+  element.contentEnd = Math.max(element.contentStart, contentEnd);
+  element.end = end;
+}
+
+function readOpeningTag(source, index, stack) {
+  const tag = matchAt(TAG_NAME_RE, source, index + 1);
+  const { attributes, end, selfClosing } = readAttributes(source, index + 1 + tag.length);
+  const element = {
+    type: 'element',
+    tag,
+    attributes,
+    children: [],
+    start: index,
+    end,
+    contentStart: end,
+    contentEnd: end,
+  };
+  stack[stack.length - 1].children.push(element);
+  const lowered = tag.toLowerCase();
+  if (selfClosing || VOID_TAGS.has(lowered)) return end;
+  if (RAW_TEXT_TAGS.has(lowered)) return readRawText(source, element);
+  stack.push(element);
+  return end;
+}
+
+function readRawText(source, element) {
+  const closing = source.toLowerCase().indexOf(`</${element.tag.toLowerCase()}`, element.end);
+  const contentEnd = closing === -1 ? source.length : closing;
+  const close = closing === -1 ? -1 : source.indexOf('>', closing);
+  const end = close === -1 ? source.length : close + 1;
+  const value = source.slice(element.contentStart, contentEnd);
+  if (value) {
+    element.children.push({ type: 'text', value, start: element.contentStart, end: contentEnd });
+  }
+  closeElement(element, contentEnd, end);
+  return end;
+}
+
+function readAttributes(source, index) {
+  const attributes = [];
+  let cursor = index;
+  while (cursor < source.length) {
+    cursor = skipWhitespace(source, cursor);
+    if (source[cursor] === '>') return { attributes, end: cursor + 1, selfClosing: false };
+    if (source.startsWith('/>', cursor)) return { attributes, end: cursor + 2, selfClosing: true };
+    cursor = readAttribute(source, cursor, attributes);
+  }
+  return { attributes, end: source.length, selfClosing: false };
+}
+
+function readAttribute(source, index, attributes) {
+  if (source[index] === '{') {
+    const end = skipBraces(source, index);
+    attributes.push({ name: source.slice(index, end), value: null });
+    return end;
+  }
+  const name = matchAt(ATTRIBUTE_NAME_RE, source, index);
+  if (!name) return index + 1;
+  const afterName = skipWhitespace(source, index + name.length);
+  if (source[afterName] !== '=') {
+    attributes.push({ name, value: null });
+    return index + name.length;
+  }
+  const { value, end } = readAttributeValue(source, skipWhitespace(source, afterName + 1));
+  attributes.push({ name, value });
+  return end;
+}
+
+function readAttributeValue(source, index) {
+  const quote = source[index];
+  if (quote === '"' || quote === "'") {
+    const close = source.indexOf(quote, index + 1);
+    const end = close === -1 ? source.length : close;
+    return { value: source.slice(index + 1, end), end: end + 1 };
+  }
+  if (quote === '{') {
+    const end = skipBraces(source, index);
+    return { value: source.slice(index, end), end };
+  }
+  const value = matchAt(UNQUOTED_VALUE_RE, source, index) || '';
+  return { value, end: index + value.length };
+}
+
+function readText(source, index, stack) {
+  let cursor = index;
+  while (cursor < source.length) {
+    if (source[cursor] === '{') {
+      cursor = skipBraces(source, cursor);
+      continue;
+    }
+    if (cursor > index && source[cursor] === '<' && /[A-Za-z/!]/.test(source[cursor + 1] || '')) {
+      break;
+    }
+    cursor += 1;
+  }
+  stack[stack.length - 1].children.push({
+    type: 'text',
+    value: source.slice(index, cursor),
+    start: index,
+    end: cursor,
+  });
+  return cursor;
+}
+
+/**
+ * Returns the offset just past the `}` that balances the `{` at `index`, skipping quoted strings.
+ */
+export function skipBraces(source, index) {
+  let depth = 0;
+  let cursor = index;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === '"' || char === "'" || char === '`') {
+      const close = source.indexOf(char, cursor + 1);
+      cursor = close === -1 ? source.length : close + 1;
+      continue;
+    }
+    if (char === '{') depth += 1;
+    if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return cursor + 1;
+    }
+    cursor += 1;
+  }
+  return source.length;
+}
+
+function skipWhitespace(source, index) {
+  let cursor = index;
+  while (cursor < source.length && /\s/.test(source[cursor])) cursor += 1;
+  return cursor;
+}
+
+function matchAt(regex, source, index) {
+  regex.lastIndex = index;
+  const match = regex.exec(source);
+  return match ? match[0] : null;
+}
@@ -1,42 +1,55 @@
 import fs from 'fs';
 import path from 'path';
 import https from 'https';
-import cliProgress from 'cli-progress';
 import { getI18n } from './i18n.js';
 import { createAtomicWriteTarget } from './fs-atomic.js';
+import { resolveModelRepo } from './model-presets.js';
 
-const DEFAULT_FILES = [
+const MODEL_FILES = [
   'config.json',
   'tokenizer.json',
   'tokenizer_config.json',
   'special_tokens_map.json',
   'vocab.txt',
-  'onnx/model_quantized.onnx',
 ];
 
-export async function ensureModel(modelDir, modelRepo, showProgress = true, language) {
+/**
+ * Name of the ONNX weights file inside `onnx/` for quantized or full-precision models.
+ */
+export function onnxWeightsFile(quantized = true) {
+  return quantized ? 'model_quantized.onnx' : 'model.onnx';
+}
+
+/**
+ * Downloads missing model files into `modelDir`. `modelRepo` is a base URL or the name of a
+ * preset from `LOCAL_MODEL_PRESETS`. `onProgress` receives `{ phase: 'download', completed, total }`
+ * after each file.
+ */
+export async function ensureModel(
+  modelDir,
+  modelRepo,
+  onProgress,
+  language,
+  { quantized = true } = {}
+) {
   const i18n = getI18n(language);
   if (!modelDir) throw new Error(i18n.errModelPathRequired);
   const targetDir = path.resolve(modelDir);
+  const baseUrl = resolveModelRepo(modelRepo, language);
   fs.mkdirSync(targetDir, { recursive: true });
 
-  const missing = DEFAULT_FILES.filter((file) => !fs.existsSync(path.join(targetDir, file)));
+  const files = [...MODEL_FILES, `onnx/${onnxWeightsFile(quantized)}`];
+  const missing = files.filter((file) => !fs.existsSync(path.join(targetDir, file)));
   if (!missing.length) return;
 
-  const bar = showProgress
-    ? new cliProgress.SingleBar({}, cliProgress.Presets.shades_classic)
-    : null;
-  if (bar) bar.start(missing.length, 0);
-
   let completed = 0;
   for (const file of missing) {
-    const url = `${modelRepo}/${file}`;
+    const url = `${baseUrl}/${file}`;
     const dest = path.join(targetDir, file);
     await downloadFile(url, dest, i18n);
     completed += 1;
-    if (bar) bar.update(completed);
+    onProgress?.({ phase: 'download', completed, total: missing.length });
   }
-  if (bar) bar.stop();
 }
 
 function downloadFile(url, dest, i18n, redirectCount = 0) {
@@ -0,0 +1,102 @@
+import path from 'path';
+import { getI18n } from './i18n.js';
+
+export const DEFAULT_MODEL_PATH = 'models/all-MiniLM-L6-v2';
+export const DEFAULT_MODEL_REPO = 'https://huggingface.co/Xenova/all-MiniLM-L6-v2/resolve/main';
+export const POOLING_STRATEGIES = ['mean', 'cls'];
+
+const huggingFace = (repo) => `https://huggingface.co/${repo}/resolve/main`;
+
+/**
+ * Known-good local models (ONNX exports with a BERT-style tokenizer) and the options they need.
+ */
+export const LOCAL_MODEL_PRESETS = {
+  'all-MiniLM-L6-v2': { repo: DEFAULT_MODEL_REPO, pooling: 'mean' },
+  'all-MiniLM-L12-v2': { repo: huggingFace('Xenova/all-MiniLM-L12-v2'), pooling: 'mean' },
+  'bge-small-en-v1.5': { repo: huggingFace('Xenova/bge-small-en-v1.5'), pooling: 'cls' },
+  'bge-base-en-v1.5': { repo: huggingFace('Xenova/bge-base-en-v1.5'), pooling: 'cls' },
+  'gte-small': { repo: huggingFace('Xenova/gte-small'), pooling: 'mean' },
+  'e5-small-v2': { repo: huggingFace('Xenova/e5-small-v2'), pooling: 'mean', prefix: 'query: ' },
+};
+
+/**
+ * Returns the download URL for a preset name, or the value itself when it is already a URL.
+ */
+export function resolveModelRepo(repoOrPreset, language) {
+  if (/^https?:\/\//.test(repoOrPreset || '')) return repoOrPreset;
+  return requirePreset(repoOrPreset, language).repo;
+}
+
+/**
+ * Resolves the local model folder, download URL, and inference options. A preset fills in
+ * everything not set explicitly; the default model path and repo count as unset.
+ *
+ * @param {Object} config - Run configuration (`modelPath`, `modelRepo`, `localModel`)
+ * @returns {{ modelPath: string, modelRepo: string, pooling: string, prefix: string,
+ *   maxLength: number|null, quantized: boolean }}
+ */
+export function resolveLocalModelConfig(config) {
+  const options = config.localModel || {};
+  const preset = options.preset ? requirePreset(options.preset, config.language) : null;
+  const resolved = {
+    modelPath: pickExplicit(
+      config.modelPath,
+      DEFAULT_MODEL_PATH,
+      preset && path.join('models', options.preset)
+    ),
+    modelRepo: pickExplicit(config.modelRepo, DEFAULT_MODEL_REPO, preset?.repo),
+    ...resolveInference(options, preset),
+  };
+  if (!POOLING_STRATEGIES.includes(resolved.pooling)) {
+    const i18n = getI18n(config.language);
+    throw new Error(
+      `${i18n.errLocalPoolingInvalidPrefix} ${resolved.pooling} (${POOLING_STRATEGIES.join(', ')})`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Cache identity of a resolved local model; options that change vectors are part of it.
+ */
+export function localModelKey(resolved) {
+  const parts = [`local:${resolved.modelPath}`];
+  if (resolved.pooling !== 'mean') parts.push(`pooling=${resolved.pooling}`);
+  if (resolved.prefix) parts.push(`prefix=${resolved.prefix}`);
+  if (resolved.maxLength) parts.push(`maxLength=${resolved.maxLength}`);
+  if (!resolved.quantized) parts.push('fp32');
+  return parts.join('|');
+}
+
+/**
+ * Applies a prefix template: `{text}` is replaced by the text, otherwise the prefix is prepended.
+ */
+export function applyPrefix(template, text) {
+  if (!template) return text;
+  return template.includes('{text}')
+    ? template.replaceAll('{text}', () => text)
+    : `${template}${text}`;
+}
+
+function resolveInference(options, preset) {
+  return {
+    pooling: options.pooling || preset?.pooling || 'mean',
+    prefix: options.prefix ?? preset?.prefix ?? '',
+    maxLength: options.maxLength || null,
+    quantized: options.quantized ?? true,
+  };
+}
+
+function pickExplicit(value, defaultValue, presetValue) {
+  if (presetValue && (!value || value === defaultValue)) return presetValue;
+  return value;
+}
+
+function requirePreset(name, language) {
+  const preset = LOCAL_MODEL_PRESETS[name];
+  if (preset) return preset;
+  const i18n = getI18n(language);
+  throw new Error(
+    `${i18n.errModelPresetUnknownPrefix} ${name} (${Object.keys(LOCAL_MODEL_PRESETS).join(', ')})`
+  );
+}
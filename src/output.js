@@ -5,8 +5,28 @@ import { banner } from './duplicalis.js';
 import { duplicalisBanner } from './banner-text.js';
 import { getI18n } from './i18n.js';
 import { writeFileAtomicSync } from './fs-atomic.js';
+import { formatGateSummary } from './gate.js';
+import { toSarifReport } from './sarif.js';
+import { toHtmlReport } from './html-report.js';
 
-export function emitReport(entries, pairs = [], config, stats) {
+const REPORT_WRITERS = {
+  json: (report) => JSON.stringify(report, null, 2),
+  txt: (report, entries, config) => toTextReport(report, entries, config),
+  sarif: (report, entries, config, i18n) =>
+    JSON.stringify(toSarifReport(report, entries, config, i18n), null, 2),
+  html: (report, entries, config, i18n) => toHtmlReport(report, entries, config, i18n),
+};
+
+export const REPORT_FORMATS = Object.keys(REPORT_WRITERS);
+
+/**
+ * Prints the scan result to the console (or the CI summary) and writes the `--out` report.
+ *
+ * @param {Object} result - `analyze` result (`entries`, `pairs`, `clusters`, `stats`) plus `gate`
+ * @param {Object} config - Configuration object
+ */
+export function emitReport(result, config) {
+  const { entries = [], pairs = [], clusters = [], stats, gate = null } = result;
   const i18n = getI18n(config?.language);
   const components = entries.map((entry) => ({
     id: entry.component.id,
@@ -16,21 +36,46 @@ export function emitReport(entries, pairs = [], config, stats) {
     hooks: entry.component.hooks.length,
     loc: entry.component.loc,
     snippet: trimSource(entry.component.source),
+    ...(entry.truncated?.length ? { truncated: entry.truncated } : {}),
   }));
 
-  const report = { components, pairs, stats };
+  const report = { components, pairs, clusters, stats };
+  if (gate) report.gate = gate;
   const outPath = config.out ? path.resolve(config.root, config.out) : null;
   if (outPath) {
-    /* v8 ignore next */
-    if (outPath.endsWith('.txt')) {
-      writeFileAtomicSync(outPath, toTextReport(report, entries, config), 'utf8');
-    } else {
-      writeFileAtomicSync(outPath, JSON.stringify(report, null, 2), 'utf8');
-    }
+    const writer = REPORT_WRITERS[resolveReportFormat(config.format, outPath, i18n)];
+    writeFileAtomicSync(outPath, writer(report, entries, config, i18n), 'utf8');
+  }
+  if (config.ci) {
+    printGateSummary(report, config, entries);
+    return;
   }
   printConsole(report, config, outPath, entries, i18n);
 }
 
+function resolveReportFormat(format, outPath, i18n) {
+  if (!format) return path.extname(outPath).toLowerCase() === '.txt' ? 'txt' : 'json';
+  if (!REPORT_WRITERS[format]) {
+    throw new Error(`${i18n.errUnknownFormatPrefix} ${format} (${REPORT_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+function printGateSummary(report, config, entries) {
+  const byId = new Map(entries.map((e) => [e.component.id, e.component]));
+  const describe = (id) => {
+    const component = byId.get(id);
+    if (!component) return id;
+    return `${relativize(component.filePath, config.root, config.relativePaths)}#${component.name}`;
+  };
+  const gate = report.gate || { passed: true, violations: [] };
+  formatGateSummary(gate, report.pairs, {
+    componentCount: report.components.length,
+    baseline: report.stats?.baseline,
+    describe,
+  }).forEach((line) => console.log(line));
+}
+
 function printConsole(report, config, outPath, entries, i18n) {
   printBanner();
   console.log('');
@@ -40,9 +85,32 @@ function printConsole(report, config, outPath, entries, i18n) {
   console.log(mode);
   printRunConfig(config, outPath, i18n);
   printMatches(report, config, entries, i18n);
+  printClusters(report, config, entries, i18n);
+  printBaselineSummary(report.stats?.baseline, i18n);
   printStatsTable(report, outPath, i18n);
 }
 
+export function printBaselineWritten(baselinePath, baseline, config) {
+  const i18n = getI18n(config?.language);
+  console.log(
+    `${i18n.baselineWrittenPrefix} ${baselinePath} (${baseline.pairs.length} ${i18n.baselinePairsLabel})`
+  );
+}
+
+function printBaselineSummary(baseline, i18n) {
+  if (!baseline) return;
+  console.log(chalk.bold(`\n${i18n.baselineTitle}`));
+  console.log(`  ${i18n.labelBaseline}: ${baseline.path}`);
+  console.log(`  ${i18n.baselineKnownLabel}: ${baseline.known}`);
+  console.log(`  ${i18n.baselineResolvedLabel}: ${baseline.resolved.length}`);
+  if (baseline.notEvaluated) {
+    console.log(`  ${i18n.baselineNotEvaluatedLabel}: ${baseline.notEvaluated}`);
+  }
+  baseline.resolved.forEach((record) => {
+    console.log(chalk.green(`    ✓ ${record.a.id} ↔ ${record.b.id}`));
+  });
+}
+
 /* v8 ignore start */
 function relativize(filePath, root, useRelative) {
   if (!filePath) return '';
@@ -64,6 +132,9 @@ function formatMode(config, i18n) {
     const remoteUrl = config.remote?.url || i18n.notAvailable;
     return `${i18n.modeLabel}: ${i18n.modeRemoteLabel} (${remoteModel} @ ${remoteUrl})`;
   }
+  if (config.model === 'lexical') {
+    return `${i18n.modeLabel}: ${i18n.modeLexicalLabel} (${i18n.modeLexicalDetail})`;
+  }
   if (config.model === 'mock') {
     return `${i18n.modeLabel}: ${i18n.modeMockLabel} (${i18n.modeMockDetail})`;
   }
@@ -84,6 +155,7 @@ function buildRunConfigLines(config, outPath, i18n) {
     lines.push(`  ${i18n.labelConfig}: ${config.configPath}${suffix}`);
   }
   if (outPath) lines.push(`  ${i18n.labelOutput}: ${outPath}`);
+  if (config.since) lines.push(`  ${i18n.labelSince}: ${config.since}`);
   lines.push(`  ${i18n.labelCache}: ${config.cachePath || i18n.noneValue}`);
   lines.push(`  ${i18n.labelThresholds}: ${formatThresholdSummary(config, i18n)}`);
   lines.push(`  ${i18n.labelLimit}: ${formatLimitValue(config.limit, i18n)}`);
@@ -129,17 +201,59 @@ function printMatches(report, config, entries, i18n) {
     if (pair.hints?.length) {
       pair.hints.forEach((h) => console.log(chalk.gray(`  - ${h}`)));
     }
-    printSnippetBlock('A', left?.component, config.root, config.relativePaths, i18n);
-    printSnippetBlock('B', right?.component, config.root, config.relativePaths, i18n);
+    if (pair.signals) console.log(chalk.gray(formatScores(i18n.signalsLabel, pair.signals)));
+    if (pair.explanation) {
+      const { channels, labelInputs } = pair.explanation;
+      console.log(chalk.gray(formatScores(i18n.explainChannelsLabel, channels)));
+      console.log(chalk.gray(formatScores(i18n.explainInputsLabel, labelInputs)));
+    }
+    printSnippetBlock('A', left, config, i18n, isNewSide(pair, 'a'));
+    printSnippetBlock('B', right, config, i18n, isNewSide(pair, 'b'));
   });
   console.log(separator);
 }
 
-function printSnippetBlock(label, component, root, useRelative, i18n) {
-  if (!component) return;
+function formatScores(label, scores) {
+  const parts = Object.entries(scores).map(([name, value]) => `${name} ${value}`);
+  return `  ${label}: ${parts.join(' · ')}`;
+}
+
+function printClusters(report, config, entries, i18n) {
+  if (!report.clusters.length) return;
+  console.log(chalk.bold(`\n${i18n.clustersTitle}`));
+  const byId = new Map(entries.map((e) => [e.component.id, e.component]));
+  const describe = (id) => {
+    const component = byId.get(id);
+    const displayPath = relativize(component.filePath, config.root, config.relativePaths);
+    return `${component.name} ${chalk.gray(displayPath)}`;
+  };
+  report.clusters.forEach((cluster) => {
+    const { mean, min } = cluster.cohesion;
+    console.log(
+      chalk.cyan(
+        `\n  #${cluster.id}  ${cluster.size} ${i18n.clusterComponentsLabel} | ` +
+          `${i18n.clusterCohesionLabel} ${i18n.clusterMeanLabel} ${mean} ${i18n.clusterMinLabel} ${min}`
+      )
+    );
+    cluster.members.forEach((member) => {
+      const canonical = member.id === cluster.canonical;
+      const marker = canonical ? chalk.yellow('★') : '-';
+      const suffix = canonical ? ` [${i18n.clusterCanonicalLabel}]` : '';
+      console.log(`    ${marker} ${describe(member.id)} ${member.meanSimilarity}${suffix}`);
+    });
+  });
+}
+
+function printSnippetBlock(label, entry, config, i18n, isNew) {
+  if (!entry) return;
+  const { component } = entry;
   console.log('');
-  const displayPath = relativize(component.filePath, root, useRelative);
-  const header = `${label}) ${component.name}`;
+  const displayPath = relativize(component.filePath, config.root, config.relativePaths);
+  const truncated = entry.truncated?.length
+    ? ` [${i18n.truncatedMarker}: ${entry.truncated.join(', ')}]`
+    : '';
+  const marker = `${isNew ? ` [${i18n.newSideMarker}]` : ''}${truncated}`;
+  const header = `${label}) ${component.name}${marker}`;
   console.log(chalk.yellow(header));
   console.log(chalk.gray(`    ${displayPath}`));
   const snippet = trimSource(component.source);
@@ -197,6 +311,7 @@ function buildStatsRows(report, i18n) {
   const scorecard = stats.scorecard || {};
   const pairedCount = countPairedComponents(report.pairs);
   const componentCount = report.components.length;
+  const truncatedCount = report.components.filter((component) => component.truncated).length;
   return [
     {
       label: i18n.statsMatchCoverage,
@@ -204,11 +319,31 @@ function buildStatsRows(report, i18n) {
       emphasis: true,
     },
     { label: i18n.statsPairsReported, value: report.pairs.length },
+    { label: i18n.statsClusters, value: report.clusters.length },
     { label: i18n.statsPairsSuppressed, value: formatSuppression(scorecard, i18n) },
     { label: i18n.statsComponentsScanned, value: componentCount },
+    ...(truncatedCount ? [{ label: i18n.statsTruncated, value: truncatedCount }] : []),
+    ...buildAnnRows(scorecard.ann, i18n),
+    ...(stats.since ? [{ label: i18n.statsChangedFiles, value: stats.since.changedFiles }] : []),
     { label: i18n.statsTimings, value: formatMetricParts(buildTimingParts(stats, i18n), i18n) },
     { label: i18n.statsCache, value: formatMetricParts(buildCacheParts(stats.cache, i18n), i18n) },
+    ...buildPairIndexRows(stats.pairIndex, i18n),
+  ];
+}
+
+function buildPairIndexRows(pairIndex, i18n) {
+  if (!pairIndex) return [];
+  const parts = [
+    `${i18n.pairIndexReused} ${pairIndex.reused}`,
+    `${i18n.pairIndexRescored} ${pairIndex.rescored}`,
+    pairIndex.removed ? `${i18n.pairIndexRemoved} ${pairIndex.removed}` : null,
   ];
+  return [{ label: i18n.statsPairIndex, value: formatMetricParts(parts, i18n) }];
+}
+
+function buildAnnRows(ann, i18n) {
+  if (!ann) return [];
+  return [{ label: i18n.statsAnnCandidates, value: `${ann.candidatePairs} / ${ann.totalPairs}` }];
 }
 
 function buildTimingParts(stats, i18n) {
@@ -342,3 +477,7 @@ function toTextReport(report, entries, config) {
   });
   return lines.join('\n').trimEnd() + '\n';
 }
+
+function isNewSide(pair, side) {
+  return pair.newSide === side || pair.newSide === 'both';
+}
@@ -0,0 +1,288 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { encode, decode } from 'msgpackr';
+import { getI18n } from './i18n.js';
+import { writeFileAtomicSync } from './fs-atomic.js';
+import { buildCandidates, resolveAnn } from './ann.js';
+import { resolveScoring } from './similarity-signals.js';
+import { collectSimilarityState } from './similarity-match.js';
+import {
+  finalizeSimilarityState,
+  compareMode,
+  makeState,
+  mergeSimilarityStates,
+  pickMatchInputs,
+  processPairRange,
+  trackBest,
+} from './similarity-match-core.js';
+
+const PAIR_INDEX_VERSION = 1;
+const NO_PARTNERS = new Int32Array(0);
+
+/**
+ * Matches entries like `findSimilarities`, reusing the pair index at `config.pairIndexPath`.
+ * Components whose match inputs (vector, style vector, and the fields the matcher reads) are
+ * unchanged keep their stored pair results; only pairs that involve a changed, new, or removed
+ * component are scored again. The index is rebuilt from scratch when match settings change or
+ * `config.incremental` is `false`.
+ *
+ * @returns {Promise<{ pairs: Object[], scorecard: Object, indexStats: Object | null }>}
+ *   `indexStats` counts `reused`, `rescored`, and `removed` components, or is `null` without an
+ *   index path
+ */
+export async function findSimilaritiesWithIndex(entries, config, hooks = {}) {
+  if (!config.pairIndexPath) {
+    const { state, index } = await collectSimilarityState(entries, config);
+    return { ...finalizeSimilarityState(state, config, entries, index), indexStats: null };
+  }
+
+  const fingerprint = fingerprintConfig(config);
+  const records = entries.map(buildRecord);
+  const stored = loadPairIndex(config.pairIndexPath, config.language, hooks.onWarning);
+  const reuse = config.incremental !== false && stored.fingerprint === fingerprint;
+  const { state, index, indexStats } = reuse
+    ? rescoreChanged(entries, records, stored, config)
+    : await scoreAll(entries, config);
+
+  if (!reuse || indexStats.rescored > 0 || indexStats.removed > 0) {
+    savePairIndex(config.pairIndexPath, {
+      version: PAIR_INDEX_VERSION,
+      fingerprint,
+      components: Object.fromEntries(records.map((record) => [record.id, record.stored])),
+      state: persistableState(state),
+    });
+  }
+  return { ...finalizeSimilarityState(state, config, entries, index), indexStats };
+}
+
+export function loadPairIndex(indexPath, language, onWarning = console.warn) {
+  if (!indexPath || !fs.existsSync(indexPath)) return emptyIndex();
+  try {
+    const parsed = decode(fs.readFileSync(indexPath));
+    if (parsed?.version !== PAIR_INDEX_VERSION || !parsed.components || !parsed.state) {
+      return emptyIndex();
+    }
+    return parsed;
+  } catch (error) {
+    const i18n = getI18n(language);
+    onWarning(`${i18n.errPairIndexReadPrefix} ${indexPath}: ${error.message}`);
+    return emptyIndex();
+  }
+}
+
+export function savePairIndex(indexPath, pairIndex) {
+  writeFileAtomicSync(indexPath, encode(pairIndex));
+}
+
+async function scoreAll(entries, config) {
+  const { state, index } = await collectSimilarityState(entries, config);
+  return { state, index, indexStats: { reused: 0, rescored: entries.length, removed: 0 } };
+}
+
+function rescoreChanged(entries, records, stored, config) {
+  resolveScoring(config);
+  const compare = compareMode(config);
+  const unchanged = new Set(
+    records
+      .filter((record) => stored.components[record.id]?.signature === record.signature)
+      .map((record) => record.id)
+  );
+  const changed = indexesWhere(entries, (entry) => !unchanged.has(entry.component.id));
+  const retiredIds = Object.keys(stored.components).filter((id) => !unchanged.has(id));
+  const current = new Set(records.map((record) => record.id));
+  const index = buildCandidates(entries, config);
+  const indexStats = {
+    reused: unchanged.size,
+    rescored: changed.length,
+    removed: retiredIds.filter((id) => !current.has(id)).length,
+  };
+  if (!changed.length && !retiredIds.length) {
+    return { state: restoreState(stored.state), index, indexStats };
+  }
+
+  const retired = scoreRetired(entries, unchanged, retiredIds, stored, config);
+  const kept = keepUnchanged(stored.state, unchanged, retired);
+  const stale = staleBest(entries, unchanged, stored.state);
+  const base = index?.candidates || null;
+  const recheck = processPairRange(
+    entries,
+    config,
+    0,
+    entries.length,
+    compare,
+    pairsAmong(entries.length, stale, indexesWhere(entries, isUnchanged(unchanged)), base)
+  );
+  stale.forEach((position) => {
+    const id = entries[position].component.id;
+    if (recheck.best[id]) trackBest(kept, id, recheck.best[id], recheck.partners[id]);
+  });
+  kept.max = maxBest(kept.best);
+
+  const added = processPairRange(
+    entries,
+    config,
+    0,
+    entries.length,
+    compare,
+    touchingPairs(entries.length, changed, base)
+  );
+  return { state: mergeSimilarityStates([kept, added]), index, indexStats };
+}
+
+function scoreRetired(entries, unchanged, retiredIds, stored, config) {
+  const previous = [
+    ...entries.filter(isUnchanged(unchanged)),
+    ...retiredIds.map((id) => hydrateEntry(stored.components[id])),
+  ];
+  const retired = retiredIds.map((_, offset) => previous.length - retiredIds.length + offset);
+  const base = buildCandidates(previous, config)?.candidates || null;
+  return processPairRange(
+    previous,
+    config,
+    0,
+    previous.length,
+    compareMode(config),
+    touchingPairs(previous.length, retired, base)
+  );
+}
+
+function keepUnchanged(storedState, unchanged, retired) {
+  const kept = makeState();
+  kept.pairs = storedState.pairs.filter((pair) => unchanged.has(pair.a) && unchanged.has(pair.b));
+  kept.checked = storedState.checked - retired.checked;
+  kept.sum = storedState.sum - retired.sum;
+  kept.suppressed = storedState.suppressed - retired.suppressed;
+  Object.entries(storedState.reasons).forEach(([reason, count]) => {
+    const remaining = count - (retired.reasons[reason] || 0);
+    if (remaining > 0) kept.reasons[reason] = remaining;
+  });
+  unchanged.forEach((id) => {
+    const partner = storedState.partners[id];
+    if (storedState.best[id] && unchanged.has(partner)) {
+      trackBest(kept, id, storedState.best[id], partner);
+    }
+  });
+  return kept;
+}
+
+function staleBest(entries, unchanged, storedState) {
+  return indexesWhere(entries, (entry) => {
+    const { id } = entry.component;
+    return unchanged.has(id) && storedState.best[id] && !unchanged.has(storedState.partners[id]);
+  });
+}
+
+/**
+ * Candidate lists for every pair with at least one side in `touched`, restricted to the ANN
+ * candidates in `base` when given.
+ */
+function touchingPairs(count, touched, base) {
+  const touchedSet = new Set(touched);
+  return Array.from({ length: count }, (_, i) => {
+    if (touchedSet.has(i)) {
+      return base ? base[i] : Int32Array.from({ length: count - i - 1 }, (__, k) => i + 1 + k);
+    }
+    const partners = touched.filter((j) => j > i && isCandidate(base, i, j));
+    return partners.length ? Int32Array.from(partners) : NO_PARTNERS;
+  });
+}
+
+function pairsAmong(count, sides, others, base) {
+  const rows = new Array(count).fill(null);
+  sides.forEach((side) => {
+    others.forEach((other) => {
+      if (other === side) return;
+      const i = Math.min(side, other);
+      const j = Math.max(side, other);
+      if (!isCandidate(base, i, j)) return;
+      rows[i] = rows[i] || new Set();
+      rows[i].add(j);
+    });
+  });
+  return rows.map((row) => (row ? Int32Array.from(row).sort() : NO_PARTNERS));
+}
+
+function isCandidate(base, i, j) {
+  return !base?.[i] || includesSorted(base[i], j);
+}
+
+function includesSorted(list, value) {
+  let low = 0;
+  let high = list.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (list[middle] === value) return true;
+    if (list[middle] < value) low = middle + 1;
+    else high = middle - 1;
+  }
+  return false;
+}
+
+function indexesWhere(entries, predicate) {
+  return entries.reduce((acc, entry, index) => {
+    if (predicate(entry)) acc.push(index);
+    return acc;
+  }, []);
+}
+
+function isUnchanged(unchanged) {
+  return (entry) => unchanged.has(entry.component.id);
+}
+
+function buildRecord(entry) {
+  const inputs = pickMatchInputs(entry);
+  const vector = Array.from(entry.vector);
+  const styleVec = Array.from(entry.styleVec);
+  const hash = crypto.createHash('sha1');
+  hash.update(JSON.stringify(inputs));
+  hash.update(new Uint8Array(Float64Array.from(vector).buffer));
+  hash.update(new Uint8Array(Float64Array.from(styleVec).buffer));
+  const signature = hash.digest('hex');
+  return { id: entry.component.id, signature, stored: { signature, inputs, vector, styleVec } };
+}
+
+function hydrateEntry(record) {
+  return { ...record.inputs, vector: record.vector, styleVec: record.styleVec };
+}
+
+function restoreState(storedState) {
+  return { ...makeState(), ...storedState, max: maxBest(storedState.best) };
+}
+
+function maxBest(best) {
+  return Object.values(best).reduce((max, value) => Math.max(max, value), 0);
+}
+
+function persistableState(state) {
+  return {
+    pairs: state.pairs,
+    best: state.best,
+    partners: state.partners,
+    checked: state.checked,
+    sum: state.sum,
+    suppressed: state.suppressed,
+    reasons: state.reasons,
+  };
+}
+
+function fingerprintConfig(config) {
+  const hash = crypto.createHash('sha1');
+  hash.update(
+    JSON.stringify({
+      similarityThreshold: config.similarityThreshold,
+      highSimilarityThreshold: config.highSimilarityThreshold,
+      maxSimilarityThreshold: config.maxSimilarityThreshold ?? 1,
+      minPathDistance: Number(config.minPathDistance || 0),
+      disableAnalyses: [...(config.disableAnalyses || [])].sort(),
+      language: config.language,
+      scoring: resolveScoring(config),
+      ann: resolveAnn(config),
+      compare: compareMode(config),
+    })
+  );
+  return hash.digest('hex');
+}
+
+function emptyIndex() {
+  return { version: PAIR_INDEX_VERSION, fingerprint: null, components: {}, state: null };
+}
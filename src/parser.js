@@ -2,25 +2,33 @@ import fs from 'fs';
 import path from 'path';
 import { parseSync } from '@swc/core';
 import { IGNORE_COMPONENT_MARKER, IGNORE_FILE_MARKER } from './config.js';
-
-const TYPE_SCRIPT_EXTENSIONS = new Set(['.ts', '.tsx', '.cts', '.mts']);
-const JSX_EXTENSIONS = new Set(['.js', '.jsx', '.tsx', '.mjs', '.cjs']);
-const PASCAL_CASE_RE = /^[A-Z][A-Za-z0-9]*$/;
-const WALK_SKIP_KEYS = new Set([
-  'span',
-  'ctxt',
-  'decorators',
-  'typeAnnotation',
-  'typeParameters',
-  'returnType',
-  'typeParams',
-  'superTypeParams',
-  'implements',
-  'raw',
-  'interpreter',
-  'with',
-  'phase',
-]);
+import {
+  buildLineStarts,
+  collectScriptMeta,
+  getParserOptions,
+  identifierValue,
+  isPascalCase,
+  isStylePath,
+  resolveSpanOffset,
+  sliceSource,
+  spanToLoc,
+  walkNode,
+} from './ast-utils.js';
+import { classesFromAttribute, collectClassDefinitions } from './class-lists.js';
+import {
+  collectStyledDefinitions,
+  createStyleScope,
+  formatCssInJs,
+  stylesFromNode,
+} from './css-in-js.js';
+import { addStyleImport } from './style-resolver.js';
+import { parseVueFile } from './vue-parser.js';
+import { parseSvelteFile } from './svelte-parser.js';
+
+const SFC_PARSERS = {
+  '.vue': parseVueFile,
+  '.svelte': parseSvelteFile,
+};
 
 /**
  * Parses a single file to extract React components and their metadata.
@@ -34,6 +42,8 @@ export function parseFile(filePath, config) {
   if (config.allowIgnores && code.includes(IGNORE_FILE_MARKER)) {
     return { components: [], ignoredFile: true };
   }
+  const parseSfc = SFC_PARSERS[path.extname(filePath).toLowerCase()];
+  if (parseSfc) return parseSfc(filePath, code, config);
 
   const ast = parseSync(code, getParserOptions(filePath));
   const context = buildContext(code, filePath, config, ast);
@@ -41,7 +51,7 @@ export function parseFile(filePath, config) {
 
   walkNode(ast, null, (node, _parent) => {
     if (isStyleImport(node, context.styleExtensions)) {
-      context.styleImports.push(resolveImportPath(filePath, node.source.value));
+      addStyleImport(context, node.source.value, context);
       return;
     }
     const descriptor = resolveComponentDescriptor(node, filePath);
@@ -56,61 +66,19 @@ function buildContext(code, filePath, config, ast) {
   return {
     code,
     filePath,
+    config,
     styleExtensions: config.styleExtensions || [],
     allowIgnores: Boolean(config.allowIgnores),
     lines: config.allowIgnores ? code.split('\n') : null,
     lineStarts: buildLineStarts(code),
     spanOffset: resolveSpanOffset(ast),
     styleImports: [],
+    unresolvedStyleImports: [],
+    classDefinitions: collectClassDefinitions(ast),
+    styledDefinitions: collectStyledDefinitions(ast),
   };
 }
 
-function getParserOptions(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const isTypeScript = TYPE_SCRIPT_EXTENSIONS.has(ext);
-  const jsx = JSX_EXTENSIONS.has(ext);
-
-  if (isTypeScript) {
-    return {
-      syntax: 'typescript',
-      tsx: jsx,
-      decorators: true,
-      comments: false,
-      target: 'es2020',
-    };
-  }
-
-  return {
-    syntax: 'ecmascript',
-    jsx,
-    decorators: true,
-    decoratorsBeforeExport: true,
-    comments: false,
-    target: 'es2020',
-  };
-}
-
-function walkNode(node, parent, enter, exit) {
-  /* v8 ignore next */
-  if (!node || typeof node !== 'object') return;
-  if (Array.isArray(node)) {
-    node.forEach((child) => walkNode(child, parent, enter, exit));
-    return;
-  }
-  if (typeof node.type !== 'string') return;
-
-  enter?.(node, parent);
-
-  for (const key in node) {
-    if (WALK_SKIP_KEYS.has(key)) continue;
-    const value = node[key];
-    if (!value || typeof value !== 'object') continue;
-    walkNode(value, node, enter, exit);
-  }
-
-  exit?.(node, parent);
-}
-
 function resolveComponentDescriptor(node, filePath) {
   return (
     resolveNamedFunction(node) ||
@@ -190,9 +158,12 @@ function buildComponent(node, name, context) {
     jsxPaths: [],
     textNodes: [],
     classNames: [],
+    classGroups: [],
     componentRefs: [],
     returnsCount: 0,
     styleImports: context.styleImports,
+    unresolvedStyleImports: context.unresolvedStyleImports,
+    cssInJs: '',
     isWrapper: false,
     source: sliceSource(node.span, context.code, context.spanOffset),
   };
@@ -200,11 +171,14 @@ function buildComponent(node, name, context) {
   seedRootLogicToken(meta, node);
 
   const jsxStack = [];
+  const styleScope = createStyleScope(context.styledDefinitions);
+  const cssBlocks = [];
   walkNode(
     node,
     null,
     (innerNode, parent) => {
-      collectComponentNodeMeta(meta, jsxStack, innerNode, parent);
+      cssBlocks.push(...stylesFromNode(innerNode, styleScope));
+      collectComponentNodeMeta(meta, jsxStack, innerNode, parent, context);
     },
     (innerNode) => {
       if (innerNode.type === 'JSXElement') {
@@ -213,6 +187,7 @@ function buildComponent(node, name, context) {
     }
   );
 
+  meta.cssInJs = formatCssInJs(cssBlocks);
   meta.isWrapper = detectWrapper(meta);
   return meta;
 }
@@ -223,15 +198,12 @@ function seedRootLogicToken(meta, node) {
   if (name) meta.logicTokens.push(name);
 }
 
-function collectComponentNodeMeta(meta, jsxStack, node, parent) {
+function collectComponentNodeMeta(meta, jsxStack, node, parent, context) {
   return (
     collectJsxElement(meta, jsxStack, node) ||
-    collectJsxOpening(meta, node) ||
+    collectJsxOpening(meta, node, context) ||
     collectJsxText(meta, node) ||
-    collectCall(meta, node) ||
-    collectFunctionLogic(meta, node) ||
-    collectArrowLogic(meta, node, parent) ||
-    collectLiteral(meta, node)
+    collectScriptMeta(meta, node, parent)
   );
 }
 
@@ -244,10 +216,11 @@ function collectJsxElement(meta, jsxStack, node) {
   return true;
 }
 
-function collectJsxOpening(meta, node) {
+function collectJsxOpening(meta, node, context) {
   if (node.type !== 'JSXOpeningElement') return false;
-  const attrs = extractAttributes(node.attributes);
+  const attrs = extractAttributes(node.attributes, context.classDefinitions);
   meta.classNames.push(...attrs.classNames);
+  if (attrs.classNames.length) meta.classGroups.push(attrs.classNames);
   meta.literals.push(...attrs.literals);
   meta.componentRefs.push(...attrs.componentRefs);
   const tagRef = componentRefFromName(node.name);
@@ -263,46 +236,6 @@ function collectJsxText(meta, node) {
   return true;
 }
 
-function collectCall(meta, node) {
-  if (node.type !== 'CallExpression') return false;
-  const callee = node.callee;
-  if (callee?.type === 'Identifier' && callee.value.startsWith('use')) {
-    meta.hooks.push(callee.value);
-  } else if (callee?.type === 'MemberExpression') {
-    const name = identifierValue(callee.property);
-    if (name) meta.logicTokens.push(name);
-  }
-  return true;
-}
-
-function collectFunctionLogic(meta, node) {
-  if (node.type !== 'FunctionDeclaration') return false;
-  const name = identifierValue(node.identifier);
-  if (name) meta.logicTokens.push(name);
-  return true;
-}
-
-function collectArrowLogic(meta, node, parent) {
-  if (node.type !== 'ArrowFunctionExpression' || parent?.type !== 'VariableDeclarator') {
-    return false;
-  }
-  const name = identifierValue(parent.id);
-  if (name) meta.logicTokens.push(name);
-  return true;
-}
-
-function collectLiteral(meta, node) {
-  if (node.type === 'StringLiteral') {
-    meta.literals.push(node.value);
-    return true;
-  }
-  if (node.type === 'NumericLiteral') {
-    meta.literals.push(String(node.value));
-    return true;
-  }
-  return false;
-}
-
 function extractProps(node) {
   if (!isFunctionLike(node)) return { names: [], spreads: 0 };
   const param = firstParamPattern(node);
@@ -346,15 +279,15 @@ function extractObjectPatternProps(pattern) {
   return { names, spreads };
 }
 
-function extractAttributes(attributes = []) {
+function extractAttributes(attributes = [], classDefinitions) {
   const classNames = [];
   const literals = [];
   const componentRefs = [];
 
   attributes.forEach((attr) => {
     if (attr.type === 'JSXAttribute') {
-      if (attr.name.value === 'className' && attr.value?.type === 'StringLiteral') {
-        classNames.push(...attr.value.value.split(/\s+/).filter(Boolean));
+      if (attr.name.value === 'className') {
+        classNames.push(...classesFromAttribute(attr.value, classDefinitions));
       }
       if (attr.value?.type === 'StringLiteral') {
         literals.push(attr.value.value);
@@ -435,14 +368,6 @@ function isFunctionLike(node) {
   );
 }
 
-function identifierValue(node) {
-  return node?.type === 'Identifier' ? node.value : null;
-}
-
-function isPascalCase(name) {
-  return !!name && PASCAL_CASE_RE.test(name);
-}
-
 function extractJsxTag(nameNode) {
   if (nameNode?.type === 'Identifier') return nameNode.value;
   if (nameNode?.type === 'JSXMemberExpression') {
@@ -461,14 +386,6 @@ function detectWrapper(meta) {
   return tiny && smallJsx && mostlyProps && singleReturn;
 }
 
-function isStylePath(source, extensions) {
-  return extensions.some((ext) => source.endsWith(ext));
-}
-
-function resolveImportPath(fromFile, importPath) {
-  return importPath.startsWith('.') ? path.resolve(path.dirname(fromFile), importPath) : importPath;
-}
-
 function isIgnoredNode(node, context) {
   if (!context.allowIgnores || !node?.span || !context.lines) return false;
   const loc = spanToLoc(node.span, context.code.length, context.lineStarts, context.spanOffset);
@@ -480,68 +397,3 @@ function isIgnoredNode(node, context) {
   }
   return false;
 }
-
-function sliceSource(span, code, spanOffset = 0) {
-  /* v8 ignore next */
-  if (!span) return '';
-  const start = clampOffset(normalizeSpanValue(span.start, spanOffset) - 1, code.length);
-  const end = clampOffset(normalizeSpanValue(span.end, spanOffset) - 1, code.length);
-  return code.slice(start, Math.max(start, end));
-}
-
-function spanToLoc(span, length, lineStarts, spanOffset = 0) {
-  /* v8 ignore next */
-  if (!span) return null;
-  return {
-    start: offsetToLoc(
-      clampOffset(normalizeSpanValue(span.start, spanOffset) - 1, length),
-      lineStarts
-    ),
-    end: offsetToLoc(clampOffset(normalizeSpanValue(span.end, spanOffset) - 1, length), lineStarts),
-  };
-}
-
-function buildLineStarts(code) {
-  const starts = [0];
-  for (let i = 0; i < code.length; i += 1) {
-    if (code.charCodeAt(i) === 10) starts.push(i + 1);
-  }
-  return starts;
-}
-
-function offsetToLoc(offset, lineStarts) {
-  const lineIndex = findLineIndex(offset, lineStarts);
-  return {
-    line: lineIndex + 1,
-    column: offset - lineStarts[lineIndex],
-  };
-}
-
-function findLineIndex(offset, lineStarts) {
-  let low = 0;
-  let high = lineStarts.length - 1;
-
-  while (low <= high) {
-    const mid = Math.floor((low + high) / 2);
-    if (lineStarts[mid] <= offset) {
-      low = mid + 1;
-    } else {
-      high = mid - 1;
-    }
-  }
-
-  return Math.max(0, high);
-}
-
-function clampOffset(offset, length) {
-  return Math.max(0, Math.min(length, offset));
-}
-
-function resolveSpanOffset(ast) {
-  /* v8 ignore next */
-  return Math.max(0, (ast?.span?.start || 1) - 1);
-}
-
-function normalizeSpanValue(value, spanOffset) {
-  return Math.max(1, value - spanOffset);
-}
@@ -0,0 +1,39 @@
+import cliProgress from 'cli-progress';
+
+const BAR_PHASES = new Set(['download', 'embed']);
+
+/**
+ * Creates an `onProgress` callback that renders terminal progress bars for the slow pipeline
+ * phases (model download and embedding). Other phases are ignored.
+ *
+ * @returns {(event: { phase: string, completed: number, total: number }) => void}
+ */
+export function createProgressBars() {
+  const bars = new Map();
+  return ({ phase, completed, total }) => {
+    if (!BAR_PHASES.has(phase)) return;
+    if (!bars.has(phase)) {
+      const bar = new cliProgress.SingleBar(
+        { clearOnComplete: true },
+        cliProgress.Presets.shades_classic
+      );
+      bar.start(total, 0);
+      bars.set(phase, bar);
+    }
+    bars.get(phase).update(completed);
+    if (completed >= total) {
+      bars.get(phase).stop();
+      bars.delete(phase);
+    }
+  };
+}
+
+/**
+ * CLI pipeline hooks: terminal progress bars unless `config.showProgress` is off.
+ *
+ * @param {{ showProgress?: boolean }} config - Run configuration
+ * @returns {{ onProgress?: Function }} Hooks for the pipeline stages
+ */
+export function createCliHooks(config) {
+  return { onProgress: config.showProgress ? createProgressBars() : undefined };
+}
@@ -1,4 +1,8 @@
-export function buildRepresentation(component, styleText) {
+/**
+ * Text representations embedded per channel. The style channel and the style part of the
+ * holistic text use `styleCanonical` (the normalized styles), falling back to `styleText`.
+ */
+export function buildRepresentation(component, styleText, styleCanonical = styleText) {
   const lines = [];
   lines.push(`COMPONENT ${component.name}`);
   lines.push(
@@ -10,9 +14,9 @@ export function buildRepresentation(component, styleText) {
   lines.push(`CLASSES ${unique(component.classNames).join(',') || 'none'}`);
   lines.push(`LITERALS ${unique(component.literals).join(',') || 'none'}`);
   const codeRep = normalize(lines.join('\n'));
-  const styleRep = normalize(styleText || '');
+  const styleRep = normalize(styleCanonical || '');
   const structureRep = buildStructureRepresentation(component);
-  const holisticRep = buildHolisticRepresentation(component, styleText, structureRep, codeRep);
+  const holisticRep = buildHolisticRepresentation(component, styleCanonical, structureRep, codeRep);
   return { codeRep, styleRep, structureRep, holisticRep };
 }
 
@@ -42,13 +46,13 @@ function buildStructureRepresentation(component) {
   );
 }
 
-function buildHolisticRepresentation(component, styleText, structureRep, codeRep) {
-  const normalizedSource = normalize((component.source || '').slice(0, 4000));
+function buildHolisticRepresentation(component, styleCanonical, structureRep, codeRep) {
+  const normalizedSource = normalize(component.source || '');
   const parts = [
     `NAME ${component.name}`,
     `STRUCTURE ${structureRep}`,
     `CODE ${codeRep}`,
-    styleText ? `STYLE ${normalize(styleText)}` : '',
+    styleCanonical ? `STYLE ${normalize(styleCanonical)}` : '',
     normalizedSource ? `SOURCE ${normalizedSource}` : '',
   ].filter(Boolean);
   return normalize(parts.join('\n'));
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { LABEL_HINT_KEYS } from './labels.js';
+import { stableComponentId } from './baseline.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SRCROOT = 'SRCROOT';
+const INFORMATION_URI = 'https://github.com/pfrankov/duplicalis';
+const CATEGORY_RULE_KEYS = {
+  'almost-identical': 'sarifRuleAlmostIdentical',
+  'near-duplicate': 'sarifRuleNearDuplicate',
+};
+
+/**
+ * Converts a scan report into a SARIF 2.1.0 log with one result per reported pair.
+ * The first duplicate label is the rule id (the pair category when no label applies); the
+ * first component is the primary location and the second one is a related location.
+ */
+export function toSarifReport(report, entries, config, i18n) {
+  const root = path.resolve(config.root);
+  const byId = new Map(entries.map((entry) => [entry.component.id, entry.component]));
+  const rules = buildRules(i18n);
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+  const results = report.pairs
+    .filter((pair) => byId.has(pair.a) && byId.has(pair.b))
+    .map((pair) => buildResult(pair, byId.get(pair.a), byId.get(pair.b), root, ruleIndex, i18n));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'duplicalis',
+            version: readPackageVersion(),
+            informationUri: INFORMATION_URI,
+            rules,
+          },
+        },
+        originalUriBaseIds: { [SRCROOT]: { uri: pathToFileURL(`${root}${path.sep}`).href } },
+        results,
+      },
+    ],
+  };
+}
+
+function buildRules(i18n) {
+  const labelRules = Object.entries(LABEL_HINT_KEYS).map(([id, hintKey]) =>
+    makeRule(id, i18n[hintKey])
+  );
+  const categoryRules = Object.entries(CATEGORY_RULE_KEYS).map(([id, key]) =>
+    makeRule(id, i18n[key])
+  );
+  return [...labelRules, ...categoryRules];
+}
+
+function makeRule(id, text) {
+  return {
+    id,
+    name: id
+      .split('-')
+      .map((part) => part[0].toUpperCase() + part.slice(1))
+      .join(''),
+    shortDescription: { text },
+    properties: { tags: ['duplication'] },
+  };
+}
+
+function buildResult(pair, left, right, root, ruleIndex, i18n) {
+  const ruleId = pair.labels[0] || pair.category;
+  const related = buildLocation(right, root);
+  related.id = 1;
+  related.message = { text: right.name };
+  return {
+    ruleId,
+    ruleIndex: ruleIndex.get(ruleId),
+    level: pair.category === 'almost-identical' ? 'warning' : 'note',
+    message: { text: buildMessage(pair, left, right, i18n) },
+    locations: [buildLocation(left, root)],
+    relatedLocations: [related],
+    partialFingerprints: { 'duplicalisPair/v1': pairFingerprint(left, right, root) },
+    properties: {
+      similarity: pair.similarity,
+      category: pair.category,
+      labels: pair.labels,
+      ...(pair.newSide ? { newSide: pair.newSide } : {}),
+    },
+  };
+}
+
+function buildMessage(pair, left, right, i18n) {
+  const head = `${left.name} ↔ [${right.name}](1) (${i18n.scoreLabel} ${pair.similarity}).`;
+  return [head, ...pair.hints].join(' ');
+}
+
+function buildLocation(component, root) {
+  const physicalLocation = { artifactLocation: artifactLocation(component.filePath, root) };
+  const region = toRegion(component.loc);
+  if (region) physicalLocation.region = region;
+  return { physicalLocation };
+}
+
+function artifactLocation(filePath, root) {
+  const relative = path.relative(root, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return { uri: pathToFileURL(filePath).href };
+  }
+  return { uri: relative.split(path.sep).join('/'), uriBaseId: SRCROOT };
+}
+
+function toRegion(loc) {
+  if (!loc?.start || !loc?.end) return null;
+  return {
+    startLine: loc.start.line,
+    startColumn: loc.start.column + 1,
+    endLine: loc.end.line,
+    endColumn: loc.end.column + 1,
+  };
+}
+
+function pairFingerprint(left, right, root) {
+  const ids = [left, right].map((component) => stableComponentId(component, root)).sort();
+  return crypto.createHash('sha1').update(ids.join('::')).digest('hex');
+}
+
+function readPackageVersion() {
+  const packagePath = fileURLToPath(new URL('../package.json', import.meta.url));
+  return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version;
+}
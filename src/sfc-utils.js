@@ -0,0 +1,161 @@
+import path from 'path';
+import { parseSync } from '@swc/core';
+import { getAttribute, parseMarkup, walkElements } from './markup.js';
+import { addStyleImport } from './style-resolver.js';
+import {
+  buildLineStarts,
+  collectScriptMeta,
+  getParserOptions,
+  isPascalCase,
+  isStylePath,
+  spanToLoc,
+  walkNode,
+} from './ast-utils.js';
+
+const BLOCK_TAGS = new Set(['script', 'style']);
+const CLASS_LITERAL_RE = /['"]([^'"]+)['"]|([A-Za-z_][\w-]*)\s*:/g;
+
+/**
+ * Creates the component meta for a single-file component (Vue, Svelte). The whole file is one
+ * component, so `loc` and `source` cover the file; `styleBlocks` holds inline `<style>` contents.
+ */
+export function createSfcMeta(filePath, code) {
+  return {
+    id: null,
+    name: null,
+    filePath,
+    loc: spanToLoc({ start: 1, end: code.length + 1 }, code.length, buildLineStarts(code)),
+    props: { names: [], spreads: 0 },
+    hooks: [],
+    logicTokens: [],
+    literals: [],
+    jsxTags: [],
+    jsxPaths: [],
+    textNodes: [],
+    classNames: [],
+    classGroups: [],
+    componentRefs: [],
+    returnsCount: 0,
+    styleImports: [],
+    unresolvedStyleImports: [],
+    cssInJs: '',
+    styleBlocks: [],
+    isWrapper: false,
+    source: code,
+  };
+}
+
+/**
+ * Splits a single-file component into its top-level `<script>` and `<style>` blocks and the
+ * remaining markup nodes.
+ */
+export function splitSfcBlocks(code) {
+  const blocks = { scripts: [], styles: [], markup: [] };
+  parseMarkup(code).children.forEach((node) => {
+    const tag = node.type === 'element' ? node.tag.toLowerCase() : null;
+    if (!BLOCK_TAGS.has(tag)) {
+      blocks.markup.push(node);
+      return;
+    }
+    const block = { node, content: code.slice(node.contentStart, node.contentEnd) };
+    blocks[tag === 'script' ? 'scripts' : 'styles'].push(block);
+  });
+  return blocks;
+}
+
+/**
+ * Parses an inline `<script>` block with SWC, records style imports, and collects the shared
+ * script meta; `visit` adds framework-specific meta for every node. `<script src>` is skipped.
+ */
+export function collectSfcScript(meta, script, context, visit) {
+  if (getAttribute(script.node, 'src')?.value) return;
+  const lang = getAttribute(script.node, 'lang')?.value || 'js';
+  const ast = parseSync(script.content, getParserOptions(`component.${lang}`));
+  const styleExtensions = context.config.styleExtensions || [];
+  walkNode(ast, null, (node, parent) => {
+    if (node.type === 'ImportDeclaration' && isStylePath(node.source.value, styleExtensions)) {
+      addStyleImport(meta, node.source.value, context);
+      return;
+    }
+    visit(node, parent);
+    collectScriptMeta(meta, node, parent);
+  });
+}
+
+/**
+ * Collects tags, element paths, and component refs from markup. Elements matching `isTransparent`
+ * (e.g. Vue `<template>` wrappers) are left out of tags and paths but their children are kept.
+ */
+export function collectSfcMarkup(meta, root, { collectAttribute, isTransparent }) {
+  walkElements(root, (element, ancestors) => {
+    if (isTransparent(element.tag)) return;
+    const tag = normalizeTag(element.tag);
+    const jsxPath = [...ancestors.filter((name) => !isTransparent(name)), element.tag]
+      .map(normalizeTag)
+      .join('>');
+    meta.jsxTags.push(tag);
+    meta.jsxPaths.push(jsxPath);
+    meta.returnsCount += 1;
+    if (isPascalCase(tag)) meta.componentRefs.push(tag);
+    element.attributes.forEach((attribute) => collectAttribute(meta, attribute));
+  });
+}
+
+/**
+ * Adds non-empty text nodes after `stripExpressions` removes template expressions from them.
+ */
+export function collectSfcText(meta, node, stripExpressions) {
+  node.children.forEach((child) => {
+    if (child.type === 'element') {
+      collectSfcText(meta, child, stripExpressions);
+      return;
+    }
+    const text = stripExpressions(child.value).replace(/\s+/g, ' ').trim();
+    if (text) meta.textNodes.push(text);
+  });
+}
+
+/**
+ * Pulls class names out of a bound class expression: quoted strings and object-syntax keys.
+ */
+export function classesFromExpression(value) {
+  return Array.from(value.matchAll(CLASS_LITERAL_RE), (match) => match[1] || match[2])
+    .flatMap((entry) => entry.split(/\s+/))
+    .filter(Boolean);
+}
+
+export function collectSfcStyle(meta, style, context) {
+  const src = getAttribute(style.node, 'src')?.value;
+  if (src) {
+    addStyleImport(meta, src, context);
+    return;
+  }
+  if (style.content.trim()) meta.styleBlocks.push(style.content.trim());
+}
+
+/**
+ * Names the component (falling back to the file name) and marks thin wrappers: components that
+ * forward props to at most two elements with few literals.
+ */
+export function finishSfcMeta(meta, name) {
+  meta.name = name || path.basename(meta.filePath, path.extname(meta.filePath));
+  meta.id = `${meta.filePath}#${meta.name}`;
+  const forwards = meta.props.spreads > 0 || meta.props.names.length > 0;
+  meta.isWrapper = forwards && meta.jsxTags.length <= 2 && meta.literals.length <= 4;
+  return { components: [meta], ignoredFile: false };
+}
+
+export function addProps(meta, names) {
+  names.forEach((name) => {
+    if (!meta.props.names.includes(name)) meta.props.names.push(name);
+  });
+}
+
+export function normalizeTag(tag) {
+  if (!tag.includes('-')) return tag;
+  return tag
+    .split('-')
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+}
@@ -1,7 +1,9 @@
 import fs from 'fs';
-import cliProgress from 'cli-progress';
 import { ensureComponentAnalysis } from './component-analysis.js';
 import { normalize } from './math.js';
+import { getI18n } from './i18n.js';
+import { chunk, mapWithConcurrency } from './batching.js';
+import { aggregateChunks, chunkSignature, resolveChunking, splitIntoChunks } from './chunking.js';
 import {
   loadCache,
   saveCache,
@@ -12,27 +14,61 @@ import {
 
 const DEFAULT_WEIGHT = { code: 0.55, style: 0.2, structure: 0.15, holistic: 0.1 };
 const VEC_KEYS = ['codeVec', 'styleVec', 'structureVec', 'holisticVec'];
+const REP_KEYS = {
+  codeVec: 'codeRep',
+  styleVec: 'styleRep',
+  structureVec: 'structureRep',
+  holisticVec: 'holisticRep',
+};
+const TRUNCATION_NAMES = {
+  codeVec: 'code',
+  styleVec: 'style',
+  structureVec: 'structure',
+  holisticVec: 'holistic',
+};
 
-export async function embedComponents(components, backend, config) {
-  const cache = loadCache(config.cachePath, config.language);
-  const modelId = modelKey(config);
+/**
+ * Embeds components, reusing cached vectors. Cache misses are collected first and embedded once per
+ * distinct text, in `backend.embedBatch` groups of `backend.batchSize` with up to
+ * `backend.concurrency` requests in flight. Representations longer than `config.chunking.size` are
+ * embedded as overlapping chunks and aggregated; entries list the representations that were
+ * truncated. When embedding fails, the vectors finished so far are saved to the cache before the
+ * error propagates; backends with `cacheable: false` skip the cache entirely. `onProgress` receives
+ * `{ phase: 'embed', completed, total }` counted in texts; `onWarning` receives cache read problems.
+ */
+export async function embedComponents(components, backend, runConfig, hooks = {}) {
+  const config = backend.cacheable === false ? { ...runConfig, cachePath: null } : runConfig;
+  const cache = loadCache(config.cachePath, config.language, hooks.onWarning);
+  const modelId = modelKey(config, backend);
+  const chunking = resolveChunking(config, backend);
   const cleaned = cleanCache(cache, config);
   const stats = { hits: 0, misses: 0, uncached: [] };
-  const entries = [];
-  const memo = new Map();
-  const bar = createBar(config.showProgress, components.length);
-  let dirty = false;
-
-  for (const component of components) {
-    const result = await embedComponent(component, backend, config, cache, modelId, stats, memo);
-    entries.push(result.entry);
-    cache.entries[result.cacheId] = result.cacheValue;
-    dirty = dirty || result.dirty;
-    bar?.increment();
+  const planned = components.map((component) => {
+    const analysis = ensureComponentAnalysis(component, config);
+    const splits = splitRepresentation(analysis.representation, chunking);
+    const chunkKey = isChunked(splits) ? chunkSignature(chunking) : '';
+    const cached = getCached(component, analysis, chunkKey, cache, modelId, stats);
+    return { component, analysis, splits, cached };
+  });
+  const chunkVectors = new Map();
+  try {
+    await embedTexts(collectMissingChunks(planned), backend, config, hooks, chunkVectors);
+  } catch (error) {
+    savePartialProgress(planned, combineChunks(planned, chunkVectors, chunking), cache, config);
+    throw error;
   }
+  const embedded = combineChunks(planned, chunkVectors, chunking);
+  const entries = planned.map((plan) => {
+    const vectors = resolveVectors(plan, embedded, backend);
+    cache.entries[plan.cached.cacheId] = {
+      fingerprint: plan.cached.fingerprint,
+      ...vectors,
+      filePath: plan.component.filePath,
+    };
+    return buildEntry(plan, vectors, config);
+  });
 
-  bar?.stop();
-  if (dirty || cleaned > 0) {
+  if (embedded.size > 0 || planned.some((plan) => !plan.cached.complete) || cleaned > 0) {
     saveCache(config.cachePath, cache);
   }
   stats.cleaned = cleaned;
@@ -40,50 +76,38 @@ export async function embedComponents(components, backend, config) {
   return { entries, cacheStats: stats };
 }
 
-function createBar(show, total) {
-  if (!show) return null;
-  const bar = new cliProgress.SingleBar(
-    { clearOnComplete: true },
-    cliProgress.Presets.shades_classic
-  );
-  bar.start(total, 0);
-  return bar;
-}
-
-async function embedComponent(component, backend, config, cache, modelId, stats, memo) {
-  const analysis = ensureComponentAnalysis(component, config);
-  const rep = analysis.representation;
-  const cached = getCached(component, rep, analysis.styleText, cache, modelId, stats);
-  const vecs = await embedMissing(cached.vectors, rep, backend, memo);
-  const hasStyles = analysis.hasStyles;
+function buildEntry({ component, analysis, splits }, vectors, config) {
   return {
-    entry: {
-      component,
-      vector: combineVectors(vecs.vectors, config.weight, hasStyles),
-      ...vecs.vectors,
-      styleText: analysis.styleText,
-      stylePaths: analysis.stylePaths,
-      hasCssInJs: analysis.hasCssInJs,
-      hasStyles,
-      representation: rep,
-    },
-    cacheId: cached.cacheId,
-    cacheValue: {
-      fingerprint: cached.fingerprint,
-      ...vecs.vectors,
-      filePath: component.filePath,
-    },
-    dirty: vecs.dirty || !cached.complete,
+    component,
+    vector: combineVectors(vectors, config.weight, analysis.hasStyles),
+    ...vectors,
+    styleText: analysis.styleText,
+    styleCanonical: analysis.styleCanonical,
+    stylePaths: analysis.stylePaths,
+    hasCssInJs: analysis.hasCssInJs,
+    hasStyles: analysis.hasStyles,
+    representation: analysis.representation,
+    truncated: VEC_KEYS.filter((key) => splits[key]?.truncated).map((key) => TRUNCATION_NAMES[key]),
   };
 }
 
-function getCached(component, rep, styleText, cache, modelId, stats) {
+function splitRepresentation(rep, chunking) {
+  return Object.fromEntries(
+    VEC_KEYS.map((key) => {
+      const text = rep[REP_KEYS[key]];
+      return [key, text ? splitIntoChunks(text, chunking) : null];
+    })
+  );
+}
+
+function getCached(component, { representation: rep, styleText }, chunkKey, cache, modelId, stats) {
   const fingerprint = fingerprintRepresentation(
     rep.codeRep,
     rep.styleRep,
     styleText,
     rep.structureRep,
-    rep.holisticRep
+    rep.holisticRep,
+    chunkKey
   );
   const cacheId = buildCacheKey(modelId, component.id);
   const entry = cache.entries?.[cacheId];
@@ -109,39 +133,88 @@ function pickVecs(entry = {}) {
   return { codeVec, styleVec, structureVec, holisticVec };
 }
 
-async function embedMissing(vectors, rep, backend, memo) {
-  const code = await getVec(vectors.codeVec, rep.codeRep, backend, memo);
-  const size = Math.max(1, code.value.length);
-  const style = await getVec(vectors.styleVec, rep.styleRep, backend, memo, size);
-  const structure = await getVec(vectors.structureVec, rep.structureRep, backend, memo);
-  const holistic = await getVec(vectors.holisticVec, rep.holisticRep, backend, memo);
-  return {
-    vectors: {
-      codeVec: code.value,
-      styleVec: style.value,
-      structureVec: structure.value,
-      holisticVec: holistic.value,
-    },
-    dirty: code.dirty || style.dirty || structure.dirty || holistic.dirty,
-  };
+function isChunked(splits) {
+  return Object.values(splits).some((split) => split?.chunks.length > 1);
 }
 
-async function getVec(current, rep, backend, memo, size = 1) {
-  if (current) return { value: current, dirty: false };
-  if (!rep) return { value: zeroVec(size), dirty: true };
-  return getMemo(rep, backend, memo);
+function collectMissingChunks(planned) {
+  const texts = new Set();
+  planned.forEach(({ splits, cached }) => {
+    VEC_KEYS.forEach((key) => {
+      if (splits[key] && !cached.vectors[key])
+        splits[key].chunks.forEach((text) => texts.add(text));
+    });
+  });
+  return Array.from(texts);
 }
 
-async function getMemo(rep, backend, memo) {
-  if (memo.has(rep)) {
-    return { value: await memo.get(rep), dirty: false };
-  }
-  const pending = Promise.resolve(backend.embed(rep)).catch((error) => {
-    memo.delete(rep);
-    throw error;
+/**
+ * Maps each missing representation text to its vector once all of its chunks are embedded.
+ */
+function combineChunks(planned, chunkVectors, chunking) {
+  const combined = new Map();
+  planned.forEach(({ analysis, splits, cached }) => {
+    VEC_KEYS.forEach((key) => {
+      const split = splits[key];
+      if (!split || cached.vectors[key]) return;
+      const vectors = split.chunks.map((text) => chunkVectors.get(text));
+      if (vectors.every(Boolean)) {
+        const text = analysis.representation[REP_KEYS[key]];
+        combined.set(text, aggregateChunks(vectors, split.chunks, chunking.aggregation));
+      }
+    });
   });
-  memo.set(rep, pending);
-  return { value: await pending, dirty: true };
+  return combined;
+}
+
+async function embedTexts(texts, backend, config, hooks, vectors) {
+  const groups = chunk(texts, backend.embedBatch ? backend.batchSize : 1);
+  let completed = 0;
+  await mapWithConcurrency(groups, backend.concurrency, async (group) => {
+    const result = await embedGroup(group, backend, config);
+    group.forEach((text, index) => vectors.set(text, result[index]));
+    completed += group.length;
+    hooks.onProgress?.({ phase: 'embed', completed, total: texts.length });
+  });
+}
+
+function savePartialProgress(planned, embedded, cache, config) {
+  if (!embedded.size) return;
+  planned.forEach(({ component, analysis, cached }) => {
+    const known = VEC_KEYS.map((key) => [
+      key,
+      cached.vectors[key] || embedded.get(analysis.representation[REP_KEYS[key]]),
+    ]).filter(([, vector]) => vector);
+    if (!known.length) return;
+    cache.entries[cached.cacheId] = {
+      fingerprint: cached.fingerprint,
+      ...Object.fromEntries(known),
+      filePath: component.filePath,
+    };
+  });
+  saveCache(config.cachePath, cache);
+}
+
+async function embedGroup(group, backend, config) {
+  if (!backend.embedBatch) return [await backend.embed(group[0])];
+  const vectors = await backend.embedBatch(group);
+  if (vectors?.length !== group.length) {
+    throw new Error(getI18n(config.language).errCustomBackendBatchSize);
+  }
+  return vectors;
+}
+
+function resolveVectors({ analysis, cached }, embedded, backend) {
+  const rep = analysis.representation;
+  const pick = (key) => cached.vectors[key] || embedded.get(rep[REP_KEYS[key]]);
+  const codeVec = pick('codeVec');
+  const size = backend.dimensions || codeVec?.length || 1;
+  return {
+    codeVec: codeVec || zeroVec(size),
+    styleVec: pick('styleVec') || zeroVec(size),
+    structureVec: pick('structureVec') || zeroVec(size),
+    holisticVec: pick('holisticVec') || zeroVec(size),
+  };
 }
 
 function combineVectors(vectors, weight = {}, hasStyles) {
@@ -172,7 +245,7 @@ function hasAllVectors(entry, fingerprint) {
   return VEC_KEYS.every((key) => Array.isArray(entry[key]) && entry[key].length > 0);
 }
 
-function zeroVec(size = 1) {
+function zeroVec(size) {
   return new Array(size).fill(0);
 }
 
@@ -1,27 +1,43 @@
-import { labelPair } from './labels.js';
-import { dot } from './math.js';
+import path from 'path';
+import { labelInputs, labelPair } from './labels.js';
+import { cosine, dot } from './math.js';
+import {
+  STRUCTURAL_SIGNALS,
+  blendScore,
+  resolveScoring,
+  structuralSignals,
+} from './similarity-signals.js';
 
 const componentMetaCache = new WeakMap();
 const entryMetaCache = new WeakMap();
-
-export function findSimilaritiesSync(entries, config) {
-  const state = processPairRange(entries, config, 0, entries.length, hasCompare(config));
-  return finalizeSimilarityState(state, config);
-}
+const FRAMEWORK_BY_EXTENSION = { '.vue': 'vue', '.svelte': 'svelte' };
+const PERFECT_SIGNALS = Object.fromEntries(STRUCTURAL_SIGNALS.map((signal) => [signal, 1]));
+const CHANNELS = {
+  code: 'codeVec',
+  style: 'styleVec',
+  structure: 'structureVec',
+  holistic: 'holisticVec',
+};
 
 export function processPairRange(
   entries,
   config,
   startIndex,
   endIndex,
-  compare = hasCompare(config)
+  compare = compareMode(config),
+  candidates = null
 ) {
   const state = makeState();
+  const scoring = resolveScoring(config);
   primeComponentMeta(entries);
 
   for (let i = startIndex; i < endIndex; i += 1) {
-    for (let j = i + 1; j < entries.length; j += 1) {
-      addResult(state, entries[i], entries[j], evalPair(entries[i], entries[j], config, compare));
+    const partners = candidates?.[i];
+    const count = partners ? partners.length : entries.length - i - 1;
+    for (let k = 0; k < count; k += 1) {
+      const j = partners ? partners[k] : i + 1 + k;
+      const result = evalPair(entries[i], entries[j], config, compare, scoring);
+      addResult(state, entries[i], entries[j], result);
     }
   }
 
@@ -45,7 +61,7 @@ export function mergeSimilarityStates(states = []) {
 
     /* v8 ignore next */
     Object.entries(state.best || {}).forEach(([id, similarity]) => {
-      trackBest(merged.best, id, similarity);
+      trackBest(merged, id, similarity, state.partners?.[id]);
     });
 
     /* v8 ignore next */
@@ -57,21 +73,53 @@ export function mergeSimilarityStates(states = []) {
   return merged;
 }
 
-export function finalizeSimilarityState(state, config) {
+export function finalizeSimilarityState(state, config, entries, index = null) {
+  const pairs = limitPairs(state.pairs, config.limit);
+  if (config.explain) explainPairs(pairs, entries);
+  const scorecard = makeScorecard(state);
+  if (index) {
+    const totalPairs = (entries.length * (entries.length - 1)) / 2;
+    scorecard.ann = { candidatePairs: index.candidatePairs, totalPairs };
+  }
+  return { pairs, scorecard };
+}
+
+export function pickMatchInputs(entry) {
   return {
-    pairs: limitPairs(state.pairs, config.limit),
-    scorecard: makeScorecard(state),
+    component: {
+      id: entry.component.id,
+      name: entry.component.name,
+      filePath: entry.component.filePath,
+      props: entry.component.props,
+      hooks: entry.component.hooks,
+      logicTokens: entry.component.logicTokens,
+      literals: entry.component.literals,
+      jsxTags: entry.component.jsxTags,
+      jsxPaths: entry.component.jsxPaths,
+      textNodes: entry.component.textNodes,
+      classNames: entry.component.classNames,
+      componentRefs: entry.component.componentRefs,
+      isWrapper: entry.component.isWrapper,
+      source: entry.component.source,
+      isCompareTarget: entry.component.isCompareTarget,
+    },
+    styleCanonical: entry.styleCanonical,
+    stylePaths: entry.stylePaths,
+    hasCssInJs: entry.hasCssInJs,
+    hasStyles: entry.hasStyles,
   };
 }
 
-export function hasCompare(config) {
-  return Array.isArray(config.compareGlobs) && config.compareGlobs.length > 0;
+export function compareMode(config) {
+  if (config.since) return 'since';
+  return Array.isArray(config.compareGlobs) && config.compareGlobs.length > 0 ? 'globs' : null;
 }
 
-function makeState() {
+export function makeState() {
   return {
     pairs: [],
     best: {},
+    partners: {},
     checked: 0,
     sum: 0,
     max: 0,
@@ -80,12 +128,15 @@ function makeState() {
   };
 }
 
-function evalPair(a, b, config, compare) {
+function evalPair(a, b, config, compare, scoring) {
   const left = getComponentMeta(a.component);
   const right = getComponentMeta(b.component);
   if (skipCompare(a, b, compare)) return { suppression: 'compare-filter' };
+  if (left.framework !== right.framework) return { suppression: 'cross-framework' };
 
-  const similarity = pairSimilarity(a, b);
+  const scored = pairSimilarity(a, b, scoring, config.similarityThreshold);
+  if (!scored) return {};
+  const { similarity, signals } = scored;
   if (similarity < config.similarityThreshold) return { similarity };
   if (similarity - (config.maxSimilarityThreshold ?? 1) > 1e-6) {
     return { similarity, suppression: 'over-max-threshold' };
@@ -97,29 +148,40 @@ function evalPair(a, b, config, compare) {
   const suppression = suppressPair(a.component, b.component, left, right);
   if (suppression) return { similarity, suppression };
 
+  return { similarity, pair: buildPair(a, b, { similarity, signals }, config) };
+}
+
+function buildPair(a, b, { similarity, signals }, config) {
   const labeled = labelPair(a, b, similarity, config);
   return {
-    similarity,
-    pair: {
-      a: a.component.id,
-      b: b.component.id,
-      similarity: Number(similarity.toFixed(4)),
-      category:
-        similarity >= config.highSimilarityThreshold ? 'almost-identical' : 'near-duplicate',
-      labels: labeled.labels,
-      hints: labeled.hints,
-    },
+    a: a.component.id,
+    b: b.component.id,
+    similarity: Number(similarity.toFixed(4)),
+    category: similarity >= config.highSimilarityThreshold ? 'almost-identical' : 'near-duplicate',
+    labels: labeled.labels,
+    hints: labeled.hints,
+    ...(signals ? { signals } : {}),
   };
 }
 
-function pairSimilarity(a, b) {
+function pairSimilarity(a, b, scoring, threshold) {
   const left = getEntryMeta(a);
   const right = getEntryMeta(b);
-  return cosineWithMeta(a.vector, b.vector, left.norm, right.norm);
+  const embedding = cosineWithMeta(a.vector, b.vector, left.norm, right.norm);
+  if (scoring.mode !== 'hybrid') return { similarity: embedding };
+  const bound = blendScore(embedding, PERFECT_SIGNALS, scoring.weights);
+  if (bound < threshold) return null;
+  const structural = structuralSignals(a, b);
+  const signals = { embedding: round(embedding) };
+  Object.entries(structural).forEach(([signal, value]) => {
+    if (value != null) signals[signal] = round(value);
+  });
+  return { similarity: blendScore(embedding, structural, scoring.weights), signals };
 }
 
-function skipCompare(a, b, compare) {
+export function skipCompare(a, b, compare) {
   if (!compare) return false;
+  if (compare === 'since') return !a.component.isCompareTarget && !b.component.isCompareTarget;
   return !(a.component.isCompareTarget ^ b.component.isCompareTarget);
 }
 
@@ -128,8 +190,8 @@ function addResult(state, a, b, result) {
     state.checked += 1;
     state.sum += result.similarity;
     state.max = Math.max(state.max, result.similarity);
-    trackBest(state.best, a.component.id, result.similarity);
-    trackBest(state.best, b.component.id, result.similarity);
+    trackBest(state, a.component.id, result.similarity, b.component.id);
+    trackBest(state, b.component.id, result.similarity, a.component.id);
   }
   if (result.suppression) {
     state.suppressed += 1;
@@ -155,9 +217,40 @@ function limitPairs(pairs, limit) {
   });
 }
 
-function trackBest(best, id, similarity) {
-  const current = best[id] || 0;
-  if (similarity > current) best[id] = similarity;
+function explainPairs(pairs, entries) {
+  const byId = new Map(entries.map((entry) => [entry.component.id, entry]));
+  pairs.forEach((pair) => {
+    const a = byId.get(pair.a);
+    const b = byId.get(pair.b);
+    const channels = {};
+    Object.entries(CHANNELS).forEach(([channel, key]) => {
+      if (channel === 'style' && !a.hasStyles && !b.hasStyles) return;
+      channels[channel] = round(cosine(a[key], b[key]));
+    });
+    const inputs = labelInputs(a, b);
+    pair.explanation = {
+      channels,
+      labelInputs: {
+        logicOverlap: round(inputs.logicOverlap),
+        literalOverlap: round(inputs.literalOverlap),
+        tokenOverlap: round(inputs.tokenOverlap),
+        styleOverlap: round(inputs.styleOverlap),
+        lineDiff: inputs.lineDiff,
+      },
+    };
+  });
+}
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+export function trackBest(state, id, similarity, partner) {
+  const current = state.best[id] || 0;
+  if (similarity > current) {
+    state.best[id] = similarity;
+    state.partners[id] = partner;
+  }
 }
 
 function makeScorecard(state) {
@@ -199,6 +292,7 @@ function getComponentMeta(component) {
     logicAndHooks: (component.logicTokens?.length || 0) + (component.hooks?.length || 0),
     textCount: component.textNodes?.length || 0,
     pathDirs: splitDirs(component.filePath),
+    framework: frameworkOf(component.filePath),
   };
   componentMetaCache.set(component, meta);
   return meta;
@@ -333,6 +427,10 @@ function pathDistance(left = [], right = []) {
   return 0;
 }
 
+function frameworkOf(filePath = '') {
+  return FRAMEWORK_BY_EXTENSION[path.extname(filePath).toLowerCase()] || 'react';
+}
+
 function splitDirs(filePath) {
   /* v8 ignore next */
   if (!filePath) return [];
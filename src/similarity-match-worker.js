@@ -3,8 +3,8 @@ import { processPairRange } from './similarity-match-core.js';
 
 export function runSimilarityWorker(data = workerData, port = parentPort) {
   const entries = materializeEntries(data);
-  const { config, compare, range } = data;
-  const state = processPairRange(entries, config, range.start, range.end, compare);
+  const { config, compare, range, candidates } = data;
+  const state = processPairRange(entries, config, range.start, range.end, compare, candidates);
   port?.postMessage(state);
   return state;
 }
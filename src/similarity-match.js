@@ -2,34 +2,45 @@ import os from 'os';
 import { Worker } from 'worker_threads';
 import { fileURLToPath } from 'url';
 import {
-  findSimilaritiesSync,
   finalizeSimilarityState,
-  hasCompare,
+  compareMode,
   mergeSimilarityStates,
+  pickMatchInputs,
   processPairRange,
 } from './similarity-match-core.js';
+import { resolveScoring } from './similarity-signals.js';
+import { buildCandidates } from './ann.js';
 
 const DEFAULT_MIN_ENTRIES_FOR_WORKERS = 512;
 
 export function findSimilarities(entries, config) {
-  const workerCount = resolveWorkerCount(entries.length, config);
-  if (workerCount <= 1) {
-    return findSimilaritiesSync(entries, config);
-  }
-  return findSimilaritiesWithWorkers(entries, config, workerCount);
+  const collected = collectSimilarityState(entries, config);
+  const finalize = ({ state, index }) => finalizeSimilarityState(state, config, entries, index);
+  return collected instanceof Promise ? collected.then(finalize) : finalize(collected);
 }
 
-async function findSimilaritiesWithWorkers(entries, config, workerCount) {
-  const compare = hasCompare(config);
+/**
+ * Scores every candidate pair and returns the raw match state before limiting, together with the
+ * ANN candidate index (`null` when ANN is off). Returns a promise only when worker threads are used.
+ */
+export function collectSimilarityState(entries, config) {
+  resolveScoring(config);
+  const compare = compareMode(config);
+  const index = buildCandidates(entries, config);
+  const candidates = index?.candidates || null;
+  const workerCount = resolveWorkerCount(entries.length, config);
   const ranges = buildRanges(entries.length, workerCount);
-  /* v8 ignore next */
-  if (ranges.length <= 1) {
-    return finalizeSimilarityState(
-      processPairRange(entries, config, 0, entries.length, compare),
-      config
-    );
+  if (workerCount <= 1 || ranges.length <= 1) {
+    const state = processPairRange(entries, config, 0, entries.length, compare, candidates);
+    return { state, index };
   }
+  return scoreWithWorkers(entries, config, { compare, ranges, candidates }).then((state) => ({
+    state,
+    index,
+  }));
+}
 
+async function scoreWithWorkers(entries, config, { compare, ranges, candidates }) {
   const workerPath = fileURLToPath(new URL('./similarity-match-worker.js', import.meta.url));
   const workerPayload = buildWorkerPayload(entries);
   const workerConfig = buildWorkerConfig(config);
@@ -38,7 +49,7 @@ async function findSimilaritiesWithWorkers(entries, config, workerCount) {
       (range) =>
         new Promise((resolve, reject) => {
           const worker = new Worker(workerPath, {
-            workerData: { ...workerPayload, config: workerConfig, compare, range },
+            workerData: { ...workerPayload, config: workerConfig, compare, range, candidates },
           });
           worker.once('message', resolve);
           worker.once('error', reject);
@@ -50,7 +61,7 @@ async function findSimilaritiesWithWorkers(entries, config, workerCount) {
     )
   );
 
-  return finalizeSimilarityState(mergeSimilarityStates(partialStates), config);
+  return mergeSimilarityStates(partialStates);
 }
 
 /* v8 ignore start */
@@ -130,25 +141,7 @@ function buildWorkerPayload(entries) {
       vectorLength: entry.vector.length,
       styleIndex: index,
       styleLength: entry.styleVec.length,
-      component: {
-        id: entry.component.id,
-        name: entry.component.name,
-        filePath: entry.component.filePath,
-        props: entry.component.props,
-        hooks: entry.component.hooks,
-        logicTokens: entry.component.logicTokens,
-        literals: entry.component.literals,
-        jsxTags: entry.component.jsxTags,
-        textNodes: entry.component.textNodes,
-        classNames: entry.component.classNames,
-        componentRefs: entry.component.componentRefs,
-        isWrapper: entry.component.isWrapper,
-        source: entry.component.source,
-        isCompareTarget: entry.component.isCompareTarget,
-      },
-      stylePaths: entry.stylePaths,
-      hasCssInJs: entry.hasCssInJs,
-      hasStyles: entry.hasStyles,
+      ...pickMatchInputs(entry),
     };
   });
 
@@ -175,5 +168,7 @@ function buildWorkerConfig(config) {
     disableAnalyses: config.disableAnalyses,
     language: config.language,
     limit: config.limit,
+    scoring: config.scoring,
+    scoreWeights: config.scoreWeights,
   };
 }
@@ -0,0 +1,126 @@
+import { getI18n } from './i18n.js';
+
+export const SCORING_MODES = ['embedding', 'hybrid'];
+export const STRUCTURAL_SIGNALS = ['jsx', 'props', 'hooks', 'style'];
+export const DEFAULT_SCORE_WEIGHTS = {
+  embedding: 0.6,
+  jsx: 0.15,
+  props: 0.1,
+  hooks: 0.05,
+  style: 0.1,
+};
+
+const MAX_SEQUENCE = 200;
+const featureCache = new WeakMap();
+
+/**
+ * Reads `config.scoring` and `config.scoreWeights`. Weights are relative; signals left out of
+ * `scoreWeights` keep their default weight and a weight of 0 turns a signal off.
+ *
+ * @returns {{ mode: string, weights: Object<string, number> }}
+ */
+export function resolveScoring(config) {
+  const i18n = getI18n(config.language);
+  const mode = config.scoring || 'embedding';
+  if (!SCORING_MODES.includes(mode)) {
+    throw new Error(`${i18n.errScoringModeInvalidPrefix} ${mode} (${SCORING_MODES.join(', ')})`);
+  }
+  const weights = { ...DEFAULT_SCORE_WEIGHTS };
+  Object.entries(config.scoreWeights || {}).forEach(([signal, value]) => {
+    if (!(signal in DEFAULT_SCORE_WEIGHTS)) {
+      const known = Object.keys(DEFAULT_SCORE_WEIGHTS).join(', ');
+      throw new Error(`${i18n.errScoreSignalUnknownPrefix} ${signal} (${known})`);
+    }
+    const weight = value === '' || value === null ? NaN : Number(value);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`${i18n.errScoreWeightInvalidPrefix} ${signal}=${value}`);
+    }
+    weights[signal] = weight;
+  });
+  return { mode, weights };
+}
+
+/**
+ * Structural similarities of two embedded entries, each in [0, 1]: JSX path edit distance, prop
+ * name Jaccard, hook sequence edit distance, and style declaration Jaccard. A signal is `null`
+ * when neither side has anything to compare.
+ */
+export function structuralSignals(a, b) {
+  const left = getFeatures(a);
+  const right = getFeatures(b);
+  return {
+    jsx: sequenceSimilarity(left.jsx, right.jsx),
+    props: jaccard(left.props, right.props),
+    hooks: sequenceSimilarity(left.hooks, right.hooks),
+    style: jaccard(left.style, right.style),
+  };
+}
+
+/**
+ * Weighted mean of the embedding cosine and the available structural signals.
+ */
+export function blendScore(embedding, signals, weights) {
+  let total = weights.embedding;
+  let sum = embedding * weights.embedding;
+  STRUCTURAL_SIGNALS.forEach((signal) => {
+    if (signals[signal] == null) return;
+    total += weights[signal];
+    sum += signals[signal] * weights[signal];
+  });
+  return total > 0 ? sum / total : 0;
+}
+
+/**
+ * Splits CSS text into normalized `property:value` declarations, skipping selectors and at-rule
+ * preludes.
+ */
+export function styleDeclarations(text = '') {
+  const declarations = new Set();
+  const cleaned = text.replace(/\/\*[\s\S]*?\*\//g, '');
+  for (const [, segment, end] of cleaned.matchAll(/([^{};]*)([{};]|$)/g)) {
+    const match = end !== '{' && segment.match(/^\s*(-?[a-zA-Z][\w-]*)\s*:\s*(\S[\s\S]*?)\s*$/);
+    if (match) declarations.add(`${match[1].toLowerCase()}:${match[2].replace(/\s+/g, ' ')}`);
+  }
+  return declarations;
+}
+
+function getFeatures(entry) {
+  if (featureCache.has(entry)) return featureCache.get(entry);
+  const { component } = entry;
+  const features = {
+    jsx: (component.jsxPaths || []).slice(0, MAX_SEQUENCE),
+    props: new Set(component.props?.names || []),
+    hooks: (component.hooks || []).slice(0, MAX_SEQUENCE),
+    style: styleDeclarations(entry.styleCanonical),
+  };
+  featureCache.set(entry, features);
+  return features;
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return null;
+  let shared = 0;
+  a.forEach((item) => {
+    if (b.has(item)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function sequenceSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return null;
+  return 1 - editDistance(a, b) / longest;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
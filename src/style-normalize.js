@@ -0,0 +1,287 @@
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+const BOX_SHORTHANDS = {
+  margin: SIDES.map((side) => `margin-${side}`),
+  padding: SIDES.map((side) => `padding-${side}`),
+  inset: SIDES,
+  'border-width': SIDES.map((side) => `border-${side}-width`),
+  'border-style': SIDES.map((side) => `border-${side}-style`),
+  'border-color': SIDES.map((side) => `border-${side}-color`),
+  'border-radius': CORNERS.map((corner) => `border-${corner}-radius`),
+};
+const PAIR_SHORTHANDS = {
+  gap: ['row-gap', 'column-gap'],
+  overflow: ['overflow-x', 'overflow-y'],
+};
+const BORDER_PARTS = ['width', 'style', 'color'];
+const BORDER_INITIAL = { width: 'medium', style: 'none', color: 'currentcolor' };
+const BORDER_STYLES = new Set([
+  'none',
+  'hidden',
+  'dotted',
+  'dashed',
+  'solid',
+  'double',
+  'groove',
+  'ridge',
+  'inset',
+  'outset',
+]);
+const FLEX_KEYWORDS = { none: '0 0 auto', auto: '1 1 auto', initial: '0 1 auto' };
+const FONT_WEIGHTS = { normal: '400', bold: '700' };
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  transparent: 'rgba(0,0,0,0)',
+};
+const COLOR_PROPERTY =
+  /^(?:color|fill|stroke|outline|box-shadow|text-shadow|text-decoration|column-rule)$|^(?:background|border)|-color$/;
+const LENGTH_UNITS = new Set([
+  'px',
+  'em',
+  'rem',
+  '%',
+  'vh',
+  'vw',
+  'vmin',
+  'vmax',
+  'pt',
+  'ch',
+  'ex',
+]);
+const MAX_VAR_DEPTH = 8;
+
+/**
+ * Prints flat stylesheet rules in a canonical form, so styles that render the same compare equal
+ * however they were written: `var()` references are resolved from `customProperties`, colors
+ * become lowercase hex (or `rgba()` when translucent), zero lengths drop their unit, shorthands
+ * are expanded to longhands with later declarations winning, and declarations are sorted.
+ * Selectors are reduced to their media and pseudo-classes; custom property and empty
+ * declarations are left out. Each rule becomes one `context{property:value;...}` line and lines are sorted.
+ */
+export function canonicalizeStyle(rules, customProperties = collectCustomProperties(rules)) {
+  return rules
+    .map((rule) => {
+      const declarations = canonicalDeclarations(rule.declarations, customProperties);
+      return declarations.length ? `${ruleContext(rule)}{${declarations.join(';')}}` : '';
+    })
+    .filter(Boolean)
+    .sort()
+    .join('\n');
+}
+
+/**
+ * Custom properties (`--name: value`) declared by `rules`, the last declaration winning.
+ */
+export function collectCustomProperties(rules) {
+  const properties = new Map();
+  rules.forEach((rule) => {
+    rule.declarations.forEach(([property, value]) => {
+      if (property.startsWith('--')) properties.set(property, value.trim());
+    });
+  });
+  return properties;
+}
+
+function ruleContext(rule) {
+  const pseudo = new Set(
+    rule.selectors.flatMap((selector) => selector.match(/::?[\w-]+(?:\([^)]*\))?/g) || [])
+  );
+  pseudo.delete(':scope');
+  const media = rule.media.map((query) =>
+    query
+      .toLowerCase()
+      .replace(/\s*([:,])\s*/g, '$1')
+      .replace(/\(\s+/g, '(')
+      .replace(/\s+\)/g, ')')
+      .replace(/\s+/g, ' ')
+  );
+  return [...media, ...[...pseudo].map((part) => part.toLowerCase()).sort()].join(' ');
+}
+
+function canonicalDeclarations(declarations, customProperties) {
+  const values = new Map();
+  declarations.forEach(([property, raw]) => {
+    if (property.startsWith('--') || !raw.trim()) return;
+    const important = /!\s*important\s*$/i.test(raw);
+    const resolved = resolveVars(raw.replace(/\s*!\s*important\s*$/i, ''), customProperties, 0);
+    const value = canonicalValue(property, normalizeValue(property, resolved));
+    expandShorthand(property, value).forEach(([longhand, longValue]) => {
+      if (values.get(longhand)?.important && !important) return;
+      values.set(longhand, { value: longValue, important });
+    });
+  });
+  return [...values.keys()].sort().map((property) => {
+    const { value, important } = values.get(property);
+    return `${property}:${value}${important ? '!important' : ''}`;
+  });
+}
+
+function resolveVars(value, customProperties, depth) {
+  if (depth >= MAX_VAR_DEPTH) return value;
+  return value.replace(
+    /var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g,
+    (match, name, fallback) => {
+      if (customProperties.has(name)) {
+        return resolveVars(customProperties.get(name), customProperties, depth + 1);
+      }
+      return fallback === undefined ? match : fallback.trim();
+    }
+  );
+}
+
+function normalizeValue(property, value) {
+  const normalized = value
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\s*([,/])\s*/g, '$1')
+    .replace(/\b(rgba?|hsla?)\(([^()]*)\)/gi, (match, fn, args) => functionColor(fn, args) || match)
+    .replace(/#([0-9a-f]{3,8})\b/gi, (match, hex) => hexColor(hex) || match)
+    .replace(
+      /(^|[\s,(/])([+-]?)(\d*\.\d+|\d+)([a-z%]*)(?=$|[\s,)/])/gi,
+      (match, before, ...rest) => before + canonicalNumber(...rest)
+    );
+  return COLOR_PROPERTY.test(property) ? namedColors(normalized) : normalized;
+}
+
+// Only color-bearing properties map color names: elsewhere `purple` or `Orange` may be a grid area,
+// animation, or font name, and those are case-sensitive.
+function namedColors(value) {
+  return value.replace(
+    /(^|[\s,(])([a-z]+)(?=$|[\s,)])/gi,
+    (match, before, word) => before + (NAMED_COLORS[word.toLowerCase()] || word)
+  );
+}
+
+function canonicalNumber(sign, digits, unit) {
+  let number = Number(digits) * (sign === '-' ? -1 : 1);
+  let canonicalUnit = unit.toLowerCase();
+  if (canonicalUnit === 'ms') {
+    number /= 1000;
+    canonicalUnit = 's';
+  }
+  if (number === 0 && (!canonicalUnit || LENGTH_UNITS.has(canonicalUnit))) return '0';
+  return `${Number(number.toFixed(4))}${canonicalUnit}`;
+}
+
+function canonicalValue(property, value) {
+  if (property === 'font-weight') return FONT_WEIGHTS[value.toLowerCase()] || value;
+  return value;
+}
+
+function hexColor(hex) {
+  if (![3, 4, 6, 8].includes(hex.length)) return null;
+  const full = (
+    hex.length <= 4 ? [...hex].map((digit) => digit + digit).join('') : hex
+  ).toLowerCase();
+  const channels = [0, 2, 4].map((offset) => parseInt(full.slice(offset, offset + 2), 16));
+  const alpha = full.length === 8 ? parseInt(full.slice(6), 16) / 255 : 1;
+  return formatColor(channels, alpha);
+}
+
+function functionColor(fn, args) {
+  const parts = args.trim().split(/[\s,/]+/);
+  if (parts.length < 3 || parts.length > 4) return null;
+  const numbers = parts.map((part) => parseFloat(part));
+  if (numbers.some((number) => Number.isNaN(number))) return null;
+  const alpha = parts[3] === undefined ? 1 : scaled(parts[3], numbers[3], 1);
+  if (fn.toLowerCase().startsWith('rgb')) {
+    return formatColor(
+      numbers.slice(0, 3).map((number, i) => scaled(parts[i], number, 255)),
+      alpha
+    );
+  }
+  return formatColor(hslToRgb(numbers[0], numbers[1] / 100, numbers[2] / 100), alpha);
+}
+
+function scaled(text, number, max) {
+  return text.endsWith('%') ? (number / 100) * max : number;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    return lightness - (chroma / 2) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)].map((value) => value * 255);
+}
+
+function formatColor(channels, alpha) {
+  const [r, g, b] = channels.map((value) => Math.round(Math.min(255, Math.max(0, value))));
+  if (alpha < 1) return `rgba(${r},${g},${b},${Number(alpha.toFixed(3))})`;
+  return `#${[r, g, b].map((value) => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function expandShorthand(property, value) {
+  if (BOX_SHORTHANDS[property] && !value.includes('/')) {
+    return zip(BOX_SHORTHANDS[property], boxValues(splitValue(value)));
+  }
+  if (PAIR_SHORTHANDS[property]) {
+    const [first, second = first] = splitValue(value);
+    return zip(PAIR_SHORTHANDS[property], [first, second]);
+  }
+  const border = property.match(/^border(?:-(top|right|bottom|left))?$/);
+  if (border) return expandBorder(border[1] ? [border[1]] : SIDES, splitValue(value));
+  if (property === 'flex')
+    return zip(['flex-grow', 'flex-shrink', 'flex-basis'], flexValues(value));
+  return [[property, value]];
+}
+
+function boxValues([top, right = top, bottom = top, left = right]) {
+  return [top, right, bottom, left];
+}
+
+function expandBorder(sides, tokens) {
+  const parts = { ...BORDER_INITIAL };
+  tokens.forEach((token) => {
+    if (BORDER_STYLES.has(token)) parts.style = token;
+    else if (/^(?:[\d.]|thin$|medium$|thick$)/.test(token)) parts.width = token;
+    else parts.color = token;
+  });
+  return sides.flatMap((side) =>
+    BORDER_PARTS.map((part) => [`border-${side}-${part}`, parts[part]])
+  );
+}
+
+function flexValues(value) {
+  const tokens = splitValue(FLEX_KEYWORDS[value] || value);
+  const isNumber = (token) => /^[\d.]+$/.test(token);
+  if (tokens.length === 1)
+    return isNumber(tokens[0]) ? [tokens[0], '1', '0'] : ['1', '1', tokens[0]];
+  if (tokens.length === 2) {
+    return isNumber(tokens[1]) ? [...tokens, '0'] : [tokens[0], '1', tokens[1]];
+  }
+  return tokens;
+}
+
+function splitValue(value) {
+  const tokens = [];
+  let depth = 0;
+  let current = '';
+  [...value].forEach((char) => {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (char === ' ' && depth === 0) {
+      tokens.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  });
+  tokens.push(current);
+  return tokens.filter(Boolean);
+}
+
+function zip(properties, values) {
+  return properties.map((property, index) => [property, values[index]]);
+}
@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { parseSync } from '@swc/core';
+import { getParserOptions, identifierValue, isStylePath } from './ast-utils.js';
+
+const TS_CONFIGS = ['tsconfig.json', 'jsconfig.json'];
+const BUNDLER_CONFIGS = [
+  'vite.config.ts',
+  'vite.config.mts',
+  'vite.config.js',
+  'vite.config.mjs',
+  'vite.config.cjs',
+  'webpack.config.ts',
+  'webpack.config.js',
+  'webpack.config.mjs',
+  'webpack.config.cjs',
+];
+const PATH_HELPERS = new Set(['resolve', 'join']);
+const PACKAGE_STYLE_FIELDS = ['style', 'sass'];
+const EXPORT_CONDITIONS = ['style', 'sass', 'default'];
+const MAX_EXTENDS_DEPTH = 8;
+const EMPTY_RESOLUTION = { baseUrl: null, paths: [], aliases: [] };
+
+const ALIAS_TARGETS = {
+  StringLiteral: (node, dir) => aliasPath(node.value, dir),
+  CallExpression: (node, dir) => {
+    const callee = identifierValue(node.callee) || identifierValue(node.callee.property);
+    if (callee === 'fileURLToPath') return aliasTarget(node.arguments[0]?.expression, dir);
+    if (!PATH_HELPERS.has(callee)) return null;
+    const parts = node.arguments
+      .map((arg) => arg.expression)
+      .filter((arg) => arg.type === 'StringLiteral');
+    return path.resolve(dir, ...parts.map((part) => part.value));
+  },
+  NewExpression: (node, dir) => aliasTarget(node.arguments[0]?.expression, dir),
+};
+
+/**
+ * Reads the module resolution settings style imports use: `baseUrl` and `paths` from the
+ * `tsconfig.json` (or `jsconfig.json`) in `config.root`, following relative `extends`, and the
+ * `alias` entries of Vite and webpack configs there. Bundler configs are read statically, so only
+ * string aliases and `path.resolve`/`path.join`/`new URL(…)` targets are understood.
+ */
+export function loadStyleResolution(config) {
+  const root = config.root || process.cwd();
+  const tsConfig = TS_CONFIGS.map((name) => path.join(root, name)).find(isFile);
+  const compilerOptions = tsConfig ? readTsConfig(tsConfig, 0) : {};
+  return {
+    baseUrl: compilerOptions.baseUrl || null,
+    paths: compilerOptions.paths || [],
+    aliases: BUNDLER_CONFIGS.map((name) => path.join(root, name))
+      .filter(isFile)
+      .flatMap(readBundlerAliases),
+  };
+}
+
+/**
+ * Resolves a style import to a file: relative and absolute paths from the importing file, then
+ * `paths` patterns, bundler aliases, and `baseUrl` from `config.styleResolution`, then packages in
+ * `node_modules` by subpath, `exports`, `style`/`sass`, or `main`. A specifier with a leading `~`
+ * is tried as written, then without it (so `~@/card.scss` resolves like `@/card.scss`). Returns
+ * null when no file matches.
+ */
+export function resolveStyleImport(fromFile, specifier, config) {
+  const extensions = config.styleExtensions || [];
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return findFile(path.resolve(path.dirname(fromFile), specifier), extensions);
+  }
+  const resolution = config.styleResolution || EMPTY_RESOLUTION;
+  const bare = specifier.replace(/^~/, '');
+  const candidates = [...new Set([specifier, bare])].flatMap((name) =>
+    resolutionCandidates(name, resolution)
+  );
+  for (const candidate of candidates) {
+    const file = findFile(candidate, extensions);
+    if (file) return file;
+  }
+  return resolvePackage(fromFile, bare, extensions);
+}
+
+function resolutionCandidates(specifier, { paths, aliases, baseUrl }) {
+  return [
+    ...pathCandidates(specifier, paths),
+    ...aliasCandidates(specifier, aliases),
+    ...(baseUrl ? [path.resolve(baseUrl, specifier)] : []),
+  ];
+}
+
+/**
+ * Records a style import on `target` (parser context or component meta): the resolved file in
+ * `styleImports`, or the specifier in `unresolvedStyleImports` when it cannot be resolved.
+ */
+export function addStyleImport(target, specifier, { filePath, config }) {
+  const resolved = resolveStyleImport(filePath, specifier, config);
+  if (resolved) target.styleImports.push(resolved);
+  else target.unresolvedStyleImports.push(specifier);
+}
+
+function readTsConfig(file, depth) {
+  const json = readJson(file);
+  const dir = path.dirname(file);
+  const parent =
+    typeof json.extends === 'string' && json.extends.startsWith('.') && depth < MAX_EXTENDS_DEPTH
+      ? readTsConfig(extendedConfigPath(dir, json.extends), depth + 1)
+      : {};
+  const options = json.compilerOptions || {};
+  const baseUrl = options.baseUrl ? path.resolve(dir, options.baseUrl) : parent.baseUrl;
+  if (!options.paths) return { baseUrl, paths: parent.paths };
+  const paths = Object.entries(options.paths).map(([pattern, targets]) => ({
+    pattern,
+    targets: targets.map((target) => path.resolve(baseUrl || dir, target)),
+  }));
+  return { baseUrl, paths };
+}
+
+function extendedConfigPath(dir, extendsPath) {
+  const resolved = path.resolve(dir, extendsPath);
+  return resolved.endsWith('.json') ? resolved : `${resolved}.json`;
+}
+
+function readJson(file) {
+  try {
+    const text = fs
+      .readFileSync(file, 'utf8')
+      .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+      .replace(/,(\s*[}\]])/g, '$1');
+    return JSON.parse(text);
+  } catch {
+    return {};
+  }
+}
+
+function readBundlerAliases(file) {
+  let ast;
+  try {
+    ast = parseSync(fs.readFileSync(file, 'utf8'), getParserOptions(file));
+  } catch {
+    return [];
+  }
+  const dir = path.dirname(file);
+  return findAliasValues(ast)
+    .flatMap((node) => aliasEntries(node, dir))
+    .filter(Boolean);
+}
+
+function findAliasValues(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (node.type === 'KeyValueProperty' && propertyName(node.key) === 'alias') return [node.value];
+  return Object.values(node).flatMap(findAliasValues);
+}
+
+function aliasEntries(node, dir) {
+  if (node.type === 'ObjectExpression') {
+    return node.properties
+      .filter((property) => property.type === 'KeyValueProperty')
+      .map((property) => makeAlias(propertyName(property.key), property.value, dir));
+  }
+  if (node.type !== 'ArrayExpression') return [];
+  return node.elements.map((element) => {
+    const properties = element?.expression.properties || [];
+    const value = (key) => properties.find((property) => propertyName(property.key) === key)?.value;
+    return makeAlias(value('find')?.value, value('replacement'), dir);
+  });
+}
+
+function makeAlias(key, value, dir) {
+  const replacement = aliasTarget(value, dir);
+  if (typeof key !== 'string' || !replacement) return null;
+  const exact = key.endsWith('$');
+  return { find: exact ? key.slice(0, -1) : key, replacement, exact };
+}
+
+function aliasTarget(node, dir) {
+  const handler = ALIAS_TARGETS[node?.type];
+  return handler ? handler(node, dir) : null;
+}
+
+function aliasPath(value, dir) {
+  if (path.isAbsolute(value) && fs.existsSync(value)) return value;
+  return path.resolve(dir, value.replace(/^\//, ''));
+}
+
+function propertyName(key) {
+  return key?.type === 'StringLiteral' ? key.value : identifierValue(key);
+}
+
+function pathCandidates(specifier, paths) {
+  return paths.flatMap(({ pattern, targets }) => {
+    const [prefix, suffix] = pattern.split('*');
+    if (suffix === undefined) return pattern === specifier ? targets : [];
+    const matches =
+      specifier.length >= prefix.length + suffix.length &&
+      specifier.startsWith(prefix) &&
+      specifier.endsWith(suffix);
+    if (!matches) return [];
+    const captured = specifier.slice(prefix.length, specifier.length - suffix.length);
+    return targets.map((target) => target.replace('*', captured));
+  });
+}
+
+function aliasCandidates(specifier, aliases) {
+  return aliases.flatMap((alias) => {
+    if (specifier === alias.find) return [alias.replacement];
+    if (alias.exact || !specifier.startsWith(`${alias.find}/`)) return [];
+    return [path.join(alias.replacement, specifier.slice(alias.find.length + 1))];
+  });
+}
+
+function resolvePackage(fromFile, specifier, extensions) {
+  const parts = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  const name = parts.slice(0, nameLength).join('/');
+  const subpath = parts.slice(nameLength).join('/');
+  let dir = path.dirname(fromFile);
+  for (;;) {
+    const packageDir = path.join(dir, 'node_modules', name);
+    if (fs.existsSync(packageDir)) return packageEntry(packageDir, subpath, extensions);
+    if (path.dirname(dir) === dir) return null;
+    dir = path.dirname(dir);
+  }
+}
+
+function packageEntry(packageDir, subpath, extensions) {
+  const manifest = readJson(path.join(packageDir, 'package.json'));
+  const targets = subpath
+    ? [exportTarget(manifest.exports, `./${subpath}`), subpath]
+    : [
+        exportTarget(manifest.exports, '.'),
+        ...PACKAGE_STYLE_FIELDS.map((field) => manifest[field]),
+        manifest.main,
+      ];
+  for (const target of targets.filter((value) => typeof value === 'string')) {
+    const file = findFile(path.join(packageDir, target), extensions);
+    if (file && isStylePath(file, extensions)) return file;
+  }
+  return null;
+}
+
+function exportTarget(exports, key) {
+  if (!exports) return null;
+  const isSubpathMap =
+    typeof exports === 'object' && Object.keys(exports).some((entry) => entry.startsWith('.'));
+  if (isSubpathMap) return conditionTarget(exports[key]);
+  return key === '.' ? conditionTarget(exports) : null;
+}
+
+function conditionTarget(value) {
+  if (typeof value === 'string') return value;
+  if (!value || typeof value !== 'object') return null;
+  return conditionTarget(EXPORT_CONDITIONS.map((condition) => value[condition]).find(Boolean));
+}
+
+function findFile(candidate, extensions) {
+  if (isFile(candidate)) return candidate;
+  return extensions.map((extension) => `${candidate}${extension}`).find(isFile) || null;
+}
+
+function isFile(filePath) {
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+}
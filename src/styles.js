@@ -1,61 +1,86 @@
 import fs from 'fs';
 import path from 'path';
+import {
+  compileStylesheet,
+  flattenStylesheet,
+  formatRules,
+  parseStylesheet,
+  rulesForClasses,
+} from './stylesheet.js';
+import { canonicalizeStyle, collectCustomProperties } from './style-normalize.js';
+import { utilityRules } from './utility-classes.js';
 
 const styleCache = new Map();
 
+/**
+ * Collects the styles that apply to a component: CSS-in-JS, inline `<style>` blocks, utility
+ * classes such as Tailwind's (expanded with `config.utilityTheme`), and the rules of imported
+ * stylesheets whose selectors use the component's class names. Stylesheets are
+ * compiled (nesting, mixins, `@extend`, partials) and printed as flat rules, so the same compiled
+ * styles give the same text however they were written. `styleCanonical` is the normalized form
+ * of the same rules (see `canonicalizeStyle`), with `var()` references resolved from the custom
+ * properties declared anywhere in the component's stylesheets. `partials` lists the
+ * `@use`/`@import` files that were read.
+ */
 export function loadStyles(component, config) {
   const classNames = collectClassNames(component);
   const texts = [];
+  const rules = [];
+  const declared = [];
+  const partials = new Set();
   /* v8 ignore next */
-  const stylePaths = Array.from(
-    new Set((component.styleImports || []).map((p) => normalizeStylePath(p)))
-  );
-  const cssInJs = extractCssInJs(component.source);
-  const hasCssInJs = cssInJs.length > 0;
-  if (hasCssInJs) texts.push(cssInJs.join('\n'));
+  const stylePaths = Array.from(new Set(component.styleImports || []));
+  const hasCssInJs = Boolean(component.cssInJs);
+  if (hasCssInJs) {
+    texts.push(component.cssInJs);
+    rules.push(...compileBlock(component.cssInJs));
+  }
+  (component.styleBlocks || []).forEach((block) => {
+    const blockRules = compileBlock(block);
+    texts.push(formatRules(blockRules));
+    rules.push(...blockRules);
+  });
+  const utilities = utilityRules(component.classGroups, config.utilityTheme);
+  if (utilities.length) {
+    texts.push(formatRules(utilities));
+    rules.push(...utilities);
+  }
   if (classNames.length) {
     stylePaths.forEach((stylePath) => {
-      const content = readStyle(stylePath, config);
-      if (!content) return;
-      const filtered = filterStyle(content, classNames);
-      if (filtered) texts.push(filtered);
+      const sheet = readStyle(stylePath, config);
+      if (!sheet) return;
+      sheet.partials.forEach((partial) => partials.add(partial));
+      declared.push(...sheet.rules);
+      const matched = rulesForClasses(sheet.rules, classNames);
+      if (matched.length) texts.push(formatRules(matched));
+      rules.push(...matched);
     });
   }
-  return { styleText: texts.join('\n'), stylePaths, hasCssInJs };
+  return {
+    styleText: texts.filter(Boolean).join('\n'),
+    styleCanonical: canonicalizeStyle(rules, collectCustomProperties([...declared, ...rules])),
+    stylePaths,
+    hasCssInJs,
+    partials: [...partials],
+  };
 }
 
 export function clearStyleCache() {
   styleCache.clear();
 }
 
-function normalizeStylePath(p) {
-  /* v8 ignore next */
-  return p.endsWith('.css') || p.endsWith('.scss') || p.endsWith('.sass') || p.endsWith('.less')
-    ? p
-    : `${p}.css`;
+function compileBlock(text) {
+  return flattenStylesheet(parseStylesheet(text));
 }
 
 function readStyle(stylePath, config) {
   const resolved = stylePath.startsWith('.') ? path.resolve(config.root, stylePath) : stylePath;
   if (styleCache.has(resolved)) return styleCache.get(resolved);
-  if (!fs.existsSync(resolved)) {
-    styleCache.set(resolved, '');
-    return '';
-  }
-  const content = fs.readFileSync(resolved, 'utf8');
-  styleCache.set(resolved, content);
-  return content;
-}
-
-function filterStyle(content, classNames) {
-  /* v8 ignore next */
-  if (!classNames.length) return content;
-  const ranges = collectSelectorRanges(content, classNames);
-  if (!ranges.length) return '';
-  return ranges
-    .map(([start, end]) => content.slice(start, end + 1).trim())
-    .filter(Boolean)
-    .join('\n\n');
+  const sheet = fs.existsSync(resolved)
+    ? compileStylesheet(fs.readFileSync(resolved, 'utf8'), resolved)
+    : null;
+  styleCache.set(resolved, sheet);
+  return sheet;
 }
 
 function collectClassNames(component) {
@@ -71,85 +96,3 @@ function collectClassNames(component) {
   }
   return Array.from(names);
 }
-
-function collectSelectorRanges(content, classNames) {
-  const lowered = content.toLowerCase();
-  const ranges = [];
-  classNames.forEach((name) => {
-    const pattern = new RegExp(`\\.${escapeRegExp(name.toLowerCase())}(?:[^A-Za-z0-9_-]|$)`, 'g');
-    let match;
-    while ((match = pattern.exec(lowered))) {
-      const braceIndex = findNextBrace(content, match.index);
-      const start = findSelectorStart(content, braceIndex);
-      const end = findMatchingBrace(content, braceIndex);
-      if (braceIndex !== -1 && start !== -1 && end !== -1) ranges.push([start, end]);
-    }
-  });
-  return mergeRanges(ranges);
-}
-
-function findNextBrace(content, fromIndex) {
-  /* v8 ignore next */
-  if (fromIndex === -1) return -1;
-  return content.indexOf('{', fromIndex);
-}
-
-function findSelectorStart(content, braceIndex) {
-  /* v8 ignore next */
-  if (braceIndex === -1) return -1;
-  let idx = braceIndex - 1;
-  while (idx >= 0) {
-    const char = content[idx];
-    if (char === '}' || char === ';') return idx + 1;
-    idx -= 1;
-  }
-  return 0;
-}
-
-function findMatchingBrace(content, openIndex) {
-  /* v8 ignore next */
-  if (openIndex === -1) return -1;
-  let depth = 0;
-  for (let i = openIndex; i < content.length; i += 1) {
-    const char = content[i];
-    if (char === '{') depth += 1;
-    else if (char === '}') {
-      depth -= 1;
-      if (depth === 0) return i;
-    }
-  }
-  return -1;
-}
-
-function mergeRanges(ranges) {
-  if (!ranges.length) return [];
-  const sorted = ranges.sort((a, b) => a[0] - b[0]);
-  const merged = [sorted[0]];
-  for (let i = 1; i < sorted.length; i += 1) {
-    const [start, end] = sorted[i];
-    const last = merged[merged.length - 1];
-    if (start <= last[1] + 1) {
-      last[1] = Math.max(last[1], end);
-    } else {
-      merged.push([start, end]);
-    }
-  }
-  return merged;
-}
-
-function escapeRegExp(value = '') {
-  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-function extractCssInJs(source = '') {
-  const matches = [];
-  const regexes = [/css`([\s\S]*?)`/g, /styled\.[^(]+`([\s\S]*?)`/g, /styled\([^`]+`([\s\S]*?)`/g];
-  regexes.forEach((regex) => {
-    let match = regex.exec(source);
-    while (match) {
-      matches.push(match[1]);
-      match = regex.exec(source);
-    }
-  });
-  return matches;
-}
@@ -0,0 +1,458 @@
+import fs from 'fs';
+import path from 'path';
+
+const PARTIAL_EXTENSIONS = ['.scss', '.sass', '.less', '.css'];
+const GROUP_AT_RULES = new Set(['media', 'supports', 'container', 'layer']);
+const IMPORT_AT_RULES = new Set(['use', 'forward', 'import']);
+const MAX_MIXIN_DEPTH = 16;
+const MIXIN_SELECTOR = /^([.#][\w-]+)\s*(?:\(([\s\S]*)\))?\s*(?:when\b[\s\S]*)?$/;
+
+/**
+ * Parses a stylesheet and resolves it to flat rules. `@use`, `@forward`, and `@import` partials
+ * are looked up relative to `filePath` (with `_partial` and `index` variants) and inlined once.
+ *
+ * @returns {{ rules: Object[], partials: string[] }} Flat rules and the absolute paths of every
+ *   partial that was read
+ */
+export function compileStylesheet(text, filePath) {
+  const partials = new Set();
+  const seen = new Set([path.resolve(filePath)]);
+  const nodes = expandImports(parseStylesheet(text, syntaxOf(filePath)), filePath, {
+    partials,
+    seen,
+  });
+  return { rules: flattenStylesheet(nodes), partials: [...partials] };
+}
+
+/**
+ * Parses CSS, SCSS, and Less (or indented Sass with `syntax: 'sass'`) into a tree of `rule`,
+ * `decl`, `atrule`, `call` (Less mixin call), and `extend` nodes. Blocks left unclosed at the end
+ * of the text are dropped.
+ */
+export function parseStylesheet(text = '', syntax = 'css') {
+  const source = stripComments(syntax === 'sass' ? indentedToBraces(text) : text);
+  return parseBlock({ source, index: 0 }, false).nodes;
+}
+
+/**
+ * Resolves nesting, `&` parent selectors, variables, mixins (`@mixin`/`@include`, Less `.mixin()`
+ * calls), `@extend`, and grouping at-rules such as `@media` into flat rules:
+ * `{ selectors, media, declarations: [[property, value]] }`. Control flow (`@if`, `@each`),
+ * functions, keyframes, and Less guards are not evaluated.
+ */
+export function flattenStylesheet(nodes) {
+  const mixins = new Map();
+  collectMixins(nodes, mixins);
+  const context = { rules: [], extensions: [], mixins };
+  const frame = {
+    selectors: [],
+    media: [],
+    scope: new Map(),
+    target: null,
+    content: null,
+    depth: 0,
+  };
+  walk(nodes, frame, context);
+  return applyExtensions(context.rules, context.extensions).filter(
+    (rule) => rule.selectors.length && rule.declarations.length
+  );
+}
+
+/**
+ * Rules with at least one selector that uses one of `classNames`, keeping only those selectors.
+ */
+export function rulesForClasses(rules, classNames) {
+  const wanted = new Set(classNames.map((name) => name.toLowerCase()));
+  return rules
+    .map((rule) => ({
+      ...rule,
+      selectors: rule.selectors.filter((selector) =>
+        selectorClasses(selector).some((name) => wanted.has(name))
+      ),
+    }))
+    .filter((rule) => rule.selectors.length);
+}
+
+/**
+ * Prints flat rules as one `selector { property: value; }` line each, wrapped in their at-rules.
+ */
+export function formatRules(rules) {
+  return rules
+    .map((rule) => {
+      const body = rule.declarations.map(([property, value]) => `${property}: ${value};`);
+      const text = `${rule.selectors.join(', ')} { ${body.join(' ')} }`;
+      return rule.media.reduceRight((inner, media) => `${media} { ${inner} }`, text);
+    })
+    .join('\n');
+}
+
+function syntaxOf(filePath) {
+  return path.extname(filePath).toLowerCase() === '.sass' ? 'sass' : 'css';
+}
+
+function indentedToBraces(text) {
+  const lines = text.split('\n').filter((line) => line.trim() && !/^\s*\/\//.test(line));
+  const indentOf = (line) => line.match(/^\s*/)[0].length;
+  const output = [];
+  const open = [];
+  lines.forEach((line, index) => {
+    const indent = indentOf(line);
+    while (open.length && indent <= open[open.length - 1]) {
+      output.push('}');
+      open.pop();
+    }
+    const content = line
+      .trim()
+      .replace(/^=\s*/, '@mixin ')
+      .replace(/^\+\s*/, '@include ');
+    const next = lines[index + 1];
+    if (next && indentOf(next) > indent) {
+      output.push(`${content} {`);
+      open.push(indent);
+    } else {
+      output.push(`${content};`);
+    }
+  });
+  open.forEach(() => output.push('}'));
+  return output.join('\n');
+}
+
+function stripComments(text) {
+  let output = '';
+  let index = 0;
+  let depth = 0;
+  while (index < text.length) {
+    const char = text[index];
+    const end = commentEnd(text, index, depth);
+    if (end !== -1) {
+      index = end;
+    } else if (char === '"' || char === "'") {
+      const close = skipString(text, index);
+      output += text.slice(index, close);
+      index = close;
+    } else {
+      if (char === '(') depth += 1;
+      if (char === ')') depth = Math.max(0, depth - 1);
+      output += char;
+      index += 1;
+    }
+  }
+  return output;
+}
+
+function commentEnd(text, index, depth) {
+  if (text.startsWith('/*', index)) {
+    const close = text.indexOf('*/', index + 2);
+    return close === -1 ? text.length : close + 2;
+  }
+  if (depth > 0 || !text.startsWith('//', index)) return -1;
+  const close = text.indexOf('\n', index);
+  return close === -1 ? text.length : close;
+}
+
+function parseBlock(state, nested) {
+  const { source } = state;
+  const nodes = [];
+  let start = state.index;
+  while (state.index < source.length) {
+    const char = source[state.index];
+    if (char === '{') {
+      const prelude = source.slice(start, state.index).trim();
+      state.index += 1;
+      const block = parseBlock(state, true);
+      if (!block.closed) return { nodes, closed: false };
+      nodes.push(blockNode(prelude, block.nodes));
+      start = state.index;
+    } else if (char === ';' || char === '}') {
+      pushStatement(nodes, source.slice(start, state.index));
+      state.index += 1;
+      if (char === '}' && nested) return { nodes, closed: true };
+      start = state.index;
+    } else {
+      state.index = skipToken(source, state.index);
+    }
+  }
+  pushStatement(nodes, source.slice(start));
+  return { nodes, closed: !nested };
+}
+
+function skipToken(source, index) {
+  const char = source[index];
+  if (char === '"' || char === "'") return skipString(source, index);
+  if (char === '(') return skipBalanced(source, index, '(', ')');
+  if ((char === '#' || char === '@') && source[index + 1] === '{') {
+    return skipBalanced(source, index + 1, '{', '}');
+  }
+  return index + 1;
+}
+
+function skipString(source, index) {
+  const quote = source[index];
+  let cursor = index + 1;
+  while (cursor < source.length && source[cursor] !== quote) {
+    cursor += source[cursor] === '\\' ? 2 : 1;
+  }
+  return cursor + 1;
+}
+
+function skipBalanced(source, index, open, close) {
+  let depth = 0;
+  let cursor = index;
+  while (cursor < source.length) {
+    const char = source[cursor];
+    if (char === '"' || char === "'") {
+      cursor = skipString(source, cursor);
+      continue;
+    }
+    if (char === open) depth += 1;
+    if (char === close) depth -= 1;
+    cursor += 1;
+    if (depth === 0) return cursor;
+  }
+  return cursor;
+}
+
+function blockNode(prelude, children) {
+  if (/^@(?!\{)/.test(prelude)) return { ...parseAtRule(prelude), children };
+  return { type: 'rule', selector: prelude, children };
+}
+
+function pushStatement(nodes, raw) {
+  const text = raw.trim();
+  if (!text) return;
+  if (text.startsWith('@')) {
+    const atRule = parseAtRule(text);
+    nodes.push(
+      atRule.variable
+        ? { type: 'decl', prop: `@${atRule.name}`, value: atRule.params }
+        : { ...atRule, children: null }
+    );
+    return;
+  }
+  const node = statementNode(text);
+  if (node) nodes.push(node);
+}
+
+function statementNode(text) {
+  const extend = text.match(/^&:extend\(([^)]*?)(?:\s+all)?\)$/);
+  if (extend) return { type: 'extend', target: extend[1].trim() };
+  const declaration = text.match(/^(\$?[A-Za-z_-][\w.-]*)\s*:([\s\S]*)$/);
+  if (declaration) return { type: 'decl', prop: declaration[1], value: declaration[2].trim() };
+  const call = text.match(/^([.#][\w-]+)\s*(?:\(([\s\S]*)\))?\s*(?:!important)?$/);
+  if (call) return { type: 'call', name: call[1], args: call[2] || '' };
+  return null;
+}
+
+function parseAtRule(text) {
+  const match = text.match(/^@([\w-]+)\s*(:?)\s*([\s\S]*)$/);
+  if (!match) return { type: 'atrule', name: '', params: text };
+  return { type: 'atrule', name: match[1].toLowerCase(), params: match[3], variable: !!match[2] };
+}
+
+function expandImports(nodes, filePath, state) {
+  return nodes.flatMap((node) => {
+    if (node.type !== 'atrule' || !IMPORT_AT_RULES.has(node.name)) return [node];
+    return importTargets(node.params).flatMap((target) => {
+      const resolved = resolvePartial(target, filePath);
+      if (!resolved || state.seen.has(resolved)) return [];
+      state.seen.add(resolved);
+      state.partials.add(resolved);
+      const text = fs.readFileSync(resolved, 'utf8');
+      return expandImports(parseStylesheet(text, syntaxOf(resolved)), resolved, state);
+    });
+  });
+}
+
+function importTargets(params) {
+  const list = params.replace(/^\([^)]*\)\s*/, '').replace(/\s+(?:as|with)\b[\s\S]*$/, '');
+  return splitTopLevel(list, /,/)
+    .map((part) => part.match(/^(?:(['"])(.*?)\1|([^\s'"()]+)(?:\s|$))/))
+    .filter(Boolean)
+    .map((match) => match[2] ?? match[3])
+    .filter((target) => !/^(?:[a-z]+:|\/\/)/i.test(target));
+}
+
+function resolvePartial(target, fromFile) {
+  const base = path.resolve(path.dirname(fromFile), target);
+  const dir = path.dirname(base);
+  const name = path.basename(base);
+  const candidates = PARTIAL_EXTENSIONS.includes(path.extname(target).toLowerCase())
+    ? [base, path.join(dir, `_${name}`)]
+    : [...new Set([path.extname(fromFile), ...PARTIAL_EXTENSIONS])].flatMap((extension) => [
+        `${base}${extension}`,
+        path.join(dir, `_${name}${extension}`),
+        path.join(base, `_index${extension}`),
+        path.join(base, `index${extension}`),
+      ]);
+  return candidates.find(
+    (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+  );
+}
+
+function collectMixins(nodes, mixins) {
+  nodes.forEach((node) => {
+    if (!node.children) return;
+    if (node.type === 'atrule' && node.name === 'mixin') {
+      const [, name, params = ''] = node.params.match(/^([\w-]+)\s*(?:\(([\s\S]*)\))?/) || [];
+      if (name) mixins.set(name, { params: parseParams(params), body: node.children });
+    }
+    const lessMixin = node.type === 'rule' && node.selector.match(MIXIN_SELECTOR);
+    if (lessMixin) {
+      mixins.set(lessMixin[1], { params: parseParams(lessMixin[2] || ''), body: node.children });
+    }
+    collectMixins(node.children, mixins);
+  });
+}
+
+function parseParams(text) {
+  return splitTopLevel(text, /[,;]/).map((param) => {
+    const [, name, fallback] = param.match(/^([$@][\w-]+)\s*(?::\s*([\s\S]+))?$/) || [];
+    return { name, fallback };
+  });
+}
+
+function walk(nodes, frame, context) {
+  nodes.forEach((node) => {
+    if (node.type === 'decl') addDeclaration(node, frame);
+    else if (node.type === 'rule') walkRule(node, frame, context);
+    else if (node.type === 'atrule') walkAtRule(node, frame, context);
+    else if (node.type === 'call') {
+      includeMixin(context.mixins.get(node.name), node.args, null, frame, context);
+    } else if (node.type === 'extend' && frame.target) {
+      context.extensions.push({ target: node.target, selectors: frame.selectors });
+    }
+  });
+}
+
+function addDeclaration(node, frame) {
+  const value = substitute(node.value, frame.scope);
+  if (/^[$@]/.test(node.prop)) {
+    const name = node.prop.replace(/^\$[\w-]+\./, '$');
+    if (/!default\s*$/.test(value) && frame.scope.has(name)) return;
+    frame.scope.set(name, value.replace(/\s*!(?:default|global)\s*$/g, ''));
+    return;
+  }
+  if (!frame.target) return;
+  const property = node.prop.startsWith('--') ? node.prop : node.prop.toLowerCase();
+  frame.target.declarations.push([property, value.replace(/\s+/g, ' ')]);
+}
+
+function walkRule(node, frame, context) {
+  if (/^[.#][\w-]+\s*\(/.test(node.selector)) return;
+  const selectorText = substitute(node.selector.replace(/\s+when\b[\s\S]*$/, ''), frame.scope);
+  const selectors = resolveSelectors(selectorText, frame.selectors);
+  const rule = { selectors, media: frame.media, declarations: [] };
+  context.rules.push(rule);
+  walk(node.children, { ...frame, selectors, target: rule, scope: new Map(frame.scope) }, context);
+}
+
+function walkAtRule(node, frame, context) {
+  if (GROUP_AT_RULES.has(node.name) && node.children) {
+    const media = [...frame.media, `@${node.name} ${substitute(node.params, frame.scope)}`.trim()];
+    const rule = frame.target ? { selectors: frame.selectors, media, declarations: [] } : null;
+    if (rule) context.rules.push(rule);
+    walk(node.children, { ...frame, media, target: rule, scope: new Map(frame.scope) }, context);
+  } else if (node.name === 'include') {
+    walkInclude(node, frame, context);
+  } else if (node.name === 'extend' && frame.target) {
+    const target = node.params.replace(/!optional/, '').trim();
+    context.extensions.push({ target, selectors: frame.selectors });
+  } else if (node.name === 'content' && frame.content) {
+    walk(frame.content.nodes, { ...frame, scope: frame.content.scope }, context);
+  }
+}
+
+function walkInclude(node, frame, context) {
+  const [, name, args = ''] =
+    node.params.match(/^(?:[\w-]+\.)?([\w-]+)\s*(?:\(([\s\S]*)\))?/) || [];
+  if (name) includeMixin(context.mixins.get(name), args, node.children, frame, context);
+}
+
+function includeMixin(mixin, args, content, frame, context) {
+  if (!mixin || frame.depth >= MAX_MIXIN_DEPTH) return;
+  const scope = new Map(frame.scope);
+  splitTopLevel(args, /[,;]/).forEach((arg, index) => {
+    const named = arg.match(/^([$@][\w-]+)\s*:\s*([\s\S]+)$/);
+    const name = named ? named[1] : mixin.params[index]?.name;
+    if (name) scope.set(name, substitute(named ? named[2] : arg, frame.scope));
+  });
+  mixin.params.forEach((param) => {
+    if (param.name && !scope.has(param.name) && param.fallback) {
+      scope.set(param.name, substitute(param.fallback, scope));
+    }
+  });
+  const contentFrame = content ? { nodes: content, scope: frame.scope } : frame.content;
+  walk(mixin.body, { ...frame, scope, content: contentFrame, depth: frame.depth + 1 }, context);
+}
+
+function substitute(text, scope) {
+  return text
+    .replace(/#\{([^}]*)\}/g, (_, inner) => unquote(substitute(inner.trim(), scope)))
+    .replace(/@\{([\w-]+)\}/g, (match, name) => unquote(scope.get(`@${name}`) ?? match))
+    .replace(/(?:[\w-]+\.)?\$([\w-]+)/g, (match, name) => scope.get(`$${name}`) ?? match)
+    .replace(/@([\w-]+)/g, (match, name) => scope.get(`@${name}`) ?? match);
+}
+
+function unquote(value) {
+  return value.replace(/^(['"])([\s\S]*)\1$/, '$2');
+}
+
+function resolveSelectors(text, parents) {
+  const parts = splitTopLevel(text, /,/);
+  const combined = parents.length
+    ? parents.flatMap((parent) =>
+        parts.map((part) => (part.includes('&') ? part.replace(/&/g, parent) : `${parent} ${part}`))
+      )
+    : parts.map((part) => part.replace(/&/g, ''));
+  return combined.map(normalizeSelector).filter(Boolean);
+}
+
+function normalizeSelector(selector) {
+  return selector
+    .replace(/\s*([>+]|~(?!=))\s*/g, ' $1 ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let start = 0;
+  let index = 0;
+  while (index < text.length) {
+    if (separator.test(text[index])) {
+      parts.push(text.slice(start, index));
+      index += 1;
+      start = index;
+    } else {
+      index = skipToken(text, index);
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function applyExtensions(rules, extensions) {
+  extensions.forEach(({ target, selectors }) => {
+    const pattern = new RegExp(`${escapeRegExp(target)}(?![\\w-])`, 'g');
+    rules.forEach((rule) => {
+      const extended = rule.selectors.flatMap((selector) =>
+        selector.match(pattern)
+          ? selectors.map((extender) => selector.replace(pattern, extender))
+          : []
+      );
+      rule.selectors = [...new Set([...rule.selectors, ...extended])];
+    });
+  });
+  rules.forEach((rule) => {
+    rule.selectors = rule.selectors.filter((selector) => !selector.includes('%'));
+  });
+  return rules;
+}
+
+function selectorClasses(selector) {
+  return Array.from(selector.matchAll(/\.((?:\\.|[\w-])+)/g), (match) => match[1].toLowerCase());
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
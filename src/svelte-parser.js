@@ -0,0 +1,199 @@
+import { identifierValue, isPascalCase } from './ast-utils.js';
+import { getAttribute, skipBraces } from './markup.js';
+import {
+  addProps,
+  classesFromExpression,
+  collectSfcMarkup,
+  collectSfcScript,
+  collectSfcStyle,
+  collectSfcText,
+  createSfcMeta,
+  finishSfcMeta,
+  splitSfcBlocks,
+} from './sfc-utils.js';
+
+const SVELTE_RUNES = new Set([
+  '$state',
+  '$derived',
+  '$effect',
+  '$props',
+  '$bindable',
+  '$inspect',
+  '$host',
+]);
+const DIRECTIVE_PREFIXES = [
+  'on:',
+  'bind:',
+  'use:',
+  'transition:',
+  'in:',
+  'out:',
+  'animate:',
+  'let:',
+  'style:',
+];
+const STORE_REF_RE = /(^|[^\w$])(\$[A-Za-z_]\w*)/g;
+
+/**
+ * Parses a Svelte component file into the same component meta shape as `parseFile`. Instance
+ * `<script>` blocks give `export let` / `$props()` props, runes (as `hooks`), and store
+ * subscriptions and reactive `$:` statements as logic tokens; markup gives tags, element paths,
+ * classes (including `class:` directives), and text; the scoped `<style>` block is kept as
+ * `styleBlocks` so `loadStyles` uses it directly.
+ */
+export function parseSvelteFile(filePath, code, config) {
+  const blocks = splitSfcBlocks(code);
+  const meta = createSfcMeta(filePath, code);
+  blocks.scripts.forEach((script) => {
+    const isModule = isModuleScript(script.node);
+    collectSfcScript(meta, script, { filePath, config }, (node) =>
+      collectSvelteNode(meta, node, isModule)
+    );
+  });
+  const markup = { children: blocks.markup };
+  collectSfcMarkup(meta, markup, { collectAttribute, isTransparent: isFragmentTag });
+  collectSfcText(meta, markup, (text) => {
+    collectStoreRefs(meta, text);
+    return stripExpressions(text);
+  });
+  blocks.styles.forEach((style) => collectSfcStyle(meta, style, { filePath, config }));
+  return finishSfcMeta(meta, null);
+}
+
+function isModuleScript(node) {
+  return getAttribute(node, 'context')?.value === 'module' || Boolean(getAttribute(node, 'module'));
+}
+
+function collectSvelteNode(meta, node, isModule) {
+  collectSvelteProps(meta, node, isModule);
+  if (node.type === 'LabeledStatement' && node.label.value === '$') {
+    meta.logicTokens.push(reactiveToken(node.body));
+  }
+  if (node.type === 'CallExpression' && SVELTE_RUNES.has(identifierValue(node.callee))) {
+    meta.hooks.push(node.callee.value);
+  }
+  if (node.type === 'Identifier' && isStoreRef(node.value)) addStoreRef(meta, node.value);
+}
+
+function collectSvelteProps(meta, node, isModule) {
+  if (node.type === 'ExportDeclaration' && !isModule) collectExportedProps(meta, node.declaration);
+  if (node.type === 'VariableDeclarator' && isRuneCall(node.init, '$props')) {
+    collectRuneProps(meta, node.id);
+  }
+}
+
+function collectExportedProps(meta, declaration) {
+  if (declaration?.type !== 'VariableDeclaration' || declaration.kind === 'const') return;
+  addProps(
+    meta,
+    declaration.declarations.map((declarator) => identifierValue(declarator.id)).filter(Boolean)
+  );
+}
+
+function isRuneCall(node, rune) {
+  return node?.type === 'CallExpression' && identifierValue(node.callee) === rune;
+}
+
+function collectRuneProps(meta, pattern) {
+  if (pattern.type !== 'ObjectPattern') return;
+  pattern.properties.forEach((property) => {
+    if (property.type === 'RestElement') {
+      meta.props.spreads += 1;
+      return;
+    }
+    if (typeof property.key.value === 'string') addProps(meta, [property.key.value]);
+  });
+}
+
+function reactiveToken(body) {
+  const expression = body.type === 'ExpressionStatement' ? body.expression : null;
+  const target =
+    expression?.type === 'AssignmentExpression' ? identifierValue(expression.left) : null;
+  return target ? `$:${target}` : '$:';
+}
+
+function isStoreRef(name) {
+  return /^\$[A-Za-z_]/.test(name) && !SVELTE_RUNES.has(name);
+}
+
+function addStoreRef(meta, name) {
+  if (!meta.logicTokens.includes(name)) meta.logicTokens.push(name);
+}
+
+function collectStoreRefs(meta, text) {
+  Array.from(text.matchAll(STORE_REF_RE), (match) => match[2])
+    .filter(isStoreRef)
+    .forEach((name) => addStoreRef(meta, name));
+}
+
+function collectAttribute(meta, { name, value }) {
+  if (name.startsWith('{')) {
+    collectBraceAttribute(meta, name);
+    return;
+  }
+  if (name.startsWith('class:')) {
+    collectClassGroup(meta, [name.slice('class:'.length)]);
+    return;
+  }
+  if (!value) return;
+  collectStoreRefs(meta, value);
+  if (name === 'this' && isPascalCase(unwrapBraces(value))) {
+    meta.componentRefs.push(unwrapBraces(value));
+  }
+  if (name === 'class') collectClassGroup(meta, classNamesFromValue(value));
+  if (DIRECTIVE_PREFIXES.some((prefix) => name.startsWith(prefix))) return;
+  const literal = stripExpressions(value).trim();
+  if (literal && name !== 'class') meta.literals.push(literal);
+}
+
+function collectClassGroup(meta, classes) {
+  meta.classNames.push(...classes);
+  if (classes.length) meta.classGroups.push(classes);
+}
+
+function collectBraceAttribute(meta, name) {
+  const expression = unwrapBraces(name);
+  if (!expression.startsWith('...')) return;
+  if (/^\.\.\.\s*\$\$(restProps|props)$/.test(expression)) meta.props.spreads += 1;
+  meta.literals.push('spread');
+}
+
+function classNamesFromValue(value) {
+  return splitExpressions(value)
+    .flatMap(({ text, expression }) =>
+      expression ? classesFromExpression(text) : text.split(/\s+/)
+    )
+    .filter(Boolean);
+}
+
+function splitExpressions(value) {
+  const parts = [];
+  let cursor = 0;
+  while (cursor < value.length) {
+    const open = value.indexOf('{', cursor);
+    if (open === -1) {
+      parts.push({ text: value.slice(cursor), expression: false });
+      break;
+    }
+    parts.push({ text: value.slice(cursor, open), expression: false });
+    const close = skipBraces(value, open);
+    parts.push({ text: value.slice(open + 1, close - 1), expression: true });
+    cursor = close;
+  }
+  return parts;
+}
+
+function stripExpressions(text) {
+  return splitExpressions(text)
+    .map((part) => (part.expression ? ' ' : part.text))
+    .join('');
+}
+
+function unwrapBraces(value) {
+  const trimmed = value.trim();
+  return trimmed.startsWith('{') && trimmed.endsWith('}') ? trimmed.slice(1, -1).trim() : trimmed;
+}
+
+function isFragmentTag(tag) {
+  return tag === 'svelte:fragment';
+}
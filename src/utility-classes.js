@@ -0,0 +1,472 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getI18n } from './i18n.js';
+
+const SPACING_STEPS =
+  '0.5 1 1.5 2 2.5 3 3.5 4 5 6 7 8 9 10 11 12 14 16 20 24 28 32 36 40 44 48 52 56 60 64 72 80 96';
+const PALETTE =
+  'slate gray zinc neutral stone red orange amber yellow lime green emerald teal cyan sky blue indigo violet purple fuchsia pink rose';
+const SHADES = '50 100 200 300 400 500 600 700 800 900 950';
+const TYPESCRIPT_CONFIG = /\.[cm]?ts$/i;
+
+const DEFAULT_SCALES = {
+  spacing: {
+    0: '0px',
+    px: '1px',
+    ...Object.fromEntries(SPACING_STEPS.split(' ').map((step) => [step, `${step / 4}rem`])),
+  },
+  colors: {
+    inherit: 'inherit',
+    current: 'currentcolor',
+    transparent: 'transparent',
+    black: '#000',
+    white: '#fff',
+    ...Object.fromEntries(
+      PALETTE.split(' ').flatMap((name) =>
+        SHADES.split(' ').map((shade) => [`${name}-${shade}`, `theme(colors.${name}.${shade})`])
+      )
+    ),
+  },
+  fontSize: pairs(
+    'xs .75rem/1rem sm .875rem/1.25rem base 1rem/1.5rem lg 1.125rem/1.75rem xl 1.25rem/1.75rem ' +
+      '2xl 1.5rem/2rem 3xl 1.875rem/2.25rem 4xl 2.25rem/2.5rem 5xl 3rem/1 6xl 3.75rem/1 ' +
+      '7xl 4.5rem/1 8xl 6rem/1 9xl 8rem/1',
+    (value) => value.split('/')
+  ),
+  fontWeight: pairs(
+    'thin 100 extralight 200 light 300 normal 400 medium 500 semibold 600 bold 700 extrabold 800 black 900'
+  ),
+  borderRadius: pairs(
+    'none 0 sm .125rem DEFAULT .25rem md .375rem lg .5rem xl .75rem 2xl 1rem 3xl 1.5rem full 9999px'
+  ),
+  borderWidth: pairs('DEFAULT 1px 0 0 2 2px 4 4px 8 8px'),
+  boxShadow: {
+    ...Object.fromEntries(
+      'sm DEFAULT md lg xl 2xl inner'.split(' ').map((size) => [size, `theme(boxShadow.${size})`])
+    ),
+    none: 'none',
+  },
+  lineHeight: pairs(
+    'none 1 tight 1.25 snug 1.375 normal 1.5 relaxed 1.625 loose 2 3 .75rem 4 1rem 5 1.25rem ' +
+      '6 1.5rem 7 1.75rem 8 2rem 9 2.25rem 10 2.5rem'
+  ),
+  screens: pairs('sm 640px md 768px lg 1024px xl 1280px 2xl 1536px'),
+};
+
+const STATIC_UTILITIES = declarationTable(`
+  block: display block
+  inline-block: display inline-block
+  inline: display inline
+  flex: display flex
+  inline-flex: display inline-flex
+  grid: display grid
+  inline-grid: display inline-grid
+  contents: display contents
+  hidden: display none
+  static: position static
+  fixed: position fixed
+  absolute: position absolute
+  relative: position relative
+  sticky: position sticky
+  container: width 100%
+  flex-row: flex-direction row
+  flex-row-reverse: flex-direction row-reverse
+  flex-col: flex-direction column
+  flex-col-reverse: flex-direction column-reverse
+  flex-wrap: flex-wrap wrap
+  flex-nowrap: flex-wrap nowrap
+  flex-1: flex 1 1 0%
+  flex-auto: flex 1 1 auto
+  flex-initial: flex 0 1 auto
+  flex-none: flex none
+  grow: flex-grow 1
+  grow-0: flex-grow 0
+  shrink: flex-shrink 1
+  shrink-0: flex-shrink 0
+  items-start: align-items flex-start
+  items-end: align-items flex-end
+  items-center: align-items center
+  items-baseline: align-items baseline
+  items-stretch: align-items stretch
+  justify-start: justify-content flex-start
+  justify-end: justify-content flex-end
+  justify-center: justify-content center
+  justify-between: justify-content space-between
+  justify-around: justify-content space-around
+  justify-evenly: justify-content space-evenly
+  self-auto: align-self auto
+  self-start: align-self flex-start
+  self-end: align-self flex-end
+  self-center: align-self center
+  self-stretch: align-self stretch
+  text-left: text-align left
+  text-center: text-align center
+  text-right: text-align right
+  text-justify: text-align justify
+  uppercase: text-transform uppercase
+  lowercase: text-transform lowercase
+  capitalize: text-transform capitalize
+  normal-case: text-transform none
+  italic: font-style italic
+  not-italic: font-style normal
+  underline: text-decoration-line underline
+  line-through: text-decoration-line line-through
+  no-underline: text-decoration-line none
+  truncate: overflow hidden; text-overflow ellipsis; white-space nowrap
+  whitespace-normal: white-space normal
+  whitespace-nowrap: white-space nowrap
+  whitespace-pre: white-space pre
+  break-words: overflow-wrap break-word
+  overflow-auto: overflow auto
+  overflow-hidden: overflow hidden
+  overflow-visible: overflow visible
+  overflow-scroll: overflow scroll
+  overflow-x-auto: overflow-x auto
+  overflow-y-auto: overflow-y auto
+  overflow-x-hidden: overflow-x hidden
+  overflow-y-hidden: overflow-y hidden
+  cursor-pointer: cursor pointer
+  cursor-default: cursor default
+  cursor-not-allowed: cursor not-allowed
+  pointer-events-none: pointer-events none
+  select-none: user-select none
+  visible: visibility visible
+  invisible: visibility hidden
+  border-solid: border-style solid
+  border-dashed: border-style dashed
+  border-dotted: border-style dotted
+  border-none: border-style none
+  object-contain: object-fit contain
+  object-cover: object-fit cover
+  aspect-square: aspect-ratio 1 / 1
+  aspect-video: aspect-ratio 16 / 9
+  list-none: list-style-type none
+  outline-none: outline 2px solid transparent; outline-offset 2px
+  transition: transition-property theme(transitionProperty.DEFAULT); transition-duration 150ms
+  transition-colors: transition-property theme(transitionProperty.colors); transition-duration 150ms
+`);
+
+const FUNCTIONAL_UTILITIES = functionalTable(`
+  p spacing padding
+  px spacing padding-left padding-right
+  py spacing padding-top padding-bottom
+  pt spacing padding-top
+  pr spacing padding-right
+  pb spacing padding-bottom
+  pl spacing padding-left
+  m spacing margin
+  mx spacing margin-left margin-right
+  my spacing margin-top margin-bottom
+  mt spacing margin-top
+  mr spacing margin-right
+  mb spacing margin-bottom
+  ml spacing margin-left
+  gap spacing gap
+  gap-x spacing column-gap
+  gap-y spacing row-gap
+  inset size top right bottom left
+  inset-x size left right
+  inset-y size top bottom
+  top size top
+  right size right
+  bottom size bottom
+  left size left
+  w size width
+  h size height
+  size size width height
+  min-w size min-width
+  min-h size min-height
+  max-w size max-width
+  max-h size max-height
+  basis size flex-basis
+  text fontSize font-size
+  text colors color
+  bg colors background-color
+  border borderWidth border-width
+  border colors border-color
+  border-x borderWidth border-left-width border-right-width
+  border-y borderWidth border-top-width border-bottom-width
+  border-t borderWidth border-top-width
+  border-r borderWidth border-right-width
+  border-b borderWidth border-bottom-width
+  border-l borderWidth border-left-width
+  fill colors fill
+  stroke colors stroke
+  outline colors outline-color
+  rounded borderRadius border-radius
+  rounded-t borderRadius border-top-left-radius border-top-right-radius
+  rounded-r borderRadius border-top-right-radius border-bottom-right-radius
+  rounded-b borderRadius border-bottom-right-radius border-bottom-left-radius
+  rounded-l borderRadius border-top-left-radius border-bottom-left-radius
+  rounded-tl borderRadius border-top-left-radius
+  rounded-tr borderRadius border-top-right-radius
+  rounded-br borderRadius border-bottom-right-radius
+  rounded-bl borderRadius border-bottom-left-radius
+  font fontWeight font-weight
+  leading lineHeight line-height
+  shadow boxShadow box-shadow
+  opacity percent opacity
+  z integer z-index
+  order integer order
+  grid-cols columns grid-template-columns
+  col-span span grid-column
+  duration milliseconds transition-duration
+`);
+
+const SIZE_KEYWORDS = { auto: 'auto', full: '100%', min: 'min-content', max: 'max-content' };
+const PSEUDO_VARIANTS = {
+  first: ':first-child',
+  last: ':last-child',
+  odd: ':nth-child(odd)',
+  even: ':nth-child(even)',
+  before: '::before',
+  after: '::after',
+  placeholder: '::placeholder',
+};
+const COLOR_RE = /^(#|rgba?\(|hsla?\(|theme\(colors|transparent$|currentcolor$|inherit$)/i;
+
+const SCALES = {
+  spacing: (value, theme) => theme.spacing[value] ?? (value === 'auto' ? 'auto' : null),
+  size: (value, theme, property) => sizeValue(value, theme, property),
+  colors: colorValue,
+  percent: (value) => (/^\d+$/.test(value) ? String(value / 100) : null),
+  integer: (value) => (/^\d+$/.test(value) ? value : null),
+  columns: (value) => (/^\d+$/.test(value) ? `repeat(${value}, minmax(0, 1fr))` : null),
+  span: (value) => (/^\d+$/.test(value) ? `span ${value} / span ${value}` : null),
+  milliseconds: (value) => (/^\d+$/.test(value) ? `${value}ms` : null),
+};
+
+export const DEFAULT_UTILITY_THEME = resolveUtilityTheme();
+
+/**
+ * Merges a Tailwind config's `theme` (and `theme.extend`) over the bundled default scales:
+ * spacing, colors, font sizes and weights, border radius and width, shadows, line heights, and
+ * screens. Nested color objects become `name-shade` keys; function values are ignored.
+ */
+export function resolveUtilityTheme(tailwindConfig = {}) {
+  const { extend = {}, ...overrides } = tailwindConfig.theme || {};
+  const theme = { prefix: tailwindConfig.prefix || '' };
+  Object.entries(DEFAULT_SCALES).forEach(([key, defaults]) => {
+    const base = isPlainObject(overrides[key]) ? overrides[key] : defaults;
+    theme[key] = { ...flattenScale(base), ...flattenScale(extend[key]) };
+  });
+  return theme;
+}
+
+/**
+ * Loads the Tailwind config at `config.tailwindConfig` (resolved from `config.root`) and returns
+ * its utility theme, or the bundled default theme when no config is set. Node.js without type
+ * stripping (such as 20) cannot import TypeScript, so a `.ts`/`.mts`/`.cts` config that fails to
+ * load is reported through `onWarning` and the default theme is used instead of aborting the scan.
+ */
+export async function loadUtilityTheme(config, onWarning = console.warn) {
+  if (!config.tailwindConfig) return DEFAULT_UTILITY_THEME;
+  const configPath = path.resolve(config.root || process.cwd(), config.tailwindConfig);
+  try {
+    const mod = await import(pathToFileURL(configPath).href);
+    return resolveUtilityTheme(mod.default);
+  } catch (error) {
+    const i18n = getI18n(config.language);
+    if (!TYPESCRIPT_CONFIG.test(configPath)) {
+      throw new Error(`${i18n.errTailwindConfigLoadPrefix} ${configPath}: ${error.message}`);
+    }
+    onWarning(`${i18n.errTailwindConfigTypeScriptPrefix} ${configPath}: ${error.message}`);
+    return DEFAULT_UTILITY_THEME;
+  }
+}
+
+/**
+ * Expands the utility classes of each element (one class list per element) into flat rules like
+ * `flattenStylesheet` returns. Each element gets a `:scope` rule per variant combination:
+ * `hover:` and other state variants become pseudo-classes, screens and `dark:` become `@media`.
+ * Declarations are ordered the way Tailwind orders its utilities, so class order does not matter;
+ * unknown classes are skipped.
+ */
+export function utilityRules(classGroups = [], theme = DEFAULT_UTILITY_THEME) {
+  return classGroups.flatMap((classes) => {
+    const rules = new Map();
+    classes
+      .map((className) => parseUtility(className, theme))
+      .filter(Boolean)
+      .sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name))
+      .forEach(({ media, pseudo, declarations }) => {
+        const key = `${media.join(',')}|${pseudo}`;
+        if (!rules.has(key)) {
+          rules.set(key, { selectors: [`:scope${pseudo}`], media, declarations: [] });
+        }
+        rules.get(key).declarations.push(...declarations);
+      });
+    return [...rules.values()];
+  });
+}
+
+function parseUtility(className, theme) {
+  const parts = splitVariants(className);
+  let name = parts.pop();
+  const important = /^!|!$/.test(name);
+  name = name.replace(/^!|!$/g, '');
+  const negative = name.startsWith('-');
+  name = name.replace(/^-/, '');
+  if (!name.startsWith(theme.prefix)) return null;
+  name = name.slice(theme.prefix.length);
+  const expanded = expandUtility(name, negative, theme);
+  if (!expanded) return null;
+  const media = parts.flatMap((variant) => variantMedia(variant, theme)).sort();
+  const pseudo = parts
+    .filter((variant) => !variantMedia(variant, theme).length)
+    .map((variant) => PSEUDO_VARIANTS[variant] || `:${variant}`)
+    .sort()
+    .join('');
+  const suffix = important ? ' !important' : '';
+  const declarations = expanded.declarations.map(([property, value]) => [property, value + suffix]);
+  return { name, rank: expanded.rank, media, pseudo, declarations };
+}
+
+function expandUtility(name, negative, theme) {
+  const arbitrary = name.match(/^\[([\w-]+):(.+)\]$/);
+  if (arbitrary) return { rank: 0, declarations: [[arbitrary[1], unescape(arbitrary[2])]] };
+  if (STATIC_UTILITIES.has(name) && !negative) return STATIC_UTILITIES.get(name);
+  for (const utility of FUNCTIONAL_UTILITIES) {
+    const value = utilityValue(name, utility.prefix);
+    const resolved = value === null ? null : resolveValue(value, utility, theme);
+    if (resolved !== null) {
+      return {
+        rank: utility.rank,
+        declarations: utility.properties.flatMap((property) =>
+          declarationsFor(property, resolved, negative)
+        ),
+      };
+    }
+  }
+  return null;
+}
+
+function utilityValue(name, prefix) {
+  if (name === prefix) return 'DEFAULT';
+  return name.startsWith(`${prefix}-`) ? name.slice(prefix.length + 1) : null;
+}
+
+function resolveValue(value, { scale, properties }, theme) {
+  const arbitrary = value.match(/^\[(.+)\]$/);
+  if (arbitrary) {
+    const raw = unescape(arbitrary[1]);
+    return (scale === 'colors') === COLOR_RE.test(raw) ? raw : null;
+  }
+  const lookup = SCALES[scale] || ((key) => theme[scale][key]);
+  return lookup(value, theme, properties[0]) ?? null;
+}
+
+function declarationsFor(property, value, negative) {
+  if (Array.isArray(value)) {
+    const [size, lineHeight] = value;
+    const height = isPlainObject(lineHeight) ? lineHeight.lineHeight : lineHeight;
+    return height
+      ? [
+          [property, size],
+          ['line-height', height],
+        ]
+      : [[property, size]];
+  }
+  return [[property, negative ? negate(value) : value]];
+}
+
+function sizeValue(value, theme, property) {
+  if (theme.spacing[value] !== undefined) return theme.spacing[value];
+  if (SIZE_KEYWORDS[value]) return SIZE_KEYWORDS[value];
+  if (value === 'screen') return /height|top|bottom/.test(property) ? '100vh' : '100vw';
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  return fraction ? `${Number(((fraction[1] / fraction[2]) * 100).toFixed(6))}%` : null;
+}
+
+function colorValue(value, theme) {
+  const [name, opacity] = value.split('/');
+  const color = theme.colors[name];
+  if (opacity === undefined) return color ?? null;
+  if (color === undefined || !/^\d+$/.test(opacity)) return null;
+  const hex = String(color).match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!hex) return `${color} / ${opacity}%`;
+  const digits = hex[1].length === 3 ? [...hex[1]].map((digit) => digit + digit).join('') : hex[1];
+  const alpha = Math.round((opacity / 100) * 255);
+  return `#${digits}${alpha.toString(16).padStart(2, '0')}`;
+}
+
+function variantMedia(variant, theme) {
+  if (theme.screens[variant]) return [`@media (min-width: ${theme.screens[variant]})`];
+  return variant === 'dark' ? ['@media (prefers-color-scheme: dark)'] : [];
+}
+
+function splitVariants(className) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  [...className].forEach((char, index) => {
+    if (char === '[') depth += 1;
+    if (char === ']') depth -= 1;
+    if (char === ':' && depth === 0) {
+      parts.push(className.slice(start, index));
+      start = index + 1;
+    }
+  });
+  parts.push(className.slice(start));
+  return parts;
+}
+
+function negate(value) {
+  if (/^0(px)?$/.test(value)) return value;
+  return value.startsWith('-') ? value.slice(1) : `-${value}`;
+}
+
+function unescape(value) {
+  return value.replace(/_/g, ' ');
+}
+
+function flattenScale(scale = {}, prefix = '') {
+  return Object.entries(scale).reduce((flat, [key, value]) => {
+    const name = key === 'DEFAULT' && prefix ? prefix : [prefix, key].filter(Boolean).join('-');
+    if (isPlainObject(value)) return { ...flat, ...flattenScale(value, name) };
+    if (typeof value === 'string' || typeof value === 'number' || Array.isArray(value)) {
+      flat[name] = Array.isArray(value) ? value : String(value);
+    }
+    return flat;
+  }, {});
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pairs(text, map = (value) => value) {
+  const tokens = text.trim().split(/\s+/);
+  const entries = [];
+  for (let i = 0; i < tokens.length; i += 2) entries.push([tokens[i], map(tokens[i + 1])]);
+  return Object.fromEntries(entries);
+}
+
+function declarationTable(text) {
+  return new Map(
+    lines(text).map((line, rank) => {
+      const [name, body] = line.split(/:\s+/);
+      const declarations = body.split(/;\s*/).map((declaration) => {
+        const [property, ...value] = declaration.split(' ');
+        return [property, value.join(' ')];
+      });
+      return [name, { rank, declarations }];
+    })
+  );
+}
+
+function functionalTable(text) {
+  return lines(text)
+    .map((line, index) => {
+      const [prefix, scale, ...properties] = line.split(/\s+/);
+      return { prefix, scale, properties, rank: 1000 + index };
+    })
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+function lines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,176 @@
+import { identifierValue, isPascalCase } from './ast-utils.js';
+import {
+  addProps,
+  classesFromExpression,
+  collectSfcMarkup,
+  collectSfcScript,
+  collectSfcStyle,
+  collectSfcText,
+  createSfcMeta,
+  finishSfcMeta,
+  splitSfcBlocks,
+} from './sfc-utils.js';
+
+const VUE_COMPOSITION_APIS = new Set([
+  'ref',
+  'shallowRef',
+  'reactive',
+  'shallowReactive',
+  'readonly',
+  'computed',
+  'watch',
+  'watchEffect',
+  'toRef',
+  'toRefs',
+  'provide',
+  'inject',
+  'nextTick',
+  'defineEmits',
+  'defineModel',
+  'defineExpose',
+  'defineSlots',
+  'onMounted',
+  'onBeforeMount',
+  'onUpdated',
+  'onBeforeUpdate',
+  'onUnmounted',
+  'onBeforeUnmount',
+  'onActivated',
+  'onDeactivated',
+  'onErrorCaptured',
+]);
+const DIRECTIVE_PREFIXES = ['v-bind:', ':', 'v-on:', '@', 'v-slot:', '#'];
+const INTERPOLATION_RE = /\{\{[\s\S]*?\}\}/g;
+
+/**
+ * Parses a Vue single-file component into the same component meta shape as `parseFile`:
+ * `<script>`/`<script setup>` give props, composables (as `hooks`), logic tokens, and literals;
+ * `<template>` gives tags, paths, classes, text, and component refs; `<style>` blocks are kept
+ * as `styleBlocks` so `loadStyles` uses them directly.
+ */
+export function parseVueFile(filePath, code, config) {
+  const blocks = splitSfcBlocks(code);
+  const meta = createSfcMeta(filePath, code);
+  let name = null;
+  blocks.scripts.forEach((script) =>
+    collectSfcScript(meta, script, { filePath, config }, (node) => {
+      name = collectComponentOptions(meta, node) || name;
+      collectVueCall(meta, node);
+    })
+  );
+  const template = blocks.markup.find(
+    (node) => node.type === 'element' && node.tag.toLowerCase() === 'template'
+  );
+  if (template) {
+    collectSfcMarkup(meta, template, { collectAttribute, isTransparent: isTemplateTag });
+    collectSfcText(meta, template, stripInterpolations);
+  }
+  blocks.styles.forEach((style) => collectSfcStyle(meta, style, { filePath, config }));
+  return finishSfcMeta(meta, name);
+}
+
+function collectVueCall(meta, node) {
+  if (node.type !== 'CallExpression') return;
+  const callee = identifierValue(node.callee);
+  if (VUE_COMPOSITION_APIS.has(callee)) meta.hooks.push(callee);
+  if (callee === 'defineProps') addProps(meta, definePropsNames(node));
+}
+
+function definePropsNames(call) {
+  const [typeArgument] = call.typeArguments?.params || [];
+  if (typeArgument?.type === 'TsTypeLiteral') {
+    return typeArgument.members.map((member) => propertyKey(member.key)).filter(Boolean);
+  }
+  return propsFromExpression(call.arguments[0]?.expression);
+}
+
+function collectComponentOptions(meta, node) {
+  const options = componentOptionsObject(node);
+  if (!options) return null;
+  const props = findProperty(options, 'props');
+  if (props) addProps(meta, propsFromExpression(props.value));
+  const name = findProperty(options, 'name')?.value;
+  return name?.type === 'StringLiteral' ? name.value : null;
+}
+
+function componentOptionsObject(node) {
+  if (node.type === 'ExportDefaultExpression') return unwrapOptions(node.expression);
+  if (node.type === 'CallExpression' && identifierValue(node.callee) === 'defineOptions') {
+    return unwrapOptions(node);
+  }
+  return null;
+}
+
+function unwrapOptions(expression) {
+  if (expression?.type === 'ObjectExpression') return expression;
+  if (expression?.type === 'CallExpression') {
+    const argument = expression.arguments[0]?.expression;
+    return argument?.type === 'ObjectExpression' ? argument : null;
+  }
+  return null;
+}
+
+function findProperty(object, key) {
+  return (
+    object.properties.find(
+      (property) => property.type === 'KeyValueProperty' && propertyKey(property.key) === key
+    ) || null
+  );
+}
+
+function propsFromExpression(expression) {
+  if (expression?.type === 'ArrayExpression') {
+    return expression.elements
+      .map((element) => element?.expression)
+      .filter((element) => element?.type === 'StringLiteral')
+      .map((element) => element.value);
+  }
+  if (expression?.type === 'ObjectExpression') {
+    return expression.properties
+      .map((property) =>
+        property.type === 'Identifier' ? property.value : propertyKey(property.key)
+      )
+      .filter(Boolean);
+  }
+  return [];
+}
+
+function propertyKey(key) {
+  if (key?.type === 'Identifier' || key?.type === 'StringLiteral') return key.value;
+  return null;
+}
+
+function collectAttribute(meta, { name, value }) {
+  if (!value) return;
+  if (name === 'v-bind') {
+    collectBindSpread(meta, value);
+    return;
+  }
+  const directive = DIRECTIVE_PREFIXES.find((prefix) => name.startsWith(prefix));
+  const key = directive ? name.slice(directive.length) : name;
+  if (key === 'class') collectClasses(meta, value, directive);
+  if (directive) {
+    if (key === 'is' && isPascalCase(value.trim())) meta.componentRefs.push(value.trim());
+    return;
+  }
+  if (!name.startsWith('v-')) meta.literals.push(value);
+}
+
+function collectClasses(meta, value, directive) {
+  const classes = (directive ? classesFromExpression(value) : value.split(/\s+/)).filter(Boolean);
+  meta.classNames.push(...classes);
+  if (classes.length) meta.classGroups.push(classes);
+}
+
+function collectBindSpread(meta, value) {
+  if (value.trim() === '$attrs') meta.props.spreads += 1;
+  meta.literals.push('spread');
+}
+
+function isTemplateTag(tag) {
+  return tag.toLowerCase() === 'template';
+}
+
+function stripInterpolations(text) {
+  return text.replace(INTERPOLATION_RE, ' ');
+}
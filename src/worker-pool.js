@@ -0,0 +1,89 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+/**
+ * Resolves a worker count: an explicit positive request capped at the available CPUs, or, for 0 /
+ * unset, one worker per spare CPU up to `autoMax`. Always at least 1.
+ */
+export function resolvePoolSize(requested, autoMax = 4) {
+  const cpus = availableParallelism();
+  const wanted =
+    Number(requested) > 0 ? Math.floor(Number(requested)) : Math.min(autoMax, cpus - 1);
+  return Math.max(1, Math.min(wanted, cpus));
+}
+
+/* v8 ignore start */
+function availableParallelism() {
+  return typeof os.availableParallelism === 'function'
+    ? os.availableParallelism()
+    : os.cpus().length;
+}
+/* v8 ignore stop */
+
+/**
+ * Fixed-size pool of worker threads started on demand. Each worker handles one task at a time: it
+ * receives the task payload as a message and answers with `{ result }` or `{ error }`. Idle workers
+ * do not keep the process alive.
+ */
+export class WorkerPool {
+  constructor(workerPath, { size, workerData, name = 'Worker' }) {
+    this.workerPath = workerPath;
+    this.size = size;
+    this.workerData = workerData;
+    this.name = name;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+  }
+
+  run(payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  async close() {
+    const workers = Array.from(this.workers);
+    this.workers.clear();
+    this.idle = [];
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  dispatch() {
+    while (this.queue.length) {
+      const worker = this.idle.pop() || (this.workers.size < this.size ? this.spawn() : null);
+      if (!worker) return;
+      worker.task = this.queue.shift();
+      worker.ref();
+      worker.postMessage(worker.task.payload);
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.workerPath, { workerData: this.workerData });
+    this.workers.add(worker);
+    worker.on('message', ({ result, error }) => {
+      const task = worker.task;
+      worker.task = null;
+      worker.unref();
+      this.idle.push(worker);
+      if (error) task.reject(new Error(error));
+      else task.resolve(result);
+      this.dispatch();
+    });
+    worker.on('error', (error) => this.discard(worker, error));
+    worker.on('exit', (code) => {
+      this.discard(worker, new Error(`${this.name} exited with code ${code}`));
+    });
+    return worker;
+  }
+
+  discard(worker, error) {
+    if (!this.workers.delete(worker)) return;
+    this.idle = this.idle.filter((candidate) => candidate !== worker);
+    worker.task?.reject(error);
+    worker.task = null;
+    this.dispatch();
+  }
+}
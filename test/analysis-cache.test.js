@@ -51,10 +51,10 @@ describe('analysis cache', () => {
     fs.writeFileSync(cachePath, 'not valid');
     expect(loadAnalysisCache(cachePath).files).toEqual({});
 
-    fs.writeFileSync(cachePath, JSON.stringify({ version: 0, files: { stale: true } }));
+    fs.writeFileSync(cachePath, JSON.stringify({ version: 1, files: { stale: true } }));
     expect(loadAnalysisCache(cachePath).files).toEqual({});
 
-    saveAnalysisCache(cachePath, { version: 1, files: { ok: {} } });
+    saveAnalysisCache(cachePath, { version: 7, files: { ok: {} } });
     expect(loadAnalysisCache(cachePath).files.ok).toBeDefined();
   });
 
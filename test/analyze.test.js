@@ -0,0 +1,62 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { analyze } from '../src/index.js';
+import { MockEmbeddingBackend } from '../src/embedding/mock.js';
+
+function writeProject() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-api-'));
+  const card = fs.readFileSync(path.resolve('examples/CardA.tsx'), 'utf8');
+  fs.writeFileSync(path.join(root, 'CardA.tsx'), card);
+  fs.writeFileSync(path.join(root, 'CardB.tsx'), card.replace(/CardA/g, 'CardB'));
+  return root;
+}
+
+describe('programmatic analyze', () => {
+  it('returns structured results without printing', async () => {
+    const root = writeProject();
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const backend = new MockEmbeddingBackend(16);
+    const embed = vi.spyOn(backend, 'embed');
+    const events = [];
+    const result = await analyze({
+      root,
+      backend,
+      similarityThreshold: 0.5,
+      onProgress: (event) => events.push(event),
+    });
+    const printed = log.mock.calls.length;
+    log.mockRestore();
+
+    expect(printed).toBe(0);
+    expect(embed).toHaveBeenCalled();
+    expect(result.components.map((component) => component.name).sort()).toEqual(['CardA', 'CardB']);
+    expect(result.pairs).toHaveLength(1);
+    expect(result.clusters).toHaveLength(1);
+    expect(result.scorecard).toBe(result.stats.scorecard);
+    expect(result.stats.cache).toBeDefined();
+    expect(new Set(events.map((event) => event.phase))).toEqual(
+      new Set(['scan', 'parse', 'embed', 'match'])
+    );
+    expect(events.at(-1)).toEqual({ phase: 'match', completed: 2, total: 2 });
+    expect(fs.existsSync(path.join(root, '.cache', 'duplicalis', 'embeddings.json'))).toBe(true);
+  });
+
+  it('routes cache warnings to the callback and stays quiet without one', async () => {
+    const root = writeProject();
+    const cacheDir = path.join(root, '.cache', 'duplicalis');
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, 'embeddings.json'), '{broken');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const onWarning = vi.fn();
+    await analyze({ root, model: 'mock', onWarning });
+    expect(onWarning).toHaveBeenCalledWith(expect.stringContaining('embeddings.json'));
+
+    fs.writeFileSync(path.join(cacheDir, 'embeddings.json'), '{broken');
+    await analyze({ root, model: 'mock' });
+    const warned = warn.mock.calls.length;
+    warn.mockRestore();
+    expect(warned).toBe(0);
+  });
+});
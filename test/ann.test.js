@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import { buildCandidates, resolveAnn } from '../src/ann.js';
+import { findSimilarities } from '../src/similarity.js';
+import { normalize } from '../src/math.js';
+import { makeEntry } from './similarity-fixtures.js';
+
+function randomVectors(count, dimensions, seed = 7) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, () =>
+    normalize(Array.from({ length: dimensions }, () => next()))
+  );
+}
+
+function corpus() {
+  const bases = randomVectors(40, 24);
+  const noise = randomVectors(10, 24, 99);
+  const twins = noise.map((delta, index) =>
+    normalize(bases[index].map((value, i) => value + delta[i] * 0.15))
+  );
+  return [...bases, ...twins].map((vector, index) =>
+    makeEntry(`C${index}`, vector, { filePath: `src/c${index}/C${index}.tsx` })
+  );
+}
+
+describe('ANN candidate search', () => {
+  it('resolves defaults, sizes tables from the threshold, and validates the mode', () => {
+    expect(resolveAnn({})).toEqual({ mode: 'off', bits: 12, tables: 128 });
+    expect(resolveAnn({ ann: { mode: 'lsh' }, similarityThreshold: 0.85 })).toEqual({
+      mode: 'lsh',
+      bits: 12,
+      tables: 30,
+    });
+    expect(resolveAnn({ ann: { mode: 'lsh', bits: 40 }, similarityThreshold: 0.1 }).tables).toBe(
+      128
+    );
+    expect(resolveAnn({ ann: { mode: 'lsh' }, similarityThreshold: 1 }).tables).toBe(1);
+    expect(resolveAnn({ ann: { mode: 'lsh', bits: 8, tables: 5 } })).toEqual({
+      mode: 'lsh',
+      bits: 8,
+      tables: 5,
+    });
+    expect(() => resolveAnn({ ann: { mode: 'hnsw' } })).toThrow(
+      'Unsupported ANN mode hnsw (off, lsh)'
+    );
+  });
+
+  it('hashes near-duplicates into shared buckets deterministically', () => {
+    const entries = corpus();
+    const config = { ann: { mode: 'lsh' }, similarityThreshold: 0.9 };
+    expect(buildCandidates(entries, {})).toBeNull();
+    const index = buildCandidates(entries, config);
+    index.candidates.forEach((list, i) => {
+      expect([...list]).toEqual([...list].sort((a, b) => a - b));
+      list.forEach((j) => expect(j).toBeGreaterThan(i));
+    });
+    for (let i = 0; i < 10; i += 1) expect(index.candidates[i]).toContain(40 + i);
+    expect(index.candidatePairs).toBeLessThan((entries.length * (entries.length - 1)) / 2);
+    expect(buildCandidates(entries, config)).toEqual(index);
+  });
+
+  it('compares members of oversized buckets with every entry instead of expanding them', () => {
+    const spread = randomVectors(40, 24);
+    const cluster = randomVectors(300, 24, 3).map((delta) =>
+      normalize(spread[0].map((value, i) => value + delta[i] * 0.01))
+    );
+    const entries = [...spread, ...cluster].map((vector, index) =>
+      makeEntry(`C${index}`, vector, { filePath: `src/C${index}.tsx` })
+    );
+    const { candidates, candidatePairs } = buildCandidates(entries, {
+      ann: { mode: 'lsh', bits: 8, tables: 1 },
+    });
+    expect(candidates[0]).toBeNull();
+    expect(candidates.slice(40).every((list) => list === null)).toBe(true);
+    expect(candidates.slice(1, 40).filter(Boolean).length).toBeGreaterThan(30);
+    const exactPairs = candidates.reduce(
+      (sum, list, index) => sum + (list ? 0 : entries.length - index - 1),
+      0
+    );
+    expect(candidatePairs).toBeGreaterThanOrEqual(exactPairs);
+  });
+
+  it('reports the same pairs as the exhaustive scan while evaluating fewer', async () => {
+    const entries = corpus();
+    const config = { similarityThreshold: 0.9, highSimilarityThreshold: 0.95 };
+    const exact = await findSimilarities(entries, config);
+    const ann = await findSimilarities(entries, { ...config, ann: { mode: 'lsh' } });
+    expect(exact.pairs).toHaveLength(10);
+    expect(ann.pairs).toEqual(exact.pairs);
+    expect(exact.scorecard.ann).toBeUndefined();
+    expect(ann.scorecard.ann).toEqual({
+      candidatePairs: ann.scorecard.evaluatedPairs,
+      totalPairs: 1225,
+    });
+
+    const parallel = await findSimilarities(entries, {
+      ...config,
+      ann: { mode: 'lsh' },
+      similarityWorkers: 2,
+      similarityWorkerMinEntries: 0,
+    });
+    expect(parallel.pairs).toEqual(exact.pairs);
+    expect(parallel.scorecard.ann).toEqual(ann.scorecard.ann);
+  });
+});
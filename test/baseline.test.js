@@ -0,0 +1,284 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  DEFAULT_BASELINE_FILE,
+  applyBaseline,
+  buildBaseline,
+  loadBaseline,
+  resolveBaselinePath,
+  saveBaseline,
+} from '../src/baseline.js';
+import { run, writeBaseline } from '../src/index.js';
+import { runCli } from '../src/cli.js';
+import { makeEntry } from './similarity-fixtures.js';
+
+function makeRootEntry(root, relPath, name, source, extra = {}) {
+  return makeEntry(name, [1, 0], {
+    componentId: `${path.join(root, relPath)}#${name}`,
+    filePath: path.join(root, relPath),
+    name,
+    source,
+    ...extra,
+  });
+}
+
+function pairOf(left, right, extra = {}) {
+  return {
+    a: left.component.id,
+    b: right.component.id,
+    similarity: 0.93,
+    category: 'almost-identical',
+    labels: ['copy-paste-variant'],
+    hints: [],
+    ...extra,
+  };
+}
+
+const UNRELATED_CARD_B = `
+export function CardB({ items }) {
+  const total = items.reduce((sum, item) => sum + item.price, 0);
+  return <table><tbody><tr><td>{total}</td></tr></tbody></table>;
+}
+`;
+
+function createProject() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-baseline-'));
+  fs.mkdirSync(path.join(root, 'cards'));
+  ['CardA.tsx', 'CardB.tsx'].forEach((file) => {
+    fs.copyFileSync(path.resolve('examples', file), path.join(root, 'cards', file));
+  });
+  return root;
+}
+
+function projectConfig(root, extra = {}) {
+  return {
+    root,
+    include: ['**/*.tsx'],
+    exclude: [],
+    similarityThreshold: 0.7,
+    highSimilarityThreshold: 0.9,
+    model: 'mock',
+    styleExtensions: ['.css'],
+    disableAnalyses: [],
+    allowIgnores: true,
+    remote: {},
+    weight: { code: 0.7, style: 0.3 },
+    cachePath: path.join(root, '.cache', 'embeddings.json'),
+    analysisCachePath: path.join(root, '.cache', 'analysis.msgpack'),
+    ...extra,
+  };
+}
+
+describe('baseline', () => {
+  it('resolves the baseline path against the scan root', () => {
+    expect(resolveBaselinePath({ root: '/repo' })).toBe(
+      path.resolve('/repo', DEFAULT_BASELINE_FILE)
+    );
+    expect(resolveBaselinePath({ root: '/repo', baselinePath: 'ci/known.json' })).toBe(
+      path.resolve('/repo/ci/known.json')
+    );
+    expect(resolveBaselinePath({ baselinePath: '/abs/known.json' })).toBe('/abs/known.json');
+  });
+
+  it('records pairs with stable relative ids in a deterministic order', () => {
+    const root = '/repo';
+    const b = makeRootEntry(root, 'src/B.tsx', 'B', 'const B = 1;');
+    const a = makeRootEntry(root, 'src/A.tsx', 'A', 'const A = 1;');
+    const c = makeRootEntry(root, 'lib/C.tsx', 'C', 'const C = 1;');
+    const baseline = buildBaseline([a, b, c], [pairOf(b, a), pairOf(c, b)], { root });
+    expect(baseline.version).toBe(1);
+    expect(baseline.pairs.map((record) => [record.a.id, record.b.id])).toEqual([
+      ['lib/C.tsx#C', 'src/B.tsx#B'],
+      ['src/A.tsx#A', 'src/B.tsx#B'],
+    ]);
+    expect(baseline.pairs[1]).toMatchObject({
+      similarity: 0.93,
+      category: 'almost-identical',
+      labels: ['copy-paste-variant'],
+    });
+    expect(baseline.pairs[1].a.fingerprint).toMatch(/^[0-9a-f]{40}$/);
+  });
+
+  it('hides known pairs, matches moved components by fingerprint, and lists fixed entries', () => {
+    const root = '/repo';
+    const a = makeRootEntry(root, 'src/A.tsx', 'A', 'const A = 1;');
+    const b = makeRootEntry(root, 'src/B.tsx', 'B', 'const B = 1;');
+    const c = makeRootEntry(root, 'src/C.tsx', 'C', 'const C = 1;');
+    const d = makeRootEntry(root, 'src/D.tsx', 'D', 'const D = 1;');
+    const baseline = buildBaseline([a, b, c, d], [pairOf(a, b), pairOf(c, d)], { root });
+
+    const movedB = makeRootEntry(root, 'moved/Renamed.tsx', 'B', 'const B = 1;');
+    const e = makeRootEntry(root, 'src/E.tsx', 'E', 'const E = 1;');
+    const entries = [a, movedB, c, d, e];
+    const result = applyBaseline(entries, [pairOf(movedB, a), pairOf(a, e)], baseline, {
+      root,
+      baselinePath: 'known.json',
+    });
+    expect(result.pairs.map((pair) => pair.b)).toEqual([e.component.id]);
+    expect(result.summary.known).toBe(1);
+    expect(result.summary.path).toBe(path.resolve(root, 'known.json'));
+    expect(result.summary.resolved.map((record) => record.a.id)).toEqual(['src/C.tsx#C']);
+    expect(result.summary.notEvaluated).toBe(0);
+  });
+
+  it('keeps matching components edited in place by their stable id', () => {
+    const root = '/repo';
+    const a = makeRootEntry(root, 'src/A.tsx', 'A', 'const A = 1;');
+    const b = makeRootEntry(root, 'src/B.tsx', 'B', 'const B = 1;');
+    const c = makeRootEntry(root, 'src/C.tsx', 'C', 'const C = 1;');
+    const baseline = buildBaseline([a, b, c], [pairOf(a, c), pairOf(a, b)], { root });
+    expect(baseline.pairs.map((record) => record.b.id)).toEqual(['src/B.tsx#B', 'src/C.tsx#C']);
+
+    const editedA = makeRootEntry(root, 'src/A.tsx', 'A', 'const A = 2;');
+    const result = applyBaseline([editedA, b, c], [pairOf(editedA, c)], baseline, { root });
+    expect(result.pairs).toEqual([]);
+    expect(result.summary.resolved.map((record) => record.b.id)).toEqual(['src/B.tsx#B']);
+  });
+
+  it('does not count pairs this run did not compare as resolved', () => {
+    const root = '/repo';
+    const a = makeRootEntry(root, 'src/A.tsx', 'A', 'const A = 1;');
+    const b = makeRootEntry(root, 'src/B.tsx', 'B', 'const B = 1;');
+    const c = makeRootEntry(root, 'src/C.tsx', 'C', 'const C = 1;');
+    const baseline = buildBaseline([a, b, c], [pairOf(a, b), pairOf(a, c)], { root });
+    const summary = (entries, pairs, config = {}) =>
+      applyBaseline(entries, pairs, baseline, { root, ...config }).summary;
+
+    const deleted = summary([a, c], [pairOf(a, c)]);
+    expect(deleted.resolved).toEqual([]);
+    expect(deleted.notEvaluated).toBe(1);
+
+    const capped = summary([a, b, c], [pairOf(a, c)], { limit: 1 });
+    expect(capped.notEvaluated).toBe(1);
+    expect(summary([a, b, c], [pairOf(a, c)], { limit: 2 }).resolved).toHaveLength(1);
+
+    c.component.isCompareTarget = true;
+    const compared = summary([a, b, c], [pairOf(a, c)], { compareGlobs: ['src/C.tsx'] });
+    expect(compared.resolved).toEqual([]);
+    expect(compared.notEvaluated).toBe(1);
+  });
+
+  it('reports a new identical copy of a baselined component as a new pair', () => {
+    const root = '/repo';
+    const source = 'const Card = () => <div />;';
+    const a = makeRootEntry(root, 'src/a/Card.tsx', 'Card', source);
+    const b = makeRootEntry(root, 'src/b/Card.tsx', 'Card', source);
+    const baseline = buildBaseline([a, b], [pairOf(a, b)], { root });
+
+    const c = makeRootEntry(root, 'src/c/Card.tsx', 'Card', source);
+    const pairs = [pairOf(a, b), pairOf(a, c), pairOf(c, b)];
+    const result = applyBaseline([a, b, c], pairs, baseline, { root });
+    expect(result.pairs.map((pair) => [pair.a, pair.b])).toEqual([
+      [a.component.id, c.component.id],
+      [c.component.id, b.component.id],
+    ]);
+    expect(result.summary.known).toBe(1);
+  });
+
+  it('ignores style import locations when fingerprinting moved components', () => {
+    const root = '/repo';
+    const a = makeRootEntry(root, 'src/A.tsx', 'A', 'const A = 1;', { styleImports: undefined });
+    const b = makeRootEntry(root, 'src/B.tsx', 'B', 'const B = 1;', {
+      styleImports: [path.join(root, 'src/B.css')],
+    });
+    const baseline = buildBaseline([a, b], [pairOf(a, b)], { root });
+
+    const movedA = makeRootEntry(root, 'next/A2.tsx', 'A', 'const A = 1;', {
+      styleImports: undefined,
+    });
+    const movedB = makeRootEntry(root, 'next/B2.tsx', 'B', 'const B = 1;', {
+      styleImports: [path.join(root, 'next/B.css')],
+    });
+    const result = applyBaseline([movedA, movedB], [pairOf(movedB, movedA)], baseline, { root });
+    expect(result.pairs).toEqual([]);
+    expect(result.summary.known).toBe(1);
+  });
+
+  it('round-trips the baseline file and rejects missing or malformed files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-baseline-file-'));
+    const file = path.join(dir, 'nested', 'baseline.json');
+    saveBaseline(file, { version: 1, pairs: [] });
+    expect(loadBaseline(file)).toEqual({ version: 1, pairs: [] });
+    expect(fs.readFileSync(file, 'utf8').endsWith('\n')).toBe(true);
+
+    expect(() => loadBaseline(path.join(dir, 'missing.json'))).toThrow(/Baseline file not found/);
+    fs.writeFileSync(file, JSON.stringify({ version: 99, pairs: [] }));
+    expect(() => loadBaseline(file)).toThrow(/unsupported baseline format/);
+    fs.writeFileSync(file, '{not json');
+    expect(() => loadBaseline(file, 'ru')).toThrow(/Не удалось прочитать/);
+  });
+
+  it('writes a baseline and reports only new pairs on later scans', async () => {
+    const root = createProject();
+    const written = await writeBaseline(projectConfig(root));
+    expect(written.baselinePath).toBe(path.join(root, DEFAULT_BASELINE_FILE));
+    expect(written.baseline.pairs).toHaveLength(1);
+    expect(written.baseline.pairs[0].a.id).toBe('cards/CardA.tsx#CardA');
+
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const config = projectConfig(root, { baselinePath: DEFAULT_BASELINE_FILE });
+    const known = await run(config);
+    expect(known.pairs).toEqual([]);
+    expect(known.stats.baseline.known).toBe(1);
+
+    fs.mkdirSync(path.join(root, 'moved'));
+    fs.renameSync(path.join(root, 'cards/CardB.tsx'), path.join(root, 'moved/CardB.tsx'));
+    const moved = await run(config);
+    expect(moved.pairs).toEqual([]);
+    expect(moved.stats.baseline.known).toBe(1);
+
+    fs.rmSync(path.join(root, 'moved/CardB.tsx'));
+    const deleted = await run({ ...config, ci: true });
+    expect(deleted.stats.baseline.resolved).toEqual([]);
+    expect(deleted.gate.passed).toBe(true);
+    expect(spy.mock.calls.at(-1)[0]).toContain(
+      'baseline-known=0 baseline-resolved=0 baseline-not-evaluated=1'
+    );
+
+    fs.writeFileSync(path.join(root, 'cards/CardB.tsx'), UNRELATED_CARD_B);
+    const fixed = await run({ ...config, ci: true });
+    spy.mockRestore();
+    expect(fixed.stats.baseline.resolved).toHaveLength(1);
+    expect(fixed.stats.baseline.notEvaluated).toBe(0);
+  });
+
+  it('prints baseline details in the console report', async () => {
+    const root = createProject();
+    await writeBaseline(projectConfig(root, { baselinePath: 'known.json' }));
+    fs.writeFileSync(path.join(root, 'cards/CardB.tsx'), UNRELATED_CARD_B);
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    await run(projectConfig(root, { baselinePath: 'known.json' }));
+    fs.rmSync(path.join(root, 'cards/CardB.tsx'));
+    await run(projectConfig(root, { baselinePath: 'known.json' }));
+    const output = spy.mock.calls.map((call) => String(call[0])).join('\n');
+    spy.mockRestore();
+    expect(output).toContain('fixed since baseline: 1');
+    expect(output).toContain('not evaluated in this run: 1');
+    expect(output).toContain('cards/CardA.tsx#CardA ↔ cards/CardB.tsx#CardB');
+  });
+
+  it('writes the baseline through the cli command', async () => {
+    const root = createProject();
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    await runCli([
+      'node',
+      'duplicalis',
+      'baseline',
+      root,
+      '--model',
+      'mock',
+      '--threshold',
+      '0.7',
+      '--baseline',
+      'ci/baseline.json',
+      '--no-progress',
+    ]);
+    const message = spy.mock.calls.map((call) => call[0]).join('\n');
+    spy.mockRestore();
+    const baselinePath = path.join(root, 'ci/baseline.json');
+    expect(message).toBe(`Baseline written to ${baselinePath} (1 pairs)`);
+    expect(JSON.parse(fs.readFileSync(baselinePath, 'utf8')).pairs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { chunk, mapWithConcurrency } from '../src/batching.js';
+
+describe('batching', () => {
+  it('splits items into groups', () => {
+    expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    expect(chunk([1, 2, 3], undefined)).toEqual([[1, 2, 3]]);
+    expect(chunk([], 4)).toEqual([]);
+  });
+
+  it('keeps at most the limit of workers in flight and preserves order', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 1], 2, async (delay, index) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      active -= 1;
+      return index;
+    });
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+    expect(await mapWithConcurrency([], 0, async () => 1)).toEqual([]);
+  });
+
+  it('stops scheduling after the first failure', async () => {
+    const started = [];
+    await expect(
+      mapWithConcurrency([1, 2, 3, 4], undefined, async (item) => {
+        started.push(item);
+        if (item === 2) throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+    expect(started).toEqual([1, 2]);
+  });
+
+  it('lets calls in flight finish before rejecting', async () => {
+    const finished = [];
+    await expect(
+      mapWithConcurrency([1, 2, 3], 2, async (item) => {
+        if (item === 1) throw new Error('first');
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        finished.push(item);
+      })
+    ).rejects.toThrow('first');
+    expect(finished).toEqual([2]);
+  });
+});
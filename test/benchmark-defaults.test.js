@@ -13,20 +13,27 @@ describe('benchmark defaults', () => {
     const models = resolveBenchmarkModels();
     expect(models.map((model) => model.id)).toEqual(DEFAULT_BENCHMARK_MODEL_IDS);
     expect(models[0].kind).toBe('local');
-    expect(models[1].kind).toBe('remote');
+    expect(models[1].kind).toBe('lexical');
+    expect(models[2].kind).toBe('remote');
     expect(resolveBenchmarkModels([]).map((model) => model.id)).toEqual(
       DEFAULT_BENCHMARK_MODEL_IDS
     );
   });
 
   it('resolves aliases and custom remote ids', () => {
-    const models = resolveBenchmarkModels(['openai-small', 'mock', 'custom/provider-model']);
+    const models = resolveBenchmarkModels([
+      'openai-small',
+      'mock',
+      'custom/provider-model',
+      'tfidf',
+    ]);
     expect(models[0]).toMatchObject({ id: 'openai/text-embedding-3-small', kind: 'remote' });
     expect(models[1]).toMatchObject({ id: 'mock', kind: 'mock' });
     expect(models[2]).toMatchObject({ id: 'custom/provider-model', kind: 'remote' });
+    expect(models[3]).toMatchObject({ id: 'lexical', kind: 'lexical' });
   });
 
-  it('builds backend configs for local, mock, and remote presets', () => {
+  it('builds backend configs for local, mock, lexical, and remote presets', () => {
     const base = {
       model: 'local',
       modelPath: 'models/all-MiniLM-L6-v2',
@@ -41,6 +48,9 @@ describe('benchmark defaults', () => {
       model: 'mock',
       remote: base.remote,
     });
+    expect(buildBenchmarkModelConfig(base, { kind: 'lexical' })).toMatchObject({
+      model: 'lexical',
+    });
     expect(
       buildBenchmarkModelConfig(base, { kind: 'remote', id: 'openai/text-embedding-3-small' })
     ).toMatchObject({
@@ -54,6 +64,10 @@ describe('benchmark defaults', () => {
       'Local custom-minilm'
     );
     expect(resolveLocalBenchmarkLabel({})).toBe('Local all-MiniLM-L6-v2');
+    expect(resolveLocalBenchmarkLabel()).toBe('Local all-MiniLM-L6-v2');
+    expect(resolveLocalBenchmarkLabel({ localModel: { preset: 'gte-small' } })).toBe(
+      'Local gte-small'
+    );
   });
 
   it('ships a bundled manifest', () => {
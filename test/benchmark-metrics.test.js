@@ -3,6 +3,7 @@ import {
   buildReportConfig,
   compareThresholds,
   computeBenchmarkScore,
+  evaluateAnn,
   evaluateBenchmark,
   makeThresholdCandidate,
 } from '../src/benchmark-metrics.js';
@@ -220,4 +221,12 @@ describe('benchmark metrics', () => {
     expect(computeBenchmarkScore(1, 1, 1)).toBe(100);
     expect(computeBenchmarkScore(0.5, 0.5, 0.5)).toBe(50);
   });
+
+  it('reports full ANN recall when the exhaustive scan finds nothing', async () => {
+    const entries = [makeEntry('A', [1, 0]), makeEntry('B', [0, 1])];
+    const ann = await evaluateAnn(entries, { similarityThreshold: 0.9, ann: { mode: 'lsh' } });
+    expect(ann).toMatchObject({ threshold: 0.9, exactPairs: 0, recall: 1, totalPairs: 1 });
+    expect(ann.exhaustiveMs).toBeGreaterThanOrEqual(0);
+    expect(ann.annMs).toBeGreaterThanOrEqual(0);
+  });
 });
@@ -128,7 +128,7 @@ describe('benchmark runner', () => {
     );
   });
 
-  it('falls back to config language when benchmark i18n is not passed', async () => {
+  it('falls back to config language and measures ANN recall when enabled', async () => {
     const log = vi.spyOn(console, 'log').mockImplementation(() => {});
     const report = await runBenchmark(
       {
@@ -154,10 +154,19 @@ describe('benchmark runner', () => {
         relativePaths: false,
         minPathDistance: 0,
         cleanProbability: 0,
+        similarityThreshold: 0.8,
+        ann: { mode: 'lsh' },
       },
       { models: ['mock'] }
     );
+    const printed = log.mock.calls.map(([line]) => String(line)).join('\n');
     log.mockRestore();
     expect(report.results).toHaveLength(1);
+    const { ann } = report.results[0].metrics;
+    expect(ann).toMatchObject({ threshold: 0.8, totalPairs: report.suite.pairCount });
+    expect(ann.recall).toBeGreaterThan(0);
+    expect(ann.recall).toBeLessThanOrEqual(1);
+    expect(ann.candidatePairs).toBeLessThanOrEqual(ann.totalPairs);
+    expect(printed).toContain('ANN candidate search at the configured threshold');
   });
 });
@@ -42,7 +42,12 @@ describe('cache', () => {
     const cfgNoModel = loadConfig({ model: 'remote', remote: { model: '' } });
     expect(modelKey(cfgNoModel)).toBe('remote:');
     expect(modelKey(loadConfig({ model: 'local', modelPath: 'x' }))).toBe('local:x');
+    expect(
+      modelKey(loadConfig({ model: 'local', localModel: { preset: 'bge-small-en-v1.5' } }))
+    ).toBe(`local:${path.join('models', 'bge-small-en-v1.5')}|pooling=cls`);
     expect(modelKey(loadConfig({ model: 'mock' }))).toBe('mock');
+    expect(modelKey({ model: './embed.js' })).toBe('custom:./embed.js');
+    expect(modelKey({ model: './embed.js' }, { cacheKey: 'acme-v2' })).toBe('custom:acme-v2');
     const fp = fingerprintRepresentation('code', 'style', 'css');
     expect(fp).toHaveLength(40);
     const fpEmpty = fingerprintRepresentation();
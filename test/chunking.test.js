@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import {
+  aggregateChunks,
+  chunkSignature,
+  resolveChunking,
+  splitIntoChunks,
+} from '../src/chunking.js';
+
+describe('chunking', () => {
+  it('resolves options with safe bounds', () => {
+    expect(resolveChunking({})).toEqual({
+      size: 0,
+      overlap: 0,
+      maxChunks: 1,
+      aggregation: 'mean',
+    });
+    expect(
+      resolveChunking({ chunking: { size: 10, overlap: 50, maxChunks: 3, aggregation: 'max' } })
+    ).toEqual({ size: 10, overlap: 9, maxChunks: 3, aggregation: 'max' });
+    expect(() => resolveChunking({ chunking: { aggregation: 'median' } })).toThrow(
+      'Unsupported chunk aggregation median (mean, max, weighted)'
+    );
+  });
+
+  it('splits long text into overlapping windows', () => {
+    const options = { size: 4, overlap: 1, maxChunks: 10 };
+    expect(splitIntoChunks('abc', options)).toEqual({ chunks: ['abc'], truncated: false });
+    expect(splitIntoChunks('abcdefghij', options)).toEqual({
+      chunks: ['abcd', 'defg', 'ghij'],
+      truncated: false,
+    });
+    expect(splitIntoChunks('abcdefghij', { size: 0, overlap: 0, maxChunks: 10 })).toEqual({
+      chunks: ['abcdefghij'],
+      truncated: false,
+    });
+  });
+
+  it('flags truncation when the chunk budget runs out', () => {
+    expect(splitIntoChunks('abcdefghij', { size: 4, overlap: 1, maxChunks: 2 })).toEqual({
+      chunks: ['abcd', 'defg'],
+      truncated: true,
+    });
+    expect(splitIntoChunks('abcdefghij', { size: 4, overlap: 0, maxChunks: 1 })).toEqual({
+      chunks: ['abcdefghij'],
+      truncated: true,
+    });
+  });
+
+  it('aggregates chunk vectors', () => {
+    const vectors = [
+      [1, 0],
+      [0, 1],
+    ];
+    expect(aggregateChunks([[3, 4]], ['abc'], 'mean')).toEqual([3, 4]);
+    const mean = aggregateChunks(vectors, ['ab', 'cd'], 'mean');
+    expect(mean[0]).toBeCloseTo(Math.SQRT1_2);
+    expect(mean[1]).toBeCloseTo(Math.SQRT1_2);
+    const peaks = [
+      [1, -2],
+      [-1, 0],
+    ];
+    expect(aggregateChunks(peaks, ['a', 'b'], 'max')).toEqual([1, 0]);
+    const weighted = aggregateChunks(vectors, ['abc', 'd'], 'weighted');
+    expect(weighted[0] / weighted[1]).toBeCloseTo(3);
+  });
+
+  it('builds a cache signature from the options', () => {
+    expect(chunkSignature({ size: 10, overlap: 2, maxChunks: 3, aggregation: 'max' })).toBe(
+      'chunks:10/2/3/max'
+    );
+  });
+});
@@ -210,6 +210,98 @@ describe('cli', () => {
     expect(fs.existsSync(path.join(flagOnlyRoot, 'duplicalis.config.json'))).toBe(true);
   });
 
+  it('persists local model, chunking, scoring, explain, ANN, incremental, and Tailwind flags', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-cli-local-model-'));
+    const configPath = path.join(dir, 'duplicalis.config.json');
+    fs.writeFileSync(path.join(dir, 'tailwind.config.mjs'), 'export default {};');
+    await runCli([
+      'node',
+      'duplicalis',
+      'scan',
+      '--cmd',
+      dir,
+      '--model',
+      'mock',
+      '--tailwind-config',
+      'tailwind.config.mjs',
+      '--model-preset',
+      'bge-small-en-v1.5',
+      '--pooling',
+      'mean',
+      '--model-prefix',
+      'passage: {text}',
+      '--max-length',
+      '256',
+      '--no-quantized',
+      '--chunk-size',
+      '800',
+      '--max-chunks',
+      '4',
+      '--chunk-aggregation',
+      'weighted',
+      '--scoring',
+      'hybrid',
+      '--score-weight',
+      'jsx=0.3',
+      'style= 0 ',
+      '--explain',
+      '--ann',
+      'lsh',
+      '--ann-tables',
+      '8',
+      '--no-incremental',
+      '--no-progress',
+      '--save-config',
+      configPath,
+    ]);
+    const saved = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    expect(saved.localModel).toEqual({
+      preset: 'bge-small-en-v1.5',
+      pooling: 'mean',
+      prefix: 'passage: {text}',
+      maxLength: 256,
+      quantized: false,
+    });
+    expect(saved.chunking).toEqual({
+      size: 800,
+      overlap: 200,
+      maxChunks: 4,
+      aggregation: 'weighted',
+    });
+    expect(saved.tailwindConfig).toBe('tailwind.config.mjs');
+    expect(saved.scoring).toBe('hybrid');
+    expect(saved.explain).toBe(true);
+    expect(saved.ann).toEqual({ mode: 'lsh', bits: 12, tables: 8 });
+    expect(saved.incremental).toBe(false);
+    expect(saved.pairIndexPath).toBeUndefined();
+    expect(saved.scoreWeights).toEqual({
+      embedding: 0.6,
+      jsx: 0.3,
+      props: 0.1,
+      hooks: 0.05,
+      style: 0,
+    });
+  });
+
+  it('rejects non-numeric scoring weights', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-cli-scoring-'));
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    await expect(
+      runCli([
+        'node',
+        'duplicalis',
+        'scan',
+        dir,
+        '--model',
+        'mock',
+        '--score-weight',
+        'jsx=abc',
+        'hooks',
+      ])
+    ).rejects.toThrow('Invalid scoring weight (expected a non-negative number) jsx=abc');
+    spy.mockRestore();
+  });
+
   it('preserves showProgress from config when the CLI flag is not passed', async () => {
     const root = createCliFixture({ showProgress: false });
     const out = path.join(root, 'cli-report.json');
@@ -300,6 +392,80 @@ describe('cli', () => {
     expect(report.components).toHaveLength(1);
   });
 
+  it('sets a failing exit code when the ci gate is violated', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-cli-'));
+    const out = path.join(dir, 'cli-report.json');
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const previousExitCode = process.exitCode;
+    try {
+      await runCli([
+        'node',
+        'duplicalis',
+        'scan',
+        'examples',
+        '--model',
+        'mock',
+        '--out',
+        out,
+        '--threshold',
+        '0.7',
+        '--ci',
+        '--fail-on-category',
+        'near-duplicate',
+        'almost-identical',
+        '--no-progress',
+        '--save-config',
+        path.join(dir, 'duplicalis.config.json'),
+      ]);
+      const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+      expect(report.pairs.length).toBeGreaterThan(0);
+      expect(report.gate.passed).toBe(false);
+      expect(process.exitCode).toBe(2);
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'duplicalis.config.json'), 'utf8'));
+      expect(saved.ci).toBeUndefined();
+      expect(saved.failOnCategories).toEqual(['near-duplicate', 'almost-identical']);
+      expect(spy.mock.calls[0][0]).toMatch(/^status=fail pairs=\d+/);
+    } finally {
+      process.exitCode = previousExitCode;
+      spy.mockRestore();
+    }
+  });
+
+  it('keeps a zero exit code when the ci gate passes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-cli-'));
+    const out = path.join(dir, 'cli-report.json');
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const previousExitCode = process.exitCode;
+    try {
+      await runCli([
+        'node',
+        'duplicalis',
+        'scan',
+        'examples',
+        '--model',
+        'mock',
+        '--out',
+        out,
+        '--threshold',
+        '0.7',
+        '--ci',
+        '--max-pairs',
+        '1000',
+        '--fail-on-label',
+        'not-a-label',
+        '--fail-on-category',
+        'not-a-category',
+        '--no-progress',
+      ]);
+      const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+      expect(report.gate.passed).toBe(true);
+      expect(process.exitCode).toBe(previousExitCode);
+    } finally {
+      process.exitCode = previousExitCode;
+      spy.mockRestore();
+    }
+  });
+
   it('allows importing the CLI module when argv[1] is missing', () => {
     const output = execFileSync(
       process.execPath,
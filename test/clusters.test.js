@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { buildClusters } from '../src/clusters.js';
+import { emitReport } from '../src/output.js';
+
+function entry(id, vector) {
+  return {
+    component: { id, name: id, filePath: `/repo/${id}.tsx`, hooks: [], loc: null, source: '' },
+    vector,
+    styleText: '',
+  };
+}
+
+function pair(a, b, similarity = 0.9) {
+  return { a, b, similarity, category: 'near-duplicate', labels: [], hints: [] };
+}
+
+const entries = [
+  entry('CardA', [1, 0, 0]),
+  entry('CardB', [0.96, 0.28, 0]),
+  entry('CardC', [0.8, 0.6, 0]),
+  entry('ListA', [0, 0, 1]),
+  entry('ListB', [0, 0.28, 0.96]),
+  entry('Lonely', [0, 1, 0]),
+];
+
+describe('duplicate clusters', () => {
+  it('groups connected pairs and picks the medoid as canonical', () => {
+    const clusters = buildClusters(
+      [pair('ListA', 'ListB'), pair('CardA', 'CardB'), pair('CardB', 'CardC')],
+      entries
+    );
+
+    expect(clusters).toHaveLength(2);
+    const [cards, lists] = clusters;
+    expect(cards).toEqual({
+      id: 1,
+      canonical: 'CardB',
+      size: 3,
+      pairs: 2,
+      cohesion: { mean: 0.8987, min: 0.8, max: 0.96, density: 0.6667 },
+      members: [
+        { id: 'CardB', meanSimilarity: 0.948, pairs: 2 },
+        { id: 'CardA', meanSimilarity: 0.88, pairs: 1 },
+        { id: 'CardC', meanSimilarity: 0.868, pairs: 1 },
+      ],
+    });
+    expect(lists.id).toBe(2);
+    expect(lists.canonical).toBe('ListA');
+    expect(lists.cohesion).toEqual({ mean: 0.96, min: 0.96, max: 0.96, density: 1 });
+    expect(clusters.flatMap((cluster) => cluster.members.map((m) => m.id))).not.toContain('Lonely');
+  });
+
+  it('orders equal-sized clusters by cohesion, then canonical id', () => {
+    const clusters = buildClusters(
+      [pair('Lonely', 'CardC'), pair('ListA', 'ListB'), pair('CardA', 'CardB')],
+      entries
+    );
+    expect(clusters.map((cluster) => cluster.canonical)).toEqual(['CardA', 'ListA', 'CardC']);
+    expect(buildClusters()).toEqual([]);
+  });
+
+  it('adds clusters to the json report and console output', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-clusters-'));
+    const pairs = [pair('CardA', 'CardB'), pair('CardB', 'CardC')];
+    const clusters = buildClusters(pairs, entries);
+    const config = {
+      root: '/repo',
+      out: path.join(dir, 'report.json'),
+      relativePaths: true,
+      similarityThreshold: 0.5,
+      highSimilarityThreshold: 0.9,
+      model: 'mock',
+      remote: {},
+    };
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    emitReport({ entries, pairs, clusters, stats: {} }, config);
+    const output = spy.mock.calls.map((call) => String(call[0])).join('\n');
+    spy.mockRestore();
+
+    const report = JSON.parse(fs.readFileSync(config.out, 'utf8'));
+    expect(report.clusters).toEqual(clusters);
+    expect(output).toContain('Duplicate clusters:');
+    expect(output).toContain('#1  3 components | cohesion mean 0.8987 min 0.8');
+    expect(output).toMatch(/CardB .*CardB\.tsx.* 0\.948 \[canonical\]/);
+    expect(output).toMatch(/- CardA .*CardA\.tsx.* 0\.88/);
+    expect(output).toMatch(/duplicate clusters\s*│ 1/);
+  });
+});
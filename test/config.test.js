@@ -30,6 +30,19 @@ describe('config', () => {
     expect(() => loadConfig({ config: configPath })).toThrow(/Failed to read config file/);
   });
 
+  it('rejects an unknown report format from the file or the cli', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-config-'));
+    const configPath = path.join(dir, 'duplicalis.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ format: 'xml' }));
+    expect(() => loadConfig({ config: configPath })).toThrow(
+      'Unknown report format: xml (json, txt, sarif, html)'
+    );
+    expect(loadConfig({ config: configPath, format: 'sarif' }).format).toBe('sarif');
+    expect(() => loadConfig({ root: dir, format: 'csv', language: 'de' })).toThrow(
+      'Unbekanntes Berichtsformat: csv'
+    );
+  });
+
   it('keeps defaults when cli options are undefined', () => {
     const config = loadConfig({});
     expect(config.modelPath).toBe('models/all-MiniLM-L6-v2');
@@ -45,6 +58,18 @@ describe('config', () => {
     expect(config.model).toBe('mock');
   });
 
+  it('merges local model options from file and cli', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-config-'));
+    const configPath = path.join(dir, 'duplicalis.config.json');
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({ localModel: { preset: 'e5-small-v2', maxLength: 128 } })
+    );
+    expect(loadConfig({}).localModel).toEqual({});
+    const config = loadConfig({ config: configPath, localModel: { maxLength: 256 } });
+    expect(config.localModel).toEqual({ preset: 'e5-small-v2', maxLength: 256 });
+  });
+
   it('accepts multiple include/exclude globs', () => {
     const config = loadConfig({
       include: ['src/**/*.ts', 'src/**/*.tsx'],
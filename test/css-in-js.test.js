@@ -0,0 +1,152 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it } from 'vitest';
+import { parseFile } from '../src/parser.js';
+import { clearStyleCache, loadStyles } from '../src/styles.js';
+
+const config = { styleExtensions: ['.css'] };
+
+function parse(code, name = 'Card.tsx') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-css-in-js-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, code);
+  return parseFile(file, config).components;
+}
+
+describe('css-in-js extraction', () => {
+  it('follows styled components rendered in JSX to their module-level definitions', () => {
+    const [card, plain] = parse(`
+      const truncate = css\`overflow: hidden; white-space: nowrap;\`;
+      const Base = styled.div.attrs({ role: 'group' })\`
+        padding: \${({ theme }) => theme.space[2]};
+        color: \${(p) => p.theme.colors.text};
+        border: 1px solid \${(p) => p.color};
+        gap: \${(p) => p.theme.gap || '4px'} \${(p) => p.theme.spacing(2)};
+        \${truncate}
+        &:hover { opacity: \${(p) => (p.dim ? 0.5 : 1)}; }
+        \${(p) => p.raised && css\`box-shadow: 0 1px 2px black;\`}
+      \`;
+      export const Panel = styled(Base).withConfig({ displayName: 'Panel' })({
+        backgroundColor: 'white',
+        margin: 0,
+        zIndex: 2,
+        gap: 4,
+        ':focus': { outlineColor: 'blue' },
+      });
+      const Title = styled('h2')\`font-size: 18px;\`;
+      const Unused = styled.p\`color: red;\`;
+      let pending;
+      const { tokens } = theme;
+      export function Card() {
+        return (
+          <Panel>
+            <Title>One</Title>
+            <Title>Two</Title>
+            <Base.Item />
+          </Panel>
+        );
+      }
+      export function Plain() {
+        const label = String.raw\`a\` + i18n.t\`b\` + make()\`c\` + api.fetch()\`d\`;
+        return <div>plain</div>;
+      }
+    `);
+    expect(card.cssInJs.split('\n')).toEqual([
+      [
+        ':scope { padding: theme(space.2); color: theme(colors.text); border: 1px solid; gap: theme(gap);',
+        'overflow: hidden; white-space: nowrap; box-shadow: 0 1px 2px black;',
+        'background-color: white; margin: 0; z-index: 2; gap: 4px; }',
+      ].join(' '),
+      ':scope:hover { opacity: 0.5; }',
+      ':scope:focus { outline-color: blue; }',
+      ':scope { font-size: 18px; }',
+    ]);
+    expect(plain.cssInJs).toBe('');
+  });
+
+  it('reads css and sx props, Emotion css calls, and stitches definitions', () => {
+    const [badge] = parse(`
+      const rounded = css({ borderRadius: 4 });
+      const button = css({
+        color: 'black',
+        variants: { size: { sm: { fontSize: 12 } } },
+        defaultVariants: { size: 'sm' },
+      });
+      const Chip = styled('span', { display: 'inline-flex', '@media (min-width: 600px)': { padding: 8 } });
+      export const Badge = ({ on }) => {
+        const local = css\`
+          font-weight: 600;
+        \`;
+        return (
+          <Chip className={button()} {...rest}>
+            <i css={[rounded, { lineHeight: 1 }]} />
+            <b css={css\`text-decoration: underline;\`} sx={{ px: 2, bgcolor: 'primary.main', ...spread }} />
+            <u css="letter-spacing: 1px;" className={rounded} sx title={on ? 'a' : 'b'} />
+            <s css={(theme) => ({ color: theme.palette.error.main, WebkitUserSelect: 'none' })} />
+            <em className={cx('x')} sx={{ mt: 1, '&:hover': { p: 0 }, ['--gap']: '2px', color, outline: missing }} />
+          </Chip>
+        );
+      };
+    `);
+    expect(badge.cssInJs.split('\n')).toEqual([
+      ':scope { font-weight: 600; }',
+      ':scope { display: inline-flex; }',
+      '@media (min-width: 600px) { :scope { padding: 8px; } }',
+      ':scope { color: black; }',
+      ':scope { border-radius: 4px; line-height: 1; }',
+      ':scope { text-decoration: underline; }',
+      [
+        ':scope { padding-left: theme(spacing.2); padding-right: theme(spacing.2);',
+        'background-color: primary.main; }',
+      ].join(' '),
+      ':scope { letter-spacing: 1px; }',
+      ':scope { border-radius: 4px; }',
+      ':scope { color: theme(palette.error.main); -webkit-user-select: none; }',
+      ':scope { margin-top: theme(spacing.1); --gap: 2px; }',
+      ':scope:hover { padding: theme(spacing.0); }',
+    ]);
+  });
+
+  it('skips style object keys computed at runtime', () => {
+    const [grid] = parse(`
+      const bp = '(min-width: 600px)';
+      const cell = css({ color: 'red', [\`@media \${bp}\`]: { color: 'blue' } });
+      export const Grid = ({ tone }) => (
+        <div className={cell}>
+          <span sx={{ p: 1, [theme.breakpoints.up('md')]: { p: 2 }, [tone]: 'x', ['gap']: 2 }} />
+        </div>
+      );
+    `);
+    expect(grid.cssInJs.split('\n')).toEqual([
+      ':scope { color: red; }',
+      ':scope { padding: theme(spacing.1); gap: theme(spacing.2); }',
+    ]);
+  });
+
+  it('gives template and object styles that render the same the same canonical style', () => {
+    clearStyleCache();
+    const [template, object] = parse(`
+      const Box = styled.section\`
+        margin: 0 8px;
+        font-weight: bold;
+        &:hover { background: #FFF; }
+      \`;
+      const Tile = styled.section({
+        '&:hover': { background: 'white' },
+        fontWeight: 700,
+        marginTop: 0,
+        marginBottom: 0,
+        marginLeft: 8,
+        marginRight: '8px',
+      });
+      export const A = () => <Box>a</Box>;
+      export const B = () => <Tile>b</Tile>;
+    `);
+    const a = loadStyles(template, { root: process.cwd() });
+    const b = loadStyles(object, { root: process.cwd() });
+    expect(a.hasCssInJs).toBe(true);
+    expect(a.styleText).not.toBe(b.styleText);
+    expect(a.styleCanonical).toBe(b.styleCanonical);
+  });
+});
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { createEmbeddingBackend } from '../src/embedding/index.js';
+import { embedComponents } from '../src/similarity.js';
+import { baseComponent } from './similarity-fixtures.js';
+
+const BACKEND_SOURCE = `
+export default class AcmeBackend {
+  constructor(options) {
+    this.options = options;
+    this.cacheKey = 'acme-' + options.version;
+    this.dimensions = 3;
+  }
+  async embed(text) {
+    return [text.length, 1, 0];
+  }
+}
+`;
+
+function writeModule(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-backend-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  });
+  return root;
+}
+
+function load(root, model, extra = {}) {
+  return createEmbeddingBackend({ root, model, remote: {}, ...extra });
+}
+
+describe('custom embedding backends', () => {
+  it('loads a backend class from a path relative to the scan root', async () => {
+    const root = writeModule({ 'tools/embed.mjs': BACKEND_SOURCE });
+    const backend = await load(root, './tools/embed.mjs', { backendOptions: { version: 2 } });
+    expect(backend.options).toEqual({ version: 2, root, language: 'en' });
+    expect(backend.cacheKey).toBe('acme-2');
+    expect(await backend.embed('abc')).toEqual([3, 1, 0]);
+  });
+
+  it('loads a named EmbeddingBackend export from an installed package', async () => {
+    const root = writeModule({
+      'node_modules/acme-embed/package.json': JSON.stringify({
+        name: 'acme-embed',
+        main: 'lib.js',
+      }),
+      'node_modules/acme-embed/lib.js':
+        'exports.EmbeddingBackend = class { embed() { return Promise.resolve([1]); } };',
+    });
+    const backend = await load(root, 'acme-embed');
+    expect(await backend.embed('x')).toEqual([1]);
+  });
+
+  it('reports modules that cannot be loaded or break the contract', async () => {
+    const root = writeModule({
+      'none.mjs': 'export const value = 1;',
+      'no-embed.mjs': 'export default class {}',
+      'batch.mjs': 'export default class { embed() {} get embedBatch() { return 1; } }',
+      'dims.mjs': 'export default class { embed() {} get dimensions() { return 0; } }',
+      'key.mjs': "export default class { embed() {} get cacheKey() { return ''; } }",
+    });
+    await expect(load(root, 'duplicalis-missing-backend')).rejects.toThrow(
+      /Cannot load embedding backend duplicalis-missing-backend:/
+    );
+    await expect(load(root, './none.mjs')).rejects.toThrow(/must export a class/);
+    await expect(load(root, './no-embed.mjs')).rejects.toThrow(/invalid member .*: embed\(text\)/);
+    await expect(load(root, './batch.mjs')).rejects.toThrow(/: embedBatch\(texts\)$/);
+    await expect(load(undefined, path.join(root, 'dims.mjs'))).rejects.toThrow(/: dimensions$/);
+    await expect(load(root, './key.mjs', { language: 'de' })).rejects.toThrow(
+      /Ungültiges Mitglied im Embedding-Backend .*: cacheKey$/
+    );
+  });
+
+  it('embeds missing representations of a component in one batch', async () => {
+    const backend = {
+      dimensions: 4,
+      cacheKey: 'batch',
+      embed: vi.fn(async () => [1, 0, 0, 0]),
+      embedBatch: vi.fn(async (texts) => texts.map((_, index) => [0, 1, index, 0])),
+    };
+    const config = { model: './batch.mjs', weight: { code: 1 }, styleExtensions: [] };
+    const { entries } = await embedComponents([baseComponent('A', 'one')], backend, config);
+    expect(backend.embedBatch).toHaveBeenCalledTimes(1);
+    expect(backend.embed).not.toHaveBeenCalled();
+    expect(entries[0].codeVec).toEqual([0, 1, 0, 0]);
+    expect(entries[0].styleVec).toHaveLength(4);
+  });
+
+  it('fails when a batch returns the wrong number of vectors', async () => {
+    const backend = { embed: vi.fn(), embedBatch: vi.fn(async () => [[1]]) };
+    const config = { model: './batch.mjs', weight: { code: 1 }, styleExtensions: [] };
+    await expect(embedComponents([baseComponent('A', 'one')], backend, config)).rejects.toThrow(
+      'Embedding backend embedBatch returned a different number of vectors than texts.'
+    );
+  });
+});
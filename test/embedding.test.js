@@ -19,7 +19,8 @@ import transformers from '@xenova/transformers';
 import { MockEmbeddingBackend } from '../src/embedding/mock.js';
 import { RemoteEmbeddingBackend } from '../src/embedding/remote.js';
 import { LocalEmbeddingBackend } from '../src/embedding/local.js';
-import { createEmbeddingBackend } from '../src/embedding/index.js';
+import { closeEmbeddingBackend, createEmbeddingBackend } from '../src/embedding/index.js';
+import { WorkerPool } from '../src/worker-pool.js';
 import * as modelFetch from '../src/model-fetch.js';
 
 function createLocalModelFixture() {
@@ -158,6 +159,88 @@ describe('embeddings', () => {
     );
   });
 
+  it('sends batches of inputs and restores the response order', async () => {
+    global.fetch = vi.fn(async (url, init) => {
+      const { input } = JSON.parse(init.body);
+      const data = input.map((text, index) => ({ index, embedding: [text.length, 0] })).reverse();
+      return { ok: true, json: async () => ({ data }) };
+    });
+    const backend = new RemoteEmbeddingBackend({
+      url: 'https://api.example.com',
+      apiKey: 'key',
+      model: 'm',
+      batchSize: 2,
+      concurrency: 3,
+    });
+    expect(backend.concurrency).toBe(3);
+    const vectors = await backend.embedBatch(['a', 'bb', 'ccc']);
+    expect(vectors).toEqual([
+      [1, 0],
+      [1, 0],
+      [1, 0],
+    ]);
+    expect(global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).input)).toEqual([
+      ['a', 'bb'],
+      ['ccc'],
+    ]);
+  });
+
+  it('batches through the Ollama embed endpoint and falls back per text on the legacy one', async () => {
+    global.fetch = vi.fn(async (url) => ({
+      ok: true,
+      json: async () =>
+        url.endsWith('/api/embed')
+          ? {
+              embeddings: [
+                [3, 4],
+                [0, 2],
+              ],
+            }
+          : { embedding: [0, 5] },
+    }));
+    const batched = new RemoteEmbeddingBackend({
+      url: 'http://localhost:11434/api/embed',
+      model: 'embeddinggemma',
+      batchSize: 'many',
+    });
+    expect(batched.batchSize).toBe(64);
+    expect(await batched.embedBatch(['a', 'b'])).toEqual([
+      [0.6, 0.8],
+      [0, 1],
+    ]);
+
+    const legacy = new RemoteEmbeddingBackend({
+      url: 'http://localhost:11434/api/embeddings',
+      model: 'embeddinggemma',
+      batchSize: 16,
+    });
+    expect(legacy.batchSize).toBe(1);
+    expect(await legacy.embedBatch(['a', 'b'])).toEqual([
+      [0, 1],
+      [0, 1],
+    ]);
+    expect(JSON.parse(global.fetch.mock.calls.at(-1)[1].body)).toEqual({
+      model: 'embeddinggemma',
+      prompt: 'b',
+    });
+  });
+
+  it('rejects batch responses with missing embeddings', async () => {
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ embeddings: [[1]] }) }));
+    const backend = new RemoteEmbeddingBackend({ url: 'http://localhost:11434/api/embed' });
+    await expect(backend.embedBatch(['a', 'b'])).rejects.toThrow(
+      'Remote embedding response missing embedding.'
+    );
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ data: [{}] }) }));
+    await expect(backend.embedBatch(['a'])).rejects.toThrow(
+      'Remote embedding response missing embedding.'
+    );
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({}) }));
+    await expect(backend.embedBatch(['a'])).rejects.toThrow(
+      'Remote embedding response missing embedding.'
+    );
+  });
+
   it('surfaces remote errors', async () => {
     global.fetch = vi.fn(async () => ({
       ok: false,
@@ -169,10 +252,82 @@ describe('embeddings', () => {
       apiKey: 'key',
       model: 'm',
       timeoutMs: 5000,
+      maxRetries: 0,
     });
     await expect(backend.embed('text')).rejects.toThrow(/500/);
   });
 
+  it('retries rate-limited responses after Retry-After', async () => {
+    const limited = {
+      ok: false,
+      status: 429,
+      headers: new Headers({ 'retry-after': '0' }),
+      text: async () => 'slow down',
+    };
+    const success = { ok: true, json: async () => ({ data: [{ embedding: [1, 0] }] }) };
+    global.fetch = vi.fn().mockResolvedValueOnce(limited).mockResolvedValueOnce(success);
+    const backend = new RemoteEmbeddingBackend({ url: 'http://localhost:11434/v1' });
+    expect(backend.maxRetries).toBe(5);
+    expect(await backend.embed('text')).toEqual([1, 0]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('backs off on network errors and gives up after the retry budget', async () => {
+    vi.useFakeTimers();
+    try {
+      global.fetch = vi.fn(async () => {
+        throw new TypeError('fetch failed');
+      });
+      const backend = new RemoteEmbeddingBackend({
+        url: 'http://localhost:11434/v1',
+        maxRetries: 2,
+      });
+      const pending = expect(backend.embed('text')).rejects.toThrow('fetch failed');
+      await vi.advanceTimersByTimeAsync(2000);
+      await pending;
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('retries timeouts but rethrows other failures immediately', async () => {
+    const aborted = Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+    const success = { ok: true, json: async () => ({ data: [{ embedding: [0, 1] }] }) };
+    global.fetch = vi.fn().mockRejectedValueOnce(aborted).mockResolvedValueOnce(success);
+    const backend = new RemoteEmbeddingBackend({ url: 'http://localhost:11434/v1' });
+    await expect(backend.embed('text')).resolves.toEqual([0, 1]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    global.fetch = vi.fn(async () => ({
+      ok: true,
+      json: async () => JSON.parse('<html>'),
+    }));
+    await expect(backend.embed('text')).rejects.toThrow(SyntaxError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    global.fetch = vi.fn(async () => {
+      throw new TypeError('Headers.append: "Bearer \\n" is an invalid header value.');
+    });
+    await expect(backend.embed('text')).rejects.toThrow('invalid header value');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry client errors', async () => {
+    global.fetch = vi.fn(async () => ({
+      ok: false,
+      status: 400,
+      headers: new Headers(),
+      text: async () => 'bad input',
+    }));
+    const backend = new RemoteEmbeddingBackend({
+      url: 'http://localhost:11434/v1',
+      maxRetries: -1,
+    });
+    await expect(backend.embed('text')).rejects.toThrow('400 bad input');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
   it('throws when remote response lacks embedding', async () => {
     global.fetch = vi.fn(async () => ({
       ok: true,
@@ -250,8 +405,9 @@ describe('embeddings', () => {
     expect(ensureSpy).toHaveBeenCalledWith(
       path.resolve(modelPath),
       'https://example.com/model',
-      true,
-      'en'
+      undefined,
+      'en',
+      { quantized: true }
     );
     ensureSpy.mockRestore();
   });
@@ -271,28 +427,72 @@ describe('embeddings', () => {
     ensureSpy.mockRestore();
   });
 
-  it('passes progress preference to local auto-downloads via the factory', async () => {
+  it('passes the progress callback to local auto-downloads via the factory', async () => {
     const modelPath = createLocalModelFixture();
     const ensureSpy = vi.spyOn(modelFetch, 'ensureModel').mockResolvedValue();
     transformers.pipeline.mockResolvedValue(async () => ({ data: [1, 1] }));
-    const backend = await createEmbeddingBackend({
-      model: 'local',
-      modelPath,
-      autoDownloadModel: true,
-      modelRepo: 'https://example.com/model',
-      showProgress: false,
-      remote: {},
-    });
+    const onProgress = vi.fn();
+    const backend = await createEmbeddingBackend(
+      {
+        model: 'local',
+        modelPath,
+        autoDownloadModel: true,
+        modelRepo: 'https://example.com/model',
+        remote: {},
+      },
+      { onProgress }
+    );
     await backend.embed('text');
     expect(ensureSpy).toHaveBeenCalledWith(
       path.resolve(modelPath),
       'https://example.com/model',
-      false,
-      'en'
+      onProgress,
+      'en',
+      { quantized: true }
     );
     ensureSpy.mockRestore();
   });
 
+  it('embeds batches on the main thread with a single worker', async () => {
+    const modelPath = createLocalModelFixture();
+    transformers.pipeline.mockResolvedValue(async (text) => ({ data: [text.length, 0] }));
+    const backend = new LocalEmbeddingBackend({ modelPath, workers: 1 });
+    expect(backend.batchSize).toBeUndefined();
+    expect(await backend.embedBatch(['a', 'bb'])).toEqual([
+      [1, 0],
+      [1, 0],
+    ]);
+    await backend.close();
+  });
+
+  it('fans batches out to a worker pool when several workers are configured', async () => {
+    const modelPath = createLocalModelFixture();
+    vi.spyOn(os, 'availableParallelism').mockReturnValue(4);
+    const run = vi.spyOn(WorkerPool.prototype, 'run').mockResolvedValue([[1, 0]]);
+    const close = vi.spyOn(WorkerPool.prototype, 'close').mockResolvedValue();
+    const backend = await createEmbeddingBackend({
+      model: 'local',
+      modelPath,
+      localWorkers: 3,
+      remote: {},
+    });
+    expect(backend.concurrency).toBe(3);
+    expect(backend.batchSize).toBe(16);
+    expect(await backend.embedBatch(['a'])).toEqual([[1, 0]]);
+    await backend.embedBatch(['b']);
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(backend.pool.size).toBe(3);
+    expect(backend.pool.workerData).toEqual({
+      modelPath: path.resolve(modelPath),
+      inference: { pooling: 'mean', prefix: '', maxLength: null, quantized: true },
+    });
+    await closeEmbeddingBackend(backend);
+    await closeEmbeddingBackend(new MockEmbeddingBackend());
+    expect(close).toHaveBeenCalledTimes(1);
+    expect(backend.pool).toBeNull();
+    vi.restoreAllMocks();
+  });
+
   it('throws when local config is invalid', async () => {
     await expect(
       createEmbeddingBackend({ model: 'local', modelPath: '', remote: {} })
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { evaluateGate, formatGateSummary, isGateEnabled } from '../src/gate.js';
+import { emitReport } from '../src/output.js';
+
+const pairs = [
+  {
+    a: 'a#A',
+    b: 'b#B',
+    similarity: 0.97,
+    category: 'almost-identical',
+    labels: ['copy-paste-variant'],
+    hints: [],
+  },
+  { a: 'a#A', b: 'c#C', similarity: 0.86, category: 'near-duplicate', labels: [], hints: [] },
+];
+
+describe('ci gate', () => {
+  it('is enabled by ci mode or any explicit failure condition', () => {
+    expect(isGateEnabled({})).toBe(false);
+    expect(isGateEnabled({ ci: true })).toBe(true);
+    expect(isGateEnabled({ maxPairs: 3 })).toBe(true);
+    expect(isGateEnabled({ failOnCategories: ['almost-identical'] })).toBe(true);
+    expect(isGateEnabled({ failOnLabels: ['logic-duplicate'] })).toBe(true);
+  });
+
+  it('fails on any pair in ci mode when no conditions are configured', () => {
+    expect(evaluateGate(pairs, { ci: true })).toEqual({
+      passed: false,
+      violations: [{ rule: 'max-pairs', limit: 0, actual: 2 }],
+      rules: { maxPairs: 0, categories: [], labels: [] },
+    });
+    expect(evaluateGate([], { ci: true }).passed).toBe(true);
+  });
+
+  it('applies count, category, and label conditions', () => {
+    const gate = evaluateGate(pairs, {
+      ci: true,
+      maxPairs: 1,
+      failOnCategories: ['almost-identical', 'near-duplicate'],
+      failOnLabels: ['copy-paste-variant', 'style-duplicate'],
+    });
+    expect(gate.passed).toBe(false);
+    expect(gate.violations).toEqual([
+      { rule: 'max-pairs', limit: 1, actual: 2 },
+      { rule: 'category', value: 'almost-identical', count: 1 },
+      { rule: 'category', value: 'near-duplicate', count: 1 },
+      { rule: 'label', value: 'copy-paste-variant', count: 1 },
+    ]);
+  });
+
+  it('passes when pairs stay within the configured conditions', () => {
+    const gate = evaluateGate(pairs, { maxPairs: 2, failOnLabels: ['logic-duplicate'] });
+    expect(gate.passed).toBe(true);
+    expect(gate.violations).toEqual([]);
+  });
+
+  it('formats a line-oriented key=value summary', () => {
+    const gate = evaluateGate(pairs, { ci: true, failOnCategories: ['almost-identical'] });
+    const lines = formatGateSummary(gate, pairs, {
+      componentCount: 3,
+      describe: (id) => `src/${id}`,
+    });
+    expect(lines).toEqual([
+      'status=fail pairs=2 components=3 almost-identical=1 near-duplicate=1',
+      'violation rule=category value=almost-identical count=1',
+      'pair similarity=0.97 category=almost-identical labels=copy-paste-variant a=src/a#A b=src/b#B',
+      'pair similarity=0.86 category=near-duplicate labels=- a=src/a#A b=src/c#C',
+    ]);
+  });
+
+  it('formats a passing summary with default options', () => {
+    const lines = formatGateSummary({ passed: true, violations: [] }, pairs.slice(1));
+    expect(lines).toEqual([
+      'status=pass pairs=1 components=0 almost-identical=0 near-duplicate=1',
+      'pair similarity=0.86 category=near-duplicate labels=- a=a#A b=c#C',
+    ]);
+  });
+
+  it('prints a machine-friendly gate summary instead of the banner in ci mode', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-output-'));
+    const config = {
+      root: dir,
+      out: 'out.json',
+      similarityThreshold: 0.5,
+      highSimilarityThreshold: 0.9,
+      model: 'mock',
+      remote: {},
+      relativePaths: true,
+      ci: true,
+    };
+    const entries = [
+      {
+        component: {
+          id: 'a#A',
+          name: 'A',
+          filePath: path.join(dir, 'a.tsx'),
+          hooks: [],
+          loc: null,
+          source: '',
+        },
+        styleText: '',
+      },
+    ];
+    const reportPairs = [
+      { a: 'a#A', b: 'gone#B', similarity: 0.9, category: 'near-duplicate', labels: [], hints: [] },
+    ];
+    const gate = {
+      passed: false,
+      violations: [{ rule: 'max-pairs', limit: 0, actual: 1 }],
+      rules: { maxPairs: 0, categories: [], labels: [] },
+    };
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    emitReport({ entries, pairs: reportPairs, stats: {}, gate }, config);
+    const lines = spy.mock.calls.map((call) => call[0]);
+    spy.mockRestore();
+    expect(lines).toEqual([
+      'status=fail pairs=1 components=1 almost-identical=0 near-duplicate=1',
+      'violation rule=max-pairs limit=0 actual=1',
+      'pair similarity=0.9 category=near-duplicate labels=- a=a.tsx#A b=gone#B',
+    ]);
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'out.json'), 'utf8'));
+    expect(report.gate.passed).toBe(false);
+  });
+
+  it('treats a missing gate verdict as passing in ci mode', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-output-'));
+    const config = { root: dir, similarityThreshold: 0.5, highSimilarityThreshold: 0.9, ci: true };
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    emitReport({ entries: [], pairs: [] }, config);
+    const lines = spy.mock.calls.map((call) => call[0]);
+    spy.mockRestore();
+    expect(lines).toEqual(['status=pass pairs=0 components=0 almost-identical=0 near-duplicate=0']);
+  });
+});
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { describe, expect, it, vi } from 'vitest';
+import { listChangedFiles } from '../src/git-diff.js';
+import { run, writeBaseline } from '../src/index.js';
+import { runCli } from '../src/cli.js';
+
+function git(root, ...args) {
+  return execFileSync(
+    'git',
+    ['-c', 'user.name=duplicalis', '-c', 'user.email=test@example.com', ...args],
+    { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }
+  );
+}
+
+function createRepo(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-git-'));
+  git(root, 'init', '-q', '-b', 'main');
+  Object.entries(files).forEach(([file, content]) => writeFile(root, file, content));
+  git(root, 'add', '-A');
+  git(root, 'commit', '-q', '-m', 'base');
+  return root;
+}
+
+function writeFile(root, file, content) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+}
+
+function readExample(file) {
+  return fs.readFileSync(path.resolve('examples', file), 'utf8');
+}
+
+function projectConfig(root, extra = {}) {
+  return {
+    root,
+    include: ['**/*.tsx'],
+    exclude: [],
+    similarityThreshold: 0.7,
+    highSimilarityThreshold: 0.9,
+    model: 'mock',
+    styleExtensions: ['.css'],
+    disableAnalyses: [],
+    allowIgnores: true,
+    remote: {},
+    weight: { code: 0.7, style: 0.3 },
+    cachePath: path.join(root, '.cache', 'embeddings.json'),
+    analysisCachePath: path.join(root, '.cache', 'analysis.msgpack'),
+    ...extra,
+  };
+}
+
+describe('git diff mode', () => {
+  it('lists committed, staged, unstaged, and untracked changes since the merge base', () => {
+    const root = createRepo({
+      'app/kept.tsx': 'kept',
+      'app/edited.tsx': 'v1',
+      'app/removed.tsx': 'gone soon',
+      'other/outside.tsx': 'outside',
+    });
+    git(root, 'checkout', '-q', '-b', 'feature');
+    writeFile(root, 'app/committed.tsx', 'committed');
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'feature work');
+    git(root, 'checkout', '-q', 'main');
+    writeFile(root, 'app/main-only.tsx', 'main moved on');
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'main work');
+    git(root, 'checkout', '-q', 'feature');
+
+    writeFile(root, 'app/edited.tsx', 'v2');
+    writeFile(root, 'app/staged [id].tsx', 'staged');
+    git(root, 'add', 'app/staged [id].tsx');
+    writeFile(root, 'app/untracked.tsx', 'untracked');
+    writeFile(root, 'other/new.tsx', 'elsewhere');
+    fs.rmSync(path.join(root, 'app/removed.tsx'));
+
+    const appRoot = path.join(root, 'app');
+    const changed = listChangedFiles(appRoot, 'main');
+    expect(Array.from(changed).sort()).toEqual(
+      ['committed.tsx', 'edited.tsx', 'staged [id].tsx', 'untracked.tsx'].map((file) =>
+        path.join(appRoot, file)
+      )
+    );
+  });
+
+  it('reports unknown refs and folders outside a git repository', () => {
+    const root = createRepo({ 'a.tsx': 'a' });
+    expect(() => listChangedFiles(root, 'no-such-ref')).toThrow(
+      /Failed to list files changed in git since no-such-ref: .+/
+    );
+    expect(() => listChangedFiles(root, '--output=x')).toThrow(/--output=x/);
+    const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-no-git-'));
+    expect(() => listChangedFiles(plain, 'main', 'ru')).toThrow(/Не удалось получить из git/);
+  });
+
+  it('only reports pairs touching changed files and marks the new side', async () => {
+    const root = createRepo({ 'cards/CardA.tsx': readExample('CardA.tsx') });
+    writeFile(root, 'cards/CardB.tsx', readExample('CardB.tsx'));
+
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await run(projectConfig(root, { since: 'main' }));
+    const output = spy.mock.calls.map((call) => String(call[0])).join('\n');
+
+    expect(result.stats.since).toEqual({ ref: 'main', changedFiles: 1 });
+    expect(result.pairs).toHaveLength(1);
+    const [pair] = result.pairs;
+    const newId = pair.newSide === 'a' ? pair.a : pair.b;
+    expect(newId).toBe(`${path.join(root, 'cards/CardB.tsx')}#CardB`);
+    expect(output).toContain('CardB [new]');
+    expect(output).toContain('since: main');
+    expect(output).toContain('changed files');
+
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'add CardB');
+    const clean = await run(projectConfig(root, { since: 'HEAD', ci: true }));
+    expect(clean.pairs).toEqual([]);
+    expect(clean.stats.scorecard.suppressionReasons['compare-filter']).toBe(1);
+
+    fs.appendFileSync(path.join(root, 'cards/CardA.tsx'), '\n// touched\n');
+    const edited = await run(projectConfig(root, { since: 'HEAD', ci: true }));
+    spy.mockRestore();
+    expect(edited.pairs.map((item) => item.newSide)).toEqual(['a']);
+  });
+
+  it('keeps pairs where both sides changed and marks both as new', async () => {
+    const root = createRepo({ 'Footer.tsx': 'export const Footer = () => <footer />;' });
+    writeFile(root, 'cards/CardA.tsx', readExample('CardA.tsx'));
+    writeFile(root, 'cards/CardB.tsx', readExample('CardB.tsx'));
+
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await run(projectConfig(root, { since: 'main' }));
+    const output = spy.mock.calls.map((call) => String(call[0])).join('\n');
+    spy.mockRestore();
+
+    expect(result.stats.since.changedFiles).toBe(2);
+    expect(result.pairs.map((pair) => pair.newSide)).toEqual(['both']);
+    expect(output).toContain('CardA [new]');
+    expect(output).toContain('CardB [new]');
+  });
+
+  it('does not resolve baseline pairs that the since filter left out', async () => {
+    const root = createRepo({
+      'cards/CardA.tsx': readExample('CardA.tsx'),
+      'cards/CardB.tsx': readExample('CardB.tsx'),
+    });
+    const config = projectConfig(root, { baselinePath: 'known.json' });
+    await writeBaseline(config);
+    writeFile(root, 'Footer.tsx', 'export const Footer = () => <footer />;');
+
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const untouched = await run({ ...config, since: 'main' });
+    fs.appendFileSync(path.join(root, 'cards/CardA.tsx'), '\n// touched\n');
+    const touched = await run({ ...config, since: 'main' });
+    spy.mockRestore();
+
+    expect(untouched.stats.baseline).toMatchObject({ known: 0, resolved: [], notEvaluated: 1 });
+    expect(touched.pairs).toEqual([]);
+    expect(touched.stats.baseline).toMatchObject({ known: 1, resolved: [], notEvaluated: 0 });
+  });
+
+  it('prints the new side in the ci summary from the cli', async () => {
+    const root = createRepo({ 'CardA.tsx': readExample('CardA.tsx') });
+    writeFile(root, 'CardB.tsx', readExample('CardB.tsx'));
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const previousExitCode = process.exitCode;
+    await runCli([
+      'node',
+      'duplicalis',
+      'scan',
+      root,
+      '--model',
+      'mock',
+      '--threshold',
+      '0.7',
+      '--since',
+      'main',
+      '--ci',
+      '--relative-paths',
+      '--cache-path',
+      path.join(root, '.cache', 'embeddings.json'),
+      '--no-progress',
+    ]);
+    const lines = spy.mock.calls.map((call) => call[0]);
+    spy.mockRestore();
+    process.exitCode = previousExitCode;
+    expect(lines.at(-1)).toMatch(/a=CardA\.tsx#CardA b=CardB\.tsx#CardB new=b$/);
+  });
+});
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { toHtmlReport } from '../src/html-report.js';
+import { escapeHtml, highlightLines } from '../src/html-highlight.js';
+import { emitReport } from '../src/output.js';
+import { getI18n } from '../src/i18n.js';
+
+const i18n = getI18n('en');
+
+function makeEntry(filePath, name, source, styleText = '') {
+  return {
+    component: { id: `${filePath}#${name}`, name, filePath, hooks: [], loc: null, source },
+    styleText,
+  };
+}
+
+function makeFixture(root) {
+  const a = makeEntry(
+    path.join(root, 'src/cards/A.tsx'),
+    'A',
+    'const A = () => <div className="card">A & co</div>;\nexport default A;',
+    '.card { color: red; }'
+  );
+  const b = makeEntry(
+    path.join(root, 'src/lists/B.tsx'),
+    'B',
+    'const B = () => <div className="card">B</div>;',
+    '.card { color: blue; }'
+  );
+  const c = makeEntry('/elsewhere/C.tsx', 'C', 'const C = () => <span />;');
+  const d = makeEntry(path.join(root, 'src/D.tsx'), 'D', 'const D = () => <span />;');
+  d.truncated = ['code', 'holistic'];
+  const pairs = [
+    {
+      a: a.component.id,
+      b: b.component.id,
+      similarity: 0.97,
+      category: 'almost-identical',
+      labels: ['copy-paste-variant', 'style-duplicate'],
+      hints: [i18n.hintCopy],
+      newSide: 'a',
+    },
+    {
+      a: d.component.id,
+      b: c.component.id,
+      similarity: 0.86,
+      category: 'near-duplicate',
+      labels: [],
+      hints: [],
+    },
+    { a: a.component.id, b: 'gone#Gone', similarity: 0.9, category: 'near-duplicate', labels: [] },
+  ];
+  return { entries: [a, b, c, d], pairs };
+}
+
+describe('html report', () => {
+  it('escapes html and highlights tokens per line', () => {
+    expect(escapeHtml(`<a href="x">'&'</a>`)).toBe(
+      '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;'
+    );
+    const lines = highlightLines('/* one\n two */\nconst x = <Box n={1} />;', 'js');
+    expect(lines).toEqual([
+      '<span class="tok-comment">/* one</span>',
+      '<span class="tok-comment"> two */</span>',
+      '<span class="tok-keyword">const</span> x = <span class="tok-tag">&lt;Box</span> n={<span class="tok-number">1</span>} /&gt;;',
+    ]);
+    expect(highlightLines('.a {\n  margin: 4px;\n}', 'css')).toEqual([
+      '<span class="tok-selector">.a</span> {',
+      '  <span class="tok-property">margin</span>: <span class="tok-number">4px</span>;',
+      '}',
+    ]);
+    expect(highlightLines('', 'js')).toEqual(['']);
+  });
+
+  it('renders a filterable pair table with side-by-side diffs', () => {
+    const root = '/repo';
+    const { entries, pairs } = makeFixture(root);
+    const html = toHtmlReport({ components: entries, pairs }, entries, { root }, i18n);
+
+    expect(html.startsWith('<!doctype html>')).toBe(true);
+    expect(html).toContain('<html lang="en">');
+    expect(html).not.toMatch(/<(?:link|script) [^>]*src=/);
+    expect(html).toContain('pairs reported: 2');
+    expect(html).toContain('components scanned: 4');
+    expect(html).toContain(
+      '<select data-filter="labels"><option value="">all</option><option>copy-paste-variant</option><option>style-duplicate</option></select>'
+    );
+    expect(html).toContain(
+      '<option>src</option><option>src/cards</option><option>src/lists</option>'
+    );
+    expect(html).toContain('<option>/elsewhere</option>');
+    expect(html).toContain(
+      'data-index="1" data-similarity="0.97" data-category="almost-identical" data-labels="copy-paste-variant|style-duplicate" data-dirs="src/cards|src/lists" data-name="A B"'
+    );
+    expect(html).toContain(
+      '<strong>A</strong> <span class="tag new">new</span> <span class="path">src/cards/A.tsx</span>'
+    );
+    expect(html).toContain('<span class="path">/elsewhere/C.tsx</span>');
+    expect(html).toContain(
+      '<strong>D</strong> <span class="tag truncated" title="code, holistic">truncated</span>'
+    );
+    expect(html).toContain(`<li>${i18n.hintCopy}</li>`);
+    expect(html).toContain('A &amp; co');
+    expect(html).toContain('<tr class="changed">');
+    expect(html).toContain('<tr class="removed"><td class="num">2</td>');
+    expect(html).toContain('<span class="tok-property">color</span>');
+    expect(html).toContain(i18n.htmlNoStyles);
+    expect(html).not.toContain('Gone');
+  });
+
+  it('renders an empty state without a table', () => {
+    const html = toHtmlReport({ pairs: [] }, [], { root: '/repo', language: 'ru' }, getI18n('ru'));
+    expect(html).toContain('<html lang="ru">');
+    expect(html).toContain(getI18n('ru').noneAboveThreshold);
+    expect(html).not.toContain('<table class="pairs"');
+    expect(html).toContain('<span id="shown">0</span>');
+  });
+
+  it('writes html only when the format asks for it', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-html-'));
+    const { entries, pairs } = makeFixture(dir);
+    const config = {
+      root: dir,
+      out: 'report.html',
+      similarityThreshold: 0.5,
+      highSimilarityThreshold: 0.9,
+    };
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    emitReport({ entries, pairs: pairs.slice(0, 1) }, config);
+    const json = JSON.parse(fs.readFileSync(path.join(dir, 'report.html'), 'utf8'));
+    emitReport({ entries, pairs: pairs.slice(0, 1) }, { ...config, format: 'html' });
+    spy.mockRestore();
+    const html = fs.readFileSync(path.join(dir, 'report.html'), 'utf8');
+    expect(json.pairs).toHaveLength(1);
+    expect(html).toContain('<table class="pairs" id="pairs">');
+  });
+});
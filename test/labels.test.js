@@ -159,6 +159,19 @@ describe('labels', () => {
     expect(labels).not.toContain('style-duplicate');
   });
 
+  it('labels styles that match after normalization even when their vectors differ', () => {
+    const a = entry('A6', '');
+    const b = entry('B6', '');
+    a.styleVec = [1, 0];
+    b.styleVec = [0, 1];
+    a.hasStyles = true;
+    a.styleCanonical = '{color:#ffffff;margin-top:0}\n:hover{opacity:0.5}';
+    b.styleCanonical = ':hover{opacity:0.5}\n{color:#ffffff;margin-top:0}';
+    expect(labelPair(a, b, 0.5, baseConfig).labels).toContain('style-duplicate');
+    b.styleCanonical = '{color:#000000;margin-top:0}';
+    expect(labelPair(a, b, 0.5, baseConfig).labels).not.toContain('style-duplicate');
+  });
+
   it('localizes hints when language is provided', () => {
     const config = { ...baseConfig, language: 'es' };
     const a = entry('LA', 'line1\nline2', { isWrapper: true });
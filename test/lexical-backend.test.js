@@ -0,0 +1,67 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { modelKey } from '../src/cache.js';
+import { createEmbeddingBackend } from '../src/embedding/index.js';
+import { LexicalEmbeddingBackend, countTerms } from '../src/embedding/lexical.js';
+import { cosine } from '../src/math.js';
+import { embedComponents } from '../src/similarity.js';
+import { baseComponent } from './similarity-fixtures.js';
+
+describe('lexical backend', () => {
+  it('splits identifiers and counts tokens with bigrams', () => {
+    const terms = countTerms('HOOKS useState,use_effect');
+    expect(Object.fromEntries(terms)).toEqual({
+      hooks: 1,
+      usestate: 1,
+      use: 2,
+      state: 1,
+      'hooks usestate': 1,
+      use_effect: 1,
+      effect: 1,
+      'usestate use_effect': 1,
+    });
+    expect(countTerms('').size).toBe(0);
+  });
+
+  it('builds deterministic normalized vectors that favour rare shared tokens', async () => {
+    const backend = new LexicalEmbeddingBackend({ dimensions: 256 });
+    const texts = [
+      'COMPONENT PriceCard JSX div -> PriceTag -> Discount',
+      'COMPONENT PriceBox JSX div -> PriceTag -> Discount',
+      'COMPONENT UserMenu JSX div -> Avatar -> Dropdown',
+    ];
+    const [price, similar, other] = await backend.embedBatch(texts);
+    expect(price).toHaveLength(256);
+    expect(Math.hypot(...price)).toBeCloseTo(1);
+    expect(await backend.embedBatch(texts)).toEqual([price, similar, other]);
+    expect(cosine(price, similar)).toBeGreaterThan(cosine(price, other) + 0.3);
+    expect(await backend.embed('')).toEqual(new Array(256).fill(0));
+  });
+
+  it('is created by the factory and skips the embedding cache', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-lexical-'));
+    const config = {
+      model: 'lexical',
+      weight: { code: 1 },
+      styleExtensions: [],
+      root: dir,
+      cachePath: path.join(dir, 'cache.json'),
+      chunking: { size: 10, overlap: 0, maxChunks: 2 },
+    };
+    const backend = await createEmbeddingBackend(config);
+    expect(backend).toBeInstanceOf(LexicalEmbeddingBackend);
+    expect(modelKey(config, backend)).toBe('lexical');
+    const embedBatch = vi.spyOn(backend, 'embedBatch');
+    const components = [
+      baseComponent('A', 'const A = () => <div>a</div>;', { hooks: ['useState'] }),
+      baseComponent('B', 'const B = () => <div>b</div>;', { hooks: ['useState'] }),
+    ];
+    const { entries, cacheStats } = await embedComponents(components, backend, config);
+    expect(embedBatch).toHaveBeenCalledTimes(1);
+    expect(entries.every((entry) => entry.truncated.length === 0)).toBe(true);
+    expect(cacheStats.misses).toBe(2);
+    expect(fs.existsSync(config.cachePath)).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { diffLines, splitLines } from '../src/line-diff.js';
+
+function describeRows(rows) {
+  return rows.map((row) => [row.type, row.left?.number ?? null, row.right?.number ?? null]);
+}
+
+describe('line diff', () => {
+  it('splits text into lines and treats empty text as no lines', () => {
+    expect(splitLines('a\r\nb\nc')).toEqual(['a', 'b', 'c']);
+    expect(splitLines('')).toEqual([]);
+    expect(splitLines(undefined)).toEqual([]);
+  });
+
+  it('aligns common lines and pairs edited lines side by side', () => {
+    const left = ['const A = () => (', '  <div>', '    A', '  </div>', ');'].join('\n');
+    const right = ['const B = () => (', '  <div>', '    B', '    extra', '  </div>', ');'].join(
+      '\n'
+    );
+    expect(describeRows(diffLines(left, right))).toEqual([
+      ['changed', 1, 1],
+      ['same', 2, 2],
+      ['changed', 3, 3],
+      ['added', null, 4],
+      ['same', 4, 5],
+      ['same', 5, 6],
+    ]);
+  });
+
+  it('reports trailing removals and additions', () => {
+    expect(describeRows(diffLines('a\nb\nc', 'a'))).toEqual([
+      ['same', 1, 1],
+      ['removed', 2, null],
+      ['removed', 3, null],
+    ]);
+    expect(describeRows(diffLines('', 'x\ny'))).toEqual([
+      ['added', null, 1],
+      ['added', null, 2],
+    ]);
+    expect(describeRows(diffLines('x\na', 'a\ny'))).toEqual([
+      ['removed', 1, null],
+      ['same', 2, 1],
+      ['added', null, 2],
+    ]);
+  });
+
+  it('falls back to a positional replacement for very large inputs', () => {
+    const left = Array.from({ length: 2001 }, (_value, index) => `left ${index}`).join('\n');
+    const right = Array.from({ length: 2001 }, (_value, index) => `right ${index}`).join('\n');
+    const rows = diffLines(left, right);
+    expect(rows).toHaveLength(2001);
+    expect(rows.every((row) => row.type === 'changed')).toBe(true);
+    expect(rows[2000]).toEqual({
+      type: 'changed',
+      left: { number: 2001, index: 2000 },
+      right: { number: 2001, index: 2000 },
+    });
+  });
+});
@@ -4,22 +4,10 @@ import path from 'path';
 import { PassThrough } from 'stream';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
-const { barMock, getMock } = vi.hoisted(() => ({
-  barMock: { start: vi.fn(), update: vi.fn(), stop: vi.fn() },
+const { getMock } = vi.hoisted(() => ({
   getMock: vi.fn(),
 }));
 
-vi.mock('cli-progress', () => {
-  function SingleBar() {
-    return barMock;
-  }
-  return {
-    default: { SingleBar, Presets: { shades_classic: {} } },
-    SingleBar,
-    Presets: { shades_classic: {} },
-  };
-});
-
 vi.mock('https', () => ({
   default: { get: getMock },
   get: getMock,
@@ -29,13 +17,10 @@ import { ensureModel } from '../src/model-fetch.js';
 
 describe('model fetch', () => {
   beforeEach(() => {
-    barMock.start.mockReset();
-    barMock.update.mockReset();
-    barMock.stop.mockReset();
     getMock.mockReset();
   });
 
-  it('downloads missing files and shows progress', async () => {
+  it('downloads missing files and reports progress', async () => {
     const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-model-'));
     getMock.mockImplementation((url, cb) => {
       const stream = new PassThrough();
@@ -46,12 +31,32 @@ describe('model fetch', () => {
       });
       return { on: vi.fn() };
     });
-    await ensureModel(dir, 'https://example.com/model', true);
-    expect(barMock.start).toHaveBeenCalled();
-    expect(barMock.stop).toHaveBeenCalled();
+    const onProgress = vi.fn();
+    await ensureModel(dir, 'https://example.com/model', onProgress);
+    expect(onProgress).toHaveBeenCalledTimes(6);
+    expect(onProgress).toHaveBeenLastCalledWith({ phase: 'download', completed: 6, total: 6 });
     expect(fs.existsSync(path.join(dir, 'onnx/model_quantized.onnx'))).toBe(true);
   });
 
+  it('downloads a preset by name and full-precision weights on request', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-model-'));
+    const urls = [];
+    getMock.mockImplementation((url, cb) => {
+      urls.push(url);
+      const stream = new PassThrough();
+      stream.statusCode = 200;
+      cb(stream);
+      process.nextTick(() => stream.end('data'));
+      return { on: vi.fn() };
+    });
+    await ensureModel(dir, 'bge-small-en-v1.5', undefined, 'en', { quantized: false });
+    expect(urls).toContain(
+      'https://huggingface.co/Xenova/bge-small-en-v1.5/resolve/main/onnx/model.onnx'
+    );
+    expect(urls.some((url) => url.endsWith('model_quantized.onnx'))).toBe(false);
+    await expect(ensureModel(dir, 'unknown-model')).rejects.toThrow(/Unknown local model preset/);
+  });
+
   it('skips download when files exist', async () => {
     const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-model-'));
     fs.mkdirSync(path.join(dir, 'onnx'));
@@ -65,7 +70,7 @@ describe('model fetch', () => {
     ];
     files.forEach((f) => fs.writeFileSync(path.join(dir, f), 'x'));
     getMock.mockClear();
-    await ensureModel(dir, 'https://example.com/model', false);
+    await ensureModel(dir, 'https://example.com/model');
     expect(getMock).not.toHaveBeenCalled();
   });
 
@@ -78,7 +83,7 @@ describe('model fetch', () => {
       process.nextTick(() => stream.end());
       return { on: vi.fn() };
     });
-    await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow(/500/);
+    await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow(/500/);
     expect(fs.readdirSync(dir).every((name) => !name.includes('.tmp-'))).toBe(true);
   });
 
@@ -89,7 +94,7 @@ describe('model fetch', () => {
         if (event === 'error') handler(new Error('boom'));
       },
     }));
-    await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow('boom');
+    await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow('boom');
     expect(fs.readdirSync(dir).every((name) => !name.includes('.tmp-'))).toBe(true);
   });
 
@@ -109,12 +114,12 @@ describe('model fetch', () => {
       };
       return request;
     });
-    await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow('boom');
+    await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow('boom');
     expect(fs.readdirSync(dir).every((name) => !name.includes('.tmp-'))).toBe(true);
   });
 
   it('throws when model path is missing', async () => {
-    await expect(ensureModel('', 'https://example.com/model', false)).rejects.toThrow(/Model path/);
+    await expect(ensureModel('', 'https://example.com/model')).rejects.toThrow(/Model path/);
   });
 
   it('follows redirects', async () => {
@@ -133,7 +138,7 @@ describe('model fetch', () => {
       process.nextTick(() => stream.end('ok'));
       return { on: vi.fn() };
     });
-    await ensureModel(dir, 'https://example.com/model', false);
+    await ensureModel(dir, 'https://example.com/model');
     expect(fs.existsSync(path.join(dir, 'onnx/model_quantized.onnx'))).toBe(true);
     expect(getMock).toHaveBeenCalledTimes(7); // first call redirects then retries
     expect(fs.readdirSync(dir).every((name) => !name.includes('.tmp-'))).toBe(true);
@@ -149,7 +154,7 @@ describe('model fetch', () => {
       process.nextTick(() => stream.end());
       return { on: vi.fn() };
     });
-    await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow(
+    await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow(
       /Too many redirects/
     );
   });
@@ -172,7 +177,7 @@ describe('model fetch', () => {
         process.nextTick(() => stream.end());
         return { on: vi.fn() };
       });
-      await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow(
+      await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow(
         /Too many redirects/
       );
       expect(renameSpy).not.toHaveBeenCalled();
@@ -196,9 +201,7 @@ describe('model fetch', () => {
       process.nextTick(() => stream.end());
       return { on: vi.fn() };
     });
-    await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow(
-      'close failed'
-    );
+    await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow('close failed');
     expect(fs.readdirSync(dir).every((name) => !name.includes('.tmp-'))).toBe(true);
     streamSpy.mockRestore();
   });
@@ -215,9 +218,7 @@ describe('model fetch', () => {
       process.nextTick(() => stream.end('data'));
       return { on: vi.fn() };
     });
-    await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow(
-      'close failed'
-    );
+    await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow('close failed');
     expect(fs.readdirSync(dir).every((name) => !name.includes('.tmp-'))).toBe(true);
     streamSpy.mockRestore();
   });
@@ -234,9 +235,7 @@ describe('model fetch', () => {
       process.nextTick(() => stream.end('data'));
       return { on: vi.fn() };
     });
-    await expect(ensureModel(dir, 'https://example.com/model', false)).rejects.toThrow(
-      'rename failed'
-    );
+    await expect(ensureModel(dir, 'https://example.com/model')).rejects.toThrow('rename failed');
     expect(fs.readdirSync(dir).every((name) => !name.includes('.tmp-'))).toBe(true);
     renameSpy.mockRestore();
   });
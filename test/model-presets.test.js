@@ -0,0 +1,170 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { pipelineMock } = vi.hoisted(() => ({ pipelineMock: vi.fn() }));
+
+vi.mock('@xenova/transformers', () => ({ env: {}, pipeline: pipelineMock }));
+
+import { LocalEmbeddingBackend, loadLocalPipeline } from '../src/embedding/local.js';
+import { createEmbeddingBackend } from '../src/embedding/index.js';
+import {
+  DEFAULT_MODEL_PATH,
+  DEFAULT_MODEL_REPO,
+  LOCAL_MODEL_PRESETS,
+  applyPrefix,
+  localModelKey,
+  resolveLocalModelConfig,
+  resolveModelRepo,
+} from '../src/model-presets.js';
+
+function createLocalModelFixture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-preset-model-'));
+  fs.mkdirSync(path.join(dir, 'onnx'));
+  fs.writeFileSync(path.join(dir, 'onnx/model_quantized.onnx'), 'x');
+  return dir;
+}
+
+const defaults = { modelPath: DEFAULT_MODEL_PATH, modelRepo: DEFAULT_MODEL_REPO };
+
+describe('model presets', () => {
+  it('keeps the default model and options without a preset', () => {
+    expect(resolveLocalModelConfig(defaults)).toEqual({
+      ...defaults,
+      pooling: 'mean',
+      prefix: '',
+      maxLength: null,
+      quantized: true,
+    });
+    expect(resolveLocalModelConfig({ ...defaults, localModel: {} }).pooling).toBe('mean');
+  });
+
+  it('fills the model folder, repo, and options from a preset', () => {
+    const resolved = resolveLocalModelConfig({
+      ...defaults,
+      localModel: { preset: 'e5-small-v2' },
+    });
+    expect(resolved).toEqual({
+      modelPath: path.join('models', 'e5-small-v2'),
+      modelRepo: LOCAL_MODEL_PRESETS['e5-small-v2'].repo,
+      pooling: 'mean',
+      prefix: 'query: ',
+      maxLength: null,
+      quantized: true,
+    });
+    expect(resolveLocalModelConfig({ localModel: { preset: 'bge-small-en-v1.5' } }).pooling).toBe(
+      'cls'
+    );
+  });
+
+  it('lets explicit settings override the preset', () => {
+    const resolved = resolveLocalModelConfig({
+      modelPath: 'vendor/bge',
+      modelRepo: 'https://mirror.example.com/bge',
+      localModel: {
+        preset: 'bge-small-en-v1.5',
+        pooling: 'mean',
+        prefix: '',
+        maxLength: 256,
+        quantized: false,
+      },
+    });
+    expect(resolved).toEqual({
+      modelPath: 'vendor/bge',
+      modelRepo: 'https://mirror.example.com/bge',
+      pooling: 'mean',
+      prefix: '',
+      maxLength: 256,
+      quantized: false,
+    });
+  });
+
+  it('rejects unknown presets and pooling strategies', () => {
+    expect(() => resolveLocalModelConfig({ localModel: { preset: 'nope' } })).toThrow(
+      /Unknown local model preset nope \(all-MiniLM-L6-v2, /
+    );
+    expect(() => resolveLocalModelConfig({ localModel: { pooling: 'max' } })).toThrow(
+      'Unsupported pooling strategy max (mean, cls)'
+    );
+  });
+
+  it('resolves repo URLs and preset names', () => {
+    expect(resolveModelRepo('https://example.com/model')).toBe('https://example.com/model');
+    expect(resolveModelRepo('gte-small')).toBe(
+      'https://huggingface.co/Xenova/gte-small/resolve/main'
+    );
+    expect(() => resolveModelRepo(undefined)).toThrow(/Unknown local model preset/);
+  });
+
+  it('keeps the plain cache key for default options', () => {
+    expect(localModelKey(resolveLocalModelConfig(defaults))).toBe(`local:${DEFAULT_MODEL_PATH}`);
+    expect(
+      localModelKey({
+        modelPath: 'm',
+        pooling: 'cls',
+        prefix: 'query: ',
+        maxLength: 128,
+        quantized: false,
+      })
+    ).toBe('local:m|pooling=cls|prefix=query: |maxLength=128|fp32');
+  });
+
+  it('applies prefix templates', () => {
+    expect(applyPrefix('', 'text')).toBe('text');
+    expect(applyPrefix('query: ', 'text')).toBe('query: text');
+    expect(applyPrefix('<{text}>', 'text')).toBe('<text>');
+    expect(applyPrefix('passage: {text}', "$('a').html(`$& $' $1 $$`)")).toBe(
+      "passage: $('a').html(`$& $' $1 $$`)"
+    );
+  });
+});
+
+describe('local model options', () => {
+  beforeEach(() => {
+    pipelineMock.mockReset();
+  });
+
+  it('applies preset pooling, prefix, truncation, and precision to the local pipeline', async () => {
+    const modelPath = createLocalModelFixture();
+    fs.writeFileSync(path.join(modelPath, 'onnx/model.onnx'), 'x');
+    const pipe = vi.fn(async () => ({ data: [3, 4] }));
+    pipe.tokenizer = { model_max_length: 512 };
+    pipelineMock.mockResolvedValue(pipe);
+    const backend = await createEmbeddingBackend({
+      model: 'local',
+      modelPath,
+      localModel: { preset: 'e5-small-v2', pooling: 'cls', maxLength: 128, quantized: false },
+      remote: {},
+    });
+    expect(await backend.embed('text')).toEqual([0.6, 0.8]);
+    expect(pipelineMock).toHaveBeenCalledWith('feature-extraction', expect.any(String), {
+      quantized: false,
+      device: 'cpu',
+    });
+    expect(pipe).toHaveBeenCalledWith('query: text', { pooling: 'cls', normalize: true });
+    expect(pipe.tokenizer.model_max_length).toBe(128);
+  });
+
+  it('caps truncation for tokenizers without a configured max length', async () => {
+    const pipe = vi.fn();
+    pipe.tokenizer = {};
+    pipelineMock.mockResolvedValue(pipe);
+    await loadLocalPipeline('models/x', { maxLength: 64 });
+    expect(pipe.tokenizer.model_max_length).toBe(64);
+    pipelineMock.mockResolvedValue(vi.fn());
+    await expect(loadLocalPipeline('models/x', { maxLength: 64 })).resolves.toBeTypeOf('function');
+  });
+
+  it('requires full-precision weights when quantization is off', async () => {
+    const modelPath = createLocalModelFixture();
+    const backend = new LocalEmbeddingBackend({ modelPath, quantized: false });
+    await expect(backend.embed('text')).rejects.toThrow(/model\.onnx/);
+  });
+
+  it('rejects unknown local model presets', async () => {
+    await expect(
+      createEmbeddingBackend({ model: 'local', localModel: { preset: 'nope' }, remote: {} })
+    ).rejects.toThrow(/Unknown local model preset/);
+  });
+});
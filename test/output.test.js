@@ -25,7 +25,7 @@ describe('output', () => {
     ];
     const pairs = [];
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config);
+    emitReport({ entries, pairs }, config);
     spy.mockRestore();
     expect(fs.existsSync(path.join(dir, 'out.json'))).toBe(true);
   });
@@ -41,7 +41,7 @@ describe('output', () => {
     ];
     const pairs = [];
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config);
+    emitReport({ entries, pairs }, config);
     spy.mockRestore();
     expect(fs.readdirSync(dir).length).toBe(0);
   });
@@ -98,11 +98,11 @@ describe('output', () => {
       cache: { hits: 1, misses: 2, cleaned: 0, uncachedCount: 3 },
     };
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config, stats);
+    emitReport({ entries, pairs, stats }, config);
     spy.mockRestore();
   });
 
-  it('covers hint, truncation, and mock mode', () => {
+  it('covers hints, signal breakdowns, explanations, truncation, and mock mode', () => {
     const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-output-'));
     const config = {
       root: dir,
@@ -126,6 +126,7 @@ describe('output', () => {
           source: `${longLine}\nnext`,
         },
         styleText: '',
+        truncated: ['holistic'],
       },
     ];
     const pairs = [
@@ -136,6 +137,11 @@ describe('output', () => {
         category: 'almost-identical',
         labels: ['logic-duplicate'],
         hints: ['refactor'],
+        signals: { embedding: 0.9, jsx: 1 },
+        explanation: {
+          channels: { code: 0.97, structure: 0.9 },
+          labelInputs: { logicOverlap: 0.8, lineDiff: 2 },
+        },
       },
     ];
     const stats = {
@@ -152,11 +158,23 @@ describe('output', () => {
         coveredComponents: 1,
         suppressedPairs: 1,
         suppressionReasons: {},
+        ann: { candidatePairs: 1, totalPairs: 3 },
       },
+      pairIndex: { reused: 4, rescored: 1, removed: 2 },
     };
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config, stats);
+    emitReport({ entries, pairs, stats }, config);
+    const printed = spy.mock.calls.map(([line]) => String(line)).join('\n');
     spy.mockRestore();
+    expect(printed).toContain('[truncated: holistic]');
+    expect(printed).toContain('signals: embedding 0.9 · jsx 1');
+    expect(printed).toContain('channels: code 0.97 · structure 0.9');
+    expect(printed).toContain('label inputs: logicOverlap 0.8 · lineDiff 2');
+    expect(printed).toContain('components truncated');
+    expect(printed).toContain('ANN candidate pairs');
+    expect(printed).toContain('reused 4 | rescored 1 | removed 2');
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'out.json'), 'utf8'));
+    expect(report.components[0].truncated).toEqual(['holistic']);
   });
 
   it('writes txt output with compact pairs', () => {
@@ -204,7 +222,7 @@ describe('output', () => {
       },
     ];
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config);
+    emitReport({ entries, pairs }, config);
     spy.mockRestore();
     const txt = fs.readFileSync(path.join(dir, 'report.txt'), 'utf8').trim().split('\n');
     expect(txt[0]).toBe('0.9 | #logic-duplicate\t#copy-paste-variant');
@@ -250,7 +268,7 @@ describe('output', () => {
       { a: 'a#A', b: 'b#B', similarity: 0.8, category: 'near-duplicate', labels: [], hints: [] },
     ];
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config);
+    emitReport({ entries, pairs }, config);
     spy.mockRestore();
     const txt = fs.readFileSync(path.join(dir, 'plain.txt'), 'utf8').trim().split('\n');
     expect(txt[0]).toBe('0.8 | -');
@@ -296,7 +314,7 @@ describe('output', () => {
       { a: 'a#A', b: 'b#B', similarity: 0.9, category: 'near-duplicate', labels: [], hints: [] },
     ];
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config);
+    emitReport({ entries, pairs }, config);
     spy.mockRestore();
   });
 
@@ -329,7 +347,7 @@ describe('output', () => {
       },
     };
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config, stats);
+    emitReport({ entries, pairs, stats }, config);
     spy.mockRestore();
   });
 
@@ -343,7 +361,10 @@ describe('output', () => {
       remote: {},
     };
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport([], [], config, { scorecard: { suppressedPairs: 0, suppressionReasons: {} } });
+    emitReport(
+      { entries: [], pairs: [], stats: { scorecard: { suppressedPairs: 0, suppressionReasons: {} } } },
+      config
+    );
     spy.mockRestore();
   });
 
@@ -378,7 +399,7 @@ describe('output', () => {
       },
     };
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config, stats);
+    emitReport({ entries, pairs, stats }, config);
     spy.mockRestore();
   });
 
@@ -420,7 +441,7 @@ describe('output', () => {
       { a: 'a#A', b: 'b#B', similarity: 0.9, category: 'near-duplicate', labels: [], hints: [] },
     ];
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config);
+    emitReport({ entries, pairs }, config);
     spy.mockRestore();
   });
 
@@ -475,7 +496,7 @@ describe('output', () => {
       { a: 'a#A', b: 'c#C', similarity: 0.98, category: 'almost-identical', labels: [], hints: [] },
     ];
     const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
-    emitReport(entries, pairs, config);
+    emitReport({ entries, pairs }, config);
     const calls = spy.mock.calls.flat().filter((line) => String(line).includes('score: 0.99'));
     expect(calls.length).toBe(1);
     spy.mockRestore();
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { encode } from 'msgpackr';
+import { describe, expect, it } from 'vitest';
+import { findSimilaritiesWithIndex, loadPairIndex } from '../src/pair-index.js';
+import { findSimilarities } from '../src/similarity.js';
+import { normalize } from '../src/math.js';
+import { makeEntry } from './similarity-fixtures.js';
+
+function randomVectors(count, dimensions, seed) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  return Array.from({ length: count }, () =>
+    normalize(Array.from({ length: dimensions }, () => next()))
+  );
+}
+
+function corpus(count = 24, seed = 11) {
+  const bases = randomVectors(count, 16, seed);
+  const noise = randomVectors(count / 2, 16, seed + 1);
+  const twins = noise.map((delta, index) =>
+    normalize(bases[index].map((value, i) => value + delta[i] * 0.3))
+  );
+  return [...bases, ...twins].map((vector, index) =>
+    makeEntry(`C${index}`, vector, {
+      filePath: `src/c${index}/C${index}.tsx`,
+      componentRefs: index === 1 ? ['C25'] : [],
+    })
+  );
+}
+
+function tempIndexPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-pair-index-'));
+  return path.join(dir, 'pairs.msgpack');
+}
+
+const CONFIG = { similarityThreshold: 0.6, highSimilarityThreshold: 0.9 };
+
+async function expectSameAsFullScan(entries, config) {
+  const { pairs, scorecard, indexStats } = await findSimilaritiesWithIndex(entries, config);
+  const full = await findSimilarities(entries, config);
+  expect(pairs).toEqual(full.pairs);
+  expect(scorecard).toEqual(full.scorecard);
+  return indexStats;
+}
+
+describe('pair index', () => {
+  it('re-scores only changed, new, and removed components and matches a full scan', async () => {
+    const config = { ...CONFIG, pairIndexPath: tempIndexPath() };
+    const entries = corpus();
+    expect(await expectSameAsFullScan(entries, config)).toEqual({
+      reused: 0,
+      rescored: 36,
+      removed: 0,
+    });
+    expect((await findSimilarities(entries, config)).scorecard.suppressionReasons).toHaveProperty(
+      'component-composition'
+    );
+
+    const written = fs.statSync(config.pairIndexPath).mtimeMs;
+    expect(await expectSameAsFullScan(corpus(), config)).toEqual({
+      reused: 36,
+      rescored: 0,
+      removed: 0,
+    });
+    expect(fs.statSync(config.pairIndexPath).mtimeMs).toBe(written);
+
+    const [extra] = randomVectors(1, 16, 5);
+    const edited = corpus().filter((entry) => entry.component.name !== 'C25');
+    edited[0] = { ...edited[0], vector: edited[0].vector.map((value) => -value) };
+    edited.push(makeEntry('C99', extra, { filePath: 'src/c99/C99.tsx' }));
+    expect(await expectSameAsFullScan(edited, config)).toEqual({
+      reused: 34,
+      rescored: 2,
+      removed: 1,
+    });
+    expect(Object.keys(loadPairIndex(config.pairIndexPath, 'en').components)).toHaveLength(36);
+  });
+
+  it('restricts re-scored pairs to ANN candidates', async () => {
+    const config = {
+      ...CONFIG,
+      ann: { mode: 'lsh', bits: 4, tables: 2 },
+      pairIndexPath: tempIndexPath(),
+    };
+    await findSimilaritiesWithIndex(corpus(), config);
+    const edited = corpus().slice(0, 30);
+    edited[12] = { ...edited[12], vector: edited[12].vector.map((value) => value * 2) };
+    expect(await expectSameAsFullScan(edited, config)).toEqual({
+      reused: 29,
+      rescored: 1,
+      removed: 6,
+    });
+  });
+
+  it('re-scores oversized ANN buckets against every component', async () => {
+    const config = {
+      ...CONFIG,
+      similarityThreshold: 0.8,
+      ann: { mode: 'lsh', bits: 1, tables: 1 },
+      pairIndexPath: tempIndexPath(),
+    };
+    const entries = corpus(600, 21);
+    await findSimilaritiesWithIndex(entries, config);
+    const edited = [...entries];
+    edited[5] = { ...edited[5], vector: edited[305].vector };
+    expect(await expectSameAsFullScan(edited, config)).toEqual({
+      reused: 899,
+      rescored: 1,
+      removed: 0,
+    });
+  });
+
+  it('scores everything when the index is missing, stale, unreadable, or disabled', async () => {
+    const pairIndexPath = tempIndexPath();
+    const warnings = [];
+    fs.writeFileSync(pairIndexPath, 'not msgpack');
+    const hooks = { onWarning: (message) => warnings.push(message) };
+    const first = await findSimilaritiesWithIndex(corpus(), { ...CONFIG, pairIndexPath }, hooks);
+    expect(first.indexStats.rescored).toBe(36);
+    expect(warnings[0]).toContain(`Failed to read pair index at ${pairIndexPath}`);
+
+    const stricter = { ...CONFIG, similarityThreshold: 0.7, pairIndexPath };
+    expect((await findSimilaritiesWithIndex(corpus(), stricter)).indexStats.reused).toBe(0);
+    const forced = { ...stricter, incremental: false };
+    expect((await findSimilaritiesWithIndex(corpus(), forced)).indexStats.reused).toBe(0);
+
+    const { indexStats } = await findSimilaritiesWithIndex(corpus(), CONFIG);
+    expect(indexStats).toBeNull();
+    fs.writeFileSync(pairIndexPath, encode({ version: 0 }));
+    expect(loadPairIndex(pairIndexPath, 'en').state).toBeNull();
+    expect(loadPairIndex(null, 'en').components).toEqual({});
+  });
+});
@@ -19,6 +19,44 @@ describe('parser', () => {
     expect(comp.hooks.length).toBe(0);
   });
 
+  it('collects classes from className expressions, class helpers, and cva definitions', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-parser-classes-'));
+    const file = path.join(dir, 'Card.tsx');
+    fs.writeFileSync(
+      file,
+      `
+      const base = 'rounded p-4';
+      export const button = cva(['px-2', \`py-1 \${size}\`], {
+        variants: { intent: { 'primary-solid': 'bg-blue-500', ghost: null } },
+        compoundVariants: [{ intent: 'primary', class: 'uppercase' }],
+        defaultVariants: { intent: 'primary' },
+      });
+      let counter, ignored = missing();
+      const { icon } = styles;
+      export function Card({ active, tone }) {
+        return (
+          <div className={cn(base, { shadow: active, 'ring-2 ring-inset': !active, [tone]: 1 })}>
+            <h2 className={\`text-lg \${active ? 'font-bold' : 'font-normal'} text-\${tone}-500\`}>
+              <span className={active && (['block', ...rest])}>title</span>
+            </h2>
+            <button className={button({ intent: tone })} onClick={() => twMerge(fn)} />
+            <i className={styles.icon} />
+            <b className={format(tone)} />
+          </div>
+        );
+      }
+      `
+    );
+    const [card] = parseFile(file, baseConfig).components;
+    expect(card.classGroups).toEqual([
+      ['rounded', 'p-4', 'shadow', 'ring-2', 'ring-inset'],
+      ['text-lg', 'font-bold', 'font-normal'],
+      ['block'],
+      ['px-2', 'py-1', 'bg-blue-500', 'uppercase'],
+    ]);
+    expect(card.classNames).toContain('uppercase');
+  });
+
   it('ignores file with marker', () => {
     const file = path.resolve('examples/Ignored.tsx');
     const result = parseFile(file, baseConfig);
@@ -0,0 +1,42 @@
+import { describe, expect, it, vi } from 'vitest';
+
+const { bars } = vi.hoisted(() => ({ bars: [] }));
+
+vi.mock('cli-progress', () => {
+  function SingleBar() {
+    const bar = { start: vi.fn(), update: vi.fn(), stop: vi.fn() };
+    bars.push(bar);
+    return bar;
+  }
+  return {
+    default: { SingleBar, Presets: { shades_classic: {} } },
+    SingleBar,
+    Presets: { shades_classic: {} },
+  };
+});
+
+import { createCliHooks, createProgressBars } from '../src/progress.js';
+
+describe('progress bars', () => {
+  it('renders one bar per slow phase and ignores the others', () => {
+    const onProgress = createProgressBars();
+    onProgress({ phase: 'scan', completed: 3, total: 3 });
+    onProgress({ phase: 'parse', completed: 1, total: 3 });
+    expect(bars).toHaveLength(0);
+
+    onProgress({ phase: 'embed', completed: 1, total: 2 });
+    onProgress({ phase: 'embed', completed: 2, total: 2 });
+    expect(bars).toHaveLength(1);
+    expect(bars[0].start).toHaveBeenCalledWith(2, 0);
+    expect(bars[0].update.mock.calls).toEqual([[1], [2]]);
+    expect(bars[0].stop).toHaveBeenCalledTimes(1);
+
+    onProgress({ phase: 'embed', completed: 1, total: 1 });
+    expect(bars).toHaveLength(2);
+  });
+
+  it('enables bars for the cli only when progress is shown', () => {
+    expect(createCliHooks({ showProgress: false }).onProgress).toBeUndefined();
+    expect(createCliHooks({ showProgress: true }).onProgress).toBeTypeOf('function');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  backoffDelay,
+  createRateLimiter,
+  estimateTokens,
+  parseRetryAfter,
+} from '../src/embedding/rate-limit.js';
+import { RemoteEmbeddingBackend } from '../src/embedding/remote.js';
+
+function fakeClock() {
+  const clock = {
+    time: 0,
+    waits: [],
+    now: () => clock.time,
+    sleep: async (ms) => {
+      clock.waits.push(ms);
+      clock.time += ms;
+    },
+  };
+  return clock;
+}
+
+describe('rate limiting', () => {
+  it('passes requests straight through without budgets', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter(undefined, clock);
+    await Promise.all([limiter.acquire(), limiter.acquire(1000), limiter.acquire(5)]);
+    expect(clock.waits).toEqual([]);
+    await createRateLimiter().acquire();
+  });
+
+  it('waits for the request budget of the sliding minute', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ requestsPerMinute: 2 }, clock);
+    await limiter.acquire();
+    clock.time = 10_000;
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    expect(clock.waits).toEqual([50_000, 10_000]);
+    expect(clock.time).toBe(70_000);
+  });
+
+  it('waits for the token budget and lets oversized requests through alone', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 100 }, clock);
+    await limiter.acquire(60);
+    clock.time = 5_000;
+    await limiter.acquire(30);
+    await limiter.acquire(50);
+    expect(clock.waits).toEqual([55_000]);
+    await limiter.acquire(500);
+    expect(clock.waits).toEqual([55_000, 5_000, 55_000]);
+  });
+
+  it('backs off exponentially with jitter and a cap', () => {
+    expect(backoffDelay(0, () => 0)).toBe(250);
+    expect(backoffDelay(0, () => 1)).toBe(500);
+    expect(backoffDelay(3, () => 0.5)).toBe(3000);
+    expect(backoffDelay(20, () => 1)).toBe(30_000);
+    expect(backoffDelay(1)).toBeGreaterThanOrEqual(500);
+  });
+
+  it('reads Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('3', now)).toBe(3000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)).toBe(10_000);
+    expect(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('1')).toBe(1000);
+  });
+
+  it('caps a long Retry-After at the backoff limit and warns about it', async () => {
+    vi.useFakeTimers();
+    try {
+      const limited = {
+        ok: false,
+        status: 503,
+        headers: new Headers({ 'retry-after': '3600' }),
+        text: async () => 'maintenance',
+      };
+      const success = { ok: true, json: async () => ({ data: [{ embedding: [1, 0] }] }) };
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValueOnce(limited).mockResolvedValueOnce(success));
+      const onWarning = vi.fn();
+      const backend = new RemoteEmbeddingBackend({ url: 'http://localhost:11434/v1', onWarning });
+      const pending = backend.embed('text');
+      await vi.advanceTimersByTimeAsync(29_999);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(await pending).toEqual([1, 0]);
+      expect(onWarning).toHaveBeenCalledWith(
+        'Remote embedding server asked to wait too long before retrying; waiting 30s (Retry-After: 3600)'
+      );
+    } finally {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('estimates tokens from characters', () => {
+    expect(estimateTokens('abcde')).toBe(2);
+    expect(estimateTokens(['abcd', 'ab'])).toBe(2);
+  });
+});
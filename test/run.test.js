@@ -23,8 +23,11 @@ describe('end-to-end run', () => {
       remote: {},
       weight: { code: 0.7, style: 0.3 },
     };
-    await run(config);
+    const result = await run(config);
     const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+    expect(report.clusters).toEqual(result.clusters);
+    const clustered = new Set(report.clusters.flatMap((c) => c.members.map((m) => m.id)));
+    expect(report.pairs.every((p) => clustered.has(p.a) && clustered.has(p.b))).toBe(true);
     const primarySecondary = report.pairs.find(
       (p) => p.a.includes('PrimaryButton') && p.b.includes('SecondaryButton')
     );
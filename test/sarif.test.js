@@ -0,0 +1,189 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { toSarifReport } from '../src/sarif.js';
+import { emitReport, REPORT_FORMATS } from '../src/output.js';
+import { runCli } from '../src/cli.js';
+import { getI18n } from '../src/i18n.js';
+
+const i18n = getI18n('en');
+
+function makeComponent(filePath, name, loc = null) {
+  return { id: `${filePath}#${name}`, name, filePath, hooks: [], loc, source: '' };
+}
+
+function makeFixture(root) {
+  const a = makeComponent(path.join(root, 'src/A.tsx'), 'A', {
+    start: { line: 3, column: 0 },
+    end: { line: 9, column: 1 },
+  });
+  const b = makeComponent(path.join(root, 'lib/B.tsx'), 'B');
+  const c = makeComponent('/elsewhere/C.tsx', 'C');
+  const entries = [a, b, c].map((component) => ({ component, styleText: '' }));
+  const report = {
+    pairs: [
+      {
+        a: a.id,
+        b: b.id,
+        similarity: 0.97,
+        category: 'almost-identical',
+        labels: ['copy-paste-variant', 'style-duplicate'],
+        hints: [i18n.hintCopy],
+        newSide: 'b',
+      },
+      { a: b.id, b: c.id, similarity: 0.86, category: 'near-duplicate', labels: [], hints: [] },
+      { a: a.id, b: 'gone#Gone', similarity: 0.9, category: 'near-duplicate', labels: [] },
+    ],
+  };
+  return { entries, report, a, b };
+}
+
+describe('sarif', () => {
+  it('describes every label and category as a rule of the duplicalis driver', () => {
+    const sarif = toSarifReport({ pairs: [] }, [], { root: '/repo' }, i18n);
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.$schema).toContain('sarif-2.1.0');
+    const [run] = sarif.runs;
+    expect(run.tool.driver.name).toBe('duplicalis');
+    expect(run.tool.driver.version).toMatch(/^\d+\.\d+\.\d+/);
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual([
+      'wrapper-duplicate',
+      'style-duplicate',
+      'logic-duplicate',
+      'copy-paste-variant',
+      'prop-parameterizable',
+      'forked-clone',
+      'almost-identical',
+      'near-duplicate',
+    ]);
+    expect(run.tool.driver.rules[3]).toMatchObject({
+      name: 'CopyPasteVariant',
+      shortDescription: { text: i18n.hintCopy },
+      properties: { tags: ['duplication'] },
+    });
+    expect(run.originalUriBaseIds.SRCROOT.uri).toBe('file:///repo/');
+    expect(run.results).toEqual([]);
+  });
+
+  it('reports one result per pair with primary and related locations', () => {
+    const root = '/repo';
+    const { entries, report } = makeFixture(root);
+    const [first, second] = toSarifReport(report, entries, { root }, i18n).runs[0].results;
+
+    expect(first).toMatchObject({
+      ruleId: 'copy-paste-variant',
+      ruleIndex: 3,
+      level: 'warning',
+      message: { text: `A ↔ [B](1) (score 0.97). ${i18n.hintCopy}` },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: 'src/A.tsx', uriBaseId: 'SRCROOT' },
+            region: { startLine: 3, startColumn: 1, endLine: 9, endColumn: 2 },
+          },
+        },
+      ],
+      relatedLocations: [
+        {
+          id: 1,
+          message: { text: 'B' },
+          physicalLocation: { artifactLocation: { uri: 'lib/B.tsx', uriBaseId: 'SRCROOT' } },
+        },
+      ],
+      properties: {
+        similarity: 0.97,
+        category: 'almost-identical',
+        labels: ['copy-paste-variant', 'style-duplicate'],
+        newSide: 'b',
+      },
+    });
+    expect(second.properties).not.toHaveProperty('newSide');
+    expect(first.locations[0].physicalLocation.region).toBeDefined();
+    expect(first.relatedLocations[0].physicalLocation.region).toBeUndefined();
+    expect(first.partialFingerprints['duplicalisPair/v1']).toMatch(/^[0-9a-f]{40}$/);
+
+    expect(second).toMatchObject({ ruleId: 'near-duplicate', ruleIndex: 7, level: 'note' });
+    expect(second.relatedLocations[0].physicalLocation.artifactLocation).toEqual({
+      uri: 'file:///elsewhere/C.tsx',
+    });
+  });
+
+  it('keeps pair fingerprints stable across checkouts and pair order', () => {
+    const left = makeFixture('/repo');
+    const right = makeFixture('/work/checkout');
+    const swapped = {
+      pairs: [{ ...left.report.pairs[0], a: left.b.id, b: left.a.id }],
+    };
+    const fingerprint = (sarif) => sarif.runs[0].results[0].partialFingerprints;
+    const base = fingerprint(toSarifReport(left.report, left.entries, { root: '/repo' }, i18n));
+    const moved = toSarifReport(right.report, right.entries, { root: '/work/checkout' }, i18n);
+    const reversed = toSarifReport(swapped, left.entries, { root: '/repo' }, i18n);
+    expect(fingerprint(moved)).toEqual(base);
+    expect(fingerprint(reversed)).toEqual(base);
+  });
+
+  it('writes the format chosen with --format and rejects unknown formats', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-sarif-'));
+    const { entries, report } = makeFixture(dir);
+    const config = {
+      root: dir,
+      out: 'report.json',
+      format: 'sarif',
+      similarityThreshold: 0.5,
+      highSimilarityThreshold: 0.9,
+    };
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    emitReport({ entries, pairs: report.pairs.slice(0, 1) }, config);
+    expect(() => emitReport({ entries }, { ...config, format: 'xml' })).toThrow(
+      'Unknown report format: xml (json, txt, sarif, html)'
+    );
+    spy.mockRestore();
+    const written = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+    expect(written.version).toBe('2.1.0');
+    expect(written.runs[0].results).toHaveLength(1);
+    expect(REPORT_FORMATS).toEqual(['json', 'txt', 'sarif', 'html']);
+  });
+
+  it('writes sarif from the cli', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-sarif-cli-'));
+    ['CardA.tsx', 'CardB.tsx'].forEach((file) => {
+      fs.copyFileSync(path.resolve('examples', file), path.join(root, file));
+    });
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    await runCli([
+      'node',
+      'duplicalis',
+      'scan',
+      root,
+      '--model',
+      'mock',
+      '--threshold',
+      '0.7',
+      '--out',
+      'duplicalis.sarif',
+      '--format',
+      'sarif',
+      '--cache-path',
+      path.join(root, '.cache', 'embeddings.json'),
+      '--no-progress',
+    ]);
+    spy.mockRestore();
+    const sarif = JSON.parse(fs.readFileSync(path.join(root, 'duplicalis.sarif'), 'utf8'));
+    const [result] = sarif.runs[0].results;
+    expect(result.locations[0].physicalLocation.artifactLocation.uri).toBe('CardA.tsx');
+    expect(result.relatedLocations[0].physicalLocation.artifactLocation.uri).toBe('CardB.tsx');
+    expect(result.locations[0].physicalLocation.region.startLine).toBeGreaterThan(0);
+  });
+
+  it('rejects an unknown format from the cli before scanning', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-sarif-cli-'));
+    fs.copyFileSync(path.resolve('examples', 'CardA.tsx'), path.join(root, 'CardA.tsx'));
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const scan = runCli(['node', 'duplicalis', 'scan', root, '--model', 'mock', '--format', 'xml']);
+    await expect(scan).rejects.toThrow('Unknown report format: xml');
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+    expect(fs.existsSync(path.join(root, '.cache'))).toBe(false);
+  });
+});
@@ -8,15 +8,143 @@ import { embedComponents } from '../src/similarity.js';
 import { baseComponent } from './similarity-fixtures.js';
 
 describe('similarity embedding', () => {
-  it('creates a progress bar when embedding progress is enabled', async () => {
+  it('reports embedding progress per embedded text', async () => {
     const backend = new MockEmbeddingBackend(4);
-    const { entries } = await embedComponents([baseComponent('A', 'one')], backend, {
-      weight: { code: 0.7, style: 0.3 },
-      styleExtensions: ['.css'],
+    const onProgress = vi.fn();
+    const { entries } = await embedComponents(
+      [baseComponent('A', 'one'), baseComponent('B', 'two')],
+      backend,
+      { weight: { code: 0.7, style: 0.3 }, styleExtensions: ['.css'], root: process.cwd() },
+      { onProgress }
+    );
+    expect(entries).toHaveLength(2);
+    const events = onProgress.mock.calls.map(([event]) => event);
+    expect(events.map((event) => event.completed)).toEqual(events.map((_, index) => index + 1));
+    expect(events.at(-1)).toEqual({
+      phase: 'embed',
+      completed: events.length,
+      total: events.length,
+    });
+  });
+
+  it('collects cache misses across components and fills them in concurrent batches', async () => {
+    let active = 0;
+    let peak = 0;
+    const backend = {
+      batchSize: 2,
+      concurrency: 2,
+      embed: vi.fn(),
+      embedBatch: vi.fn(async (texts) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active -= 1;
+        return texts.map((text) => [text.length, 1]);
+      }),
+    };
+    const components = [
+      baseComponent('A', 'one'),
+      baseComponent('B', 'two'),
+      baseComponent('C', 'three', { jsxTags: ['span'] }),
+    ];
+    const { entries } = await embedComponents(components, backend, {
+      weight: { code: 1 },
+      styleExtensions: [],
+      root: process.cwd(),
+    });
+    const texts = backend.embedBatch.mock.calls.flatMap(([batch]) => batch);
+    expect(new Set(texts).size).toBe(texts.length);
+    expect(backend.embedBatch.mock.calls.every(([batch]) => batch.length <= 2)).toBe(true);
+    expect(backend.embedBatch.mock.calls.length).toBeGreaterThan(2);
+    expect(peak).toBe(2);
+    expect(backend.embed).not.toHaveBeenCalled();
+    expect(entries.map((entry) => entry.codeVec.length)).toEqual([2, 2, 2]);
+  });
+
+  it('fills vectors the backend did not return with zeros of the declared size', async () => {
+    const backend = { dimensions: 3, embed: vi.fn(async () => undefined) };
+    const { entries } = await embedComponents([baseComponent('Empty', 'empty')], backend, {
+      weight: { code: 1 },
+      styleExtensions: [],
+      root: process.cwd(),
+    });
+    expect(entries[0].codeVec).toEqual([0, 0, 0]);
+    expect(entries[0].holisticVec).toEqual([0, 0, 0]);
+
+    delete backend.dimensions;
+    const undeclared = await embedComponents([baseComponent('Empty', 'empty')], backend, {
+      weight: { code: 1 },
+      styleExtensions: [],
       root: process.cwd(),
-      showProgress: true,
     });
-    expect(entries).toHaveLength(1);
+    expect(undeclared.entries[0].codeVec).toEqual([0]);
+  });
+
+  it('saves finished embeddings before a failure so a rerun resumes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-resume-'));
+    const config = {
+      weight: { code: 1 },
+      styleExtensions: [],
+      root: dir,
+      cachePath: path.join(dir, 'cache.json'),
+    };
+    const components = [
+      baseComponent('A', 'one'),
+      baseComponent('B', 'two', { jsxTags: ['p'] }),
+      baseComponent('C', 'three', {
+        jsxTags: ['ul', 'li'],
+        jsxPaths: ['ul>li'],
+        textNodes: ['later'],
+        hooks: ['useMemo'],
+      }),
+    ];
+    let calls = 0;
+    const failing = {
+      embed: vi.fn(async (text) => {
+        calls += 1;
+        if (calls === 4) throw new Error('quota exceeded');
+        return [text.length, 1];
+      }),
+    };
+    await expect(embedComponents(components, failing, config)).rejects.toThrow('quota exceeded');
+    const saved = Object.values(loadCache(config.cachePath).entries);
+    expect(saved.length).toBeGreaterThan(0);
+    expect(saved[0].codeVec).toBeDefined();
+
+    const fresh = { embed: vi.fn(async (text) => [text.length, 1]) };
+    await embedComponents(components, fresh, { ...config, cachePath: null });
+    const healthy = { embed: vi.fn(async (text) => [text.length, 1]) };
+    const { cacheStats } = await embedComponents(components, healthy, config);
+    expect(healthy.embed).toHaveBeenCalledTimes(fresh.embed.mock.calls.length - 3);
+    expect(cacheStats.misses).toBe(3);
+    expect(Object.keys(loadCache(config.cachePath).entries)).toHaveLength(3);
+  });
+
+  it('embeds long representations in chunks and flags truncation', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-chunks-'));
+    const source = Array.from({ length: 60 }, (_, i) => `const value${i} = ${i};`).join('\n');
+    const components = [baseComponent('Long', source)];
+    const config = {
+      weight: { code: 1, holistic: 1 },
+      styleExtensions: [],
+      root: dir,
+      cachePath: path.join(dir, 'cache.json'),
+      chunking: { size: 300, overlap: 50, maxChunks: 2, aggregation: 'mean' },
+    };
+    const backend = { embed: vi.fn(async (text) => [text.length, 1]) };
+    const { entries } = await embedComponents(components, backend, config);
+    const texts = backend.embed.mock.calls.map(([text]) => text);
+    expect(texts.every((text) => text.length <= 300)).toBe(true);
+    expect(entries[0].truncated).toEqual(['holistic']);
+    expect(entries[0].holisticVec[0]).toBeGreaterThan(entries[0].holisticVec[1]);
+
+    const rerun = { embed: vi.fn(async (text) => [text.length, 1]) };
+    await embedComponents(components, rerun, config);
+    expect(rerun.embed).not.toHaveBeenCalled();
+    const roomy = { ...config, chunking: { ...config.chunking, maxChunks: 20 } };
+    const { entries: full } = await embedComponents(components, rerun, roomy);
+    expect(rerun.embed).toHaveBeenCalled();
+    expect(full[0].truncated).toEqual([]);
   });
 
   it('respects limit and custom weights', async () => {
@@ -159,6 +159,22 @@ describe('similarity matching', () => {
     expect(scorecard.suppressionReasons['over-max-threshold']).toBe(1);
   });
 
+  it('only compares components written for the same framework', () => {
+    const { pairs, scorecard } = findSimilarities(
+      [
+        makeEntry('ReactCard', [1, 0]),
+        makeEntry('SvelteCard', [1, 0], { filePath: 'SvelteCard.svelte' }),
+        makeEntry('SvelteTile', [1, 0], { filePath: 'SvelteTile.SVELTE' }),
+        makeEntry('VueCard', [1, 0], { filePath: 'VueCard.vue' }),
+      ],
+      { similarityThreshold: 0.5, highSimilarityThreshold: 0.9 }
+    );
+    expect(pairs.map((pair) => [pair.a, pair.b])).toEqual([
+      ['SvelteCard#SvelteCard', 'SvelteTile#SvelteTile'],
+    ]);
+    expect(scorecard.suppressionReasons['cross-framework']).toBe(5);
+  });
+
   it('suppresses direct composition relationships', () => {
     const { pairs, scorecard } = findSimilarities(
       [makeEntry('Parent', [1, 0], { componentRefs: ['Child'] }), makeEntry('Child', [1, 0])],
@@ -431,4 +447,44 @@ describe('similarity matching', () => {
     expect(result.scorecard.suppressedPairs).toBe(6);
     expect(result.scorecard.suppressionReasons['over-max-threshold']).toBe(6);
   });
+
+  it('explains reported pairs with channel cosines and label inputs', async () => {
+    const entries = [
+      makeEntry('A', [1, 0], {
+        structureVec: [0.6, 0.8],
+        logicTokens: ['map', 'filter'],
+        literals: ['a', 'b'],
+        source: 'const total = items.map(fn)\nreturn total',
+      }),
+      makeEntry('B', [1, 0], {
+        structureVec: [1, 0],
+        styleVec: [0, 1],
+        hasStyles: true,
+        logicTokens: ['map'],
+        literals: ['a', 'c', 'd', 'e'],
+        source: 'const total = items.map(fn)',
+      }),
+    ];
+    const config = { similarityThreshold: 0.5, highSimilarityThreshold: 0.9 };
+    expect((await findSimilarities(entries, config)).pairs[0].explanation).toBeUndefined();
+
+    const { pairs } = await findSimilarities(entries, { ...config, explain: true });
+    expect(pairs[0].explanation).toEqual({
+      channels: { code: 1, style: 0, structure: 0.6, holistic: 1 },
+      labelInputs: {
+        logicOverlap: 0.5,
+        literalOverlap: 0.25,
+        tokenOverlap: 0.8333,
+        styleOverlap: 0,
+        lineDiff: 1,
+      },
+    });
+    entries[1].hasStyles = false;
+    const plain = await findSimilarities(entries, { ...config, explain: true });
+    expect(Object.keys(plain.pairs[0].explanation.channels)).toEqual([
+      'code',
+      'structure',
+      'holistic',
+    ]);
+  });
 });
@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import { findSimilarities } from '../src/similarity.js';
+import {
+  DEFAULT_SCORE_WEIGHTS,
+  blendScore,
+  resolveScoring,
+  structuralSignals,
+  styleDeclarations,
+} from '../src/similarity-signals.js';
+import { makeEntry } from './similarity-fixtures.js';
+
+const CARD_PATHS = ['div', 'div>img', 'div>h2', 'div>p', 'div>button'];
+
+function styled(entry, styleCanonical) {
+  return { ...entry, styleCanonical };
+}
+
+describe('structural similarity signals', () => {
+  it('resolves the scoring mode and validates weights', () => {
+    expect(resolveScoring({})).toEqual({ mode: 'embedding', weights: DEFAULT_SCORE_WEIGHTS });
+    expect(resolveScoring({ scoring: 'hybrid', scoreWeights: { jsx: 0.5, style: 0 } })).toEqual({
+      mode: 'hybrid',
+      weights: { ...DEFAULT_SCORE_WEIGHTS, jsx: 0.5, style: 0 },
+    });
+    expect(() => resolveScoring({ scoring: 'fuzzy' })).toThrow(
+      'Unsupported scoring mode fuzzy (embedding, hybrid)'
+    );
+    expect(() => resolveScoring({ scoreWeights: { layout: 1 } })).toThrow(
+      'Unknown scoring signal layout (embedding, jsx, props, hooks, style)'
+    );
+    expect(() => resolveScoring({ scoreWeights: { jsx: -1 } })).toThrow('jsx=-1');
+    expect(() => resolveScoring({ scoreWeights: { jsx: '' } })).toThrow('jsx=');
+    expect(() => resolveScoring({ scoreWeights: { jsx: null }, language: 'ru' })).toThrow(
+      'Некорректный вес сигнала'
+    );
+  });
+
+  it('extracts normalized declarations and skips selectors and at-rules', () => {
+    const css = `
+      /* card */
+      .card:hover { Color : red; padding: 4px  8px }
+      @media (max-width: 600px) { .card { display: none; } }
+      margin: 0;
+    `;
+    expect([...styleDeclarations(css)]).toEqual([
+      'color:red',
+      'padding:4px 8px',
+      'display:none',
+      'margin:0',
+    ]);
+    expect(styleDeclarations().size).toBe(0);
+  });
+
+  it('compares JSX paths, props, hooks, and style declarations', () => {
+    const a = styled(
+      makeEntry('A', [1, 0], {
+        jsxPaths: CARD_PATHS,
+        props: { names: ['title', 'image'] },
+        hooks: ['useState', 'useEffect'],
+      }),
+      '.a { color: red; margin: 0 }'
+    );
+    const b = styled(
+      makeEntry('B', [0, 1], {
+        jsxPaths: [...CARD_PATHS.slice(0, 4), 'div>a'],
+        props: { names: ['title', 'href'] },
+        hooks: ['useState'],
+      }),
+      '.b { color: red; margin: 4px }'
+    );
+    expect(structuralSignals(a, b)).toEqual({ jsx: 0.8, props: 1 / 3, hooks: 0.5, style: 1 / 3 });
+    expect(structuralSignals(b, a).jsx).toBe(0.8);
+    expect(
+      structuralSignals(
+        makeEntry('C', [1], { jsxPaths: undefined, hooks: undefined, props: null }),
+        makeEntry('D', [1], { jsxPaths: ['div'] })
+      )
+    ).toEqual({ jsx: 0, props: null, hooks: null, style: null });
+  });
+
+  it('blends the cosine with the available signals only', () => {
+    const weights = { ...DEFAULT_SCORE_WEIGHTS, props: 0.4 };
+    expect(blendScore(0.5, { jsx: 1, props: null, hooks: null, style: null }, weights)).toBeCloseTo(
+      (0.5 * 0.6 + 0.15) / 0.75
+    );
+    expect(blendScore(0.5, {}, { embedding: 0 })).toBe(0);
+  });
+
+  it('finds pairs with matching JSX trees in hybrid mode and reports the breakdown', async () => {
+    const entries = [
+      makeEntry('PricingCard', [1, 0.2], { jsxPaths: CARD_PATHS, hooks: ['useMemo'] }),
+      makeEntry('ProfileCard', [0.2, 1], { jsxPaths: CARD_PATHS, hooks: ['useMemo'] }),
+    ];
+    const config = { similarityThreshold: 0.5, highSimilarityThreshold: 0.9 };
+    expect((await findSimilarities(entries, config)).pairs).toEqual([]);
+
+    const { pairs } = await findSimilarities(entries, { ...config, scoring: 'hybrid' });
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].signals).toEqual({ embedding: 0.3846, jsx: 1, hooks: 1 });
+    expect(pairs[0].similarity).toBeCloseTo((0.3846 * 0.6 + 0.15 + 0.05) / 0.8, 3);
+    expect(pairs[0].category).toBe('near-duplicate');
+  });
+
+  it('leaves pairs that cannot reach the threshold out of the similarity stats', async () => {
+    const entries = [makeEntry('Left', [1, 0]), makeEntry('Right', [0, 1])];
+    const config = { similarityThreshold: 0.5, highSimilarityThreshold: 0.9, scoring: 'hybrid' };
+    const bounded = await findSimilarities(entries, config);
+    expect(bounded.pairs).toEqual([]);
+    expect(bounded.scorecard).toMatchObject({
+      evaluatedPairs: 0,
+      maxSimilarity: 0,
+      coveredComponents: 0,
+    });
+
+    const scored = await findSimilarities(entries, { ...config, similarityThreshold: 0.3 });
+    expect(scored.scorecard).toMatchObject({ evaluatedPairs: 1, maxSimilarity: 0 });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { canonicalizeStyle, collectCustomProperties } from '../src/style-normalize.js';
+import { flattenStylesheet, parseStylesheet } from '../src/stylesheet.js';
+
+function canonical(text, customProperties) {
+  const rules = flattenStylesheet(parseStylesheet(text));
+  return canonicalizeStyle(rules, customProperties);
+}
+
+describe('style normalization', () => {
+  it('gives the same text to styles that differ only in notation and order', () => {
+    const a = `
+      :root { --brand: #FFF; --space: var(--unit); --unit: 8PX; }
+      .card {
+        margin: 0px var(--space);
+        color: var(--brand);
+        border: 1px solid rgb(0, 0, 0);
+        transition: opacity 250ms;
+        font-weight: bold;
+        flex: 1;
+      }
+      .card:hover { background: hsl(0, 100%, 50%); opacity: .50; }
+    `;
+    const b = `
+      .tile:hover { opacity: 0.5; background: red; }
+      .tile {
+        font-weight: 700;
+        transition: opacity 0.25s;
+        flex-grow: 1; flex-shrink: 1; flex-basis: 0%;
+        border-width: 1px; border-style: solid; border-color: #000;
+        color: white;
+        margin-top: 0; margin-bottom: 0;
+        margin-left: 8px; margin-right: 8px;
+      }
+    `;
+    expect(canonical(a)).toBe(canonical(b));
+    expect(canonical(b).split('\n')).toEqual([
+      ':hover{background:#ff0000;opacity:0.5}',
+      [
+        '{border-bottom-color:#000000;border-bottom-style:solid;border-bottom-width:1px',
+        'border-left-color:#000000;border-left-style:solid;border-left-width:1px',
+        'border-right-color:#000000;border-right-style:solid;border-right-width:1px',
+        'border-top-color:#000000;border-top-style:solid;border-top-width:1px;color:#ffffff',
+        'flex-basis:0;flex-grow:1;flex-shrink:1;font-weight:700;margin-bottom:0;margin-left:8px',
+        'margin-right:8px;margin-top:0;transition:opacity 0.25s}',
+      ].join(';'),
+    ]);
+  });
+
+  it('keeps media, important declarations, and values it cannot resolve', () => {
+    const text = `
+      .a { padding: 4px !important; padding: 0 !important; padding-top: 2px; }
+      @media (MAX-WIDTH : 600px) { .a::before { gap: 1rem 2rem; overflow: hidden; } }
+      .b { inset: 0 auto; border-radius: 4px / 2px; border-top: thick dashed; flex: none; }
+      .c { color: var(--missing); background: var(--missing, #0008); outline-color: #12345; }
+      .d { color: rgba(255, 0, 0, 1); fill: rgb(100%, 0%, 0% / 50%); stroke: rgb(1, 2); }
+      .e { color: hsl(var(--h), 10%, 10%); flex: 2 3; order: -0; margin: -.5em; }
+      .f { flex: auto; }
+      .g { flex: 2 content; }
+      .h { flex: 10em; --only: 1px; caret-color: rgb(x y z); color: ; }
+      .i { border-top: 2px solid color-mix(in srgb, red, blue); }
+    `;
+    const lines = canonical(text, new Map([['--loop', 'var(--loop)']])).split('\n');
+    expect(lines).toEqual([
+      '@media (max-width:600px) ::before{column-gap:2rem;overflow-x:hidden;overflow-y:hidden;row-gap:1rem}',
+      '{background:rgba(0,0,0,0.533);color:var(--missing);outline-color:#12345}',
+      [
+        '{border-radius:4px/2px;border-top-color:currentcolor;border-top-style:dashed',
+        'border-top-width:thick;bottom:0;flex-basis:auto;flex-grow:0;flex-shrink:0;left:auto',
+        'right:auto;top:0}',
+      ].join(';'),
+      '{border-top-color:color-mix(in srgb,#ff0000,#0000ff);border-top-style:solid;border-top-width:2px}',
+      '{caret-color:rgb(x y z);flex-basis:10em;flex-grow:1;flex-shrink:1}',
+      '{color:#ff0000;fill:rgba(255,0,0,0.5);stroke:rgb(1,2)}',
+      '{color:hsl(var(--h),10%,10%);flex-basis:0;flex-grow:2;flex-shrink:3;margin-bottom:-0.5em;margin-left:-0.5em;margin-right:-0.5em;margin-top:-0.5em;order:0}',
+      '{flex-basis:auto;flex-grow:1;flex-shrink:1}',
+      '{flex-basis:content;flex-grow:2;flex-shrink:1}',
+      '{padding-bottom:0!important;padding-left:0!important;padding-right:0!important;padding-top:0!important}',
+    ]);
+    expect(canonical('.x { color: var(--loop); }', new Map([['--loop', 'var(--loop)']]))).toBe(
+      '{color:var(--loop)}'
+    );
+  });
+
+  it('maps color names only in color properties and keeps the case of other words', () => {
+    const text = `
+      .a {
+        color: Purple; box-shadow: 0 0 2px Silver; font-weight: Bold;
+        grid-area: purple; animation-name: Silver; font-family: Orange, serif;
+      }
+    `;
+    expect(canonical(text)).toBe(
+      [
+        '{animation-name:Silver;box-shadow:0 0 2px #c0c0c0;color:#800080',
+        'font-family:Orange,serif;font-weight:700;grid-area:purple}',
+      ].join(';')
+    );
+  });
+
+  it('collects custom properties with the last declaration winning', () => {
+    const rules = flattenStylesheet(
+      parseStylesheet(':root { --a: 1px; --b:  red ; } .dark { --a: 2px; color: blue; }')
+    );
+    expect([...collectCustomProperties(rules)]).toEqual([
+      ['--a', '2px'],
+      ['--b', 'red'],
+    ]);
+  });
+});
@@ -0,0 +1,205 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it } from 'vitest';
+import { loadStyleResolution, resolveStyleImport } from '../src/style-resolver.js';
+import { loadComponentsWithCache } from '../src/analysis-cache.js';
+
+const styleExtensions = ['.css', '.scss', '.less'];
+
+function project(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-resolver-'));
+  Object.entries(files).forEach(([name, content]) => {
+    const file = path.join(root, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  });
+  return root;
+}
+
+describe('style resolver', () => {
+  it('resolves tsconfig paths, baseUrl, and bundler aliases', () => {
+    const root = project({
+      'tsconfig.base.json': {
+        compilerOptions: { baseUrl: '.', paths: { ignored: ['src/ignored.css'] } },
+      },
+      'tsconfig.json': `{
+        // comments and trailing commas are allowed
+        "extends": "./tsconfig.base",
+        "compilerOptions": { "paths": { "@/*": ["src/*", "lib/*"], "tokens": ["src/tokens.css"], }, },
+      }`,
+      'vite.config.ts': `
+        import { fileURLToPath, URL } from 'node:url';
+        export default defineConfig({
+          resolve: {
+            alias: {
+              '~theme': fileURLToPath(new URL('./theme', import.meta.url)),
+              'exact$': path.resolve(__dirname, 'src', 'exact.css'),
+              lib: '/lib',
+              dynamic: someVariable,
+              computed: other(),
+              ...shared,
+            },
+          },
+        });`,
+      'webpack.config.js': `module.exports = {
+        resolve: { alias: [
+          { find: 'legacy', replacement: path.join(__dirname, 'legacy') },
+          { find: /regex/, replacement: 'x' },
+          null,
+        ] },
+        plugins: [{ alias: 'not-an-object' }],
+      };`,
+      'webpack.config.mjs': 'export default {',
+      'src/card.module.scss': '',
+      'lib/shared.css': '',
+      'src/tokens.css': '',
+      'src/ignored.css': '',
+      'src/exact.css': '',
+      'theme/button.less': '',
+      'legacy/old.css': '',
+      'styles/base.css': '',
+      'src/Card.tsx': '',
+    });
+    const config = { root, styleExtensions, styleResolution: loadStyleResolution({ root }) };
+    const from = path.join(root, 'src/Card.tsx');
+    const resolve = (specifier) => resolveStyleImport(from, specifier, config);
+    expect(resolve('@/card.module.scss')).toBe(path.join(root, 'src/card.module.scss'));
+    expect(resolve('@/shared.css')).toBe(path.join(root, 'lib/shared.css'));
+    expect(resolve('~@/card.module.scss')).toBe(path.join(root, 'src/card.module.scss'));
+    expect(resolve('~tokens')).toBe(path.join(root, 'src/tokens.css'));
+    expect(resolve('~styles/base')).toBe(path.join(root, 'styles/base.css'));
+    expect(resolve('tokens')).toBe(path.join(root, 'src/tokens.css'));
+    expect(resolve('ignored')).toBeNull();
+    expect(resolve('~theme/button.less')).toBe(path.join(root, 'theme/button.less'));
+    expect(resolve('exact')).toBe(path.join(root, 'src/exact.css'));
+    expect(resolve('exact/other.css')).toBeNull();
+    expect(resolve('lib/shared.css')).toBe(path.join(root, 'lib/shared.css'));
+    expect(resolve('legacy/old')).toBe(path.join(root, 'legacy/old.css'));
+    expect(resolve('styles/base')).toBe(path.join(root, 'styles/base.css'));
+    expect(resolve('./card.module')).toBe(path.join(root, 'src/card.module.scss'));
+    expect(resolve(path.join(root, 'styles/base.css'))).toBe(path.join(root, 'styles/base.css'));
+    expect(resolve('@/missing.css')).toBeNull();
+    expect(resolve('./missing.css')).toBeNull();
+  });
+
+  it('falls back to jsconfig and resolves without any config', () => {
+    const root = project({
+      'jsconfig.json': {
+        extends: './base.json',
+        compilerOptions: { paths: { '#styles/*': ['./styles/*'] } },
+      },
+      'base.json': { extends: 'some-package/tsconfig.json' },
+      'styles/a.css': '',
+      'vite.config.js': '',
+    });
+    const resolution = loadStyleResolution({ root });
+    expect(resolution.baseUrl).toBeNull();
+    expect(resolution.aliases).toEqual([]);
+    const from = path.join(root, 'A.jsx');
+    const config = { styleExtensions, styleResolution: resolution };
+    expect(resolveStyleImport(from, '#styles/a.css', config)).toBe(path.join(root, 'styles/a.css'));
+    expect(resolveStyleImport(from, './styles/a.css', {})).toBe(path.join(root, 'styles/a.css'));
+    expect(loadStyleResolution({}).baseUrl).toBeNull();
+    expect(loadStyleResolution({ root: path.join(root, 'styles') })).toEqual({
+      baseUrl: null,
+      paths: [],
+      aliases: [],
+    });
+    const broken = project({ 'tsconfig.json': '{ nope', 'src/x.css': '' });
+    expect(loadStyleResolution({ root: broken }).paths).toEqual([]);
+  });
+
+  it('resolves package styles from node_modules entry points', () => {
+    const root = project({
+      'node_modules/ui-kit/package.json': { main: 'index.js', style: 'dist/ui.css' },
+      'node_modules/ui-kit/index.js': '',
+      'node_modules/ui-kit/dist/ui.css': '',
+      'node_modules/@scope/icons/package.json': {
+        exports: {
+          '.': { import: './index.js', style: './icons.css' },
+          './button.css': { default: './dist/button.css' },
+        },
+      },
+      'node_modules/@scope/icons/icons.css': '',
+      'node_modules/@scope/icons/dist/button.css': '',
+      'node_modules/sheet/package.json': { exports: './sheet.css' },
+      'node_modules/sheet/sheet.css': '',
+      'node_modules/sheet/extra.scss': '',
+      'node_modules/script-only/package.json': { main: 'index.js', exports: { import: 1 } },
+      'node_modules/script-only/index.js': '',
+      'node_modules/no-manifest/theme.scss': '',
+      'app/src/Button.tsx': '',
+    });
+    const from = path.join(root, 'app/src/Button.tsx');
+    const resolve = (specifier) => resolveStyleImport(from, specifier, { styleExtensions });
+    const modules = path.join(root, 'node_modules');
+    expect(resolve('ui-kit')).toBe(path.join(modules, 'ui-kit/dist/ui.css'));
+    expect(resolve('~ui-kit/dist/ui.css')).toBe(path.join(modules, 'ui-kit/dist/ui.css'));
+    expect(resolve('@scope/icons')).toBe(path.join(modules, '@scope/icons/icons.css'));
+    expect(resolve('@scope/icons/button.css')).toBe(
+      path.join(modules, '@scope/icons/dist/button.css')
+    );
+    expect(resolve('sheet')).toBe(path.join(modules, 'sheet/sheet.css'));
+    expect(resolve('sheet/extra')).toBe(path.join(modules, 'sheet/extra.scss'));
+    expect(resolve('no-manifest/theme')).toBe(path.join(modules, 'no-manifest/theme.scss'));
+    expect(resolve('script-only')).toBeNull();
+    expect(resolve('not-installed/a.css')).toBeNull();
+  });
+
+  it('reports unresolved style imports as warnings', () => {
+    const root = project({
+      'src/Card.tsx': `
+        import '@/card.css';
+        import 'missing-package/theme.css';
+        import './local.css';
+        export const Card = () => <div className="card" />;
+        export const Tile = () => <div className="tile" />;
+      `,
+      'src/local.css': '.card { color: red; }',
+    });
+    const warnings = [];
+    const file = path.join(root, 'src/Card.tsx');
+    const { components } = loadComponentsWithCache(
+      [file],
+      { root, styleExtensions: ['.css'], language: 'en' },
+      { onWarning: (message) => warnings.push(message) }
+    );
+    expect(components[0].styleImports).toEqual([path.join(root, 'src/local.css')]);
+    expect(warnings).toEqual([
+      `Cannot resolve style import in ${file}: @/card.css`,
+      `Cannot resolve style import in ${file}: missing-package/theme.css`,
+    ]);
+  });
+
+  it('does not serve cached results for files with unresolved style imports', () => {
+    const root = project({
+      'src/Card.tsx': `
+        import './card.css';
+        export const Card = () => <div className="card" />;
+      `,
+      'src/card.css': '.card { color: red; }',
+    });
+    const file = path.join(root, 'src/Card.tsx');
+    const config = {
+      root,
+      styleExtensions: ['.css'],
+      language: 'en',
+      analysisCachePath: path.join(root, '.cache/analysis.msgpack'),
+    };
+    const load = () => loadComponentsWithCache([file], config, { onWarning: () => {} });
+    expect(load().cacheStats).toMatchObject({ hits: 0, misses: 1 });
+    expect(load().cacheStats).toMatchObject({ hits: 1, misses: 0 });
+
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('./card.css', './theme.css'));
+    const missing = load();
+    expect(missing.components[0].unresolvedStyleImports).toEqual(['./theme.css']);
+    expect(load().cacheStats).toMatchObject({ hits: 0, misses: 1 });
+
+    fs.writeFileSync(path.join(root, 'src/theme.css'), '.card { color: blue; }');
+    const restored = load();
+    expect(restored.cacheStats).toMatchObject({ hits: 0, misses: 1 });
+    expect(restored.components[0].styleImports).toEqual([path.join(root, 'src/theme.css')]);
+    expect(load().cacheStats).toMatchObject({ hits: 1, misses: 0 });
+  });
+});
@@ -13,7 +13,7 @@ describe('styles', () => {
 
   it('reads style files and filters by class', () => {
     const component = {
-      styleImports: ['./examples/Button'],
+      styleImports: ['./examples/Button.css'],
       classNames: ['btn', 'btn-primary'],
       source: '',
     };
@@ -46,30 +46,59 @@ describe('styles', () => {
     expect(styleText.match(/btn\.btn-primary/g).length).toBe(1);
   });
 
-  it('extracts css-in-js', () => {
+  it('compiles nested SCSS with partials before filtering by class', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-style-scss-'));
+    fs.writeFileSync(path.join(dir, '_tokens.scss'), '$gap: 12px;');
+    fs.writeFileSync(
+      path.join(dir, 'Card.module.scss'),
+      "@use 'tokens' as *; .card { &__title { margin: $gap; } &__footer { color: red; } }"
+    );
     const component = {
-      styleImports: [],
+      styleImports: [path.join(dir, 'Card.module.scss')],
       classNames: [],
-      source: 'const box = css`color: red;`',
+      source: '<h2 className={styles.card__title} />',
     };
-    const { styleText, hasCssInJs } = loadStyles(component, config);
-    expect(styleText).toContain('color: red;');
-    expect(hasCssInJs).toBe(true);
+    const { styleText, partials } = loadStyles(component, { root: dir });
+    expect(styleText).toBe('.card__title { margin: 12px; }');
+    expect(partials).toEqual([path.join(dir, '_tokens.scss')]);
   });
 
-  it('extracts styled(Component) css-in-js', () => {
+  it('normalizes styles and resolves custom properties declared in the stylesheets', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-style-canonical-'));
+    fs.writeFileSync(path.join(dir, 'tokens.css'), ':root { --accent: #F00; }');
+    fs.writeFileSync(
+      path.join(dir, 'Badge.css'),
+      "@import 'tokens.css'; .badge { padding: 2px 4px; color: var(--accent); }"
+    );
+    const { styleCanonical } = loadStyles(
+      {
+        styleImports: [path.join(dir, 'Badge.css')],
+        classNames: ['badge'],
+        cssInJs: ':scope:hover { opacity: .5; }',
+      },
+      { root: dir }
+    );
+    expect(styleCanonical.split('\n')).toEqual([
+      ':hover{opacity:0.5}',
+      '{color:#ff0000;padding-bottom:2px;padding-left:4px;padding-right:4px;padding-top:2px}',
+    ]);
+  });
+
+  it('includes the css-in-js rules collected by the parser', () => {
     const component = {
       styleImports: [],
       classNames: [],
       source: 'const View = styled(Box)`padding: 8px; color: blue;`',
+      cssInJs: ':scope { padding: 8px; color: blue; }',
     };
-    const { styleText, hasCssInJs } = loadStyles(component, config);
-    expect(styleText).toContain('padding: 8px;');
+    const { styleText, styleCanonical, hasCssInJs } = loadStyles(component, config);
+    expect(styleText).toBe(':scope { padding: 8px; color: blue; }');
+    expect(styleCanonical).toContain('color:#0000ff');
     expect(hasCssInJs).toBe(true);
   });
 
   it('returns empty when style file missing', () => {
-    const component = { styleImports: ['./examples/missing-style'], classNames: [], source: '' };
+    const component = { styleImports: ['./examples/missing-style.css'], classNames: [], source: '' };
     const { styleText } = loadStyles(component, config);
     expect(styleText).toBe('');
   });
@@ -89,7 +118,7 @@ describe('styles', () => {
 
   it('skips missing style files even when class names are present', () => {
     const component = {
-      styleImports: ['./examples/missing-style'],
+      styleImports: ['./examples/missing-style.css'],
       classNames: ['missing'],
       source: '',
     };
@@ -109,7 +138,7 @@ describe('styles', () => {
 
   it('derives class names from css-module usage to avoid loading full file', () => {
     const component = {
-      styleImports: ['./examples/Box'],
+      styleImports: ['./examples/Box.css'],
       classNames: [],
       source:
         "import styles from './Box.css'; export const View = () => <div className={styles.base}>box</div>;",
@@ -121,7 +150,7 @@ describe('styles', () => {
 
   it('skips stylesheet content when no class names are detected', () => {
     const component = {
-      styleImports: ['./examples/Button'],
+      styleImports: ['./examples/Button.css'],
       classNames: [],
       source: 'export const View = () => <div>unstyled</div>;',
     };
@@ -131,7 +160,7 @@ describe('styles', () => {
 
   it('handles bracket access to css-module class names', () => {
     const component = {
-      styleImports: ['./examples/BoxAlt'],
+      styleImports: ['./examples/BoxAlt.css'],
       classNames: [],
       source:
         "import styles from './BoxAlt.css'; const cls = styles['box-body']; export const View = () => <div className={styles['box-body']}>box</div>;",
@@ -142,7 +171,7 @@ describe('styles', () => {
 
   it('handles missing classNames and source fields gracefully', () => {
     const component = {
-      styleImports: ['./examples/Button'],
+      styleImports: ['./examples/Button.css'],
     };
     const { styleText, hasCssInJs } = loadStyles(component, config);
     expect(styleText).toBe('');
@@ -0,0 +1,181 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it } from 'vitest';
+import {
+  compileStylesheet,
+  flattenStylesheet,
+  formatRules,
+  parseStylesheet,
+  rulesForClasses,
+} from '../src/stylesheet.js';
+
+function compile(text, syntax) {
+  return formatRules(flattenStylesheet(parseStylesheet(text, syntax)));
+}
+
+describe('stylesheet compiler', () => {
+  it('flattens SCSS nesting and BEM parent selectors to the same rules as plain CSS', () => {
+    const scss = `
+      // card block
+      .card {
+        padding: 8px  16px;
+        &__title { font-weight: 700; }
+        &:hover, &.is-active { Color: red; }
+        .icon > svg { width: 16px; }
+        @media (max-width: 600px) { padding: 4px; }
+      }
+    `;
+    const css = `
+      /* compiled */
+      .card { padding: 8px 16px; }
+      .card__title { font-weight: 700; }
+      .card:hover, .card.is-active { color: red; }
+      .card .icon > svg { width: 16px; }
+      @media (max-width: 600px) { .card { padding: 4px; } }
+    `;
+    expect(compile(scss)).toBe(compile(css));
+    expect(compile(scss).split('\n')).toEqual([
+      '.card { padding: 8px 16px; }',
+      '.card__title { font-weight: 700; }',
+      '.card:hover, .card.is-active { color: red; }',
+      '.card .icon > svg { width: 16px; }',
+      '@media (max-width: 600px) { .card { padding: 4px; } }',
+    ]);
+  });
+
+  it('resolves SCSS variables, mixins with arguments and content, and extends', () => {
+    const scss = `
+      $gap: 4px !default;
+      $gap: 8px !default;
+      $prefix: 'ui';
+      %focus-ring { outline: 2px solid $brand; }
+      @mixin stack($direction, $spacing: $gap) {
+        display: flex;
+        flex-direction: $direction;
+        gap: $spacing;
+        @content;
+      }
+      .#{$prefix}-list {
+        $brand: blue;
+        @include stack(column) { align-items: start; }
+        @extend %focus-ring;
+      }
+      .#{$prefix}-row { @include theme.stack($spacing: 2px, $direction: row); }
+      @keyframes spin { to { transform: rotate(1turn); } }
+      @if $gap > 2px { .never { color: red; } }
+    `;
+    expect(compile(scss).split('\n')).toEqual([
+      '.ui-list { outline: 2px solid $brand; }',
+      '.ui-list { display: flex; flex-direction: column; gap: 4px; align-items: start; }',
+      '.ui-row { display: flex; flex-direction: row; gap: 2px; }',
+    ]);
+  });
+
+  it('resolves Less variables, parametric mixins, guards, and extends', () => {
+    const less = `
+      @radius: 6px;
+      @name: badge;
+      .rounded(@size: @radius) { border-radius: @size; }
+      .muted { color: gray; }
+      .@{name} when (@mode = dark) {
+        .rounded();
+        .muted;
+        &:extend(.base all);
+        url: url(//cdn.example.com/a;b.png);
+      }
+      .base { margin: 0; }
+      .pill { .rounded(99px) !important; .missing(); }
+    `;
+    expect(compile(less).split('\n')).toEqual([
+      '.muted { color: gray; }',
+      '.badge { border-radius: 6px; color: gray; url: url(//cdn.example.com/a;b.png); }',
+      '.base, .badge { margin: 0; }',
+      '.pill { border-radius: 99px; }',
+    ]);
+  });
+
+  it('reads indented Sass and stops recursive mixins', () => {
+    const sass = [
+      '=loop',
+      '  color: red',
+      '  +loop',
+      '',
+      '.tag',
+      '  +loop',
+      '  &--big',
+      '    font-size: 2em',
+    ];
+    expect(compile(sass.join('\n'), 'sass').split('\n')).toEqual([
+      `.tag { ${Array(16).fill('color: red;').join(' ')} }`,
+      '.tag--big { font-size: 2em; }',
+    ]);
+  });
+
+  it('drops unclosed blocks, stray braces, and declarations outside rules', () => {
+    expect(compile('color: red; } .ok { a: "}" ; b: 1 } .open { color: blue;')).toBe(
+      '.ok { a: "}"; b: 1; }'
+    );
+    expect(compile('/* unterminated')).toBe('');
+    expect(compile('.q { background: url("a)b.png"); } .r { width: calc(1px }')).toBe(
+      '.q { background: url("a)b.png"); }'
+    );
+    expect(parseStylesheet('@ { }; @{name}-x { top: 0 }')[1].type).toBe('rule');
+    expect(parseStylesheet()).toEqual([]);
+  });
+
+  it('leaves unknown mixins, variables, and statements alone', () => {
+    const text = `
+      @mixin { a: b; }
+      @mixin shadowed(bad) { color: $bad; }
+      .x {
+        --Brand: #FFF;
+        @include shadowed(1);
+        @include;
+        @include #{$name};
+        @include (x);
+        content: "a\\"b";
+        top: @missing;
+        left: @{missing};
+        .broken color: red;
+      }
+      .y { .unknown; } // tail`;
+    expect(compile(text)).toBe(
+      '.x { --Brand: #FFF; color: $bad; content: "a\\"b"; top: @missing; left: @{missing}; }'
+    );
+  });
+
+  it('keeps only the selectors that use the given class names', () => {
+    const rules = flattenStylesheet(parseStylesheet('.a, .B .c, #d { top: 0 } .e { left: 0 }'));
+    expect(formatRules(rulesForClasses(rules, ['b']))).toBe('.B .c { top: 0; }');
+  });
+
+  it('inlines @use and @import partials once, relative to the file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-stylesheet-'));
+    fs.mkdirSync(path.join(dir, 'tokens'));
+    fs.writeFileSync(
+      path.join(dir, '_mixins.scss'),
+      '@use "tokens"; @mixin pad { padding: $pad; }'
+    );
+    fs.writeFileSync(path.join(dir, 'tokens', '_index.scss'), '$pad: 12px; @use "../mixins";');
+    fs.writeFileSync(path.join(dir, 'reset.css'), '.card { margin: 0; }');
+    fs.writeFileSync(path.join(dir, 'theme.sass'), '.card\n  color: red');
+    const file = path.join(dir, 'Card.scss');
+    const { rules, partials } = compileStylesheet(
+      `@use 'sass:math'; @use 'mixins' as m; @import 'reset.css', theme, 'missing';
+       .card { @include m.pad; }`,
+      file
+    );
+    expect(formatRules(rules).split('\n')).toEqual([
+      '.card { margin: 0; }',
+      '.card { color: red; }',
+      '.card { padding: 12px; }',
+    ]);
+    expect(partials).toEqual([
+      path.join(dir, '_mixins.scss'),
+      path.join(dir, 'tokens', '_index.scss'),
+      path.join(dir, 'reset.css'),
+      path.join(dir, 'theme.sass'),
+    ]);
+  });
+});
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { parseFile } from '../src/parser.js';
+import { loadStyles } from '../src/styles.js';
+import { run } from '../src/index.js';
+
+const baseConfig = { allowIgnores: true, styleExtensions: ['.css', '.scss'] };
+
+function writeFiles(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-svelte-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+}
+
+const COUNTER = `<script context="module">
+  export let shared = 1;
+</script>
+
+<script lang="ts">
+  import { count } from './stores';
+  import './counter.css';
+  export let label: string;
+  export let step = 1, max;
+  export const kind = 'counter';
+  $: doubled = $count * 2;
+  $: if (doubled > max) reset();
+  function reset() {
+    count.set(0);
+  }
+</script>
+
+<div class="counter {compact ? 'counter--compact' : ''}" class:active={doubled > 0}>
+  <Icon name="plus" />
+  {#if $count > 0}
+    <span class="value" title="Total {label}">{$count} clicks</span>
+  {:else}
+    <span>No clicks yet</span>
+  {/if}
+  <button on:click={() => count.update((n) => n + step)} {...$$restProps}>Add</button>
+  <svelte:component this={Badge} {label} />
+  <svelte:fragment slot="footer"><small>{$total}</small></svelte:fragment>
+</div>
+
+<style>
+  .counter { display: flex; }
+</style>
+`;
+
+describe('svelte parser', () => {
+  it('extracts props, stores, reactive statements, markup, and styles', () => {
+    const dir = writeFiles({ 'Counter.svelte': COUNTER, 'counter.css': '.value { color: red; }' });
+    const file = path.join(dir, 'Counter.svelte');
+    const result = parseFile(file, baseConfig);
+    expect(result.ignoredFile).toBe(false);
+    expect(result.components).toHaveLength(1);
+    const comp = result.components[0];
+
+    expect(comp.name).toBe('Counter');
+    expect(comp.id).toBe(`${file}#Counter`);
+    expect(comp.loc.end.line).toBe(COUNTER.split('\n').length);
+    expect(comp.props).toEqual({ names: ['label', 'step', 'max'], spreads: 1 });
+    expect(comp.logicTokens).toEqual(
+      expect.arrayContaining(['$:doubled', '$:', '$count', '$total', 'reset', 'set'])
+    );
+    expect(comp.logicTokens.filter((token) => token === '$count')).toHaveLength(1);
+    expect(comp.hooks).toEqual([]);
+    expect(comp.jsxTags).toEqual([
+      'div',
+      'Icon',
+      'span',
+      'span',
+      'button',
+      'svelte:component',
+      'small',
+    ]);
+    expect(comp.jsxPaths).toEqual([
+      'div',
+      'div>Icon',
+      'div>span',
+      'div>span',
+      'div>button',
+      'div>svelte:component',
+      'div>small',
+    ]);
+    expect(comp.componentRefs).toEqual(['Icon', 'Badge']);
+    expect(comp.classNames).toEqual(['counter', 'counter--compact', 'active', 'value']);
+    expect(comp.classGroups).toEqual([['counter', 'counter--compact'], ['active'], ['value']]);
+    expect(comp.literals).toEqual(
+      expect.arrayContaining(['plus', 'Total', 'spread', 'counter', '1'])
+    );
+    expect(comp.textNodes).toEqual(['clicks', 'No clicks yet', 'Add']);
+    expect(comp.styleImports).toEqual([path.join(dir, 'counter.css')]);
+    expect(comp.styleBlocks).toEqual(['.counter { display: flex; }']);
+    expect(comp.isWrapper).toBe(false);
+
+    const styles = loadStyles(comp, baseConfig);
+    expect(styles.styleText).toContain('.value { color: red; }');
+    expect(styles.styleText).toContain('.counter { display: flex; }');
+  });
+
+  it('reads runes-mode props and treats runes as hooks', () => {
+    const dir = writeFiles({
+      'Field.svelte': `<script module>
+  export let registry = [];
+</script>
+<script>
+  let { value = '', 'aria-label': ariaLabel, [key]: dynamic, ...rest } = $props();
+  let { other } = $state({ other: 1 });
+  let [first] = $props();
+  let focused = $state(false);
+  const size = $derived(value.length);
+  $effect(() => console.log(size));
+  export { focused };
+</script>
+<input {...rest} bind:value on:focus={() => (focused = true)} placeholder="Type" />`,
+    });
+    const comp = parseFile(path.join(dir, 'Field.svelte'), { allowIgnores: true }).components[0];
+    expect(comp.props).toEqual({ names: ['value', 'aria-label'], spreads: 1 });
+    expect(comp.hooks).toEqual(['$props', '$state', '$props', '$state', '$derived', '$effect']);
+    expect(comp.literals).toEqual(expect.arrayContaining(['spread', 'Type']));
+    expect(comp.logicTokens).not.toContain('$props');
+    expect(comp.isWrapper).toBe(true);
+  });
+
+  it('keeps scanning when only markup is present', () => {
+    const dir = writeFiles({
+      'Note.svelte':
+        '<svelte:element this="section"><p class={tone}>Hello <b>{name}</b>!</p></svelte:element>',
+    });
+    const comp = parseFile(path.join(dir, 'Note.svelte'), baseConfig).components[0];
+    expect(comp.textNodes).toEqual(['Hello', '!']);
+    expect(comp.classNames).toEqual([]);
+    expect(comp.componentRefs).toEqual([]);
+    expect(comp.literals).toEqual(['section']);
+    expect(comp.props).toEqual({ names: [], spreads: 0 });
+  });
+
+  it('compares svelte components with each other but not with react ones', async () => {
+    const variant = COUNTER.replace('clicks', 'taps');
+    const root = writeFiles({
+      'Counter.svelte': COUNTER,
+      'Tally.svelte': variant,
+      'Counter.tsx': fs.readFileSync(path.resolve('examples/CardA.tsx'), 'utf8'),
+    });
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await run({
+      root,
+      include: ['**/*.svelte', '**/*.tsx'],
+      exclude: [],
+      similarityThreshold: 0,
+      highSimilarityThreshold: 0.9,
+      model: 'mock',
+      styleExtensions: ['.css'],
+      disableAnalyses: [],
+      allowIgnores: true,
+      remote: {},
+      weight: { code: 0.7, style: 0.3 },
+      cachePath: path.join(root, '.cache', 'embeddings.json'),
+      analysisCachePath: path.join(root, '.cache', 'analysis.msgpack'),
+    });
+    spy.mockRestore();
+    expect(result.pairs.map((pair) => [pair.a, pair.b].sort())).toEqual([
+      [`${path.join(root, 'Counter.svelte')}#Counter`, `${path.join(root, 'Tally.svelte')}#Tally`],
+    ]);
+    expect(result.stats.scorecard.suppressionReasons['cross-framework']).toBe(2);
+  });
+});
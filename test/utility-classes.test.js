@@ -0,0 +1,180 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_UTILITY_THEME,
+  loadUtilityTheme,
+  resolveUtilityTheme,
+  utilityRules,
+} from '../src/utility-classes.js';
+import { formatRules } from '../src/stylesheet.js';
+import { clearStyleCache, loadStyles } from '../src/styles.js';
+import { labelPair } from '../src/labels.js';
+
+function expand(classes, theme) {
+  return formatRules(utilityRules([classes], theme)).split('\n');
+}
+
+describe('utility classes', () => {
+  it('expands utilities, variants, arbitrary values, and modifiers into rules', () => {
+    expect(
+      expand([
+        'flex',
+        'md:dark:p-6',
+        'hover:bg-black/50',
+        'before:hidden',
+        'p-4',
+        '-mt-2',
+        '-m-0',
+        '-ml-[-3px]',
+        'w-1/3',
+        'h-screen',
+        'max-w-full',
+        'text-sm',
+        'text-red-500/40',
+        'text-[13px]',
+        '!bg-[#fafafa]',
+        'border',
+        'border-t-2',
+        'rounded-tl-lg',
+        'shadow',
+        'font-semibold',
+        'leading-tight',
+        'opacity-75',
+        'z-10',
+        'grid-cols-3',
+        'col-span-2',
+        'duration-200',
+        'first:mt-0',
+        '[mask-type:luminance]',
+        'unknown-utility',
+        'text-[bogus',
+        'opacity-half',
+        'bg-black/',
+        'w-wide',
+        '-hidden',
+        'z-high',
+        'grid-cols-x',
+        'col-span-x',
+        'duration-fast',
+        'bg-[13px]',
+        'bg-nope',
+        'p-wide',
+      ])
+    ).toEqual([
+      [
+        ':scope { mask-type: luminance; display: flex; padding: 1rem; margin: 0px; margin-top: -0.5rem;',
+        'margin-left: 3px; width: 33.333333%; height: 100vh; max-width: 100%; font-size: 13px;',
+        'font-size: .875rem; line-height: 1.25rem; color: theme(colors.red.500) / 40%;',
+        'background-color: #fafafa !important; border-width: 1px; border-top-width: 2px;',
+        'border-top-left-radius: .5rem; font-weight: 600; line-height: 1.25;',
+        'box-shadow: theme(boxShadow.DEFAULT); opacity: 0.75; z-index: 10;',
+        'grid-template-columns: repeat(3, minmax(0, 1fr)); grid-column: span 2 / span 2;',
+        'transition-duration: 200ms; }',
+      ].join(' '),
+      ':scope::before { display: none; }',
+      '@media (min-width: 768px) { @media (prefers-color-scheme: dark) { :scope { padding: 1.5rem; } } }',
+      ':scope:first-child { margin-top: 0px; }',
+      ':scope:hover { background-color: #00000080; }',
+    ]);
+    expect(utilityRules()).toEqual([]);
+  });
+
+  it('resolves spacing, sizes, and colors against the theme', () => {
+    expect(
+      expand(['mx-auto', 'w-4', 'w-screen', 'top-1/2', 'text-base', 'text-[#FFF]', 'bg-white/5'])
+    ).toEqual([
+      [
+        ':scope { margin-left: auto; margin-right: auto; top: 50%; width: 1rem; width: 100vw;',
+        'font-size: 1rem; line-height: 1.5rem; color: #FFF; background-color: #ffffff0d; }',
+      ].join(' '),
+    ]);
+  });
+
+  it('merges Tailwind themes, prefixes, and nested color objects', () => {
+    const theme = resolveUtilityTheme({
+      prefix: 'tw-',
+      theme: {
+        spacing: { 1: '3px' },
+        screens: () => ({}),
+        extend: {
+          colors: { brand: { DEFAULT: '#123', light: 'hsl(0 0% 90%)' }, deep: '#102030' },
+          fontSize: { huge: ['4rem', { lineHeight: '1' }], tiny: '10px', bare: ['9px'] },
+          opacity: { ignored: () => 1, flag: true },
+        },
+      },
+    });
+    expect(theme.spacing).toEqual({ 1: '3px' });
+    expect(theme.screens).toEqual(DEFAULT_UTILITY_THEME.screens);
+    expect(
+      expand(['tw-p-1', 'p-4', 'tw-bg-brand/50', 'tw-text-brand-light/10', 'tw-text-huge'], theme)
+    ).toEqual([
+      ':scope { padding: 3px; font-size: 4rem; line-height: 1; color: hsl(0 0% 90%) / 10%; background-color: #11223380; }',
+    ]);
+    expect(expand(['tw-text-tiny', 'tw-bg-deep/50', 'tw-text-bare'], theme)).toEqual([
+      ':scope { font-size: 9px; font-size: 10px; background-color: #10203080; }',
+    ]);
+  });
+
+  it('loads the Tailwind config named in the configuration', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-tailwind-'));
+    fs.writeFileSync(
+      path.join(dir, 'tailwind.config.mjs'),
+      "export default { theme: { extend: { colors: { brand: '#0af' } } } };"
+    );
+    fs.writeFileSync(path.join(dir, 'tailwind.config.cjs'), "module.exports = { prefix: 'x-' };");
+    fs.writeFileSync(path.join(dir, 'broken.config.mjs'), 'export default {');
+    expect(await loadUtilityTheme({})).toBe(DEFAULT_UTILITY_THEME);
+    const esm = await loadUtilityTheme({ root: dir, tailwindConfig: 'tailwind.config.mjs' });
+    expect(esm.colors.brand).toBe('#0af');
+    const cjs = await loadUtilityTheme({ root: dir, tailwindConfig: 'tailwind.config.cjs' });
+    expect(cjs.prefix).toBe('x-');
+    const broken = path.join(dir, 'broken.config.mjs');
+    await expect(loadUtilityTheme({ tailwindConfig: broken })).rejects.toThrow(
+      `Cannot load Tailwind config ${broken}`
+    );
+  });
+
+  it('falls back to the default theme when a TypeScript config cannot be imported', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-tailwind-ts-'));
+    const configPath = path.join(dir, 'tailwind.config.mts');
+    fs.writeFileSync(configPath, 'export default { prefix: <Config>"x-" ');
+    const warnings = [];
+    const theme = await loadUtilityTheme(
+      { root: dir, tailwindConfig: 'tailwind.config.mts' },
+      (message) => warnings.push(message)
+    );
+    expect(theme).toBe(DEFAULT_UTILITY_THEME);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatch(
+      `Cannot load TypeScript Tailwind config, using the default theme: ${configPath}: `
+    );
+  });
+
+  it('labels cards built from the same utilities in a different order as style duplicates', () => {
+    clearStyleCache();
+    const card = (classGroups) => {
+      const styles = loadStyles({ classGroups, source: '' }, { root: process.cwd() });
+      return {
+        component: { id: 'x', logicTokens: [], literals: [], source: '' },
+        styleVec: [1, 0],
+        hasStyles: Boolean(styles.styleText),
+        styleCanonical: styles.styleCanonical,
+      };
+    };
+    const a = card([
+      ['flex', 'flex-col', 'gap-2', 'rounded-lg', 'bg-white', 'p-4', 'shadow', 'hover:shadow-md'],
+      ['text-lg', 'font-semibold', 'text-gray-900'],
+    ]);
+    const b = card([
+      ['text-gray-900', 'text-lg', 'font-semibold'],
+      ['hover:shadow-md', 'shadow', 'p-4', 'bg-white', 'rounded-lg', 'gap-2', 'flex-col', 'flex'],
+    ]);
+    b.styleVec = [0, 1];
+    expect(a.hasStyles).toBe(true);
+    expect(a.styleCanonical).toBe(b.styleCanonical);
+    const config = { similarityThreshold: 0.8, highSimilarityThreshold: 0.9, disableAnalyses: [] };
+    expect(labelPair(a, b, 0.5, config).labels).toContain('style-duplicate');
+  });
+});
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, it, vi } from 'vitest';
+import { parseFile } from '../src/parser.js';
+import { parseMarkup, skipBraces } from '../src/markup.js';
+import { loadStyles } from '../src/styles.js';
+import { run } from '../src/index.js';
+
+const baseConfig = { allowIgnores: true, styleExtensions: ['.css', '.scss'] };
+
+function writeVue(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-vue-'));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  return dir;
+}
+
+const SETUP_CARD = `<template>
+  <div class="card" :class="{ active: isActive, 'card--wide': wide }">
+    <user-avatar :src="avatar" size="lg" />
+    <h2 class="card__title">{{ title }} profile</h2>
+    <component :is="BaseIcon" />
+    <button @click="toggle">Toggle</button>
+  </div>
+</template>
+
+<script setup lang="ts">
+import { computed, ref, onMounted } from 'vue';
+import './card.css';
+const props = defineProps<{ title: string; avatar?: string; 'wide': boolean }>();
+const isActive = ref(false);
+const label = computed(() => props.title.toUpperCase());
+function toggle() {
+  isActive.value = !isActive.value;
+}
+onMounted(() => toggle());
+</script>
+
+<style scoped>
+.card { padding: 8px; }
+</style>
+<style src="./theme.css"></style>
+`;
+
+describe('vue parser', () => {
+  it('extracts script setup, template, and style metadata from an SFC', () => {
+    const dir = writeVue({
+      'ProfileCard.vue': SETUP_CARD,
+      'card.css': '.card__title { margin: 0; }',
+    });
+    const file = path.join(dir, 'ProfileCard.vue');
+    const result = parseFile(file, baseConfig);
+    expect(result.ignoredFile).toBe(false);
+    expect(result.components).toHaveLength(1);
+    const comp = result.components[0];
+
+    expect(comp.name).toBe('ProfileCard');
+    expect(comp.id).toBe(`${file}#ProfileCard`);
+    expect(comp.loc.start.line).toBe(1);
+    expect(comp.loc.end.line).toBe(SETUP_CARD.split('\n').length);
+    expect(comp.props.names).toEqual(['title', 'avatar', 'wide']);
+    expect(comp.hooks).toEqual(expect.arrayContaining(['ref', 'computed', 'onMounted']));
+    expect(comp.logicTokens).toEqual(expect.arrayContaining(['toggle']));
+    expect(comp.jsxTags).toEqual(['div', 'UserAvatar', 'h2', 'component', 'button']);
+    expect(comp.jsxPaths).toContain('div>UserAvatar');
+    expect(comp.returnsCount).toBe(5);
+    expect(comp.componentRefs).toEqual(['UserAvatar', 'BaseIcon']);
+    expect(comp.classNames).toEqual(['card', 'active', 'card--wide', 'card__title']);
+    expect(comp.classGroups).toEqual([['card'], ['active', 'card--wide'], ['card__title']]);
+    expect(comp.literals).toEqual(expect.arrayContaining(['lg']));
+    expect(comp.textNodes).toEqual(['profile', 'Toggle']);
+    expect(comp.styleImports).toEqual([path.join(dir, 'card.css')]);
+    expect(comp.unresolvedStyleImports).toEqual(['./theme.css']);
+    expect(comp.styleBlocks).toEqual(['.card { padding: 8px; }']);
+    expect(comp.isWrapper).toBe(false);
+    expect(comp.source).toBe(SETUP_CARD);
+
+    const styles = loadStyles(comp, baseConfig);
+    expect(styles.styleText).toContain('.card__title { margin: 0; }');
+    expect(styles.styleText).toContain('.card { padding: 8px; }');
+  });
+
+  it('reads Options API props, names, and array or object defineProps', () => {
+    const dir = writeVue({
+      'Options.vue': `<script>
+import { defineComponent } from 'vue';
+export default defineComponent({
+  name: 'FancyInput',
+  props: { modelValue: String, 'placeholder': { type: String }, [dynamic]: Number },
+});
+</script>
+<template><input :value="modelValue" v-bind="$attrs" /></template>`,
+      'Plain.vue': `<script>
+export default { props: ['label', 42, 'icon'], name: computedName };
+</script>`,
+      'Named.vue': `<script setup>
+defineOptions({ name: 'NamedThing' });
+defineProps(['size']);
+defineProps({ tone: String, size: Number, variant });
+defineProps(propsConfig);
+</script>`,
+      'Shared.vue': `<script>
+export default sharedOptions;
+</script>`,
+      'External.vue': `<script src="./external.js"></script>
+<script>export default makeOptions();</script>
+<template><template v-if="ready"><p hidden>Hi</p></template></template>`,
+    });
+
+    const options = parseFile(path.join(dir, 'Options.vue'), { allowIgnores: true }).components[0];
+    expect(options.name).toBe('FancyInput');
+    expect(options.props.names).toEqual(['modelValue', 'placeholder']);
+    expect(options.props.spreads).toBe(1);
+    expect(options.literals).toContain('spread');
+    expect(options.isWrapper).toBe(true);
+
+    const plain = parseFile(path.join(dir, 'Plain.vue'), { allowIgnores: true }).components[0];
+    expect(plain.name).toBe('Plain');
+    expect(plain.props.names).toEqual(['label', 'icon']);
+
+    const named = parseFile(path.join(dir, 'Named.vue'), baseConfig).components[0];
+    expect(named.name).toBe('NamedThing');
+    expect(named.props.names).toEqual(['size', 'tone', 'variant']);
+
+    const shared = parseFile(path.join(dir, 'Shared.vue'), baseConfig).components[0];
+    expect(shared.name).toBe('Shared');
+
+    const external = parseFile(path.join(dir, 'External.vue'), baseConfig).components[0];
+    expect(external.name).toBe('External');
+    expect(external.props.names).toEqual([]);
+    expect(external.textNodes).toEqual(['Hi']);
+    expect(external.jsxPaths).toEqual(['p']);
+  });
+
+  it('honors the file ignore marker in vue files', () => {
+    const dir = writeVue({
+      'Skip.vue': '<!-- duplicalis-ignore-file -->\n<template><p /></template>',
+    });
+    const result = parseFile(path.join(dir, 'Skip.vue'), baseConfig);
+    expect(result).toEqual({ components: [], ignoredFile: true });
+  });
+
+  it('pairs similar vue components end to end', async () => {
+    const variant = SETUP_CARD.replace('ProfileCard', 'AccountCard').replace('profile', 'account');
+    const root = writeVue({ 'ProfileCard.vue': SETUP_CARD, 'AccountCard.vue': variant });
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await run({
+      root,
+      include: ['**/*.vue'],
+      exclude: [],
+      similarityThreshold: 0.7,
+      highSimilarityThreshold: 0.9,
+      model: 'mock',
+      styleExtensions: ['.css'],
+      disableAnalyses: [],
+      allowIgnores: true,
+      remote: {},
+      weight: { code: 0.7, style: 0.3 },
+      cachePath: path.join(root, '.cache', 'embeddings.json'),
+      analysisCachePath: path.join(root, '.cache', 'analysis.msgpack'),
+    });
+    spy.mockRestore();
+    expect(result.pairs).toHaveLength(1);
+    expect([result.pairs[0].a, result.pairs[0].b].sort()).toEqual([
+      `${path.join(root, 'AccountCard.vue')}#AccountCard`,
+      `${path.join(root, 'ProfileCard.vue')}#ProfileCard`,
+    ]);
+  });
+});
+
+describe('markup parser', () => {
+  it('builds a tolerant element tree with offsets', () => {
+    const source =
+      '<div id=main data-x = "1" hidden><br><p>a < b {x < y ? "<p>" : 1}</p>' +
+      '<!-- <span> --></span><textarea><b></b></textarea><img/><ul {spread}><li>one';
+    const root = parseMarkup(source);
+    const [div] = root.children;
+    expect(div.tag).toBe('div');
+    expect(div.attributes).toEqual([
+      { name: 'id', value: 'main' },
+      { name: 'data-x', value: '1' },
+      { name: 'hidden', value: null },
+    ]);
+    const tags = div.children.filter((node) => node.type === 'element').map((node) => node.tag);
+    expect(tags).toEqual(['br', 'p', 'textarea', 'img', 'ul']);
+    const paragraph = div.children[1];
+    expect(paragraph.children[0].value).toBe('a < b {x < y ? "<p>" : 1}');
+    const textarea = div.children[2];
+    expect(textarea.children).toEqual([
+      { type: 'text', value: '<b></b>', start: textarea.contentStart, end: textarea.contentEnd },
+    ]);
+    const list = div.children[4];
+    expect(list.attributes).toEqual([{ name: '{spread}', value: null }]);
+    expect(list.children[0].end).toBe(source.length);
+    expect(div.end).toBe(source.length);
+  });
+
+  it('handles unterminated constructs and brace values', () => {
+    expect(parseMarkup('<p>text<!-- open').children[0].children).toEqual([
+      { type: 'text', value: 'text', start: 3, end: 7 },
+    ]);
+    expect(parseMarkup().children).toEqual([]);
+    const [button] = parseMarkup('<button on:click={() => go("}")} disabled={x} =oops').children;
+    expect(button.attributes).toEqual([
+      { name: 'on:click', value: '{() => go("}")}' },
+      { name: 'disabled', value: '{x}' },
+      { name: 'oops', value: null },
+    ]);
+    const [input] = parseMarkup("<input title='unterminated").children;
+    expect(input.attributes).toEqual([{ name: 'title', value: 'unterminated' }]);
+    const [raw] = parseMarkup('<style>.a{}').children;
+    expect(raw.contentEnd).toBe(11);
+    expect(parseMarkup('<script></script>').children[0].children).toEqual([]);
+    const [stray] = parseMarkup('<a></b></>x</').children;
+    expect(stray.children.map((node) => node.value)).toEqual(['x']);
+    const [empty] = parseMarkup('<p a=>x<').children;
+    expect(empty.attributes).toEqual([{ name: 'a', value: '' }]);
+    expect(empty.children.map((node) => node.value)).toEqual(['x<']);
+    expect(parseMarkup('<').children.map((node) => node.value)).toEqual(['<']);
+    expect(skipBraces('{ "unterminated }', 0)).toBe(17);
+    expect(skipBraces('{ `a` ', 0)).toBe(6);
+  });
+});
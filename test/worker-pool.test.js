@@ -0,0 +1,63 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { WorkerPool, resolvePoolSize } from '../src/worker-pool.js';
+
+const WORKER_SOURCE = `
+import { parentPort, workerData, threadId } from 'worker_threads';
+parentPort.on('message', async (task) => {
+  if (task === 'fail') return parentPort.postMessage({ error: 'task failed' });
+  if (task === 'crash') throw new Error('worker crashed');
+  if (task === 'exit') process.exit(3);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  parentPort.postMessage({ result: { value: task * workerData.factor, threadId } });
+});
+`;
+
+function writeWorker() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicalis-pool-'));
+  const file = path.join(dir, 'worker.mjs');
+  fs.writeFileSync(file, WORKER_SOURCE);
+  return file;
+}
+
+describe('worker pool', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('sizes the pool from the request and the available CPUs', () => {
+    vi.spyOn(os, 'availableParallelism').mockReturnValue(8);
+    expect(resolvePoolSize(0)).toBe(4);
+    expect(resolvePoolSize(undefined, 16)).toBe(7);
+    expect(resolvePoolSize(3.7)).toBe(3);
+    expect(resolvePoolSize(32)).toBe(8);
+    os.availableParallelism.mockReturnValue(1);
+    expect(resolvePoolSize(0)).toBe(1);
+    expect(resolvePoolSize(4)).toBe(1);
+  });
+
+  it('spreads tasks over at most `size` workers', async () => {
+    const pool = new WorkerPool(writeWorker(), { size: 2, workerData: { factor: 10 } });
+    const results = await Promise.all([1, 2, 3, 4, 5].map((task) => pool.run(task)));
+    expect(results.map((result) => result.value)).toEqual([10, 20, 30, 40, 50]);
+    expect(new Set(results.map((result) => result.threadId)).size).toBe(2);
+    expect(pool.workers.size).toBe(2);
+    await pool.close();
+    expect(pool.workers.size).toBe(0);
+  });
+
+  it('rejects failed tasks and replaces crashed workers', async () => {
+    const pool = new WorkerPool(writeWorker(), {
+      size: 1,
+      workerData: { factor: 2 },
+      name: 'Test worker',
+    });
+    await expect(pool.run('fail')).rejects.toThrow('task failed');
+    await expect(pool.run('crash')).rejects.toThrow('worker crashed');
+    await expect(pool.run('exit')).rejects.toThrow('Test worker exited with code 3');
+    expect((await pool.run(4)).value).toBe(8);
+    await pool.close();
+  });
+});
@@ -21,6 +21,7 @@ export default defineConfig({
         '**/*.config.*',
         '**/.eslintrc.*',
         'src/similarity-match-worker.js',
+        'src/embedding/local-worker.js',
       ],
     },
   },